@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import User from '../src/models/User.js';
+
+// Bootstrap the first super admin, who can then promote everyone else with
+// PUT /api/v1/users/:id/role. Refuses to run once an active super admin
+// exists, so it cannot be used to take over a running system.
+//
+//   npm run admin:bootstrap -- --email ops@example.com --name "Ops Lead"
+//
+// The password is read from SUPER_ADMIN_PASSWORD, or asked for. An existing
+// account with the email is promoted and keeps its password.
+
+dotenv.config();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Ask without echoing the answer when run in a terminal
+const askPassword = (prompt) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  process.stdout.write(prompt);
+  rl._writeToOutput = () => {};
+  rl.question('', (answer) => {
+    rl.close();
+    process.stdout.write('\n');
+    resolve(answer);
+  });
+});
+
+const run = async () => {
+  const { values } = parseArgs({
+    options: {
+      email: { type: 'string' },
+      name: { type: 'string' }
+    }
+  });
+  const email = values.email?.trim().toLowerCase();
+  if (!email) {
+    throw new Error('Usage: npm run admin:bootstrap -- --email <email> [--name <name>]');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/autocare-pro');
+  console.log('✅ Connected to MongoDB');
+
+  const existingSuperAdmin = await User.findOne({ role: 'super_admin', isAdmin: true, isActive: true });
+  if (existingSuperAdmin) {
+    throw new Error(`A super admin already exists (${existingSuperAdmin.email}); use PUT /users/:id/role instead`);
+  }
+
+  let user = await User.findOne({ email });
+  if (user) {
+    user.setRole('super_admin', { reason: 'Bootstrapped with admin:bootstrap' });
+    user.isActive = true;
+    await user.save();
+    console.log(`✅ Promoted ${user.email} to super admin; their password is unchanged`);
+    return;
+  }
+
+  const password = process.env.SUPER_ADMIN_PASSWORD || await askPassword(`Password for ${email}: `);
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  user = new User({
+    name: values.name || email.split('@')[0],
+    email,
+    password,
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+  user.setRole('super_admin', { reason: 'Bootstrapped with admin:bootstrap' });
+  await user.save();
+  console.log(`✅ Created super admin ${user.email}`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
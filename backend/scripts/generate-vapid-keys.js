@@ -0,0 +1,11 @@
+import webpush from 'web-push';
+
+// Print a new VAPID key pair for .env. Keep the same keys once browsers have
+// subscribed: subscriptions made with the old public key stop working.
+
+const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+
+console.log('# Web push (VAPID)');
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log('VAPID_SUBJECT=mailto:admin@autocare.com');
@@ -3,6 +3,7 @@ import dotenv from 'dotenv';
 import User from '../models/User.js';
 import Truck from '../models/Truck.js';
 import Branch from '../models/Branch.js';
+import Vehicle from '../models/Vehicle.js';
 
 // Load environment variables
 dotenv.config();
@@ -18,60 +19,6 @@ const connectDB = async () => {
   }
 };
 
-// Initialize admin users
-const initializeAdmins = async () => {
-  console.log('🔧 Initializing admin users...');
-  
-  const adminPassword = process.env.ADMIN_PASSWORD || 'autocarpro12k@12k.wwc';
-  const admins = [
-    {
-      name: 'Emmanuel Evian',
-      email: 'emmanuel.evian@autocare.com',
-      role: 'main_admin'
-    },
-    {
-      name: 'Ibrahim Mohamud',
-      email: 'ibrahim.mohamud@autocare.com',
-      role: 'admin'
-    },
-    {
-      name: 'Joel Ng\'ang\'a',
-      email: 'joel.nganga@autocare.com',
-      role: 'admin'
-    },
-    {
-      name: 'Patience Karanja',
-      email: 'patience.karanja@autocare.com',
-      role: 'admin'
-    },
-    {
-      name: 'Joyrose Kinuthia',
-      email: 'joyrose.kinuthia@autocare.com',
-      role: 'admin'
-    }
-  ];
-
-  for (const adminData of admins) {
-    const existingAdmin = await User.findOne({ email: adminData.email });
-    
-    if (!existingAdmin) {
-      const admin = new User({
-        name: adminData.name,
-        email: adminData.email,
-        password: adminPassword,
-        isAdmin: true,
-        role: adminData.role,
-        vehicleCount: 0
-      });
-      
-      await admin.save();
-      console.log(`✅ Created admin: ${adminData.name}`);
-    } else {
-      console.log(`👤 Admin already exists: ${adminData.name}`);
-    }
-  }
-};
-
 // Initialize branches
 const initializeBranches = async () => {
   console.log('🏢 Initializing branches...');
@@ -174,7 +121,8 @@ const initializeTrucks = async () => {
         make: 'Toyota',
         model: 'Hiace',
         year: 2020,
-        capacity: '1.5 Tons'
+        capacity: { weightKg: 1500, volumeM3: 9 },
+        equipment: ['tail_lift']
       },
       currentLocation: {
         latitude: -1.2921,
@@ -200,7 +148,8 @@ const initializeTrucks = async () => {
         make: 'Isuzu',
         model: 'NPR',
         year: 2019,
-        capacity: '2 Tons'
+        capacity: { weightKg: 2000, volumeM3: 14 },
+        equipment: ['tail_lift', 'tow_bar']
       },
       currentLocation: {
         latitude: -1.3032,
@@ -226,7 +175,8 @@ const initializeTrucks = async () => {
         make: 'Mitsubishi',
         model: 'Canter',
         year: 2021,
-        capacity: '1.8 Tons'
+        capacity: { weightKg: 1800, volumeM3: 12 },
+        equipment: ['refrigerated']
       },
       currentLocation: {
         latitude: -1.2881,
@@ -264,24 +214,30 @@ const initializeSampleUsers = async () => {
       email: 'user@demo.com',
       password: 'password123',
       phone: '+254700111222',
-      vehicleCount: 2
+      vehicles: [
+        { make: 'Toyota', model: 'Camry', year: 2020, licensePlate: 'KDA 123A', fuelType: 'petrol' },
+        { make: 'Ford', model: 'Ranger', year: 2018, licensePlate: 'KDB 456B', fuelType: 'diesel' }
+      ]
     },
     {
       name: 'Test Customer',
       email: 'customer@test.com',
       password: 'password123',
       phone: '+254700333444',
-      vehicleCount: 1
+      vehicles: [
+        { make: 'Nissan', model: 'X-Trail', year: 2019, licensePlate: 'KCZ 789C', fuelType: 'petrol' }
+      ]
     }
   ];
 
-  for (const userData of sampleUsers) {
+  for (const { vehicles, ...userData } of sampleUsers) {
     const existingUser = await User.findOne({ email: userData.email });
     
     if (!existingUser) {
       const user = new User(userData);
       await user.save();
-      console.log(`✅ Created sample user: ${userData.name}`);
+      await Vehicle.insertMany(vehicles.map(vehicle => ({ ...vehicle, owner: user._id })));
+      console.log(`✅ Created sample user: ${userData.name} with ${vehicles.length} vehicle(s)`);
     } else {
       console.log(`👤 Sample user already exists: ${userData.name}`);
     }
@@ -294,20 +250,17 @@ const initializeDatabase = async () => {
     console.log('🚀 Starting database initialization...');
     
     await connectDB();
-    await initializeAdmins();
     await initializeBranches();
     await initializeTrucks();
     await initializeSampleUsers();
     
     console.log('✅ Database initialization completed successfully!');
     console.log('\n📋 Summary:');
-    console.log('- Admin users created/verified');
     console.log('- Branch locations initialized');
     console.log('- Truck fleet initialized');
     console.log('- Sample users created');
-    console.log('\n🔐 Admin Login Details:');
-    console.log('Email: emmanuel.evian@autocare.com');
-    console.log('Password: autocarpro12k@12k.wwc');
+    console.log('\n🔐 Admin accounts are not seeded. Create the first super admin with:');
+    console.log('npm run admin:bootstrap -- --email <email> --name "<name>"');
     console.log('\n👤 Sample User Login:');
     console.log('Email: user@demo.com');
     console.log('Password: password123');
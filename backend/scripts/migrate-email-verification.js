@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../src/models/User.js';
+
+// One-off migration for email verification: accounts created before it
+// existed are treated as verified, so existing customers can keep booking.
+// New accounts start unverified. Safe to run more than once.
+
+dotenv.config();
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/autocare-pro');
+    console.log('✅ Connected to MongoDB');
+
+    const result = await User.collection.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+
+    console.log(`✅ Marked ${result.modifiedCount} existing account(s) as verified`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
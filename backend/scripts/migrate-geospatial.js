@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Truck from '../src/models/Truck.js';
+import Branch from '../src/models/Branch.js';
+import Location from '../src/models/Location.js';
+
+// One-off migration giving trucks, branches and user locations a GeoJSON
+// point built from their flat latitude/longitude pair, so the 2dsphere
+// indexes and $geoNear queries can find them. Replaces the old lat/lng
+// indexes with 2dsphere ones. Safe to run more than once.
+
+dotenv.config();
+
+const COLLECTIONS = [
+  { model: Truck, parent: 'currentLocation', pair: 'currentLocation', oldIndex: 'currentLocation.latitude_1_currentLocation.longitude_1' },
+  { model: Branch, parent: 'location', pair: 'location.coordinates', oldIndex: 'location.coordinates.latitude_1_location.coordinates.longitude_1' },
+  { model: Location, parent: '', pair: '', oldIndex: 'latitude_1_longitude_1' }
+];
+
+const join = (...paths) => paths.filter(Boolean).join('.');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/autocare-pro');
+    console.log('✅ Connected to MongoDB');
+
+    for (const { model, parent, pair, oldIndex } of COLLECTIONS) {
+      const latitude = join(pair, 'latitude');
+      const longitude = join(pair, 'longitude');
+
+      // Out-of-range pairs would be rejected by the 2dsphere index
+      const result = await model.collection.updateMany(
+        {
+          [latitude]: { $type: 'number', $gte: -90, $lte: 90 },
+          [longitude]: { $type: 'number', $gte: -180, $lte: 180 }
+        },
+        [{ $set: { [join(parent, 'point')]: { type: 'Point', coordinates: [`$${longitude}`, `$${latitude}`] } } }]
+      );
+      console.log(`📍 ${model.modelName}: set the point on ${result.modifiedCount} of ${result.matchedCount} document(s)`);
+
+      const skipped = await model.collection.countDocuments({ [join(parent, 'point')]: { $exists: false }, [latitude]: { $exists: true } });
+      if (skipped) console.warn(`⚠️ ${model.modelName}: ${skipped} document(s) have invalid coordinates and no point`);
+
+      try {
+        await model.collection.dropIndex(oldIndex);
+        console.log(`🗑️ ${model.modelName}: dropped index ${oldIndex}`);
+      } catch (error) {
+        if (error.codeName !== 'IndexNotFound') throw error;
+      }
+      await model.createIndexes();
+      console.log(`✅ ${model.modelName}: 2dsphere index ready`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../src/models/User.js';
+import Truck from '../src/models/Truck.js';
+import { normalizePhoneNumber } from '../src/services/sms/phone.js';
+
+// One-off migration of User.phone and Truck.driver.phone to E.164, which new
+// and updated records get automatically. Numbers that cannot be parsed are
+// listed and left as they are. Safe to run more than once.
+
+dotenv.config();
+
+const migrate = async (collection, field, label) => {
+  const docs = await collection
+    .find({ [field]: { $type: 'string', $ne: '' } })
+    .project({ [field]: 1, name: 1, truckId: 1 })
+    .toArray();
+
+  let updated = 0;
+  for (const doc of docs) {
+    const current = field.split('.').reduce((value, key) => value?.[key], doc);
+    const normalized = normalizePhoneNumber(current);
+    if (!normalized) {
+      console.warn(`⚠️  ${label} ${doc.truckId || doc.name || doc._id}: cannot normalize "${current}"`);
+      continue;
+    }
+    if (normalized !== current) {
+      await collection.updateOne({ _id: doc._id }, { $set: { [field]: normalized } });
+      updated++;
+    }
+  }
+
+  console.log(`✅ ${label}: normalized ${updated} of ${docs.length} phone number(s)`);
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/autocare-pro');
+    console.log('✅ Connected to MongoDB');
+
+    await migrate(User.collection, 'phone', 'User');
+    await migrate(Truck.collection, 'driver.phone', 'Truck');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Truck from '../src/models/Truck.js';
+import Booking, { ACTIVE_BOOKING_STATUSES } from '../src/models/Booking.js';
+
+// One-off migration for structured truck capacity and truck reservations:
+//   1. converts free-text capacities ("1.5 Tons", "800kg", "3") to vehicle.capacity.weightKg
+//   2. fills schedule.endDate on bookings from startDate + estimatedDuration
+//   3. reserves each active booking's truck; overlapping bookings are reported, not changed
+// Safe to run more than once.
+
+dotenv.config();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Plain numbers are tonnes, as entered in the old admin form
+const parseCapacityKg = (text) => {
+  const value = parseFloat(String(text).replace(/,/g, ''));
+  if (Number.isNaN(value)) return undefined;
+  return /kg/i.test(text) ? value : value * 1000;
+};
+
+const migrateTruckCapacity = async () => {
+  const trucks = await Truck.collection.find({ 'vehicle.capacity': { $type: 'string' } }).toArray();
+
+  for (const truck of trucks) {
+    const weightKg = parseCapacityKg(truck.vehicle.capacity);
+    await Truck.collection.updateOne(
+      { _id: truck._id },
+      { $set: { 'vehicle.capacity': weightKg !== undefined ? { weightKg } : {} } }
+    );
+    console.log(`🚛 ${truck.truckId}: "${truck.vehicle.capacity}" -> ${weightKg ?? 'unknown'} kg`);
+  }
+
+  return trucks.length;
+};
+
+const fillBookingEndDates = async () => {
+  const bookings = await Booking.collection
+    .find({ 'schedule.startDate': { $type: 'date' }, 'schedule.endDate': null })
+    .project({ schedule: 1 })
+    .toArray();
+
+  for (const booking of bookings) {
+    const endDate = new Date(booking.schedule.startDate.getTime() + (booking.schedule.estimatedDuration || 4) * HOUR_MS);
+    await Booking.collection.updateOne({ _id: booking._id }, { $set: { 'schedule.endDate': endDate } });
+  }
+
+  return bookings.length;
+};
+
+const reserveActiveBookings = async () => {
+  const bookings = await Booking.find({ status: { $in: ACTIVE_BOOKING_STATUSES }, truck: { $ne: null } })
+    .sort({ 'schedule.startDate': 1 });
+
+  let conflicts = 0;
+  for (const booking of bookings) {
+    const { start, end } = booking.getTimeWindow();
+    const reserved = await Truck.reserve(booking.truck, { booking: booking._id, start, end });
+    if (!reserved) {
+      conflicts++;
+      console.warn(`⚠️  ${booking.bookingNumber} overlaps another booking or maintenance on its truck; reassign it`);
+    }
+  }
+
+  return { total: bookings.length, conflicts };
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/autocare-pro');
+    console.log('✅ Connected to MongoDB');
+
+    const trucks = await migrateTruckCapacity();
+    console.log(`✅ Converted capacity on ${trucks} truck(s)`);
+
+    const endDates = await fillBookingEndDates();
+    console.log(`✅ Filled end dates on ${endDates} booking(s)`);
+
+    const { total, conflicts } = await reserveActiveBookings();
+    console.log(`✅ Reserved trucks for ${total - conflicts} of ${total} active booking(s)`);
+
+    process.exitCode = conflicts ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Truck from '../src/models/Truck.js';
+import TruckPosition from '../src/models/TruckPosition.js';
+
+// One-off migration from the embedded Truck.locationHistory (last 100 points)
+// to the TruckPosition time-series collection. Copies each truck's history,
+// then removes the embedded array. Safe to run more than once.
+
+dotenv.config();
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/autocare-pro');
+    console.log('✅ Connected to MongoDB');
+
+    const seconds = await TruckPosition.applyRetention();
+    console.log(`✅ Truck positions are kept for ${seconds / 86400} days`);
+
+    const trucks = await Truck.collection
+      .find({ 'locationHistory.0': { $exists: true } })
+      .project({ truckId: 1, locationHistory: 1 })
+      .toArray();
+
+    let copied = 0;
+    for (const truck of trucks) {
+      const positions = truck.locationHistory
+        .filter(point => point.latitude != null && point.longitude != null && point.timestamp)
+        .map(point => ({
+          truck: truck._id,
+          recordedAt: point.timestamp,
+          latitude: point.latitude,
+          longitude: point.longitude,
+          source: 'device'
+        }));
+
+      // Skip points an earlier run already copied
+      const existing = await TruckPosition.find({ truck: truck._id, recordedAt: { $in: positions.map(p => p.recordedAt) } })
+        .select('recordedAt')
+        .lean();
+      const seen = new Set(existing.map(p => p.recordedAt.getTime()));
+      const fresh = positions.filter(p => !seen.has(new Date(p.recordedAt).getTime()));
+
+      if (fresh.length) await TruckPosition.insertMany(fresh, { ordered: false });
+      await Truck.collection.updateOne({ _id: truck._id }, { $unset: { locationHistory: '' } });
+
+      copied += fresh.length;
+      console.log(`🚛 ${truck.truckId}: copied ${fresh.length} of ${positions.length} point(s)`);
+    }
+
+    console.log(`✅ Copied ${copied} point(s) from ${trucks.length} truck(s)`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
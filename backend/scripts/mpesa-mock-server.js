@@ -0,0 +1,138 @@
+import express from 'express';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+// Local stand-in for the Safaricom Daraja API. Run it with `npm run mpesa-mock`
+// and set MPESA_BASE_URL=http://localhost:4010 (any consumer key/secret/passkey).
+//
+// The payer's phone number decides the outcome:
+//   ...0000  customer cancels the prompt (ResultCode 1032)
+//   ...1111  insufficient balance (ResultCode 1)
+//   ...2222  no callback is sent; only status polling finds the result (1037 timeout)
+//   anything else succeeds
+
+dotenv.config();
+
+const PORT = parseInt(process.env.MPESA_MOCK_PORT) || 4010;
+const CALLBACK_DELAY_MS = parseInt(process.env.MPESA_MOCK_DELAY_MS) || 3000;
+
+const OUTCOMES = {
+  '0000': { ResultCode: 1032, ResultDesc: 'Request cancelled by user' },
+  '1111': { ResultCode: 1, ResultDesc: 'The balance is insufficient for the transaction.' },
+  '2222': { ResultCode: 1037, ResultDesc: 'DS timeout user cannot be reached', silent: true }
+};
+const SUCCESS = { ResultCode: 0, ResultDesc: 'The service request is processed successfully.' };
+
+const app = express();
+app.use(express.json());
+
+const checkouts = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+app.get('/oauth/v1/generate', (req, res) => {
+  if (!req.header('Authorization')?.startsWith('Basic ')) {
+    return res.status(400).json({ errorMessage: 'Invalid Authentication passed' });
+  }
+  res.json({ access_token: randomId('mock_token'), expires_in: '3599' });
+});
+
+app.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+  const { Amount, PhoneNumber, CallBackURL, AccountReference } = req.body;
+
+  if (!Amount || !PhoneNumber || !CallBackURL) {
+    return res.status(400).json({
+      requestId: randomId('req'),
+      errorCode: '400.002.02',
+      errorMessage: 'Bad Request - Invalid request body'
+    });
+  }
+
+  const checkout = {
+    MerchantRequestID: randomId('mr'),
+    CheckoutRequestID: randomId('ws_CO'),
+    amount: Number(Amount),
+    phoneNumber: String(PhoneNumber),
+    accountReference: AccountReference,
+    outcome: OUTCOMES[String(PhoneNumber).slice(-4)] || SUCCESS,
+    completed: false
+  };
+  checkouts.set(checkout.CheckoutRequestID, checkout);
+
+  console.log(`📲 STK push ${checkout.CheckoutRequestID}: KES ${checkout.amount} to ${checkout.phoneNumber}`);
+
+  setTimeout(async () => {
+    checkout.completed = true;
+    if (checkout.outcome.silent) return;
+
+    const stkCallback = {
+      MerchantRequestID: checkout.MerchantRequestID,
+      CheckoutRequestID: checkout.CheckoutRequestID,
+      ResultCode: checkout.outcome.ResultCode,
+      ResultDesc: checkout.outcome.ResultDesc
+    };
+    if (checkout.outcome.ResultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: checkout.amount },
+          { Name: 'MpesaReceiptNumber', Value: crypto.randomBytes(5).toString('hex').toUpperCase() },
+          { Name: 'TransactionDate', Value: Number(new Date().toISOString().replace(/[-:TZ]/g, '').slice(0, 14)) },
+          { Name: 'PhoneNumber', Value: Number(checkout.phoneNumber) }
+        ]
+      };
+    }
+
+    try {
+      const response = await fetch(CallBackURL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ Body: { stkCallback } })
+      });
+      console.log(`↩️  Callback for ${checkout.CheckoutRequestID}: ResultCode ${stkCallback.ResultCode} -> HTTP ${response.status}`);
+    } catch (error) {
+      console.error(`Callback for ${checkout.CheckoutRequestID} failed:`, error.message);
+    }
+  }, CALLBACK_DELAY_MS);
+
+  res.json({
+    MerchantRequestID: checkout.MerchantRequestID,
+    CheckoutRequestID: checkout.CheckoutRequestID,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing'
+  });
+});
+
+app.post('/mpesa/stkpushquery/v1/query', (req, res) => {
+  const checkout = checkouts.get(req.body.CheckoutRequestID);
+
+  if (!checkout) {
+    return res.status(404).json({
+      requestId: randomId('req'),
+      errorCode: '404.001.04',
+      errorMessage: 'Invalid CheckoutRequestID'
+    });
+  }
+
+  // Daraja answers with an error until the customer has acted on the prompt
+  if (!checkout.completed) {
+    return res.status(500).json({
+      requestId: randomId('req'),
+      errorCode: '500.001.1001',
+      errorMessage: 'The transaction is being processed'
+    });
+  }
+
+  res.json({
+    ResponseCode: '0',
+    ResponseDescription: 'The service request has been accepted successfully',
+    MerchantRequestID: checkout.MerchantRequestID,
+    CheckoutRequestID: checkout.CheckoutRequestID,
+    ResultCode: String(checkout.outcome.ResultCode),
+    ResultDesc: checkout.outcome.ResultDesc
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 M-Pesa mock server running on http://localhost:${PORT}`);
+});
@@ -1,5 +1,6 @@
 import express from 'express';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
@@ -19,11 +20,37 @@ import bookingRoutes from './src/routes/bookings.js';
 import analyticsRoutes from './src/routes/analytics.js';
 import dashboardRoutes from './src/routes/dashboard.js  ';
 import locationRoutes from './src/routes/locations.js';
+import vehicleRoutes from './src/routes/vehicles.js';
+import reminderRoutes from './src/routes/reminders.js';
+import paymentRoutes from './src/routes/payments.js';
+import paymentWebhookRoutes from './src/routes/paymentWebhooks.js';
+import smsWebhookRoutes from './src/routes/smsWebhooks.js';
+import rateCardRoutes from './src/routes/rateCards.js';
+import promoCodeRoutes from './src/routes/promoCodes.js';
+import driverRoutes from './src/routes/driver.js';
+import notificationRoutes from './src/routes/notifications.js';
+import permissionRoutes from './src/routes/permissions.js';
+import trackingRoutes from './src/routes/tracking.js';
 
 // Import middleware
-import { authenticateToken } from './src/middleware/auth.js';
+import { authenticateToken, requireDriver } from './src/middleware/auth.js';
 import { errorHandler } from './src/middleware/errorHandler.js';
 
+// Import background jobs
+import { startMaintenanceScheduler } from './src/services/maintenanceScheduler.js';
+import { startPaymentReconciler } from './src/services/paymentService.js';
+import { startMailQueue } from './src/services/mailService.js';
+import { startDispatchMonitor, subscribeAutoDispatch } from './src/services/dispatchService.js';
+import TruckPosition from './src/models/TruckPosition.js';
+
+// Import socket layer and event bus
+import { initSocket } from './src/services/socketService.js';
+import { createEventBus } from './src/services/eventBus.js';
+import { subscribeNotifications } from './src/services/notificationService.js';
+import { subscribeArrivalAlerts } from './src/services/arrivalAlerts.js';
+import { subscribePickupTracking } from './src/services/trackingService.js';
+import { subscribePermissionChanges } from './src/services/permissionService.js';
+
 // Load environment variables
 dotenv.config();
 
@@ -38,16 +65,43 @@ const io = new Server(server, {
   }
 });
 
+// Domain events go through the bus so every instance can deliver them to its sockets
+const eventBus = createEventBus();
+subscribeNotifications(eventBus);
+subscribeArrivalAlerts(eventBus);
+subscribePickupTracking(eventBus);
+subscribePermissionChanges(eventBus);
+subscribeAutoDispatch(eventBus);
+eventBus.connect()
+  .then(() => console.log(`📣 Event bus connected (${eventBus.adapter})`))
+  .catch((error) => {
+    console.error('❌ Event bus connection error:', error);
+    process.exit(1);
+  });
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/autocare-pro')
   .then(() => {
     console.log('✅ Connected to MongoDB');
+    startMaintenanceScheduler(eventBus);
+    startPaymentReconciler(eventBus);
+    startMailQueue();
+    startDispatchMonitor(eventBus);
+    TruckPosition.applyRetention()
+      .then(seconds => console.log(`📍 Truck positions kept for ${seconds / 86400} days`))
+      .catch(error => console.error('❌ Could not set truck position retention:', error.message));
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
     process.exit(1);
   });
 
+// Behind a load balancer req.ip must come from X-Forwarded-For; set
+// TRUST_PROXY to the number of proxies in front of the server
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -55,7 +109,8 @@ app.use(cors({
     'http://localhost:5173',
     'https://velomanage-clean-frontend.onrender.com', // replace with your actual frontend domain if different
   ],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Content-Disposition'] // invoice download filenames
 }));
 
 // Rate limiting
@@ -68,8 +123,17 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body around for verifying payment webhook signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes('/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Serve uploaded files
 app.use('/uploads', express.static('uploads'));
@@ -87,6 +151,17 @@ app.use(`/api/${apiVersion}/bookings`, authenticateToken, bookingRoutes);
 app.use(`/api/${apiVersion}/analytics`, authenticateToken, analyticsRoutes);
 app.use(`/api/${apiVersion}/dashboard`, authenticateToken, dashboardRoutes);
 app.use(`/api/${apiVersion}/locations`, authenticateToken, locationRoutes);
+app.use(`/api/${apiVersion}/vehicles`, authenticateToken, vehicleRoutes);
+app.use(`/api/${apiVersion}/reminders`, authenticateToken, reminderRoutes);
+app.use(`/api/${apiVersion}/payments/webhook`, paymentWebhookRoutes);
+app.use(`/api/${apiVersion}/sms/inbound`, smsWebhookRoutes);
+app.use(`/api/${apiVersion}/payments`, authenticateToken, paymentRoutes);
+app.use(`/api/${apiVersion}/rate-cards`, authenticateToken, rateCardRoutes);
+app.use(`/api/${apiVersion}/promo-codes`, authenticateToken, promoCodeRoutes);
+app.use(`/api/${apiVersion}/driver`, authenticateToken, requireDriver, driverRoutes);
+app.use(`/api/${apiVersion}/notifications`, authenticateToken, notificationRoutes);
+app.use(`/api/${apiVersion}/permissions`, authenticateToken, permissionRoutes);
+app.use(`/api/${apiVersion}/track`, trackingRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -114,63 +189,25 @@ app.get('/', (req, res) => {
       branches: `/api/${apiVersion}/branches`,
       bookings: `/api/${apiVersion}/bookings`,
       analytics: `/api/${apiVersion}/analytics`,
-      dashboard: `/api/${apiVersion}/dashboard`
+      dashboard: `/api/${apiVersion}/dashboard`,
+      vehicles: `/api/${apiVersion}/vehicles`,
+      reminders: `/api/${apiVersion}/reminders`,
+      payments: `/api/${apiVersion}/payments`,
+      rateCards: `/api/${apiVersion}/rate-cards`,
+      promoCodes: `/api/${apiVersion}/promo-codes`,
+      driver: `/api/${apiVersion}/driver`,
+      notifications: `/api/${apiVersion}/notifications`,
+      permissions: `/api/${apiVersion}/permissions`,
+      track: `/api/${apiVersion}/track`
     }
   });
 });
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log('👤 User connected:', socket.id);
-
-  // Join user to their room for personal notifications
-  socket.on('join-user-room', (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`👤 User ${userId} joined their room`);
-  });
-
-  // Join admin to admin room
-  socket.on('join-admin-room', () => {
-    socket.join('admin-room');
-    console.log('👨‍💼 Admin joined admin room');
-  });
-
-  // Handle truck location updates
-  socket.on('truck-location-update', (data) => {
-    // Broadcast to all connected clients
-    socket.broadcast.emit('truck-location-updated', data);
-  });
-
-  // Handle new messages
-  socket.on('new-message', (data) => {
-    if (data.recipientType === 'admin') {
-      // Send to admin room
-      socket.to('admin-room').emit('message-received', data);
-    } else {
-      // Send to specific user
-      socket.to(`user-${data.recipientId}`).emit('message-received', data);
-    }
-  });
-
-  // Handle pickup requests
-  socket.on('new-pickup-request', (data) => {
-    // Notify all admins
-    socket.to('admin-room').emit('pickup-request-received', data);
-  });
-
-  // Handle truck dispatch
-  socket.on('truck-dispatched', (data) => {
-    // Notify the specific user
-    socket.to(`user-${data.userId}`).emit('truck-dispatch-update', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('👤 User disconnected:', socket.id);
-  });
-});
+// Socket.io connection handling: JWT authentication and server-assigned rooms
+initSocket(io, eventBus);
 
-// Make io available to routes
-app.set('socketio', io);
+// Make the event bus available to routes
+app.set('eventBus', eventBus);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -198,6 +235,7 @@ process.on('SIGTERM', () => {
   server.close(() => {
     console.log('Process terminated');
     mongoose.connection.close();
+    eventBus.close();
   });
 });
 
@@ -1,5 +1,26 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { getPermissionScope, scopeIncludes } from '../services/permissionService.js';
+
+// Tokens issued before a password change stop working; iat is in seconds
+const issuedBeforePasswordChange = (decoded, user) =>
+  Boolean(user.passwordChangedAt) && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000);
+
+// Verify a JWT and load its user; the user is null if missing, inactive,
+// the token's session was signed out or the token predates their last
+// password change. Tokens without a session predate refresh tokens.
+// Shared by HTTP requests and Socket.IO connections.
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-fallback-secret');
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId),
+    decoded.sid ? Session.findById(decoded.sid).select('user revokedAt expiresAt') : null
+  ]);
+  const valid = user && user.isActive && !issuedBeforePasswordChange(decoded, user)
+    && session?.isActive() && session.user.equals(user._id);
+  return { decoded, user: valid ? user : null };
+};
 
 // Middleware to authenticate JWT token
 export const authenticateToken = async (req, res, next) => {
@@ -16,20 +37,17 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-fallback-secret');
-    
-    // Get user from database
-    const user = await User.findById(decoded.userId);
-    if (!user || !user.isActive) {
+    const { decoded, user } = await verifyAccessToken(token);
+    if (!user) {
       return res.status(401).json({
         success: false,
         message: 'Invalid token or user not found.'
       });
     }
 
-    // Add user to request object
+    // Add user and their session to request object
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
 
   } catch (error) {
@@ -56,6 +74,40 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Socket.IO middleware: authenticate the token sent as `auth.token` on connect.
+// Errors reach the client as a connect_error with the same messages as HTTP.
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token
+      || (authHeader && authHeader.startsWith('Bearer ') ? authHeader.replace('Bearer ', '') : null);
+
+    if (!token) {
+      return next(new Error('Access denied. No token provided.'));
+    }
+
+    const { decoded, user } = await verifyAccessToken(token);
+    if (!user) {
+      return next(new Error('Invalid token or user not found.'));
+    }
+
+    socket.user = user;
+    socket.data.sessionId = decoded.sid;
+    socket.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+    next();
+
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return next(new Error('Token expired.'));
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return next(new Error('Invalid token.'));
+    }
+    console.error('Socket authentication error:', error);
+    next(new Error('Server error during authentication.'));
+  }
+};
+
 // Middleware to check if user is admin
 export const requireAdmin = (req, res, next) => {
   if (!req.user) {
@@ -75,6 +127,26 @@ export const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Middleware to check the user has verified their email; staff are exempt
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  if (!req.user.emailVerified && !req.user.isAdminUser()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first. Check your inbox for the verification link.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
 // Middleware to check if user is main admin
 export const requireMainAdmin = (req, res, next) => {
   if (!req.user) {
@@ -94,6 +166,91 @@ export const requireMainAdmin = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to check the user's role holds a permission in the permission
+ * matrix. Global roles hold it everywhere (req.branchScope is null). For
+ * branch-scoped roles, req.branchScope lists their branches and either
+ *   - `branch(req)` resolves the branch id(s) of the resource, and the user
+ *     must belong to one of them, or
+ *   - `branchScoped: true` says the route limits itself to req.branchScope.
+ * Without either option, branch-scoped roles are refused.
+ */
+export const requirePermission = (permission, { branch, branchScoped = false } = {}) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  try {
+    const scope = await getPermissionScope(req.user, permission);
+    if (scope === false || (scope && !branch && !branchScoped)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do this.',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (scope && branch && !scopeIncludes(scope, await branch(req))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only do this for your own branch.',
+        code: 'BRANCH_ACCESS_DENIED'
+      });
+    }
+
+    req.branchScope = scope;
+    next();
+
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking permissions.'
+    });
+  }
+};
+
+// Middleware to check if user may change roles (super or main admin)
+export const requireRoleManager = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  if (!req.user.canManageRoles()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Super admin or main admin access required.'
+    });
+  }
+
+  next();
+};
+
+// Middleware to check if user is a driver
+export const requireDriver = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  if (req.user.role !== 'driver') {
+    return res.status(403).json({
+      success: false,
+      message: 'Driver access required.'
+    });
+  }
+
+  next();
+};
+
 // Middleware to check if user can access resource
 export const requireOwnershipOrAdmin = (req, res, next) => {
   if (!req.user) {
@@ -129,10 +286,9 @@ export const optionalAuth = async (req, res, next) => {
       : null;
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-fallback-secret');
-      const user = await User.findById(decoded.userId);
+      const { user } = await verifyAccessToken(token);
       
-      if (user && user.isActive) {
+      if (user) {
         req.user = user;
       }
     }
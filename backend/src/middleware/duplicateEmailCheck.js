@@ -18,22 +18,12 @@ export const checkDuplicateEmail = async (req, res, next) => {
     if (existingUser) {
       console.log('Duplicate registration attempt for email:', email);
       
-      // Determine if it's an admin or regular user
-      const isAdminEmail = User.isAdminEmail(email);
-      
-      let message;
-      if (isAdminEmail) {
-        message = 'This admin email has already been registered. Please try signing in instead.';
-      } else {
-        message = 'You have already been signed up with this email. Try signing in instead.';
-      }
-      
       return res.status(409).json({
         success: false,
-        message: message,
+        message: 'You have already been signed up with this email. Try signing in instead.',
         code: 'EMAIL_ALREADY_EXISTS',
         action: 'redirect_to_login',
-        userType: isAdminEmail ? 'admin' : 'user',
+        userType: 'user',
         loginUrl: '/login'
       });
     }
@@ -80,19 +70,12 @@ export const checkEmailAvailability = async (req, res) => {
     }
 
     const exists = await emailExists(email);
-    const isAdminEmail = User.isAdminEmail(email);
     
     return res.json({
       success: true,
       available: !exists,
       exists: exists,
-      isAdminEmail: isAdminEmail,
-      message: exists ? 
-        (isAdminEmail ? 
-          'This admin email is already registered' : 
-          'This email is already registered'
-        ) : 
-        'Email is available'
+      message: exists ? 'This email is already registered' : 'Email is available'
     });
     
   } catch (error) {
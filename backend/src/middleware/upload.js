@@ -22,6 +22,8 @@ const storage = multer.diskStorage({
       subDir = 'bookings';
     } else if (file.fieldname === 'branchDocuments') {
       subDir = 'branches';
+    } else if (['photo', 'signature'].includes(file.fieldname)) {
+      subDir = 'proof-of-delivery';
     }
     
     const fullPath = path.join(uploadDir, subDir);
@@ -80,6 +82,10 @@ export const uploadTruckDocuments = upload.array('truckDocuments', 10);
 export const uploadBookingDocuments = upload.array('bookingDocuments', 5);
 export const uploadBranchDocuments = upload.array('branchDocuments', 10);
 export const uploadUserDocuments = upload.array('userDocuments', 3);
+export const uploadProofOfDelivery = upload.fields([
+  { name: 'photo', maxCount: 1 },
+  { name: 'signature', maxCount: 1 }
+]);
 
 // Error handling middleware for multer
 export const handleUploadError = (error, req, res, next) => {
@@ -1,4 +1,13 @@
 import mongoose from 'mongoose';
+import { BILLING_STATUSES } from './Payment.js';
+
+// One leg of a planned route, between consecutive stops
+const routeLegSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  distanceKm: Number,
+  durationMinutes: Number
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
   bookingNumber: {
@@ -11,10 +20,10 @@ const bookingSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Optional at booking time; an admin can assign one later
   truck: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Truck',
-    required: true
+    ref: 'Truck'
   },
   driver: {
     type: mongoose.Schema.Types.ObjectId,
@@ -39,6 +48,11 @@ const bookingSchema = new mongoose.Schema({
     enum: ['pending', 'confirmed', 'assigned', 'in_progress', 'completed', 'cancelled'],
     default: 'pending'
   },
+  paymentStatus: {
+    type: String,
+    enum: BILLING_STATUSES,
+    default: 'unpaid'
+  },
   schedule: {
     startDate: {
       type: Date,
@@ -78,14 +92,29 @@ const bookingSchema = new mongoose.Schema({
       },
       order: Number
     }],
-    estimatedDistance: Number, // in km
-    actualDistance: Number // in km
+    estimatedDistance: Number, // in km, the distance the booking is priced on
+    actualDistance: Number, // in km
+    // Set by the route planner, for the stops in waypoint order
+    legs: [routeLegSchema],
+    optimization: {
+      objective: { type: String, enum: ['distance', 'time'] },
+      source: { type: String, enum: ['haversine', 'osrm'] },
+      distanceKm: Number, // planned total; pricing keeps estimatedDistance
+      durationMinutes: Number, // planned driving time
+      optimizedAt: Date
+    }
   },
   cargo: {
     description: String,
     weight: Number, // in kg
     volume: Number, // in cubic meters
-    specialRequirements: [String]
+    specialRequirements: [String],
+    // Truck equipment tags the job needs, e.g. refrigerated, tail_lift
+    requiredEquipment: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
   },
   pricing: {
     baseRate: {
@@ -111,17 +140,43 @@ const bookingSchema = new mongoose.Schema({
     currency: {
       type: String,
       default: 'KES'
-    }
+    },
+    rateCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RateCard'
+    },
+    promoCode: String
   },
   documents: [{
     name: String,
-    type: String,
+    filename: String,
+    // Declared as an object so mongoose does not read the array as [String]
+    type: { type: String },
+    size: Number,
     url: String,
     uploadDate: {
       type: Date,
       default: Date.now
+    },
+    category: {
+      type: String,
+      enum: ['delivery_photo', 'signature', 'other'],
+      default: 'other'
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     }
   }],
+  // When the driver reached each step; see services/driverJobService.js
+  driverProgress: {
+    acceptedAt: Date,
+    arrivedAt: Date,
+    startedAt: Date,
+    completedAt: Date
+  },
+  // Set once the customer has been told the truck is a few minutes away
+  arrivalAlertSentAt: Date,
   notes: {
     customerNotes: String,
     driverNotes: String,
@@ -161,8 +216,26 @@ const bookingSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate booking number
-bookingSchema.pre('save', async function(next) {
+// Statuses in which a booking holds its truck
+export const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'assigned', 'in_progress'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Derive the end of the booking from its start and estimated duration,
+// unless an end date was given explicitly
+bookingSchema.pre('validate', function(next) {
+  const { schedule } = this;
+  const endSetDirectly = this.isModified('schedule.endDate') && schedule.endDate;
+  const durationChanged = this.isModified('schedule.startDate') || this.isModified('schedule.estimatedDuration');
+
+  if (schedule.startDate && !endSetDirectly && (durationChanged || !schedule.endDate)) {
+    schedule.endDate = new Date(schedule.startDate.getTime() + (schedule.estimatedDuration || 4) * HOUR_MS);
+  }
+  next();
+});
+
+// Generate booking number; before validation, since it is required
+bookingSchema.pre('validate', async function(next) {
   if (!this.bookingNumber) {
     const date = new Date();
     const year = date.getFullYear().toString().slice(-2);
@@ -216,35 +289,52 @@ bookingSchema.methods.updateStatus = function(newStatus, updatedBy, notes = '')
   return this.save();
 };
 
+// Proof of delivery is recorded as a timeline entry alongside its documents
+bookingSchema.methods.hasProofOfDelivery = function() {
+  return this.timeline.some(entry => entry.status === 'proof_of_delivery');
+};
+
 // Check if booking can be cancelled
 bookingSchema.methods.canBeCancelled = function() {
   return ['pending', 'confirmed', 'assigned'].includes(this.status);
 };
 
-// Static method to find available trucks for booking
-bookingSchema.statics.findAvailableTrucks = async function(startDate, endDate, serviceType) {
-  const conflictingBookings = await this.find({
-    status: { $in: ['confirmed', 'assigned', 'in_progress'] },
-    $or: [
-      {
-        'schedule.startDate': { $lte: endDate },
-        'schedule.endDate': { $gte: startDate }
-      }
-    ]
-  }).distinct('truck');
-  
+// Time the booking occupies its truck
+bookingSchema.methods.getTimeWindow = function() {
+  const start = this.schedule.startDate;
+  const end = this.schedule.endDate || new Date(start.getTime() + (this.schedule.estimatedDuration || 4) * HOUR_MS);
+  return { start, end };
+};
+
+// Static method to find trucks free for the whole window that can carry the
+// cargo. The window ends at endDate, or startDate + estimatedDuration hours.
+bookingSchema.statics.findAvailableTrucks = function({ startDate, endDate, estimatedDuration = 4, serviceType, cargo = {} }) {
+  const start = new Date(startDate);
+  const end = endDate ? new Date(endDate) : new Date(start.getTime() + estimatedDuration * HOUR_MS);
+
   const Truck = mongoose.model('Truck');
-  return Truck.find({
-    _id: { $nin: conflictingBookings },
-    status: 'available',
-    isActive: true
-  });
+  const filter = {
+    isActive: true,
+    status: { $nin: ['maintenance', 'offline'] },
+    ...Truck.freeDuringFilter(start, end)
+  };
+
+  if (serviceType) {
+    filter.$or = [{ serviceTypes: { $size: 0 } }, { serviceTypes: serviceType }];
+  }
+  // Trucks without a recorded capacity are not ruled out
+  if (cargo.weight) filter['vehicle.capacity.weightKg'] = { $not: { $lt: Number(cargo.weight) } };
+  if (cargo.volume) filter['vehicle.capacity.volumeM3'] = { $not: { $lt: Number(cargo.volume) } };
+  if (cargo.requiredEquipment?.length) filter['vehicle.equipment'] = { $all: cargo.requiredEquipment.map(tag => String(tag).trim().toLowerCase()) };
+
+  return Truck.find(filter).select('-reservations -locationHistory');
 };
 
 // Indexes
 bookingSchema.index({ bookingNumber: 1 });
 bookingSchema.index({ customer: 1 });
 bookingSchema.index({ truck: 1 });
+bookingSchema.index({ driver: 1, status: 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ 'schedule.startDate': 1 });
 bookingSchema.index({ serviceType: 1 });
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { pointSchema, syncPoint, haversineKm, geoNearStage } from '../services/geo.js';
 
 const branchSchema = new mongoose.Schema({
   name: {
@@ -44,7 +45,9 @@ const branchSchema = new mongoose.Schema({
         min: -180,
         max: 180
       }
-    }
+    },
+    // Same position as GeoJSON, for the 2dsphere index; kept in step automatically
+    point: pointSchema
   },
   contact: {
     phone: {
@@ -102,6 +105,12 @@ const branchSchema = new mongoose.Schema({
     type: String,
     enum: ['maintenance', 'repair', 'inspection', 'emergency', 'fuel', 'car_wash']
   }],
+  // Pickups within this distance are the branch's to serve
+  coverageRadiusKm: {
+    type: Number,
+    min: 0,
+    default: 25
+  },
   capacity: {
     maxTrucks: {
       type: Number,
@@ -112,6 +121,33 @@ const branchSchema = new mongoose.Schema({
       default: 10
     }
   },
+  // Tax rule applied to invoices for bookings handled by this branch
+  tax: {
+    name: {
+      type: String,
+      trim: true,
+      default: 'VAT'
+    },
+    rate: {
+      type: Number, // percentage
+      min: 0,
+      max: 100,
+      default: 16
+    },
+    inclusive: {
+      type: Boolean, // whether booking prices already include tax
+      default: true
+    },
+    registrationNumber: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    exemptServiceTypes: [{
+      type: String,
+      enum: ['delivery', 'pickup', 'transport', 'maintenance', 'emergency']
+    }]
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -167,6 +203,16 @@ branchSchema.methods.parseTime = function(timeString) {
   return hours * 60 + minutes;
 };
 
+// Branches a user manages or is active staff at
+branchSchema.statics.findForUser = function(userId) {
+  return this.find({
+    $or: [
+      { manager: userId },
+      { staff: { $elemMatch: { employee: userId, isActive: true } } }
+    ]
+  });
+};
+
 // Static method to find branches by service type
 branchSchema.statics.findByService = function(serviceType) {
   return this.find({
@@ -176,49 +222,32 @@ branchSchema.statics.findByService = function(serviceType) {
     .populate('staff.employee', 'name email phone');
 };
 
-// Static method to find nearest branches
-branchSchema.statics.findNearby = function(latitude, longitude, maxDistance = 50) {
-  return this.find({
-    'location.coordinates.latitude': { $exists: true },
-    'location.coordinates.longitude': { $exists: true },
-    isActive: true
-  }).then(branches => {
-    return branches
-      .map(branch => {
-        const distance = this.calculateDistance(
-          latitude,
-          longitude,
-          branch.location.coordinates.latitude,
-          branch.location.coordinates.longitude
-        );
-        return { branch, distance };
-      })
-      .filter(item => item.distance <= maxDistance)
-      .sort((a, b) => a.distance - b.distance)
-      .map(item => item.branch);
-  });
+// Static method to find active branches within maxDistance km, nearest
+// first, each with its distance in km; optionally only those offering a service
+branchSchema.statics.findNearby = function(latitude, longitude, maxDistance = 50, { service } = {}) {
+  return this.aggregate([
+    geoNearStage(latitude, longitude, {
+      key: 'location.point',
+      maxDistanceKm: parseFloat(maxDistance),
+      query: { isActive: true, ...(service && { services: service }) }
+    })
+  ]);
 };
 
-// Calculate distance using Haversine formula
+// Calculate distance between two points in kilometers
 branchSchema.statics.calculateDistance = function(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
+  return haversineKm(lat1, lon1, lat2, lon2);
 };
 
 // Indexes
 branchSchema.index({ code: 1 });
 branchSchema.index({ 'location.city': 1 });
-branchSchema.index({ 'location.coordinates.latitude': 1, 'location.coordinates.longitude': 1 });
+branchSchema.index({ 'location.point': '2dsphere' });
 branchSchema.index({ isActive: 1 });
 branchSchema.index({ services: 1 });
 
+syncPoint(branchSchema, { parent: 'location', coordinates: 'coordinates' });
+
 const Branch = mongoose.model('Branch', branchSchema);
 
 export default Branch;
\ No newline at end of file
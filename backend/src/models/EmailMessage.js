@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// Outgoing email, rendered when queued and sent by the mail queue worker.
+// Failed sends stay in the collection and are retried with backoff.
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A worker that stops mid-send leaves the message locked until this time
+  lockedUntil: Date,
+  lastError: String,
+  sentAt: Date,
+  providerMessageId: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The notification this email delivers, if any
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  // Set for emails that must go out once, e.g. `welcome:<userId>`
+  dedupeKey: String,
+  // Holds a one-time link; the body is blanked once the email is sent or gives up
+  sensitive: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ status: 1, lockedUntil: 1 });
+emailMessageSchema.index({ user: 1, createdAt: -1 });
+emailMessageSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+export default EmailMessage;
@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  unit: String,
+  unitPrice: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  reference: String, // booking number
+  serviceType: String,
+  // Snapshots so the invoice does not change when profiles or branches are edited
+  billTo: {
+    name: String,
+    email: String,
+    phone: String
+  },
+  seller: {
+    name: String,
+    address: String,
+    phone: String,
+    email: String,
+    taxRegistrationNumber: String
+  },
+  lineItems: [lineItemSchema],
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  tax: {
+    name: {
+      type: String,
+      default: 'VAT'
+    },
+    rate: {
+      type: Number, // percentage
+      default: 0
+    },
+    inclusive: {
+      type: Boolean,
+      default: true
+    },
+    exempt: {
+      type: Boolean,
+      default: false
+    }
+  },
+  subtotal: {
+    type: Number, // net of tax
+    required: true
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Generate invoice number
+invoiceSchema.pre('validate', async function(next) {
+  if (!this.invoiceNumber) {
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+
+    // Find the latest invoice for this month
+    const latestInvoice = await this.constructor.findOne({
+      invoiceNumber: new RegExp(`^INV${year}${month}`)
+    }).sort({ invoiceNumber: -1 });
+
+    let sequence = 1;
+    if (latestInvoice) {
+      const lastSequence = parseInt(latestInvoice.invoiceNumber.slice(-4));
+      sequence = lastSequence + 1;
+    }
+
+    this.invoiceNumber = `INV${year}${month}${sequence.toString().padStart(4, '0')}`;
+  }
+  next();
+});
+
+// Indexes
+invoiceSchema.index({ customer: 1 });
+invoiceSchema.index({ branch: 1, issuedAt: -1 });
+invoiceSchema.index({ issuedAt: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { pointSchema, syncPoint, haversineKm, geoNearStage } from '../services/geo.js';
 
 const locationSchema = new mongoose.Schema({
   user: {
@@ -18,6 +19,8 @@ const locationSchema = new mongoose.Schema({
     min: -180,
     max: 180
   },
+  // Same position as GeoJSON, for the 2dsphere index; kept in step automatically
+  point: pointSchema,
   address: {
     type: String,
     trim: true
@@ -61,7 +64,7 @@ const locationSchema = new mongoose.Schema({
 });
 
 // Index for geospatial queries
-locationSchema.index({ latitude: 1, longitude: 1 });
+locationSchema.index({ point: '2dsphere' });
 locationSchema.index({ user: 1 });
 locationSchema.index({ isActive: 1 });
 locationSchema.index({ locationType: 1 });
@@ -83,36 +86,26 @@ locationSchema.statics.getUserCurrentLocation = function(userId) {
   }).populate('user', 'name email phone');
 };
 
-// Static method to find nearby locations
-locationSchema.statics.findNearby = function(latitude, longitude, radiusInKm = 10) {
-  const radiusInRadians = radiusInKm / 6371; // Earth's radius in km
-  
-  return this.find({
-    isActive: true,
-    latitude: {
-      $gte: latitude - radiusInRadians,
-      $lte: latitude + radiusInRadians
-    },
-    longitude: {
-      $gte: longitude - radiusInRadians,
-      $lte: longitude + radiusInRadians
-    }
-  }).populate('user', 'name email phone');
+// Static method to find active locations within radiusInKm, nearest first,
+// each with its distance in km
+locationSchema.statics.findNearby = async function(latitude, longitude, radiusInKm = 10) {
+  const locations = await this.aggregate([
+    geoNearStage(latitude, longitude, {
+      key: 'point',
+      maxDistanceKm: radiusInKm,
+      query: { isActive: true }
+    })
+  ]);
+  return this.populate(locations, { path: 'user', select: 'name email phone' });
 };
 
 // Instance method to calculate distance to another location
 locationSchema.methods.distanceTo = function(otherLocation) {
-  const R = 6371; // Earth's radius in km
-  const dLat = (otherLocation.latitude - this.latitude) * Math.PI / 180;
-  const dLon = (otherLocation.longitude - this.longitude) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(this.latitude * Math.PI / 180) * Math.cos(otherLocation.latitude * Math.PI / 180) *
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c; // Distance in km
+  return haversineKm(this.latitude, this.longitude, otherLocation.latitude, otherLocation.longitude); // Distance in km
 };
 
+syncPoint(locationSchema);
+
 const Location = mongoose.model('Location', locationSchema);
 
 export default Location;
\ No newline at end of file
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = ['message', 'pickup', 'booking', 'payment', 'invoice', 'maintenance', 'service_request', 'location', 'system'];
+
+// Channels besides the in-app notification center, each switched on or off
+// by the user's preferences.notifications
+export const DELIVERY_CHANNELS = ['email', 'sms', 'push'];
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+export const getRetentionDays = () =>
+  parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+// 'queued' channels hand the message to their own queue, which moves it on
+// to sent or failed
+const deliverySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'queued', 'sent', 'failed', 'disabled', 'unavailable'],
+    default: 'pending'
+  },
+  sentAt: Date,
+  error: String
+}, { _id: false });
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  // Ids of the booking, payment, etc. the notification is about
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // The domain event it was created from; each instance on the event bus
+  // tries to create it, and the unique index lets only one succeed
+  sourceEvent: {
+    id: String,
+    type: { type: String }
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  delivery: {
+    email: { type: deliverySchema, default: () => ({}) },
+    sms: { type: deliverySchema, default: () => ({}) },
+    push: { type: deliverySchema, default: () => ({}) }
+  },
+  // Removed by MongoDB after this time (NOTIFICATION_RETENTION_DAYS)
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + getRetentionDays() * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Mark every unread notification of a user as read, optionally of one type
+notificationSchema.statics.markAllRead = function(userId, type) {
+  const filter = { recipient: userId, isRead: false };
+  if (type) filter.type = type;
+  return this.updateMany(filter, { isRead: true, readAt: new Date() });
+};
+
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ recipient: userId, isRead: false });
+};
+
+// Indexes
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index(
+  { recipient: 1, 'sourceEvent.id': 1 },
+  { unique: true, partialFilterExpression: { 'sourceEvent.id': { $type: 'string' } } }
+);
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
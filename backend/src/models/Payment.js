@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+
+export const PAYMENT_PROVIDERS = ['stripe', 'mpesa', 'fake'];
+export const PAYMENT_STATUSES = ['pending', 'succeeded', 'failed', 'cancelled', 'partially_refunded', 'refunded'];
+
+// Payment state as shown on the booking or service request being paid for
+export const BILLING_STATUSES = ['unpaid', 'paid', 'partially_refunded', 'refunded'];
+
+const paymentSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  serviceRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceRequest'
+  },
+  provider: {
+    type: String,
+    enum: PAYMENT_PROVIDERS,
+    required: true
+  },
+  providerPaymentId: {
+    type: String,
+    required: true
+  },
+  // Returned to the customer's browser to complete checkout; reused on retry
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  amount: {
+    type: Number, // in major units, e.g. 1500.50 KES
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'KES',
+    uppercase: true
+  },
+  description: String,
+  // Payer's number for push payments such as M-Pesa
+  phoneNumber: String,
+  // Provider's receipt for the settled payment, e.g. the M-Pesa receipt number
+  providerReference: String,
+  amountPaid: Number,
+  reconciliation: {
+    status: {
+      type: String,
+      enum: ['matched', 'mismatch']
+    },
+    checkedAt: Date,
+    notes: String
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending'
+  },
+  failureReason: String,
+  paidAt: Date,
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  // Held by refunds the provider has not confirmed yet
+  amountRefundPending: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true
+    },
+    providerRefundId: String,
+    reason: String,
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Provider webhook event IDs already applied, so redeliveries are ignored
+  processedEvents: [String]
+}, {
+  timestamps: true
+});
+
+// A payment is for exactly one booking or service request
+paymentSchema.pre('validate', function(next) {
+  if (!this.booking === !this.serviceRequest) {
+    this.invalidate('booking', 'A payment must reference either a booking or a service request');
+  }
+  next();
+});
+
+paymentSchema.virtual('refundableAmount').get(function() {
+  if (!['succeeded', 'partially_refunded'].includes(this.status)) return 0;
+  return Math.round((this.amount - this.amountRefunded - (this.amountRefundPending || 0)) * 100) / 100;
+});
+
+paymentSchema.set('toJSON', { virtuals: true });
+
+// Record a refund and move the payment to (partially) refunded
+paymentSchema.methods.applyRefund = function(refund) {
+  this.refunds.push(refund);
+  if (refund.status !== 'failed') {
+    this.amountRefunded = Math.round((this.amountRefunded + refund.amount) * 100) / 100;
+    this.status = this.amountRefunded >= this.amount ? 'refunded' : 'partially_refunded';
+  }
+};
+
+// Map the payment state onto the booking or service request
+paymentSchema.methods.getBillingStatus = function() {
+  switch (this.status) {
+    case 'succeeded':
+      return 'paid';
+    case 'partially_refunded':
+    case 'refunded':
+      return this.status;
+    default:
+      return 'unpaid';
+  }
+};
+
+// Indexes
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+paymentSchema.index({ customer: 1, createdAt: -1 });
+paymentSchema.index({ booking: 1 });
+paymentSchema.index({ serviceRequest: 1 });
+paymentSchema.index({ status: 1, provider: 1, createdAt: 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+export const PICKUP_STATUSES = ['pending', 'dispatched', 'en-route', 'at-location', 'completed', 'cancelled'];
+
+// searching: the auto-dispatcher is ranking trucks; offered: waiting for the
+// driver to accept; escalated: handed to a dispatcher; manual: a dispatcher
+// picked the truck
+export const DISPATCH_STATES = ['searching', 'offered', 'accepted', 'escalated', 'manual'];
+export const DISPATCH_LOG_ACTIONS = ['offered', 'declined', 'expired', 'escalated', 'manual'];
+
+// How one truck fared in a ranking: its score and factor breakdown, or why
+// it was left out
+const dispatchCandidateSchema = new mongoose.Schema({
+  truck: { type: mongoose.Schema.Types.ObjectId, ref: 'Truck' },
+  truckNumber: String,
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch' },
+  distanceKm: Number,
+  score: Number,
+  factors: {
+    distance: Number,
+    branch: Number,
+    shift: Number,
+    capacity: Number,
+    workload: Number
+  },
+  outcome: { type: String, enum: ['chosen', 'ranked', 'skipped'] },
+  reason: String
+}, { _id: false });
+
+const dispatchLogSchema = new mongoose.Schema({
+  action: { type: String, enum: DISPATCH_LOG_ACTIONS, required: true },
+  attempt: Number,
+  truck: { type: mongoose.Schema.Types.ObjectId, ref: 'Truck' },
+  reason: String,
+  candidates: [dispatchCandidateSchema],
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const pickupRequestSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  userName: { type: String, required: true },
+  userPhone: String,
+  pickupLocation: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    address: String
+  },
+  status: {
+    type: String,
+    enum: PICKUP_STATUSES,
+    default: 'pending'
+  },
+  assignedTruck: { type: mongoose.Schema.Types.ObjectId, ref: 'Truck' },
+  requestTime: { type: Date, default: Date.now },
+  dispatchTime: Date,
+  acceptTime: Date,
+  arrivalTime: Date,
+  completionTime: Date,
+  // Set once the customer has been told the truck is a few minutes away
+  arrivalAlertSentAt: Date,
+  notes: String,
+  // Optional load, so the dispatcher can rule out trucks too small for it
+  cargo: {
+    weight: Number, // kg
+    volume: Number, // m³
+    requiredEquipment: [String]
+  },
+  dispatch: {
+    mode: { type: String, enum: ['manual', 'auto'] },
+    state: { type: String, enum: DISPATCH_STATES },
+    attempts: { type: Number, default: 0 },
+    offeredAt: Date,
+    expiresAt: Date,
+    declinedTrucks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Truck' }],
+    escalatedAt: Date,
+    escalationReason: String
+  },
+  // Every dispatch decision, newest last, for dispatchers to audit
+  dispatchLog: [dispatchLogSchema]
+}, { timestamps: true });
+
+pickupRequestSchema.index({ assignedTruck: 1, status: 1 });
+pickupRequestSchema.index({ 'dispatch.state': 1, 'dispatch.expiresAt': 1 });
+
+const PickupRequest = mongoose.model('PickupRequest', pickupRequestSchema);
+
+export default PickupRequest;
@@ -0,0 +1,160 @@
+import mongoose from 'mongoose';
+import { SERVICE_TYPES } from './RateCard.js';
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    default: 'percent'
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxDiscount: {
+    type: Number, // caps percentage discounts
+    min: 0
+  },
+  minSubtotal: {
+    type: Number,
+    default: 0
+  },
+  // Empty lists mean the code works for every service type or branch
+  serviceTypes: [{
+    type: String,
+    enum: SERVICE_TYPES
+  }],
+  branches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  }],
+  validFrom: Date,
+  validUntil: Date,
+  maxRedemptions: {
+    type: Number, // total across all customers; unlimited when empty
+    min: 1
+  },
+  perCustomerLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  redemptions: [{
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    amount: Number,
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Return why the code cannot be used for this booking, or null if it can
+promoCodeSchema.methods.getIneligibilityReason = function({ customer, serviceType, branch, subtotal, at = new Date() }) {
+  if (!this.isActive) return 'This promo code is no longer active';
+  if (this.validFrom && at < this.validFrom) return 'This promo code is not valid yet';
+  if (this.validUntil && at > this.validUntil) return 'This promo code has expired';
+  if (this.maxRedemptions && this.redemptionCount >= this.maxRedemptions) {
+    return 'This promo code has been fully redeemed';
+  }
+  if (this.serviceTypes.length && !this.serviceTypes.includes(serviceType)) {
+    return `This promo code does not apply to ${serviceType} bookings`;
+  }
+  if (this.branches.length && !this.branches.some(id => branch && id.toString() === branch.toString())) {
+    return 'This promo code does not apply at this branch';
+  }
+  if (subtotal < this.minSubtotal) return `This promo code requires a minimum spend of ${this.minSubtotal}`;
+
+  const used = this.redemptions.filter(r => customer && r.customer.toString() === customer.toString()).length;
+  if (used >= this.perCustomerLimit) return 'You have already used this promo code';
+
+  return null;
+};
+
+// Discount for a subtotal, never more than the subtotal itself
+promoCodeSchema.methods.calculateDiscount = function(subtotal) {
+  let discount = this.discountType === 'percent'
+    ? subtotal * this.value / 100
+    : this.value;
+
+  if (this.discountType === 'percent' && this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, subtotal) * 100) / 100;
+};
+
+// Record a redemption atomically so limits hold under concurrent bookings
+promoCodeSchema.statics.redeem = function(promoId, { customer, booking, amount }) {
+  return this.findOneAndUpdate({
+    _id: promoId,
+    isActive: true,
+    $expr: {
+      $and: [
+        {
+          $or: [
+            { $eq: [{ $ifNull: ['$maxRedemptions', null] }, null] },
+            { $lt: ['$redemptionCount', '$maxRedemptions'] }
+          ]
+        },
+        {
+          $lt: [
+            { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.customer', customer] } } } },
+            '$perCustomerLimit'
+          ]
+        }
+      ]
+    }
+  }, {
+    $inc: { redemptionCount: 1 },
+    $push: { redemptions: { customer, booking, amount, redeemedAt: new Date() } }
+  }, { new: true });
+};
+
+// Give the redemption back when its booking is cancelled
+promoCodeSchema.statics.releaseForBooking = function(bookingId) {
+  return this.updateOne(
+    { 'redemptions.booking': bookingId },
+    { $inc: { redemptionCount: -1 }, $pull: { redemptions: { booking: bookingId } } }
+  );
+};
+
+// Indexes
+promoCodeSchema.index({ isActive: 1, validUntil: 1 });
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+export default PromoCode;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// A browser's Web Push subscription. Each endpoint belongs to one user; a
+// browser that signs in as someone else moves its subscription over.
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  userAgent: String,
+  lastPushedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+pushSubscriptionSchema.index({ user: 1 });
+
+const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+
+export default PushSubscription;
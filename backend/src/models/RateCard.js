@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+
+export const SERVICE_TYPES = ['delivery', 'pickup', 'transport', 'maintenance', 'emergency'];
+
+// Trucks by payload: light up to 3.5 t, medium up to 10 t, heavy above that
+export const CAPACITY_CLASSES = ['light', 'medium', 'heavy'];
+
+export const SURCHARGE_TRIGGERS = ['priority', 'night', 'weekend', 'special_requirement'];
+
+const surchargeSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: SURCHARGE_TRIGGERS,
+    required: true
+  },
+  // Priority level or special requirement the surcharge applies to
+  match: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    default: 'percent'
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const rateCardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  serviceType: {
+    type: String,
+    enum: SERVICE_TYPES,
+    required: true
+  },
+  // Empty capacity class or branch means the card applies to all of them
+  capacityClass: {
+    type: String,
+    enum: CAPACITY_CLASSES
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  currency: {
+    type: String,
+    default: 'KES',
+    uppercase: true
+  },
+  baseRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  distanceRate: {
+    type: Number, // per km
+    default: 0,
+    min: 0
+  },
+  timeRate: {
+    type: Number, // per hour
+    default: 0,
+    min: 0
+  },
+  minimumCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  nightWindow: {
+    start: {
+      type: String,
+      default: '20:00'
+    },
+    end: {
+      type: String,
+      default: '06:00'
+    }
+  },
+  surcharges: [surchargeSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// How closely the card matches; branch-specific beats capacity-specific beats generic
+rateCardSchema.methods.specificity = function() {
+  return (this.branch ? 2 : 0) + (this.capacityClass ? 1 : 0);
+};
+
+// Static method to find the most specific active card for a booking
+rateCardSchema.statics.findBestMatch = async function({ serviceType, capacityClass, branch }) {
+  const cards = await this.find({
+    serviceType,
+    isActive: true,
+    capacityClass: { $in: [capacityClass || null, null] },
+    branch: { $in: [branch || null, null] }
+  });
+
+  return cards.sort((a, b) => b.specificity() - a.specificity())[0] || null;
+};
+
+// Indexes
+rateCardSchema.index(
+  { serviceType: 1, capacityClass: 1, branch: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+const RateCard = mongoose.model('RateCard', rateCardSchema);
+
+export default RateCard;
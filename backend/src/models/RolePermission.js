@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+export const PERMISSION_SCOPES = ['global', 'branch'];
+
+// A role's stored permissions, replacing its defaults in
+// services/permissionService.js. Roles without a document use the defaults.
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  // global: everywhere; branch: only in branches the user manages or staffs
+  scope: {
+    type: String,
+    enum: PERMISSION_SCOPES,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const RolePermission = mongoose.model('RolePermission', rolePermissionSchema);
+
+export default RolePermission;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+const serviceReminderSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true
+  },
+  serviceType: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'dismissed', 'completed'],
+    default: 'active'
+  },
+  urgency: {
+    type: String,
+    enum: ['due_soon', 'overdue'],
+    default: 'due_soon'
+  },
+  dueAtKm: Number,
+  dueDate: Date,
+  kmRemaining: Number,
+  daysRemaining: Number,
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  lastNotifiedAt: Date,
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+// Mark reminders for a service type as done once that service is completed
+serviceReminderSchema.statics.resolveForService = function(vehicleId, serviceTypes) {
+  return this.updateMany(
+    { vehicle: vehicleId, serviceType: { $in: serviceTypes }, status: 'active' },
+    { status: 'completed', resolvedAt: new Date() }
+  );
+};
+
+// Instance method to dismiss a reminder
+serviceReminderSchema.methods.dismiss = function() {
+  this.status = 'dismissed';
+  this.resolvedAt = new Date();
+  return this.save();
+};
+
+// Indexes
+serviceReminderSchema.index({ owner: 1, status: 1, createdAt: -1 });
+serviceReminderSchema.index(
+  { vehicle: 1, serviceType: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+const ServiceReminder = mongoose.model('ServiceReminder', serviceReminderSchema);
+
+export default ServiceReminder;
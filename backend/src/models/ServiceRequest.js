@@ -0,0 +1,270 @@
+import mongoose from 'mongoose';
+import { BILLING_STATUSES } from './Payment.js';
+
+// Service types offered to customers (keep in sync with SERVICE_TYPES in frontend/src/lib/constants.js)
+export const SERVICE_TYPES = [
+  'Brake Repair',
+  '3000km Routine Maintenance',
+  'Vehicle Pickup',
+  'Oil Change',
+  'Tire Replacement',
+  'Engine Diagnostic',
+  'Transmission Service',
+  'AC Repair',
+  'Battery Replacement',
+  'Wheel Alignment',
+  'Brake Service',
+  'Suspension Repair'
+];
+
+// Parts suggested for each service type when a request is created
+export const SPARE_PARTS = {
+  'Brake Repair': ['Brake Pads', 'Brake Discs', 'Brake Fluid'],
+  '3000km Routine Maintenance': ['Engine Oil', 'Oil Filter', 'Air Filter'],
+  'Oil Change': ['Engine Oil', 'Oil Filter'],
+  'Tire Replacement': ['Tires', 'Wheel Alignment'],
+  'Engine Diagnostic': ['Spark Plugs', 'Engine Oil'],
+  'Transmission Service': ['Transmission Fluid', 'Transmission Filter'],
+  'AC Repair': ['AC Refrigerant', 'AC Filter', 'AC Compressor'],
+  'Battery Replacement': ['Battery'],
+  'Brake Service': ['Brake Pads', 'Brake Fluid'],
+  'Suspension Repair': ['Shock Absorbers', 'Bushings']
+};
+
+export const REQUEST_STATUSES = ['pending', 'approved', 'in-progress', 'completed', 'rejected', 'cancelled'];
+export const REQUEST_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// Statuses each status may move to; completed, rejected and cancelled are final
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled'],
+  approved: ['in-progress', 'completed', 'cancelled'],
+  'in-progress': ['completed', 'cancelled'],
+  completed: [],
+  rejected: [],
+  cancelled: []
+};
+
+const serviceRequestSchema = new mongoose.Schema({
+  requestNumber: {
+    type: String,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
+  vehicle: {
+    description: {
+      type: String,
+      trim: true
+    },
+    make: {
+      type: String,
+      trim: true
+    },
+    model: {
+      type: String,
+      trim: true
+    },
+    year: Number,
+    licensePlate: {
+      type: String,
+      trim: true,
+      uppercase: true
+    }
+  },
+  serviceType: {
+    type: String,
+    enum: SERVICE_TYPES,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  spareParts: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    unitPrice: {
+      type: Number,
+      default: 0
+    }
+  }],
+  priority: {
+    type: String,
+    enum: REQUEST_PRIORITIES,
+    default: 'normal'
+  },
+  status: {
+    type: String,
+    enum: REQUEST_STATUSES,
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  }],
+  assignedMechanic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  preferredDate: Date,
+  contactNumber: {
+    type: String,
+    trim: true
+  },
+  estimatedCompletion: Date,
+  completedAt: Date,
+  odometerAtService: {
+    type: Number, // in km
+    min: 0
+  },
+  adminNotes: {
+    type: String,
+    trim: true
+  },
+  labourCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  paymentStatus: {
+    type: String,
+    enum: BILLING_STATUSES,
+    default: 'unpaid'
+  },
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Pickup requests are the only service type tracked on the map
+serviceRequestSchema.virtual('trackingEnabled').get(function() {
+  return this.serviceType === 'Vehicle Pickup';
+});
+
+serviceRequestSchema.set('toJSON', { virtuals: true });
+
+// Generate request number
+serviceRequestSchema.pre('save', async function(next) {
+  if (!this.requestNumber) {
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+
+    // Find the latest request for this month
+    const latestRequest = await this.constructor.findOne({
+      requestNumber: new RegExp(`^SR${year}${month}`)
+    }).sort({ requestNumber: -1 });
+
+    let sequence = 1;
+    if (latestRequest) {
+      const lastSequence = parseInt(latestRequest.requestNumber.slice(-4));
+      sequence = lastSequence + 1;
+    }
+
+    this.requestNumber = `SR${year}${month}${sequence.toString().padStart(4, '0')}`;
+  }
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      updatedBy: this.customer,
+      notes: 'Request submitted'
+    });
+  }
+  next();
+});
+
+// Update status with history entry
+serviceRequestSchema.methods.updateStatus = function(newStatus, updatedBy, notes = '') {
+  this.status = newStatus;
+  if (newStatus === 'completed') this.completedAt = new Date();
+
+  this.statusHistory.push({
+    status: newStatus,
+    updatedBy,
+    notes,
+    timestamp: new Date()
+  });
+  return this.save();
+};
+
+// Amount payable: labour plus spare parts, priced by the workshop
+serviceRequestSchema.methods.calculateTotal = function() {
+  const partsTotal = (this.spareParts || []).reduce(
+    (sum, part) => sum + (part.unitPrice || 0) * (part.quantity || 1), 0
+  );
+  return (this.labourCost || 0) + partsTotal;
+};
+
+// Check if the request may move to a new status
+serviceRequestSchema.methods.canTransitionTo = function(newStatus) {
+  return STATUS_TRANSITIONS[this.status].includes(newStatus);
+};
+
+// Check if request can be cancelled
+serviceRequestSchema.methods.canBeCancelled = function() {
+  return ['pending', 'approved'].includes(this.status);
+};
+
+// Check if request details can still be edited by the customer
+serviceRequestSchema.methods.isEditable = function() {
+  return this.status === 'pending';
+};
+
+// Static method to get suggested parts for a service type
+serviceRequestSchema.statics.getSuggestedParts = function(serviceType) {
+  return (SPARE_PARTS[serviceType] || []).map(name => ({ name, quantity: 1 }));
+};
+
+// Indexes
+serviceRequestSchema.index({ customer: 1, createdAt: -1 });
+serviceRequestSchema.index({ vehicleId: 1, status: 1, completedAt: -1 });
+serviceRequestSchema.index({ status: 1 });
+serviceRequestSchema.index({ serviceType: 1 });
+serviceRequestSchema.index({ priority: 1 });
+serviceRequestSchema.index({ assignedMechanic: 1 });
+serviceRequestSchema.index({ branch: 1 });
+serviceRequestSchema.index({ createdAt: -1 });
+
+const ServiceRequest = mongoose.model('ServiceRequest', serviceRequestSchema);
+
+export default ServiceRequest;
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+export const SESSION_REVOKE_REASONS = ['logout', 'logout_all', 'revoked', 'password_changed', 'reuse_detected'];
+
+// Browser and OS from a User-Agent header, enough for the user to tell their
+// sessions apart
+const BROWSERS = [[/Edg\//, 'Edge'], [/OPR\//, 'Opera'], [/Chrome\//, 'Chrome'], [/Firefox\//, 'Firefox'], [/Safari\//, 'Safari']];
+const SYSTEMS = [[/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad/, 'iOS'], [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']];
+
+export const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (!browser && !system) return 'Unknown device';
+  return [browser || 'Browser', system].filter(Boolean).join(' on ');
+};
+
+// One signed-in device. Its refresh token rotates on every use; only hashes
+// of the current and the previous token are kept, so any older token that
+// comes back is a copy and the session is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHash: String,
+  rotatedAt: Date,
+  device: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastIp: String,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: SESSION_REVOKE_REASONS
+  },
+  // Removed by MongoDB after this time, revoked or not
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Sessions that can still be refreshed
+sessionSchema.statics.findActive = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Phone numbers that must not receive SMS, in E.164. Numbers are added when
+// the recipient replies STOP or the provider reports them unsubscribed, and
+// removed when they reply START or switch SMS back on in their settings.
+const smsOptOutSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  source: {
+    type: String,
+    enum: ['reply', 'provider'],
+    required: true
+  },
+  // The message that opted the number out, e.g. "STOP"
+  keyword: String
+}, {
+  timestamps: true
+});
+
+smsOptOutSchema.statics.isOptedOut = async function(phone) {
+  return Boolean(await this.exists({ phone }));
+};
+
+const SmsOptOut = mongoose.model('SmsOptOut', smsOptOutSchema);
+
+export default SmsOptOut;
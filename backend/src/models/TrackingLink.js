@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// A link someone without an account can use to follow one booking or
+// pickup. The token in the link is a JWT naming this record; the record is
+// what makes it revocable.
+const trackingLinkSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  pickup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupRequest'
+  },
+  // Who the link is for, so the customer can tell their links apart
+  recipientName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date,
+  // Removed by MongoDB after this time, revoked or not
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+trackingLinkSchema.index({ booking: 1 });
+trackingLinkSchema.index({ pickup: 1 });
+trackingLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Exactly one job per link
+trackingLinkSchema.pre('validate', function(next) {
+  if (!this.booking === !this.pickup) {
+    this.invalidate('booking', 'A tracking link must reference either a booking or a pickup');
+  }
+  next();
+});
+
+trackingLinkSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const TrackingLink = mongoose.model('TrackingLink', trackingLinkSchema);
+
+export default TrackingLink;
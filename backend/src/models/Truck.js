@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import TruckPosition from './TruckPosition.js';
+import { toStoredPhone } from '../services/sms/phone.js';
+import { pointSchema, syncPoint, haversineKm, geoNearStage } from '../services/geo.js';
+import { WEEKDAYS } from '../services/businessTime.js';
 
 const locationSchema = new mongoose.Schema({
   latitude: {
@@ -20,7 +24,9 @@ const locationSchema = new mongoose.Schema({
   timestamp: {
     type: Date,
     default: Date.now
-  }
+  },
+  // Same position as GeoJSON, for the 2dsphere index; kept in step automatically
+  point: pointSchema
 });
 
 const truckSchema = new mongoose.Schema({
@@ -31,6 +37,11 @@ const truckSchema = new mongoose.Schema({
     trim: true
   },
   driver: {
+    // Driver's login; name and phone are kept as contact details
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     name: {
       type: String,
       required: true,
@@ -39,7 +50,8 @@ const truckSchema = new mongoose.Schema({
     phone: {
       type: String,
       required: true,
-      trim: true
+      trim: true,
+      set: toStoredPhone
     },
     email: {
       type: String,
@@ -49,6 +61,16 @@ const truckSchema = new mongoose.Schema({
     licenseNumber: {
       type: String,
       trim: true
+    },
+    // Hours the driver works, in business local time; none means any time.
+    // A shift ending before it starts runs past midnight.
+    shift: {
+      days: [{
+        type: String,
+        enum: WEEKDAYS
+      }],
+      start: String, // HH:MM
+      end: String // HH:MM
     }
   },
   vehicle: {
@@ -73,10 +95,52 @@ const truckSchema = new mongoose.Schema({
       max: new Date().getFullYear() + 1
     },
     capacity: {
+      weightKg: {
+        type: Number,
+        min: 0
+      },
+      volumeM3: {
+        type: Number,
+        min: 0
+      }
+    },
+    // Equipment tags bookings can require, e.g. refrigerated, tail_lift, crane
+    equipment: [{
       type: String,
-      trim: true
-    }
+      trim: true,
+      lowercase: true
+    }]
   },
+  // Booking service types this truck takes; empty means all of them
+  serviceTypes: [{
+    type: String,
+    enum: ['delivery', 'pickup', 'transport', 'maintenance', 'emergency']
+  }],
+  maintenanceWindows: [{
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    },
+    reason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Time held by active bookings; written only through reserve/release so
+  // overlapping bookings are rejected atomically
+  reservations: [{
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    start: Date,
+    end: Date
+  }],
   status: {
     type: String,
     enum: ['available', 'dispatched', 'en-route', 'at-location', 'completed', 'maintenance', 'offline'],
@@ -86,9 +150,6 @@ const truckSchema = new mongoose.Schema({
     type: locationSchema,
     required: true
   },
-  locationHistory: [{
-    type: locationSchema
-  }],
   assignedRequest: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'PickupRequest',
@@ -149,32 +210,32 @@ const truckSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Update location and add to history
-truckSchema.methods.updateLocation = function(latitude, longitude, address = '') {
-  // Add current location to history
-  if (this.currentLocation && this.currentLocation.latitude) {
-    this.locationHistory.push({
-      ...this.currentLocation.toObject(),
-      timestamp: this.currentLocation.timestamp || new Date()
-    });
-  }
-  
-  // Update current location
+// Update location and record the fix in the TruckPosition track. Telemetry
+// may include speed, heading, accuracy and the device's recordedAt time.
+truckSchema.methods.updateLocation = async function(latitude, longitude, address = '', telemetry = {}) {
+  const recordedAt = telemetry.recordedAt ? new Date(telemetry.recordedAt) : new Date();
+
   this.currentLocation = {
     latitude,
     longitude,
     address,
-    timestamp: new Date()
+    timestamp: recordedAt
   };
-  
   this.lastSeen = new Date();
-  
-  // Keep only last 100 location history entries
-  if (this.locationHistory.length > 100) {
-    this.locationHistory = this.locationHistory.slice(-100);
-  }
-  
-  return this.save();
+  await this.save();
+
+  await TruckPosition.create({
+    truck: this._id,
+    recordedAt,
+    latitude,
+    longitude,
+    speed: telemetry.speed,
+    heading: telemetry.heading,
+    accuracy: telemetry.accuracy,
+    source: telemetry.source || 'device'
+  });
+
+  return this;
 };
 
 // Check if truck is available for assignment
@@ -197,39 +258,103 @@ truckSchema.methods.completeAssignment = function() {
   return this.save();
 };
 
-// Calculate distance between two points (Haversine formula)
+// Whether the truck can carry the cargo and has the equipment it needs;
+// returns the reasons it cannot
+truckSchema.methods.getCapacityIssues = function(cargo = {}) {
+  const issues = [];
+  const { weightKg, volumeM3 } = this.vehicle.capacity || {};
+
+  if (cargo.weight && weightKg !== undefined && cargo.weight > weightKg) {
+    issues.push(`Cargo weight ${cargo.weight} kg exceeds the truck's ${weightKg} kg capacity`);
+  }
+  if (cargo.volume && volumeM3 !== undefined && cargo.volume > volumeM3) {
+    issues.push(`Cargo volume ${cargo.volume} m³ exceeds the truck's ${volumeM3} m³ capacity`);
+  }
+
+  const missing = (cargo.requiredEquipment || [])
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(tag => !this.vehicle.equipment.includes(tag));
+  if (missing.length) issues.push(`Truck lacks required equipment: ${missing.join(', ')}`);
+
+  return issues;
+};
+
+// Truck currently driven by a user
+truckSchema.statics.findByDriver = function(userId) {
+  return this.findOne({ 'driver.user': userId, isActive: true });
+};
+
+// Whether the truck takes this kind of booking
+truckSchema.methods.handlesServiceType = function(serviceType) {
+  return !this.serviceTypes.length || this.serviceTypes.includes(serviceType);
+};
+
+// Query matching trucks with no booking or maintenance overlapping [start, end)
+truckSchema.statics.freeDuringFilter = function(start, end, excludeBooking = null) {
+  const overlap = { start: { $lt: end }, end: { $gt: start } };
+  return {
+    reservations: {
+      $not: { $elemMatch: excludeBooking ? { ...overlap, booking: { $ne: excludeBooking } } : overlap }
+    },
+    maintenanceWindows: { $not: { $elemMatch: overlap } }
+  };
+};
+
+/**
+ * Hold the truck for a booking. The overlap check and the write happen in
+ * one update, so concurrent reservations of the same slot cannot both win.
+ * Returns false when the slot is taken.
+ */
+truckSchema.statics.reserve = async function(truckId, { booking, start, end }) {
+  const result = await this.updateOne(
+    { _id: truckId, ...this.freeDuringFilter(start, end, booking) },
+    { $push: { reservations: { booking, start, end } } }
+  );
+  if (!result.modifiedCount) return false;
+
+  // Drop any earlier hold for the same booking (e.g. when it is rescheduled)
+  await this.updateOne(
+    { _id: truckId },
+    { $pull: { reservations: { booking, $or: [{ start: { $ne: start } }, { end: { $ne: end } }] } } }
+  );
+  return true;
+};
+
+// Release the time a booking held on a truck
+truckSchema.statics.release = function(truckId, bookingId) {
+  return this.updateOne({ _id: truckId }, { $pull: { reservations: { booking: bookingId } } });
+};
+
+/**
+ * Add a maintenance window, refusing it atomically if a booking already
+ * holds the truck at that time. Returns the updated truck or null.
+ */
+truckSchema.statics.addMaintenanceWindow = function(truckId, { start, end, reason, createdBy }) {
+  return this.findOneAndUpdate(
+    { _id: truckId, reservations: { $not: { $elemMatch: { start: { $lt: end }, end: { $gt: start } } } } },
+    { $push: { maintenanceWindows: { start, end, reason, createdBy } } },
+    { new: true }
+  );
+};
+
+// Calculate distance between two points in kilometers
 truckSchema.statics.calculateDistance = function(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
+  return haversineKm(lat1, lon1, lat2, lon2);
 };
 
-// Find nearest available trucks
-truckSchema.statics.findNearestAvailable = function(latitude, longitude, maxDistance = 50) {
-  return this.find({
-    status: 'available',
-    isActive: true
-  }).then(trucks => {
-    return trucks
-      .map(truck => {
-        const distance = this.calculateDistance(
-          latitude, 
-          longitude, 
-          truck.currentLocation.latitude, 
-          truck.currentLocation.longitude
-        );
-        return { truck, distance };
-      })
-      .filter(item => item.distance <= maxDistance)
-      .sort((a, b) => a.distance - b.distance)
-      .map(item => item.truck);
-  });
+// Find available trucks within maxDistance km, nearest first, each with its
+// distance in km. Runs on the 2dsphere index instead of loading the fleet.
+// Results are plain objects; `project` trims them with a $project stage.
+truckSchema.statics.findNearestAvailable = function(latitude, longitude, maxDistance = 50, { limit, project } = {}) {
+  return this.aggregate([
+    geoNearStage(latitude, longitude, {
+      key: 'currentLocation.point',
+      maxDistanceKm: parseFloat(maxDistance),
+      query: { status: 'available', isActive: true }
+    }),
+    ...(limit ? [{ $limit: limit }] : []),
+    ...(project ? [{ $project: project }] : [])
+  ]);
 };
 
 // Indexes for better performance
@@ -238,9 +363,17 @@ truckSchema.index({ 'vehicle.licensePlate': 1 });
 truckSchema.index({ status: 1 });
 truckSchema.index({ isActive: 1 });
 truckSchema.index({ assignedRequest: 1 });
-truckSchema.index({ 'currentLocation.latitude': 1, 'currentLocation.longitude': 1 });
+truckSchema.index({ 'currentLocation.point': '2dsphere' });
 truckSchema.index({ lastSeen: -1 });
 truckSchema.index({ createdAt: -1 });
+truckSchema.index({ 'reservations.booking': 1 });
+// A driver drives one truck at a time
+truckSchema.index(
+  { 'driver.user': 1 },
+  { unique: true, partialFilterExpression: { 'driver.user': { $type: 'objectId' } } }
+);
+
+syncPoint(truckSchema, { parent: 'currentLocation' });
 
 const Truck = mongoose.model('Truck', truckSchema);
 
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// GPS fixes reported by trucks, stored as a MongoDB time-series collection
+// (MongoDB 5.0+) so long trips keep their full track
+const truckPositionSchema = new mongoose.Schema({
+  truck: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Truck',
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  speed: {
+    type: Number, // km/h
+    min: 0
+  },
+  heading: {
+    type: Number, // degrees clockwise from north
+    min: 0,
+    max: 360
+  },
+  accuracy: {
+    type: Number, // metres
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: ['device', 'batch', 'manual'],
+    default: 'device'
+  }
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'truck',
+    granularity: 'seconds'
+  },
+  versionKey: false
+});
+
+truckPositionSchema.index({ truck: 1, recordedAt: 1 });
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+export const getRetentionDays = () =>
+  parseInt(process.env.TELEMETRY_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+/**
+ * Create the collection if needed and set its TTL from
+ * TELEMETRY_RETENTION_DAYS. Run at startup so a changed setting applies to
+ * an existing collection too.
+ */
+truckPositionSchema.statics.applyRetention = async function() {
+  const expireAfterSeconds = getRetentionDays() * 24 * 60 * 60;
+  await this.createCollection({ expireAfterSeconds });
+  await this.db.db.command({ collMod: this.collection.collectionName, expireAfterSeconds });
+  return expireAfterSeconds;
+};
+
+const TruckPosition = mongoose.model('TruckPosition', truckPositionSchema);
+
+export default TruckPosition;
@@ -1,5 +1,12 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { toStoredPhone } from '../services/sms/phone.js';
+import { roleHasPermission } from '../services/permissionService.js';
+
+export const USER_ROLES = ['user', 'admin', 'main_admin', 'super_admin', 'driver', 'mechanic', 'manager'];
+export const ADMIN_ROLES = ['admin', 'main_admin', 'super_admin'];
+// Roles that may promote and demote other users
+export const ROLE_MANAGER_ROLES = ['main_admin', 'super_admin'];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -22,21 +29,33 @@ const userSchema = new mongoose.Schema({
   },
   phone: {
     type: String,
-    trim: true
+    trim: true,
+    set: toStoredPhone
   },
+  // Kept in step with role by setRole(); admin roles need both
   isAdmin: {
     type: Boolean,
     default: false
   },
   role: {
     type: String,
-    enum: ['user', 'admin', 'main_admin', 'super_admin', 'driver', 'mechanic', 'manager'],
+    enum: USER_ROLES,
     default: 'user'
   },
-  vehicleCount: {
-    type: Number,
-    default: 0
-  },
+  // Audit trail of role changes, oldest first
+  roleHistory: [{
+    role: String,
+    previousRole: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   lastService: {
     type: Date
   },
@@ -44,6 +63,14 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set once the user follows the link in their verification email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // Access tokens issued before this are no longer accepted
+  passwordChangedAt: Date,
   profile: {
     avatar: String,
     address: String,
@@ -69,6 +96,15 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Number of active vehicles registered to the user (use .populate('vehicleCount'))
+userSchema.virtual('vehicleCount', {
+  ref: 'Vehicle',
+  localField: '_id',
+  foreignField: 'owner',
+  count: true,
+  match: { isActive: true }
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -96,65 +132,30 @@ userSchema.methods.toJSON = function() {
 
 // Check if user is admin
 userSchema.methods.isAdminUser = function() {
-  return this.isAdmin && ['admin', 'main_admin', 'super_admin'].includes(this.role);
+  return this.isAdmin && ADMIN_ROLES.includes(this.role);
 };
 
-// Check role permissions
-userSchema.methods.hasPermission = function(permission) {
-  const rolePermissions = {
-    super_admin: ['all'],
-    main_admin: ['manage_users', 'manage_trucks', 'manage_branches', 'view_analytics', 'manage_bookings'],
-    admin: ['manage_trucks', 'view_analytics', 'manage_bookings'],
-    manager: ['manage_branch', 'manage_staff', 'view_reports'],
-    mechanic: ['update_maintenance', 'view_trucks'],
-    driver: ['update_location', 'view_assigned_trucks'],
-    user: ['book_service', 'view_own_data']
-  };
-
-  const userPermissions = rolePermissions[this.role] || [];
-  return userPermissions.includes('all') || userPermissions.includes(permission);
+// Check if user may change other users' roles
+userSchema.methods.canManageRoles = function() {
+  return this.isAdminUser() && ROLE_MANAGER_ROLES.includes(this.role);
 };
 
-// Admin emails configuration
-const ADMIN_EMAILS = [
-  'emmanuel.evian@autocare.com',
-  'ibrahim.mohamud@autocare.com',
-  'joel.nganga@autocare.com',
-  'patience.karanja@autocare.com',
-  'joyrose.kinuthia@autocare.com'
-];
+// Change role, keep isAdmin in step and record who did it (caller saves)
+userSchema.methods.setRole = function(role, { changedBy, reason } = {}) {
+  this.roleHistory.push({ role, previousRole: this.role, changedBy, reason });
+  this.role = role;
+  this.isAdmin = ADMIN_ROLES.includes(role);
+  return this;
+};
 
-// Static method to check if email is admin
-userSchema.statics.isAdminEmail = function(email) {
-  return ADMIN_EMAILS.includes(email.toLowerCase());
+// Active users for whom isAdminUser() is true
+userSchema.statics.findActiveAdmins = function() {
+  return this.find({ isAdmin: true, role: { $in: ADMIN_ROLES }, isActive: true });
 };
 
-// Static method to get admin user data
-userSchema.statics.getAdminByEmail = function(email) {
-  const adminData = {
-    'emmanuel.evian@autocare.com': {
-      name: 'Emmanuel Evian',
-      role: 'main_admin'
-    },
-    'ibrahim.mohamud@autocare.com': {
-      name: 'Ibrahim Mohamud',
-      role: 'admin'
-    },
-    'joel.nganga@autocare.com': {
-      name: 'Joel Ng\'ang\'a',
-      role: 'admin'
-    },
-    'patience.karanja@autocare.com': {
-      name: 'Patience Karanja',
-      role: 'admin'
-    },
-    'joyrose.kinuthia@autocare.com': {
-      name: 'Joyrose Kinuthia',
-      role: 'admin'
-    }
-  };
-  
-  return adminData[email.toLowerCase()];
+// Check role permissions against the permission matrix (see permissionService)
+userSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.role, permission);
 };
 
 // Indexes for better performance
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+export const USER_TOKEN_PURPOSES = ['password_reset', 'email_verification'];
+
+// How long each kind of emailed link stays valid
+const getLifetimeMs = (purpose) => (purpose === 'password_reset'
+  ? (parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 60) * 60 * 1000
+  : (parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 48) * 60 * 60 * 1000);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use tokens sent by email for password resets and email
+// verification. Only a SHA-256 hash is stored, so a database leak does not
+// expose working links.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: USER_TOKEN_PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Removed by MongoDB after this time
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+userTokenSchema.index({ user: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a new token, replacing any the user still has for the same purpose.
+// Returns the plain token for the link; it cannot be recovered later.
+userTokenSchema.statics.issue = async function(userId, purpose) {
+  await this.deleteMany({ user: userId, purpose });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + getLifetimeMs(purpose));
+  await this.create({ user: userId, purpose, tokenHash: hashToken(token), expiresAt });
+
+  return { token, expiresAt };
+};
+
+// Use up a token: returns its user id, or null if it is unknown, expired or
+// already used. The delete is atomic, so a token works only once.
+userTokenSchema.statics.consume = async function(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const record = await this.findOneAndDelete({
+    tokenHash: hashToken(token),
+    purpose,
+    expiresAt: { $gt: new Date() }
+  });
+  return record ? record.user : null;
+};
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+
+export default UserToken;
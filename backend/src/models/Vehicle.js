@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+
+const vehicleSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-HJ-NPR-Z0-9]{17}$/, 'VIN must be 17 characters (letters I, O and Q are not allowed)']
+  },
+  licensePlate: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  make: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  model: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  year: {
+    type: Number,
+    min: 1950,
+    max: new Date().getFullYear() + 1
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  fuelType: {
+    type: String,
+    enum: ['petrol', 'diesel', 'electric', 'hybrid']
+  },
+  odometer: {
+    reading: {
+      type: Number, // in km
+      min: 0,
+      default: 0
+    },
+    updatedAt: Date
+  },
+  odometerReadings: [{
+    reading: {
+      type: Number,
+      required: true
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    },
+    source: {
+      type: String,
+      enum: ['owner', 'service', 'admin'],
+      default: 'owner'
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Normalize plates so "kda 123a" and "KDA123A" are treated as the same vehicle
+vehicleSchema.statics.normalizePlate = function(licensePlate) {
+  return (licensePlate || '').toUpperCase().replace(/[\s-]/g, '');
+};
+
+vehicleSchema.pre('validate', function(next) {
+  if (this.isModified('licensePlate')) {
+    this.licensePlate = this.constructor.normalizePlate(this.licensePlate);
+  }
+  next();
+});
+
+// Check whether a plate or VIN is already registered to another active vehicle
+vehicleSchema.statics.findDuplicate = function({ licensePlate, vin }, excludeId = null) {
+  const conditions = [];
+  if (licensePlate) conditions.push({ licensePlate: this.normalizePlate(licensePlate) });
+  if (vin) conditions.push({ vin: vin.toUpperCase().trim() });
+  if (conditions.length === 0) return Promise.resolve(null);
+
+  const filter = { isActive: true, $or: conditions };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return this.findOne(filter);
+};
+
+// Record a new odometer reading; readings may never go backwards
+vehicleSchema.methods.updateOdometer = function(reading, source = 'owner') {
+  if (reading < (this.odometer.reading || 0)) {
+    const error = new Error('Odometer reading cannot be lower than the current reading');
+    error.statusCode = 400;
+    throw error;
+  }
+  this.odometer.reading = reading;
+  this.odometer.updatedAt = new Date();
+  this.odometerReadings.push({ reading, source, recordedAt: this.odometer.updatedAt });
+
+  // Keep only the last 50 readings; they are only used to estimate daily usage
+  if (this.odometerReadings.length > 50) {
+    this.odometerReadings = this.odometerReadings.slice(-50);
+  }
+
+  return this.save();
+};
+
+// Estimate average km driven per day from recent odometer readings
+vehicleSchema.methods.estimateDailyKm = function(windowDays = 90) {
+  const since = Date.now() - windowDays * 24 * 60 * 60 * 1000;
+  const readings = this.odometerReadings
+    .filter(r => r.recordedAt.getTime() >= since)
+    .sort((a, b) => a.recordedAt - b.recordedAt);
+
+  if (readings.length < 2) return null;
+
+  const first = readings[0];
+  const last = readings[readings.length - 1];
+  const days = (last.recordedAt - first.recordedAt) / (24 * 60 * 60 * 1000);
+  if (days < 1) return null;
+
+  return (last.reading - first.reading) / days;
+};
+
+// Indexes
+vehicleSchema.index({ owner: 1, isActive: 1 });
+vehicleSchema.index({ licensePlate: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+vehicleSchema.index({ vin: 1 }, { unique: true, partialFilterExpression: { isActive: true, vin: { $type: 'string' } } });
+vehicleSchema.index({ createdAt: -1 });
+
+const Vehicle = mongoose.model('Vehicle', vehicleSchema);
+
+export default Vehicle;
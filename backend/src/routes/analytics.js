@@ -5,14 +5,14 @@ import Truck from '../models/Truck.js';
 import Branch from '../models/Branch.js';
 import Booking from '../models/Booking.js';
 import Message from '../models/Message.js';
-import { requireAdmin } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // @route   GET /api/v1/analytics/dashboard
 // @desc    Get dashboard analytics
-// @access  Admin only
-router.get('/dashboard', requireAdmin, async (req, res) => {
+// @access  Permission: view_analytics
+router.get('/dashboard', requirePermission('view_analytics'), async (req, res) => {
   try {
     const { period = '30' } = req.query; // days
     const startDate = new Date();
@@ -227,8 +227,8 @@ router.get('/dashboard', requireAdmin, async (req, res) => {
 
 // @route   GET /api/v1/analytics/fleet
 // @desc    Get fleet analytics
-// @access  Admin only
-router.get('/fleet', requireAdmin, async (req, res) => {
+// @access  Permission: view_analytics
+router.get('/fleet', requirePermission('view_analytics'), async (req, res) => {
   try {
     // Fleet overview
     const fleetOverview = await Truck.aggregate([
@@ -355,8 +355,8 @@ router.get('/fleet', requireAdmin, async (req, res) => {
 
 // @route   GET /api/v1/analytics/revenue
 // @desc    Get revenue analytics
-// @access  Admin only
-router.get('/revenue', requireAdmin, async (req, res) => {
+// @access  Permission: view_analytics
+router.get('/revenue', requirePermission('view_analytics'), async (req, res) => {
   try {
     const { period = '30', groupBy = 'day' } = req.query;
     const startDate = new Date();
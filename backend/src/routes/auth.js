@@ -1,20 +1,48 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
 import User from '../models/User.js';
+import UserToken from '../models/UserToken.js';
+import Session from '../models/Session.js';
+import { authenticateToken, verifyAccessToken } from '../middleware/auth.js';
+import {
+  startSession,
+  rotateSession,
+  endSession,
+  revokeSession,
+  revokeUserSessions,
+  signAccessToken
+} from '../services/sessionService.js';
+import {
+  sendWelcomeEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} from '../services/mailService.js';
 import { checkDuplicateEmail, checkEmailAvailability } from '../middleware/duplicateEmailCheck.js';
 
 const router = express.Router();
 
-// JWT token generation
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'your-fallback-secret',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
+// The refresh token lives in an httpOnly cookie that is only sent to the
+// auth routes; scripts in the page never see it
+const REFRESH_COOKIE = 'autocare_refresh';
+
+const refreshCookieOptions = (req) => {
+  const sameSite = process.env.REFRESH_COOKIE_SAME_SITE || 'strict';
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production' || sameSite === 'none',
+    sameSite,
+    path: req.baseUrl
+  };
 };
 
+const setRefreshCookie = (req, res, refreshToken, expiresAt) =>
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions(req), expires: expiresAt });
+
+const clearRefreshCookie = (req, res) => res.clearCookie(REFRESH_COOKIE, refreshCookieOptions(req));
+
+const clientOf = (req) => ({ userAgent: req.get('User-Agent'), ip: req.ip });
+
 // @route   GET /api/v1/auth/check-email/:email
 // @desc    Check if email is available for registration
 // @access  Public
@@ -60,98 +88,9 @@ async (req, res) => {
 
     const { name, email, password, phone } = req.body;
 
-    // Check if user already exists (for regular users only)
+    // Check if user already exists
     const existingUser = await User.findOne({ email });
-    
-    // Check if trying to register with admin email
-    console.log('Checking if admin email:', email, 'Is admin:', User.isAdminEmail(email));
-    if (User.isAdminEmail(email)) {
-      // Admin registration - verify admin password
-      const adminPassword = process.env.ADMIN_PASSWORD || 'autocarpro12k@12k.wwc';
-      console.log('Admin password check:', { 
-        provided: password, 
-        expected: adminPassword, 
-        match: password === adminPassword 
-      });
-      
-      if (password !== adminPassword) {
-        console.log('Admin password mismatch');
-        return res.status(403).json({
-          success: false,
-          message: 'Invalid admin password for admin registration.',
-          code: 'INVALID_ADMIN_PASSWORD'
-        });
-      }
-      
-      // Get admin data
-      const adminData = User.getAdminByEmail(email);
-      console.log('Admin data for email:', email, adminData);
-      
-      if (!adminData) {
-        console.log('No admin data found for email:', email);
-        return res.status(403).json({
-          success: false,
-          message: 'Email not authorized for admin registration.',
-          code: 'UNAUTHORIZED_ADMIN_EMAIL'
-        });
-      }
-
-      // Check if admin already exists - if so, prevent duplicate registration
-      if (existingUser) {
-        console.log('Admin already exists:', email);
-        return res.status(409).json({
-          success: false,
-          message: 'This admin email has already been registered. Please try signing in instead.',
-          code: 'EMAIL_ALREADY_EXISTS',
-          action: 'redirect_to_login',
-          userType: 'admin',
-          loginUrl: '/login'
-        });
-      }
 
-      // Create admin user
-      console.log('Creating admin user with data:', {
-        name: adminData.name,
-        email: email,
-        phone: phone || '',
-        isAdmin: true,
-        role: adminData.role
-      });
-      
-      const adminUser = new User({
-        name: adminData.name,
-        email: email,
-        password: password,
-        phone: phone || '',
-        isAdmin: true,
-        role: adminData.role
-      });
-
-      console.log('Saving admin user...');
-      await adminUser.save();
-      console.log('Admin user saved successfully:', adminUser._id);
-
-      // Generate JWT token
-      const token = generateToken(adminUser._id);
-
-      return res.status(201).json({
-        success: true,
-        message: 'Admin registered successfully',
-        token,
-        user: {
-          id: adminUser._id,
-          name: adminUser.name,
-          email: adminUser.email,
-          phone: adminUser.phone,
-          isAdmin: adminUser.isAdmin,
-          role: adminUser.role,
-          vehicleCount: adminUser.vehicleCount,
-          createdAt: adminUser.createdAt
-        }
-      });
-    }
-
-    // Check if regular user already exists
     if (existingUser) {
       console.log('User already exists:', email);
       return res.status(409).json({
@@ -164,7 +103,7 @@ async (req, res) => {
       });
     }
 
-    // Create new regular user
+    // Every account starts as a regular user; admins are promoted with PUT /users/:id/role
     const user = new User({
       name,
       email,
@@ -176,8 +115,13 @@ async (req, res) => {
 
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    UserToken.issue(user._id, 'email_verification')
+      .then(({ token }) => sendWelcomeEmail(user, token))
+      .catch(error => console.error('Welcome email not queued:', error.message));
+
+    // Sign the new user in on this device
+    const { session, refreshToken, accessToken: token } = await startSession(user, clientOf(req));
+    setRefreshCookie(req, res, refreshToken, session.expiresAt);
 
     res.status(201).json({
       success: true,
@@ -190,7 +134,8 @@ async (req, res) => {
         phone: user.phone,
         isAdmin: user.isAdmin,
         role: user.role,
-        vehicleCount: user.vehicleCount,
+        emailVerified: user.emailVerified,
+        vehicleCount: 0,
         createdAt: user.createdAt
       }
     });
@@ -216,7 +161,7 @@ async (req, res) => {
 });
 
 // @route   POST /api/v1/auth/login
-// @desc    Login user and return JWT token
+// @desc    Login user, return an access token and set the refresh cookie
 // @access  Public
 router.post('/login', [
   body('email')
@@ -239,60 +184,7 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
-    // Check if this is an admin login
-    if (User.isAdminEmail(email)) {
-      // Verify admin password
-      const adminPassword = process.env.ADMIN_PASSWORD || 'autocarpro12k@12k.wwc';
-      if (password !== adminPassword) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid admin credentials'
-        });
-      }
-
-      // Get admin data
-      const adminData = User.getAdminByEmail(email);
-      if (!adminData) {
-        return res.status(401).json({
-          success: false,
-          message: 'Admin not found'
-        });
-      }
-
-      // Check if admin user exists in database, if not create one
-      let adminUser = await User.findOne({ email });
-      if (!adminUser) {
-        adminUser = new User({
-          name: adminData.name,
-          email: email,
-          password: adminPassword,
-          isAdmin: true,
-          role: adminData.role,
-          vehicleCount: 0
-        });
-        await adminUser.save();
-      }
-
-      const token = generateToken(adminUser._id);
-
-      return res.json({
-        success: true,
-        message: 'Admin login successful',
-        token,
-        user: {
-          id: adminUser._id,
-          name: adminUser.name,
-          email: adminUser.email,
-          isAdmin: true,
-          role: adminUser.role,
-          vehicleCount: adminUser.vehicleCount,
-          createdAt: adminUser.createdAt
-        }
-      });
-    }
-
-    // Regular user login
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).populate('vehicleCount');
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -319,7 +211,8 @@ router.post('/login', [
       });
     }
 
-    const token = generateToken(user._id);
+    const { session, refreshToken, accessToken: token } = await startSession(user, clientOf(req));
+    setRefreshCookie(req, res, refreshToken, session.expiresAt);
 
     res.json({
       success: true,
@@ -332,6 +225,7 @@ router.post('/login', [
         phone: user.phone,
         isAdmin: user.isAdmin,
         role: user.role,
+        emailVerified: user.emailVerified,
         vehicleCount: user.vehicleCount,
         lastService: user.lastService,
         createdAt: user.createdAt
@@ -361,16 +255,17 @@ router.get('/verify', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-fallback-secret');
-    const user = await User.findById(decoded.userId);
+    const { user } = await verifyAccessToken(token);
 
-    if (!user || !user.isActive) {
+    if (!user) {
       return res.status(401).json({
         success: false,
         message: 'Invalid token or user not found'
       });
     }
 
+    await user.populate('vehicleCount');
+
     res.json({
       success: true,
       user: {
@@ -380,6 +275,7 @@ router.get('/verify', async (req, res) => {
         phone: user.phone,
         isAdmin: user.isAdmin,
         role: user.role,
+        emailVerified: user.emailVerified,
         vehicleCount: user.vehicleCount,
         lastService: user.lastService,
         createdAt: user.createdAt
@@ -395,4 +291,388 @@ router.get('/verify', async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// @route   POST /api/v1/auth/refresh-token
+// @desc    Swap the refresh cookie for a new access token and a new refresh cookie
+// @access  Public (refresh cookie)
+router.post('/refresh-token', async (req, res) => {
+  try {
+    const { session, user, refreshToken, accessToken } = await rotateSession(
+      req.cookies?.[REFRESH_COOKIE],
+      clientOf(req),
+      req.app.get('eventBus')
+    );
+    setRefreshCookie(req, res, refreshToken, session.expiresAt);
+
+    res.json({
+      success: true,
+      token: accessToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        isAdmin: user.isAdmin,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt
+      }
+    });
+
+  } catch (error) {
+    if (!error.statusCode) console.error('Refresh token error:', error);
+    // A retry may still succeed with the cookie another tab just received
+    if (error.statusCode !== 409) clearRefreshCookie(req, res);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error refreshing session',
+      code: error.code
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/logout
+// @desc    Sign out this device: revoke its session and clear the refresh cookie
+// @access  Public (refresh cookie)
+router.post('/logout', async (req, res) => {
+  try {
+    await endSession(req.cookies?.[REFRESH_COOKIE], req.app.get('eventBus'));
+    clearRefreshCookie(req, res);
+
+    res.json({
+      success: true,
+      message: 'Signed out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out'
+    });
+  }
+});
+
+// @route   GET /api/v1/auth/sessions
+// @desc    List the devices the user is signed in on
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActive(req.user._id)
+      .select('device ip lastIp lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        ip: session.lastIp || session.ip,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId)
+      })),
+      count: sessions.length
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/auth/sessions/:id
+// @desc    Sign out one of the user's devices
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, [
+  param('id').isMongoId().withMessage('Invalid session')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const revoked = await revokeSession(req.user._id, req.params.id, 'revoked', req.app.get('eventBus'));
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (req.params.id === req.sessionId) clearRefreshCookie(req, res);
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out session'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/auth/sessions
+// @desc    Sign out everywhere, this device included
+// @access  Private
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, { reason: 'logout_all' }, req.app.get('eventBus'));
+    clearRefreshCookie(req, res);
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revoked} session${revoked === 1 ? '' : 's'}`,
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out sessions'
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/forgot-password
+// @desc    Email a password reset link (same response whether or not the account exists)
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    if (user && user.isActive) {
+      const resetToken = await UserToken.issue(user._id, 'password_reset');
+      await sendPasswordResetEmail(user, resetToken);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link is on its way.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending password reset email'
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/reset-password
+// @desc    Set a new password with the token from a reset email
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = await UserToken.consume(req.body.token, 'password_reset');
+    const user = userId && await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordChangedAt = new Date();
+    // Following the emailed link proves the address is theirs
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeUserSessions(user._id, { reason: 'password_changed' }, req.app.get('eventBus'));
+
+    sendPasswordChangedEmail(user).catch(error => console.error('Password changed email not queued:', error.message));
+
+    res.json({
+      success: true,
+      message: 'Your password has been reset. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password'
+    });
+  }
+});
+
+// @route   PUT /api/v1/auth/change-password
+// @desc    Change password (requires the current password); other sessions are signed out
+// @access  Private
+router.put('/change-password', authenticateToken, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const { currentPassword, newPassword } = req.body;
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current one'
+      });
+    }
+
+    user.password = newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+    await UserToken.deleteMany({ user: user._id, purpose: 'password_reset' });
+    await revokeUserSessions(user._id, { except: req.sessionId, reason: 'password_changed' }, req.app.get('eventBus'));
+
+    sendPasswordChangedEmail(user).catch(error => console.error('Password changed email not queued:', error.message));
+
+    // Earlier access tokens no longer work, this one included; this device
+    // keeps its session and refresh cookie
+    const token = signAccessToken(user._id, req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password'
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/verify-email
+// @desc    Verify the account's email address with the token from the email
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = await UserToken.consume(req.body.token, 'email_verification');
+    const user = userId && await User.findByIdAndUpdate(
+      userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired. Please request a new one.',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your email address has been verified',
+      data: { emailVerified: true }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email'
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email address is already verified',
+        code: 'ALREADY_VERIFIED'
+      });
+    }
+
+    const verificationToken = await UserToken.issue(req.user._id, 'email_verification');
+    await sendVerificationEmail(req.user, verificationToken);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email'
+    });
+  }
+});
+
+export default router;
@@ -1,11 +1,73 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import Booking from '../models/Booking.js';
+import { body, param, validationResult } from 'express-validator';
+import Booking, { ACTIVE_BOOKING_STATUSES } from '../models/Booking.js';
 import Truck from '../models/Truck.js';
-import { requireAdmin } from '../middleware/auth.js';
+import Payment from '../models/Payment.js';
+import PromoCode from '../models/PromoCode.js';
+import Branch from '../models/Branch.js';
+import { CAPACITY_CLASSES } from '../models/RateCard.js';
+import { requirePermission, requireVerifiedEmail } from '../middleware/auth.js';
+import { getPermissionScope, scopeIncludes } from '../services/permissionService.js';
+import { issueInvoiceForBooking } from '../services/invoiceService.js';
+import { streamInvoicePdf } from '../services/invoicePdf.js';
+import { priceBooking, quoteBooking } from '../services/pricingService.js';
+import { reserveTruckForBooking, releaseTruckForBooking, assertWithinWorkingHours } from '../services/bookingScheduler.js';
+import { ROUTE_OBJECTIVES, planRoute, optimizeBookingRoute } from '../services/routePlanner.js';
+import { createTrackingLink, listTrackingLinks, revokeTrackingLink } from '../services/trackingLinkService.js';
 
 const router = express.Router();
 
+const idOf = (ref) => ref?._id || ref;
+
+const bookingBranch = {
+  branch: async (req) => (await Booking.findById(req.params.id).select('branch'))?.branch
+};
+
+// The booking's customer, or someone who manages bookings at its branch
+const canViewBooking = async (user, booking) => {
+  if (idOf(booking.customer).toString() === user._id.toString()) return true;
+  return scopeIncludes(await getPermissionScope(user, 'manage_bookings'), idOf(booking.branch));
+};
+
+// What a new booking takes from the request. Status, driver, timeline,
+// progress and billing are only ever set by the server.
+const newBookingFields = ({ serviceType, priority, branch, truck, schedule, route, cargo, notes }) => ({
+  serviceType,
+  priority,
+  branch,
+  truck,
+  schedule: schedule && {
+    startDate: schedule.startDate,
+    endDate: schedule.endDate,
+    estimatedDuration: schedule.estimatedDuration
+  },
+  route: route && {
+    origin: route.origin,
+    destination: route.destination,
+    waypoints: route.waypoints,
+    estimatedDistance: route.estimatedDistance
+  },
+  cargo,
+  notes: { customerNotes: notes?.customerNotes }
+});
+
+// Inputs that change the price, shared by quotes and new bookings
+const pricingValidators = [
+  body('serviceType').isIn(['delivery', 'pickup', 'transport', 'maintenance', 'emergency'])
+    .withMessage('Invalid service type'),
+  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+  body('branch').optional().isMongoId().withMessage('Invalid branch'),
+  body('truck').optional().isMongoId().withMessage('Invalid truck'),
+  body('capacityClass').optional().isIn(CAPACITY_CLASSES).withMessage('Invalid capacity class'),
+  body('schedule.estimatedDuration').optional().isFloat({ min: 0 }).withMessage('Estimated duration must be a positive number'),
+  body('route.estimatedDistance').optional().isFloat({ min: 0 }).withMessage('Estimated distance must be a positive number'),
+  body('cargo.weight').optional().isFloat({ min: 0 }).withMessage('Cargo weight must be a positive number'),
+  body('cargo.volume').optional().isFloat({ min: 0 }).withMessage('Cargo volume must be a positive number'),
+  body('cargo.requiredEquipment').optional().isArray().withMessage('Required equipment must be a list'),
+  body('cargo.specialRequirements').optional().isArray().withMessage('Special requirements must be a list'),
+  body('promoCode').optional().trim()
+];
+
 // @route   GET /api/v1/bookings
 // @desc    Get bookings
 // @access  Private
@@ -14,9 +76,12 @@ router.get('/', async (req, res) => {
     const { status, serviceType, startDate, endDate } = req.query;
     let filter = {};
     
-    // Non-admin users can only see their own bookings
-    if (!req.user.isAdminUser()) {
+    // Customers see their own bookings; branch staff also see their branches'
+    const scope = await getPermissionScope(req.user, 'manage_bookings');
+    if (scope === false) {
       filter.customer = req.user._id;
+    } else if (scope) {
+      filter.$or = [{ customer: req.user._id }, { branch: { $in: scope } }];
     }
 
     // Apply filters
@@ -51,6 +116,47 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/v1/bookings/available-trucks
+// @desc    Get trucks free for a time window that can carry the cargo
+// @access  Private
+router.get('/available-trucks', async (req, res) => {
+  try {
+    const { startDate, endDate, estimatedDuration, serviceType, weight, volume, equipment } = req.query;
+
+    if (!startDate || Number.isNaN(new Date(startDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date is required'
+      });
+    }
+
+    const availableTrucks = await Booking.findAvailableTrucks({
+      startDate,
+      endDate,
+      estimatedDuration: parseFloat(estimatedDuration) || 4,
+      serviceType,
+      cargo: {
+        weight: parseFloat(weight) || undefined,
+        volume: parseFloat(volume) || undefined,
+        requiredEquipment: equipment ? equipment.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean) : []
+      }
+    });
+
+    res.json({
+      success: true,
+      data: availableTrucks,
+      count: availableTrucks.length
+    });
+
+  } catch (error) {
+    console.error('Get available trucks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving available trucks'
+    });
+  }
+});
+
 // @route   GET /api/v1/bookings/:id
 // @desc    Get single booking
 // @access  Private
@@ -71,7 +177,7 @@ router.get('/:id', async (req, res) => {
     }
 
     // Check access permissions
-    if (!req.user.isAdminUser() && booking.customer._id.toString() !== req.user._id.toString()) {
+    if (!(await canViewBooking(req.user, booking))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -92,13 +198,123 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/v1/bookings/:id/invoice.pdf
+// @desc    Download the invoice, or receipt once paid, for a completed booking
+// @access  Private
+router.get('/:id/invoice.pdf', async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!(await canViewBooking(req.user, booking))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const invoice = await issueInvoiceForBooking(booking, null, req.app.get('eventBus'));
+    const payment = booking.paymentStatus === 'unpaid'
+      ? null
+      : await Payment.findOne({
+        booking: booking._id,
+        status: { $in: ['succeeded', 'partially_refunded', 'refunded'] }
+      }).sort({ paidAt: -1 });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+    streamInvoicePdf(invoice, res, { payment });
+
+  } catch (error) {
+    console.error('Get booking invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating invoice'
+    });
+  }
+});
+
+// @route   POST /api/v1/bookings/quote
+// @desc    Itemized price estimate for a booking before it is created
+// @access  Private
+router.post('/quote', [
+  ...pricingValidators,
+  body('schedule.startDate').optional().isISO8601().withMessage('Invalid start date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const quote = await quoteBooking(req.body, { customer: req.user._id });
+
+    res.json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Quote booking error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error calculating quote',
+      code: error.code
+    });
+  }
+});
+
+// @route   POST /api/v1/bookings/route-plan
+// @desc    Preview the best order for a route's waypoints, with legs and ETA
+// @access  Private
+router.post('/route-plan', [
+  body('route').isObject().withMessage('Route is required'),
+  body('route.waypoints').optional().isArray().withMessage('Waypoints must be a list'),
+  body('objective').optional().isIn(ROUTE_OBJECTIVES).withMessage(`Objective must be one of: ${ROUTE_OBJECTIVES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const plan = await planRoute(req.body.route, { objective: req.body.objective });
+
+    res.json({
+      success: true,
+      data: plan
+    });
+
+  } catch (error) {
+    console.error('Plan route error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error planning route',
+      code: error.code
+    });
+  }
+});
+
 // @route   POST /api/v1/bookings
 // @desc    Create new booking
-// @access  Private
-router.post('/', [
-  body('serviceType').isIn(['delivery', 'pickup', 'transport', 'maintenance', 'emergency'])
-    .withMessage('Invalid service type'),
+// @access  Private (verified email)
+router.post('/', requireVerifiedEmail, [
+  ...pricingValidators,
+  body('truck').optional().isMongoId().withMessage('Invalid truck'),
   body('schedule.startDate').isISO8601().withMessage('Valid start date required'),
+  body('schedule.endDate').optional().isISO8601().withMessage('Invalid end date'),
   body('route.origin.address').optional().trim(),
   body('route.destination.address').optional().trim()
 ], async (req, res) => {
@@ -111,48 +327,84 @@ router.post('/', [
       });
     }
 
-    // Check for conflicting bookings if truck is specified
-    if (req.body.truck) {
-      const startDate = new Date(req.body.schedule.startDate);
-      const endDate = new Date(req.body.schedule.endDate || 
-        new Date(startDate.getTime() + (req.body.schedule.estimatedDuration || 4) * 60 * 60 * 1000));
-
-      const conflictingBooking = await Booking.findOne({
-        truck: req.body.truck,
-        status: { $in: ['confirmed', 'assigned', 'in_progress'] },
-        $or: [
-          {
-            'schedule.startDate': { $lte: endDate },
-            'schedule.endDate': { $gte: startDate }
-          }
-        ]
-      });
-
-      if (conflictingBooking) {
-        return res.status(400).json({
-          success: false,
-          message: 'Truck is not available for the selected time slot'
-        });
-      }
-    }
+    // Customers cannot set their own rates; amounts are charged from these
+    const { pricing, promoCode } = req.body;
+    const manualPricing = req.user.isAdminUser() && pricing;
 
     const booking = new Booking({
-      ...req.body,
+      ...newBookingFields(req.body),
+      ...(manualPricing && { pricing }),
       customer: req.user._id
     });
 
+    // Price from the rate cards unless an admin set the rates. Without a
+    // matching card the booking waits for an admin to price it.
+    let promo = null;
+    if (!manualPricing) {
+      try {
+        const priced = await priceBooking(req.body, { customer: req.user._id });
+        if (priced.quote.promoError) {
+          return res.status(400).json({
+            success: false,
+            message: priced.quote.promoError
+          });
+        }
+        booking.pricing = priced.pricing;
+        booking.route.estimatedDistance = priced.distance.km;
+        promo = priced.promo;
+      } catch (error) {
+        if (error.code !== 'NO_RATE_CARD') throw error;
+        if (promoCode) {
+          return res.status(400).json({
+            success: false,
+            message: 'Promo codes cannot be applied until this booking is priced'
+          });
+        }
+      }
+    }
+
     // Calculate total amount
     booking.calculateTotal();
-    await booking.save();
 
-    // Emit real-time notification to admins
-    const io = req.app.get('socketio');
-    io.to('admin-room').emit('booking-created', {
+    // Holds the truck atomically; fails if the slot was taken meanwhile.
+    // Without a truck, an admin assigns one later.
+    if (booking.truck) {
+      await reserveTruckForBooking(booking);
+    } else {
+      await assertWithinWorkingHours(booking);
+    }
+
+    if (promo) {
+      const discount = booking.pricing.additionalCharges.find(charge => charge.description === `Promo ${promo.code}`);
+      const redeemed = await PromoCode.redeem(promo._id, {
+        customer: req.user._id,
+        booking: booking._id,
+        amount: -discount.amount
+      });
+      if (!redeemed) {
+        await releaseTruckForBooking(booking);
+        return res.status(400).json({
+          success: false,
+          message: 'This promo code is no longer available'
+        });
+      }
+    }
+
+    try {
+      await booking.save();
+    } catch (error) {
+      await releaseTruckForBooking(booking);
+      if (promo) await PromoCode.releaseForBooking(booking._id);
+      throw error;
+    }
+
+    // Notify admins in real time
+    req.app.get('eventBus').publish('booking.created', {
       bookingId: booking._id,
       bookingNumber: booking.bookingNumber,
-      customer: req.user.name,
-      serviceType: booking.serviceType,
-      timestamp: booking.createdAt
+      customerId: req.user._id,
+      customerName: req.user.name,
+      serviceType: booking.serviceType
     });
 
     res.status(201).json({
@@ -163,17 +415,18 @@ router.post('/', [
 
   } catch (error) {
     console.error('Create booking error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error creating booking'
+      message: error.statusCode ? error.message : 'Error creating booking',
+      code: error.code
     });
   }
 });
 
 // @route   PUT /api/v1/bookings/:id/status
 // @desc    Update booking status
-// @access  Admin only
-router.put('/:id/status', requireAdmin, [
+// @access  Permission: manage_bookings (own branch for branch staff)
+router.put('/:id/status', requirePermission('manage_bookings', bookingBranch), [
   body('status').isIn(['pending', 'confirmed', 'assigned', 'in_progress', 'completed', 'cancelled'])
     .withMessage('Invalid status'),
   body('notes').optional().trim()
@@ -195,7 +448,24 @@ router.put('/:id/status', requireAdmin, [
       });
     }
 
-    await booking.updateStatus(req.body.status, req.user._id, req.body.notes);
+    // Finished bookings free their truck; reopening one must win the slot back
+    const wasActive = ACTIVE_BOOKING_STATUSES.includes(booking.status);
+    const isActive = ACTIVE_BOOKING_STATUSES.includes(req.body.status);
+    const reserving = !wasActive && isActive && booking.truck;
+    if (reserving) {
+      await reserveTruckForBooking(booking);
+    }
+
+    try {
+      await booking.updateStatus(req.body.status, req.user._id, req.body.notes);
+    } catch (error) {
+      if (reserving) await releaseTruckForBooking(booking);
+      throw error;
+    }
+
+    if (wasActive && !isActive) {
+      await releaseTruckForBooking(booking);
+    }
 
     // Update truck status if needed
     if (booking.truck) {
@@ -207,12 +477,26 @@ router.put('/:id/status', requireAdmin, [
       await Truck.findByIdAndUpdate(booking.truck, { status: truckStatus });
     }
 
-    // Emit real-time update
-    const io = req.app.get('socketio');
-    io.to(`user-${booking.customer}`).emit('booking-status-updated', {
+    if (req.body.status === 'cancelled' && booking.pricing.promoCode) {
+      await PromoCode.releaseForBooking(booking._id);
+    }
+
+    // Completed bookings are invoiced straight away; a failure here is retried
+    // when the invoice is first downloaded
+    if (req.body.status === 'completed') {
+      try {
+        await issueInvoiceForBooking(booking, req.user._id, req.app.get('eventBus'));
+      } catch (error) {
+        console.error(`Invoice for booking ${booking.bookingNumber} not issued:`, error.message);
+      }
+    }
+
+    // Notify the customer in real time
+    req.app.get('eventBus').publish('booking.status_changed', {
       bookingId: booking._id,
-      status: req.body.status,
-      timestamp: new Date()
+      bookingNumber: booking.bookingNumber,
+      customerId: booking.customer,
+      status: req.body.status
     });
 
     res.json({
@@ -223,17 +507,18 @@ router.put('/:id/status', requireAdmin, [
 
   } catch (error) {
     console.error('Update booking status error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error updating booking status'
+      message: error.statusCode ? error.message : 'Error updating booking status',
+      code: error.code
     });
   }
 });
 
 // @route   PUT /api/v1/bookings/:id/assign
 // @desc    Assign truck and driver to booking
-// @access  Admin only
-router.put('/:id/assign', requireAdmin, [
+// @access  Permission: manage_bookings (own branch for branch staff)
+router.put('/:id/assign', requirePermission('manage_bookings', bookingBranch), [
   body('truck').notEmpty().withMessage('Truck ID is required'),
   body('driver').optional().isMongoId().withMessage('Valid driver ID required')
 ], async (req, res) => {
@@ -254,44 +539,61 @@ router.put('/:id/assign', requireAdmin, [
       });
     }
 
-    // Check truck availability
-    const truck = await Truck.findById(req.body.truck);
-    if (!truck || !truck.isAvailable()) {
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Truck is not available'
+        message: `A ${booking.status} booking cannot be assigned`
       });
     }
 
-    // Update booking
-    booking.truck = req.body.truck;
+    // Branch staff can only send their own branches' trucks
+    if (req.branchScope) {
+      const truckBranchIds = await Branch.find({ assignedTrucks: req.body.truck }).distinct('_id');
+      if (!scopeIncludes(req.branchScope, truckBranchIds)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only assign trucks from your own branch',
+          code: 'BRANCH_ACCESS_DENIED'
+        });
+      }
+    }
+
+    // Hold the new truck before letting go of the old one; when two admins
+    // assign the same truck at once only one reservation succeeds
+    const previousTruck = booking.truck;
+    const truck = await reserveTruckForBooking(booking, req.body.truck);
+    const truckChanged = !previousTruck || previousTruck.toString() !== truck._id.toString();
+    if (previousTruck && truckChanged) {
+      await releaseTruckForBooking(booking, previousTruck);
+    }
+
+    // Without an explicit driver the new truck's own driver takes the job
+    const previousDriver = booking.driver?.toString();
+    booking.truck = truck._id;
     if (req.body.driver) booking.driver = req.body.driver;
+    else if (truckChanged) booking.driver = truck.driver.user;
+
+    // A new driver starts the job from the beginning
+    if (booking.driver?.toString() !== previousDriver) {
+      booking.driverProgress = {};
+    }
     
     await booking.updateStatus('assigned', req.user._id, 'Truck and driver assigned');
 
     // Update truck status
     await truck.assignToRequest(booking._id);
 
-    // Emit real-time updates
-    const io = req.app.get('socketio');
-    
-    // Notify customer
-    io.to(`user-${booking.customer}`).emit('booking-assigned', {
+    // Notify the customer, and the driver if there is one, in real time
+    req.app.get('eventBus').publish('booking.assigned', {
       bookingId: booking._id,
-      truck: truck.truckId,
-      driver: truck.driver.name,
-      timestamp: new Date()
+      bookingNumber: booking.bookingNumber,
+      customerId: booking.customer,
+      truckId: truck._id,
+      truckNumber: truck.truckId,
+      driverId: booking.driver,
+      driverName: truck.driver?.name
     });
 
-    // Notify driver if assigned
-    if (req.body.driver) {
-      io.to(`user-${req.body.driver}`).emit('booking-assigned-to-driver', {
-        bookingId: booking._id,
-        bookingNumber: booking.bookingNumber,
-        timestamp: new Date()
-      });
-    }
-
     res.json({
       success: true,
       message: 'Booking assigned successfully',
@@ -300,43 +602,205 @@ router.put('/:id/assign', requireAdmin, [
 
   } catch (error) {
     console.error('Assign booking error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error assigning booking'
+      message: error.statusCode ? error.message : 'Error assigning booking',
+      code: error.code
     });
   }
 });
 
-// @route   GET /api/v1/bookings/available-trucks
-// @desc    Get available trucks for booking
-// @access  Private
-router.get('/available-trucks', async (req, res) => {
+// @route   PUT /api/v1/bookings/:id/route/optimize
+// @desc    Reorder a booking's waypoints and store the legs, distance and ETA
+// @access  Permission: manage_bookings (own branch for branch staff)
+router.put('/:id/route/optimize', requirePermission('manage_bookings', bookingBranch), [
+  body('objective').optional().isIn(ROUTE_OBJECTIVES).withMessage(`Objective must be one of: ${ROUTE_OBJECTIVES.join(', ')}`)
+], async (req, res) => {
   try {
-    const { startDate, endDate, serviceType } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-    if (!startDate) {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(booking.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot re-plan the route of a ${booking.status} booking`,
+        code: 'INVALID_TRANSITION'
+      });
+    }
+
+    const plan = await optimizeBookingRoute(booking, { objective: req.body.objective });
+
+    res.json({
+      success: true,
+      message: 'Route optimized',
+      data: { booking, plan }
+    });
+
+  } catch (error) {
+    console.error('Optimize booking route error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error optimizing route',
+      code: error.code
+    });
+  }
+});
+
+// @route   POST /api/v1/bookings/:id/tracking-links
+// @desc    Create a signed, expiring link that lets someone without an account track the booking
+// @access  Private (customer, or manage_bookings for the booking's branch)
+router.post('/:id/tracking-links', [
+  param('id').isMongoId().withMessage('Invalid booking'),
+  body('recipientName').optional().trim().isLength({ max: 100 }).withMessage('Recipient name too long'),
+  body('expiresInHours').optional().isFloat({ min: 0.25 }).withMessage('Expiry must be at least 0.25 hours')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Start date is required'
+        errors: errors.array()
       });
     }
 
-    const start = new Date(startDate);
-    const end = endDate ? new Date(endDate) : new Date(start.getTime() + 4 * 60 * 60 * 1000); // Default 4 hours
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
 
-    const availableTrucks = await Booking.findAvailableTrucks(start, end, serviceType);
+    if (!(await canViewBooking(req.user, booking))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { link, token, url } = await createTrackingLink('booking', booking, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tracking link created',
+      data: { link, token, url }
+    });
+
+  } catch (error) {
+    console.error('Create booking tracking link error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating tracking link',
+      code: error.code
+    });
+  }
+});
+
+// @route   GET /api/v1/bookings/:id/tracking-links
+// @desc    List the booking's tracking links, with their views and whether they were revoked
+// @access  Private (customer, or manage_bookings for the booking's branch)
+router.get('/:id/tracking-links', [
+  param('id').isMongoId().withMessage('Invalid booking')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id).select('customer branch');
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!(await canViewBooking(req.user, booking))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const links = await listTrackingLinks('booking', booking._id);
 
     res.json({
       success: true,
-      data: availableTrucks,
-      count: availableTrucks.length
+      data: links,
+      count: links.length
     });
 
   } catch (error) {
-    console.error('Get available trucks error:', error);
+    console.error('Get booking tracking links error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error retrieving available trucks'
+      message: 'Error retrieving tracking links'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/bookings/:id/tracking-links/:linkId
+// @desc    Revoke a tracking link; it stops working straight away
+// @access  Private (customer, or manage_bookings for the booking's branch)
+router.delete('/:id/tracking-links/:linkId', [
+  param('id').isMongoId().withMessage('Invalid booking'),
+  param('linkId').isMongoId().withMessage('Invalid tracking link')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id).select('customer branch');
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!(await canViewBooking(req.user, booking))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const link = await revokeTrackingLink('booking', booking._id, req.params.linkId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Tracking link revoked',
+      data: link
+    });
+
+  } catch (error) {
+    console.error('Revoke booking tracking link error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error revoking tracking link',
+      code: error.code
     });
   }
 });
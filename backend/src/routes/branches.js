@@ -1,10 +1,18 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import Branch from '../models/Branch.js';
-import { requireAdmin } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
+const ownBranch = { branch: (req) => req.params.id };
+
+// Farthest a nearby-branch search may reach, in km
+const MAX_SEARCH_DISTANCE_KM = 500;
+
+// Branch fields only roles with access to every branch may change
+const RESTRICTED_BRANCH_FIELDS = ['code', 'manager', 'staff', 'assignedTrucks', 'tax', 'isActive'];
+
 // @route   GET /api/v1/branches
 // @desc    Get all branches
 // @access  Private
@@ -71,13 +79,14 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/v1/branches
 // @desc    Create new branch
-// @access  Admin only
-router.post('/', requireAdmin, [
+// @access  Permission: manage_branches
+router.post('/', requirePermission('manage_branches'), [
   body('name').trim().notEmpty().withMessage('Branch name is required'),
   body('code').trim().notEmpty().withMessage('Branch code is required'),
   body('location.address').trim().notEmpty().withMessage('Address is required'),
   body('location.city').trim().notEmpty().withMessage('City is required'),
-  body('contact.phone').trim().notEmpty().withMessage('Phone number is required')
+  body('contact.phone').trim().notEmpty().withMessage('Phone number is required'),
+  body('coverageRadiusKm').optional().isFloat({ min: 0 }).withMessage('Coverage radius must be a positive number of km')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -124,12 +133,17 @@ router.post('/', requireAdmin, [
 
 // @route   PUT /api/v1/branches/:id
 // @desc    Update branch
-// @access  Admin only
-router.put('/:id', requireAdmin, async (req, res) => {
+// @access  Permission: manage_branch (own branch for branch staff)
+router.put('/:id', requirePermission('manage_branch', ownBranch), async (req, res) => {
   try {
+    const updateData = { ...req.body };
+    if (req.branchScope) {
+      RESTRICTED_BRANCH_FIELDS.forEach(field => delete updateData[field]);
+    }
+
     const branch = await Branch.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updateData,
       { new: true, runValidators: true }
     ).populate('manager', 'name email phone')
      .populate('staff.employee', 'name email phone');
@@ -158,8 +172,8 @@ router.put('/:id', requireAdmin, async (req, res) => {
 
 // @route   POST /api/v1/branches/:id/staff
 // @desc    Add staff to branch
-// @access  Admin only
-router.post('/:id/staff', requireAdmin, [
+// @access  Permission: manage_staff (own branch for branch staff)
+router.post('/:id/staff', requirePermission('manage_staff', ownBranch), [
   body('employee').notEmpty().withMessage('Employee ID is required'),
   body('role').isIn(['manager', 'supervisor', 'mechanic', 'driver', 'admin_staff'])
     .withMessage('Invalid role')
@@ -221,8 +235,8 @@ router.post('/:id/staff', requireAdmin, [
 
 // @route   PUT /api/v1/branches/:id/staff/:staffId
 // @desc    Update staff member
-// @access  Admin only
-router.put('/:id/staff/:staffId', requireAdmin, async (req, res) => {
+// @access  Permission: manage_staff (own branch for branch staff)
+router.put('/:id/staff/:staffId', requirePermission('manage_staff', ownBranch), async (req, res) => {
   try {
     const branch = await Branch.findById(req.params.id);
     if (!branch) {
@@ -240,8 +254,10 @@ router.put('/:id/staff/:staffId', requireAdmin, async (req, res) => {
       });
     }
 
-    // Update staff member
-    Object.assign(staffMember, req.body);
+    // Update staff member; the employee on a staff entry never changes
+    const updates = { ...req.body };
+    delete updates.employee;
+    Object.assign(staffMember, updates);
     await branch.save();
 
     const updatedBranch = await Branch.findById(req.params.id)
@@ -265,8 +281,19 @@ router.put('/:id/staff/:staffId', requireAdmin, async (req, res) => {
 // @route   GET /api/v1/branches/nearby/:lat/:lng
 // @desc    Find nearby branches
 // @access  Private
-router.get('/nearby/:lat/:lng', async (req, res) => {
+router.get('/nearby/:lat/:lng', [
+  query('maxDistance').optional().isFloat({ gt: 0, max: MAX_SEARCH_DISTANCE_KM })
+    .withMessage(`Max distance must be more than 0 and at most ${MAX_SEARCH_DISTANCE_KM} km`)
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { lat, lng } = req.params;
     const { maxDistance = 50, service } = req.query;
 
@@ -280,14 +307,7 @@ router.get('/nearby/:lat/:lng', async (req, res) => {
       });
     }
 
-    let nearbyBranches = await Branch.findNearby(latitude, longitude, maxDistance);
-
-    // Filter by service type if specified
-    if (service) {
-      nearbyBranches = nearbyBranches.filter(branch => 
-        branch.services.includes(service)
-      );
-    }
+    const nearbyBranches = await Branch.findNearby(latitude, longitude, maxDistance, { service });
 
     res.json({
       success: true,
@@ -306,8 +326,8 @@ router.get('/nearby/:lat/:lng', async (req, res) => {
 
 // @route   GET /api/v1/branches/:id/analytics
 // @desc    Get branch analytics
-// @access  Admin only
-router.get('/:id/analytics', requireAdmin, async (req, res) => {
+// @access  Permission: view_reports (own branch for branch staff)
+router.get('/:id/analytics', requirePermission('view_reports', ownBranch), async (req, res) => {
   try {
     const branch = await Branch.findById(req.params.id)
       .populate('assignedTrucks', 'status')
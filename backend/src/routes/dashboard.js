@@ -4,6 +4,7 @@ import Truck from '../models/Truck.js';
 import Branch from '../models/Branch.js';
 import Booking from '../models/Booking.js';
 import Message from '../models/Message.js';
+import Notification from '../models/Notification.js';
 import { requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -224,85 +225,32 @@ router.get('/fleet-map', requireAdmin, async (req, res) => {
 });
 
 // @route   GET /api/v1/dashboard/notifications
-// @desc    Get real-time notifications
+// @desc    Get the admin's latest notifications with counts
 // @access  Admin only
 router.get('/notifications', requireAdmin, async (req, res) => {
   try {
-    const notifications = [];
-
-    // Unread messages
-    const unreadMessages = await Message.find({
-      senderType: 'user',
-      isRead: false
-    })
-      .populate('sender', 'name email')
-      .sort({ createdAt: -1 })
-      .limit(10);
-
-    unreadMessages.forEach(msg => {
-      notifications.push({
-        id: msg._id,
-        type: 'message',
-        title: 'New Message',
-        message: `Message from ${msg.sender.name}`,
-        timestamp: msg.createdAt,
-        priority: 'medium',
-        isRead: false
-      });
-    });
-
-    // Maintenance due
-    const maintenanceDue = await Truck.find({
-      $or: [
-        { status: 'maintenance' },
-        { 'maintenance.nextService': { $lte: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) } }
-      ]
-    }).limit(5);
-
-    maintenanceDue.forEach(truck => {
-      notifications.push({
-        id: `maintenance-${truck._id}`,
-        type: 'maintenance',
-        title: 'Maintenance Due',
-        message: `Truck ${truck.truckId} needs maintenance`,
-        timestamp: truck.maintenance.nextService || new Date(),
-        priority: 'high',
-        isRead: false
-      });
-    });
-
-    // Pending bookings
-    const pendingBookings = await Booking.find({
-      status: 'pending'
-    })
-      .populate('customer', 'name')
-      .sort({ createdAt: -1 })
-      .limit(5);
-
-    pendingBookings.forEach(booking => {
-      notifications.push({
-        id: `booking-${booking._id}`,
-        type: 'booking',
-        title: 'New Booking',
-        message: `New booking from ${booking.customer.name}`,
-        timestamp: booking.createdAt,
-        priority: 'medium',
-        isRead: false
-      });
-    });
-
-    // Sort by timestamp (newest first)
-    notifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const [notifications, total, unread, high] = await Promise.all([
+      Notification.find({ recipient: req.user._id })
+        .sort({ createdAt: -1 })
+        .limit(20),
+      Notification.countDocuments({ recipient: req.user._id }),
+      Notification.countUnread(req.user._id),
+      Notification.countDocuments({ recipient: req.user._id, isRead: false, priority: 'high' })
+    ]);
 
     res.json({
       success: true,
       data: {
-        notifications: notifications.slice(0, 20), // Limit to 20 most recent
-        counts: {
-          total: notifications.length,
-          unread: notifications.filter(n => !n.isRead).length,
-          high: notifications.filter(n => n.priority === 'high').length
-        }
+        notifications: notifications.map(notification => ({
+          id: notification._id,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          timestamp: notification.createdAt,
+          priority: notification.priority,
+          isRead: notification.isRead
+        })),
+        counts: { total, unread, high }
       }
     });
 
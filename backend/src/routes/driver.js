@@ -0,0 +1,354 @@
+import express from 'express';
+import fs from 'fs';
+import { body, param, validationResult } from 'express-validator';
+import Booking from '../models/Booking.js';
+import PickupRequest from '../models/PickupRequest.js';
+import Truck from '../models/Truck.js';
+import { uploadProofOfDelivery, handleUploadError, processUploadedFiles } from '../middleware/upload.js';
+import {
+  BOOKING_ACTIONS,
+  PICKUP_ACTIONS,
+  driverBookingFilter,
+  advanceBooking,
+  advancePickup,
+  recordProofOfDelivery
+} from '../services/driverJobService.js';
+import { declineOffer } from '../services/dispatchService.js';
+
+const router = express.Router();
+
+const ACTIVE_DRIVER_BOOKING_STATUSES = ['confirmed', 'assigned', 'in_progress'];
+const ACTIVE_PICKUP_STATUSES = ['dispatched', 'en-route', 'at-location'];
+
+// Every driver route works on the truck the driver is linked to
+router.use(async (req, res, next) => {
+  try {
+    req.truck = await Truck.findByDriver(req.user._id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Uploaded files are kept only if the proof of delivery is saved
+const removeUploads = (files = {}) => {
+  Object.values(files).flat().forEach(file => fs.unlink(file.path, () => {}));
+};
+
+// @route   GET /api/v1/driver/truck
+// @desc    Get the truck the driver is assigned to
+// @access  Driver only
+router.get('/truck', async (req, res) => {
+  if (!req.truck) {
+    return res.status(404).json({
+      success: false,
+      message: 'You are not assigned to a truck'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: req.truck
+  });
+});
+
+// @route   PUT /api/v1/driver/location
+// @desc    Report the location of the driver's truck
+// @access  Driver only
+router.put('/location', [
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('address').optional().trim(),
+  body('speed').optional().isFloat({ min: 0 }).withMessage('Speed must be a positive number of km/h'),
+  body('heading').optional().isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360 degrees'),
+  body('accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number of metres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (!req.truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not assigned to a truck'
+      });
+    }
+
+    const { latitude, longitude, address = '', speed, heading, accuracy } = req.body;
+    await req.truck.updateLocation(latitude, longitude, address, { speed, heading, accuracy });
+
+    req.app.get('eventBus').publish('truck.location_updated', {
+      truckId: req.truck._id,
+      location: req.truck.currentLocation,
+      status: req.truck.status
+    });
+
+    res.json({
+      success: true,
+      message: 'Location updated successfully',
+      data: {
+        currentLocation: req.truck.currentLocation,
+        lastSeen: req.truck.lastSeen
+      }
+    });
+
+  } catch (error) {
+    console.error('Driver location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating location'
+    });
+  }
+});
+
+// @route   GET /api/v1/driver/bookings
+// @desc    Get bookings assigned to the driver (active ones unless ?status is given)
+// @access  Driver only
+router.get('/bookings', async (req, res) => {
+  try {
+    const filter = {
+      ...driverBookingFilter(req.user, req.truck),
+      status: req.query.status || { $in: ACTIVE_DRIVER_BOOKING_STATUSES }
+    };
+
+    const bookings = await Booking.find(filter)
+      .populate('customer', 'name phone')
+      .populate('truck', 'truckId vehicle.licensePlate')
+      .select('-pricing.rateCard')
+      .sort({ 'schedule.startDate': 1 });
+
+    res.json({
+      success: true,
+      data: bookings,
+      count: bookings.length
+    });
+
+  } catch (error) {
+    console.error('Get driver bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving bookings'
+    });
+  }
+});
+
+// @route   GET /api/v1/driver/pickups
+// @desc    Get pickup requests dispatched to the driver's truck
+// @access  Driver only
+router.get('/pickups', async (req, res) => {
+  try {
+    if (!req.truck) {
+      return res.json({ success: true, data: [], count: 0 });
+    }
+
+    const pickups = await PickupRequest.find({
+      assignedTruck: req.truck._id,
+      status: req.query.status || { $in: ACTIVE_PICKUP_STATUSES }
+    }).sort({ dispatchTime: 1 });
+
+    res.json({
+      success: true,
+      data: pickups,
+      count: pickups.length
+    });
+
+  } catch (error) {
+    console.error('Get driver pickups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving pickup requests'
+    });
+  }
+});
+
+// @route   POST /api/v1/driver/bookings/:id/proof-of-delivery
+// @desc    Record proof of delivery (multipart: photo, signature, recipientName)
+// @access  Driver only
+router.post('/bookings/:id/proof-of-delivery', uploadProofOfDelivery, handleUploadError, [
+  param('id').isMongoId().withMessage('Invalid booking'),
+  body('recipientName').trim().notEmpty().withMessage('Recipient name is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const [photo] = processUploadedFiles(req.files?.photo);
+    const [signature] = processUploadedFiles(req.files?.signature);
+
+    if (!photo || !signature || [photo, signature].some(file => !file.type.startsWith('image/'))) {
+      removeUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'A delivery photo and a signature image are required'
+      });
+    }
+
+    const booking = await recordProofOfDelivery(
+      req.params.id,
+      { recipientName: req.body.recipientName, photo, signature },
+      { user: req.user, truck: req.truck }
+    );
+
+    req.app.get('eventBus').publish('booking.proof_of_delivery_recorded', {
+      bookingId: booking._id,
+      bookingNumber: booking.bookingNumber,
+      recipientName: req.body.recipientName,
+      driverId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Proof of delivery recorded',
+      data: booking
+    });
+
+  } catch (error) {
+    removeUploads(req.files);
+    console.error('Proof of delivery error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error recording proof of delivery',
+      code: error.code
+    });
+  }
+});
+
+// @route   POST /api/v1/driver/bookings/:id/:action
+// @desc    Accept, arrive at, start or complete a booking, in that order
+// @access  Driver only
+router.post('/bookings/:id/:action', [
+  param('id').isMongoId().withMessage('Invalid booking'),
+  param('action').isIn(BOOKING_ACTIONS).withMessage(`Action must be one of: ${BOOKING_ACTIONS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await advanceBooking(req.params.id, req.params.action, {
+      user: req.user,
+      truck: req.truck,
+      eventBus: req.app.get('eventBus')
+    });
+    const latest = booking.timeline[booking.timeline.length - 1];
+
+    req.app.get('eventBus').publish('booking.status_changed', {
+      bookingId: booking._id,
+      bookingNumber: booking.bookingNumber,
+      customerId: booking.customer,
+      status: booking.status,
+      step: latest.status,
+      driverId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: `Booking ${latest.status.replace('_', ' ')}`,
+      data: booking
+    });
+
+  } catch (error) {
+    console.error('Driver booking transition error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating booking',
+      code: error.code
+    });
+  }
+});
+
+// @route   POST /api/v1/driver/pickups/:id/decline
+// @desc    Turn down a pickup the auto-dispatcher offered to the driver's truck
+// @access  Driver only
+router.post('/pickups/:id/decline', [
+  param('id').isMongoId().withMessage('Invalid pickup request'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    await declineOffer(req.params.id, {
+      truck: req.truck,
+      user: req.user,
+      reason: req.body.reason,
+      eventBus: req.app.get('eventBus')
+    });
+
+    res.json({
+      success: true,
+      message: 'Pickup declined'
+    });
+
+  } catch (error) {
+    console.error('Driver pickup decline error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error declining pickup request',
+      code: error.code
+    });
+  }
+});
+
+// @route   POST /api/v1/driver/pickups/:id/:action
+// @desc    Accept, arrive at or complete a pickup request, in that order
+// @access  Driver only
+router.post('/pickups/:id/:action', [
+  param('id').isMongoId().withMessage('Invalid pickup request'),
+  param('action').isIn(PICKUP_ACTIONS).withMessage(`Action must be one of: ${PICKUP_ACTIONS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pickup = await advancePickup(req.params.id, req.params.action, { truck: req.truck });
+
+    req.app.get('eventBus').publish('pickup.status_changed', {
+      pickupId: pickup._id,
+      userId: pickup.userId,
+      status: pickup.status,
+      driverId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Pickup status updated',
+      data: pickup
+    });
+
+  } catch (error) {
+    console.error('Driver pickup transition error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating pickup request',
+      code: error.code
+    });
+  }
+});
+
+export default router;
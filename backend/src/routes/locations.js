@@ -1,5 +1,5 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import Location from '../models/Location.js';
 import { requireAdmin } from '../middleware/auth.js';
 
@@ -67,12 +67,10 @@ router.post('/', [
       .populate('user', 'name email phone role');
 
     // Broadcast location update to admins
-    const io = req.app.get('socketio');
-    io.to('admin-room').emit('location-shared', {
+    req.app.get('eventBus').publish('location.shared', {
       userId: req.user._id,
       userName: req.user.name,
-      location: populatedLocation,
-      timestamp: new Date()
+      location: populatedLocation
     });
 
     res.status(201).json({
@@ -144,9 +142,9 @@ router.get('/all', requireAdmin, async (req, res) => {
 // @desc    Find nearby locations
 // @access  Private
 router.get('/nearby', [
-  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
-  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
-  body('radius').optional().isFloat({ min: 0.1, max: 100 }).withMessage('Radius must be between 0.1 and 100 km')
+  query('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('radius').optional().isFloat({ min: 0.1, max: 100 }).withMessage('Radius must be between 0.1 and 100 km')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
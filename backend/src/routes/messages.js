@@ -88,28 +88,17 @@ router.post('/', [
       autoReply = await Message.sendAutoReply(req.user._id);
     }
 
-    // Emit real-time notification
-    const io = req.app.get('socketio');
-    const eventData = {
+    // Emit real-time notification: admins write to one user, users write to all admins
+    req.app.get('eventBus').publish('message.sent', {
       messageId: message._id,
-      text: message.text,
-      senderType: message.senderType,
-      senderName: req.user.name,
-      senderId: req.user._id,
-      timestamp: message.createdAt,
       conversationId,
+      senderId: req.user._id,
+      senderName: req.user.name,
+      senderType: message.senderType,
+      recipientId: recipient,
+      text: message.text,
       message: populatedMessage
-    };
-
-    if (isAdmin && recipientId) {
-      // Admin sending to specific user
-      io.to(`user-${recipientId}`).emit('message-received', eventData);
-      console.log(`📨 Admin message sent to user ${recipientId}`);
-    } else if (!isAdmin) {
-      // User sending to all admins
-      io.to('admin-room').emit('message-received', eventData);
-      console.log(`📨 User message sent to admin room from ${req.user.name}`);
-    }
+    });
 
     res.status(201).json({
       success: true,
@@ -0,0 +1,343 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Notification, { NOTIFICATION_TYPES, DELIVERY_CHANNELS } from '../models/Notification.js';
+import { normalizePhoneNumber } from '../services/sms/phone.js';
+import { optInPhone } from '../services/smsService.js';
+import { getPushPublicKey, saveSubscription, removeSubscription } from '../services/pushService.js';
+
+const router = express.Router();
+
+// @route   GET /api/v1/notifications
+// @desc    Get the current user's notifications, newest first (?page, ?limit, ?unread=true, ?type)
+// @access  Private
+router.get('/', [
+  query('type').optional().isIn(NOTIFICATION_TYPES).withMessage('Invalid notification type'),
+  query('unread').optional().isBoolean().withMessage('unread must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page, limit, type, unread } = req.query;
+    const filter = { recipient: req.user._id };
+    if (type) filter.type = type;
+    if (unread === 'true') filter.isRead = false;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .select('-sourceEvent -expiresAt')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Notification.countDocuments(filter),
+      Notification.countUnread(req.user._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      count: notifications.length,
+      unreadCount,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving notifications'
+    });
+  }
+});
+
+// @route   GET /api/v1/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Private
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving unread count'
+    });
+  }
+});
+
+// @route   GET /api/v1/notifications/preferences
+// @desc    Get which channels notifications are sent over besides the app
+// @access  Private
+router.get('/preferences', (req, res) => {
+  res.json({
+    success: true,
+    data: req.user.preferences.notifications
+  });
+});
+
+// @route   PUT /api/v1/notifications/preferences
+// @desc    Switch email, SMS and push notifications on or off
+// @access  Private
+router.put('/preferences', DELIVERY_CHANNELS.map(channel =>
+  body(channel).optional().isBoolean().withMessage(`${channel} must be true or false`)
+), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Switching SMS on is consent again after an earlier STOP reply
+    const phone = normalizePhoneNumber(req.user.phone);
+    if (req.body.sms === true) {
+      if (!phone) {
+        return res.status(400).json({
+          success: false,
+          message: 'Add a valid phone number to your profile to receive SMS',
+          code: 'INVALID_PHONE'
+        });
+      }
+      await optInPhone(phone);
+    }
+
+    DELIVERY_CHANNELS.forEach(channel => {
+      if (req.body[channel] !== undefined) {
+        req.user.preferences.notifications[channel] = req.body[channel];
+      }
+    });
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: req.user.preferences.notifications
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification preferences'
+    });
+  }
+});
+
+// @route   GET /api/v1/notifications/push/public-key
+// @desc    VAPID public key browsers subscribe with (null when push is not set up)
+// @access  Private
+router.get('/push/public-key', (req, res) => {
+  const publicKey = getPushPublicKey();
+  res.json({
+    success: true,
+    data: { enabled: Boolean(publicKey), publicKey }
+  });
+});
+
+// @route   POST /api/v1/notifications/push/subscriptions
+// @desc    Register this browser's push subscription
+// @access  Private
+router.post('/push/subscriptions', [
+  body('endpoint').isURL({ protocols: ['https'], require_tld: false }).withMessage('Valid HTTPS endpoint is required'),
+  body('keys.p256dh').isString().notEmpty().withMessage('keys.p256dh is required'),
+  body('keys.auth').isString().notEmpty().withMessage('keys.auth is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (!getPushPublicKey()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Push notifications are not configured',
+        code: 'PUSH_NOT_CONFIGURED'
+      });
+    }
+
+    const subscription = await saveSubscription(req.user._id, req.body, req.get('user-agent'));
+
+    res.status(201).json({
+      success: true,
+      message: 'Push notifications enabled on this device',
+      data: { id: subscription._id, endpoint: subscription.endpoint }
+    });
+
+  } catch (error) {
+    console.error('Save push subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving push subscription'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/notifications/push/subscriptions
+// @desc    Remove this browser's push subscription (by endpoint)
+// @access  Private
+router.delete('/push/subscriptions', [
+  body('endpoint').isString().notEmpty().withMessage('endpoint is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await removeSubscription(req.user._id, req.body.endpoint);
+
+    res.json({
+      success: true,
+      message: result.deletedCount ? 'Push notifications disabled on this device' : 'No subscription for this device'
+    });
+
+  } catch (error) {
+    console.error('Remove push subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing push subscription'
+    });
+  }
+});
+
+// @route   PUT /api/v1/notifications/read-all
+// @desc    Mark all notifications as read, optionally only of one type
+// @access  Private
+router.put('/read-all', [
+  body('type').optional().isIn(NOTIFICATION_TYPES).withMessage('Invalid notification type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await Notification.markAllRead(req.user._id, req.body.type);
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      data: { updated: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notifications'
+    });
+  }
+});
+
+// @route   PUT /api/v1/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', [
+  param('id').isMongoId().withMessage('Invalid notification')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user._id },
+      { isRead: true, readAt: new Date() },
+      { new: true }
+    ).select('-sourceEvent -expiresAt');
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid notification')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, recipient: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting notification'
+    });
+  }
+});
+
+export default router;
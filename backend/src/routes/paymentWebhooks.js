@@ -0,0 +1,46 @@
+import express from 'express';
+import { getPaymentProvider, getAvailableProviders } from '../services/payments/index.js';
+import { handleWebhookEvent } from '../services/paymentService.js';
+
+const router = express.Router();
+
+// @route   POST /api/v1/payments/webhook/:provider
+// @desc    Receive signed payment events from a provider
+// @access  Public (verified by provider signature)
+router.post('/:provider', async (req, res) => {
+  try {
+    // Only providers in use take webhooks; the fake one is usually not
+    if (!getAvailableProviders().includes(req.params.provider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment provider not available'
+      });
+    }
+    const provider = getPaymentProvider(req.params.provider);
+
+    // Signatures are computed over the exact bytes the provider sent
+    if (!req.rawBody) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing request body'
+      });
+    }
+
+    const signature = provider.getWebhookSignature
+      ? provider.getWebhookSignature(req)
+      : req.header(provider.signatureHeader);
+    const event = provider.parseWebhook(req.rawBody, signature);
+    await handleWebhookEvent(provider.name, event, req.app.get('eventBus'));
+
+    res.json(provider.webhookAck || { received: true });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error processing webhook'
+    });
+  }
+});
+
+export default router;
@@ -1,29 +1,345 @@
-// backend/routes/payments.js
 import express from 'express';
-import Stripe from 'stripe';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { body, validationResult } from 'express-validator';
+import Payment from '../models/Payment.js';
+import Booking from '../models/Booking.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { getPaymentProvider, getAvailableProviders } from '../services/payments/index.js';
+import {
+  resolvePayable,
+  createPayment,
+  confirmPayment,
+  refundPayment,
+  reconcilePendingPayments
+} from '../services/paymentService.js';
+import { getBookingAmountDue } from '../services/invoiceService.js';
 
 const router = express.Router();
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-// Create Payment Intent
-router.post('/create-payment-intent', async (req, res) => {
+// Send errors raised with an HTTP statusCode as-is, anything else as a 500
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage,
+    ...(error.code && typeof error.code === 'string' && { code: error.code })
+  });
+};
+
+// Load a payment the current user may see
+const findAccessiblePayment = async (req, res, id) => {
+  const payment = await Payment.findById(id);
+
+  if (!payment) {
+    res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+    return null;
+  }
+
+  if (!req.user.isAdminUser() && payment.customer.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return payment;
+};
+
+// @route   GET /api/v1/payments/config
+// @desc    Get payment provider settings for the frontend
+// @access  Private
+router.get('/config', (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+
+    res.json({
+      success: true,
+      data: {
+        provider: provider.name,
+        providers: getAvailableProviders(),
+        ...provider.getClientConfig()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payment config error:', error);
+    sendError(res, error, 'Error fetching payment settings');
+  }
+});
+
+// @route   GET /api/v1/payments/payable
+// @desc    Get the current user's unpaid bookings and service requests
+// @access  Private
+router.get('/payable', async (req, res) => {
+  try {
+    const [bookings, serviceRequests] = await Promise.all([
+      Booking.find({ customer: req.user._id, paymentStatus: 'unpaid', status: { $ne: 'cancelled' } }),
+      ServiceRequest.find({ customer: req.user._id, paymentStatus: 'unpaid', status: { $nin: ['rejected', 'cancelled'] } })
+    ]);
+
+    // Booking amounts include tax the branch adds on top of its prices
+    const bookingAmounts = await Promise.all(bookings.map(booking => getBookingAmountDue(booking)));
+
+    const payable = [
+      ...bookings.map((booking, index) => ({
+        type: 'booking',
+        id: booking._id,
+        reference: booking.bookingNumber,
+        description: `${booking.serviceType} booking`,
+        amount: bookingAmounts[index],
+        currency: booking.pricing.currency
+      })),
+      ...serviceRequests.map(request => ({
+        type: 'serviceRequest',
+        id: request._id,
+        reference: request.requestNumber,
+        description: request.serviceType,
+        amount: request.calculateTotal(),
+        currency: request.currency
+      }))
+    ].filter(item => item.amount > 0);
+
+    res.json({
+      success: true,
+      data: payable,
+      count: payable.length
+    });
+
+  } catch (error) {
+    console.error('Get payable items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving payable items'
+    });
+  }
+});
+
+// @route   GET /api/v1/payments
+// @desc    Get payments
+// @access  Private
+router.get('/', async (req, res) => {
   try {
-    const { amount } = req.body;
+    const { status, booking, serviceRequest } = req.query;
+    const filter = {};
+
+    // Non-admin users can only see their own payments
+    if (!req.user.isAdminUser()) {
+      filter.customer = req.user._id;
+    } else if (req.query.customer) {
+      filter.customer = req.query.customer;
+    }
+
+    if (status) filter.status = status;
+    if (booking) filter.booking = booking;
+    if (serviceRequest) filter.serviceRequest = serviceRequest;
+
+    const payments = await Payment.find(filter)
+      .populate('customer', 'name email phone')
+      .populate('booking', 'bookingNumber serviceType')
+      .populate('serviceRequest', 'requestNumber serviceType')
+      .sort({ createdAt: -1 });
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount, // amount in cents
-      currency: 'usd',
+    res.json({
+      success: true,
+      data: payments,
+      count: payments.length
     });
 
-    res.send({
-      clientSecret: paymentIntent.client_secret,
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving payments'
+    });
+  }
+});
+
+// @route   GET /api/v1/payments/:id
+// @desc    Get single payment
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const payment = await findAccessiblePayment(req, res, req.params.id);
+    if (!payment) return;
+
+    res.json({
+      success: true,
+      data: payment
+    });
+
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving payment'
     });
+  }
+});
+
+// @route   POST /api/v1/payments/create-payment-intent
+// @desc    Start a payment for a booking or service request
+// @access  Private
+router.post('/create-payment-intent', [
+  body('bookingId').optional().isMongoId().withMessage('Valid booking ID required'),
+  body('serviceRequestId').optional().isMongoId().withMessage('Valid service request ID required'),
+  body('provider').optional().isIn(['stripe', 'mpesa', 'fake']).withMessage('Invalid payment provider'),
+  body('phoneNumber').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // The amount always comes from the booking or request, never from the client
+    const payable = await resolvePayable(req.body, req.user);
+    const { payment, clientSecret, customerMessage } = await createPayment(payable, req.app.get('eventBus'), {
+      provider: req.body.provider,
+      phoneNumber: req.body.phoneNumber || req.user.phone
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        paymentId: payment._id,
+        provider: payment.provider,
+        clientSecret,
+        paymentIntentId: payment.providerPaymentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        description: payment.description,
+        customerMessage
+      }
+    });
+
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    sendError(res, error, 'Error creating payment');
+  }
+});
+
+// @route   POST /api/v1/payments/confirm-payment
+// @desc    Confirm a payment with the provider after checkout
+// @access  Private
+router.post('/confirm-payment', [
+  body('paymentId').optional().isMongoId().withMessage('Valid payment ID required'),
+  body('paymentIntentId').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { paymentId, paymentIntentId } = req.body;
+    if (!paymentId && !paymentIntentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'paymentId or paymentIntentId is required'
+      });
+    }
+
+    // Stripe.js hands back the PaymentIntent ID, so accept either
+    let id = paymentId;
+    if (!id) {
+      const match = await Payment.findOne({ providerPaymentId: paymentIntentId }).select('_id');
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+      id = match._id;
+    }
+
+    const found = await findAccessiblePayment(req, res, id);
+    if (!found) return;
+
+    const payment = await confirmPayment(found, req.app.get('eventBus'));
+
+    res.json({
+      success: payment.status === 'succeeded',
+      message: payment.status === 'succeeded'
+        ? 'Payment confirmed successfully'
+        : `Payment ${payment.status}${payment.failureReason ? `: ${payment.failureReason}` : ''}`,
+      data: payment
+    });
+
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+    sendError(res, error, 'Error confirming payment');
+  }
+});
+
+// @route   POST /api/v1/payments/reconcile
+// @desc    Poll the provider for pending M-Pesa payments now
+// @access  Admin only
+router.post('/reconcile', requireAdmin, async (req, res) => {
+  try {
+    const settled = await reconcilePendingPayments(req.app.get('eventBus'));
+
+    res.json({
+      success: true,
+      message: `Payment reconciliation settled ${settled} payment(s)`,
+      data: { settled }
+    });
+
+  } catch (error) {
+    console.error('Reconcile payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling payments'
+    });
+  }
+});
+
+// @route   POST /api/v1/payments/:id/refund
+// @desc    Refund a payment in full or in part
+// @access  Admin only
+router.post('/:id/refund', requireAdmin, [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be greater than 0'),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const payment = await findAccessiblePayment(req, res, req.params.id);
+    if (!payment) return;
+
+    const refunded = await refundPayment(payment, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      refundedBy: req.user._id
+    }, req.app.get('eventBus'));
+
+    const message = refunded.amountRefundPending > 0
+      ? 'Refund requested; waiting for the provider to confirm it'
+      : refunded.status === 'refunded' ? 'Payment refunded' : 'Payment partially refunded';
+
+    res.json({
+      success: true,
+      message,
+      data: refunded
+    });
+
   } catch (error) {
-    console.error(error);
-    res.status(500).send({ error: error.message });
+    console.error('Refund payment error:', error);
+    sendError(res, error, 'Error refunding payment');
   }
 });
 
@@ -0,0 +1,104 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { PERMISSION_SCOPES } from '../models/RolePermission.js';
+import { requirePermission } from '../middleware/auth.js';
+import {
+  PERMISSIONS,
+  getPermissionMatrix,
+  setRolePermissions,
+  resetRolePermissions
+} from '../services/permissionService.js';
+
+const router = express.Router();
+
+router.use(requirePermission('manage_permissions'));
+
+// @route   GET /api/v1/permissions
+// @desc    Get the permission matrix of every role
+// @access  Permission: manage_permissions
+router.get('/', async (req, res) => {
+  try {
+    const roles = await getPermissionMatrix();
+
+    res.json({
+      success: true,
+      data: {
+        roles,
+        permissions: PERMISSIONS,
+        scopes: PERMISSION_SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving permissions'
+    });
+  }
+});
+
+// @route   PUT /api/v1/permissions/:role
+// @desc    Replace a role's permissions and scope
+// @access  Permission: manage_permissions
+router.put('/:role', [
+  body('permissions').isArray().withMessage('Permissions must be a list'),
+  body('permissions.*').isString().withMessage('Permissions must be names'),
+  body('scope').isIn(PERMISSION_SCOPES).withMessage('Invalid scope')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const rolePermissions = await setRolePermissions(
+      req.params.role,
+      { permissions: req.body.permissions, scope: req.body.scope },
+      req.user._id,
+      req.app.get('eventBus')
+    );
+
+    res.json({
+      success: true,
+      message: 'Permissions updated successfully',
+      data: { role: req.params.role, ...rolePermissions }
+    });
+
+  } catch (error) {
+    console.error('Update permissions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating permissions',
+      code: error.code
+    });
+  }
+});
+
+// @route   DELETE /api/v1/permissions/:role
+// @desc    Reset a role to its default permissions
+// @access  Permission: manage_permissions
+router.delete('/:role', async (req, res) => {
+  try {
+    const rolePermissions = await resetRolePermissions(req.params.role, req.user._id, req.app.get('eventBus'));
+
+    res.json({
+      success: true,
+      message: 'Permissions reset to defaults',
+      data: { role: req.params.role, ...rolePermissions }
+    });
+
+  } catch (error) {
+    console.error('Reset permissions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error resetting permissions',
+      code: error.code
+    });
+  }
+});
+
+export default router;
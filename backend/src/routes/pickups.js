@@ -1,31 +1,19 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import mongoose from 'mongoose';
+import { body, param, validationResult } from 'express-validator';
+import PickupRequest, { PICKUP_STATUSES } from '../models/PickupRequest.js';
 import { requireAdmin } from '../middleware/auth.js';
+import { autoDispatch, takeOverDispatch } from '../services/dispatchService.js';
+import { getPickupTracking } from '../services/trackingService.js';
+import { createTrackingLink, listTrackingLinks, revokeTrackingLink } from '../services/trackingLinkService.js';
 
 const router = express.Router();
 
-// Simple pickup request schema (you can enhance this or create a proper model)
-const PickupRequest = mongoose.model('PickupRequest', new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  userName: { type: String, required: true },
-  userPhone: String,
-  pickupLocation: {
-    latitude: { type: Number, required: true },
-    longitude: { type: Number, required: true },
-    address: String
-  },
-  status: {
-    type: String,
-    enum: ['pending', 'dispatched', 'en-route', 'at-location', 'completed', 'cancelled'],
-    default: 'pending'
-  },
-  assignedTruck: { type: mongoose.Schema.Types.ObjectId, ref: 'Truck' },
-  requestTime: { type: Date, default: Date.now },
-  dispatchTime: Date,
-  completionTime: Date,
-  notes: String
-}, { timestamps: true }));
+// Someone else's pickup looks the same as a missing one
+const findOwnPickup = async (req) => {
+  const pickupRequest = await PickupRequest.findById(req.params.id).select('-dispatchLog');
+  if (!pickupRequest || (!pickupRequest.userId.equals(req.user._id) && !req.user.isAdminUser())) return null;
+  return pickupRequest;
+};
 
 // @route   GET /api/v1/pickups
 // @desc    Get pickup requests
@@ -45,6 +33,7 @@ router.get('/', async (req, res) => {
     }
 
     const pickupRequests = await PickupRequest.find(filter)
+      .select('-dispatchLog')
       .populate('userId', 'name email phone')
       .populate('assignedTruck', 'truckId driver vehicle currentLocation status')
       .sort({ createdAt: -1 });
@@ -64,13 +53,178 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/v1/pickups/:id/tracking
+// @desc    Get the assigned truck's latest position, the ETA and the status history
+// @access  Private (owner or admin)
+router.get('/:id/tracking', [
+  param('id').isMongoId().withMessage('Invalid pickup request')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pickupRequest = await findOwnPickup(req);
+    if (!pickupRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pickup request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getPickupTracking(pickupRequest)
+    });
+
+  } catch (error) {
+    console.error('Get pickup tracking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving pickup tracking'
+    });
+  }
+});
+
+// @route   POST /api/v1/pickups/:id/tracking-links
+// @desc    Create a signed, expiring link that lets someone without an account track the pickup
+// @access  Private (owner or admin)
+router.post('/:id/tracking-links', [
+  param('id').isMongoId().withMessage('Invalid pickup request'),
+  body('recipientName').optional().trim().isLength({ max: 100 }).withMessage('Recipient name too long'),
+  body('expiresInHours').optional().isFloat({ min: 0.25 }).withMessage('Expiry must be at least 0.25 hours')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pickupRequest = await findOwnPickup(req);
+    if (!pickupRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pickup request not found'
+      });
+    }
+
+    const { link, token, url } = await createTrackingLink('pickup', pickupRequest, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tracking link created',
+      data: { link, token, url }
+    });
+
+  } catch (error) {
+    console.error('Create pickup tracking link error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating tracking link',
+      code: error.code
+    });
+  }
+});
+
+// @route   GET /api/v1/pickups/:id/tracking-links
+// @desc    List the pickup's tracking links, with their views and whether they were revoked
+// @access  Private (owner or admin)
+router.get('/:id/tracking-links', [
+  param('id').isMongoId().withMessage('Invalid pickup request')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pickupRequest = await findOwnPickup(req);
+    if (!pickupRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pickup request not found'
+      });
+    }
+
+    const links = await listTrackingLinks('pickup', pickupRequest._id);
+
+    res.json({
+      success: true,
+      data: links,
+      count: links.length
+    });
+
+  } catch (error) {
+    console.error('Get pickup tracking links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving tracking links'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/pickups/:id/tracking-links/:linkId
+// @desc    Revoke a tracking link; it stops working straight away
+// @access  Private (owner or admin)
+router.delete('/:id/tracking-links/:linkId', [
+  param('id').isMongoId().withMessage('Invalid pickup request'),
+  param('linkId').isMongoId().withMessage('Invalid tracking link')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pickupRequest = await findOwnPickup(req);
+    if (!pickupRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pickup request not found'
+      });
+    }
+
+    const link = await revokeTrackingLink('pickup', pickupRequest._id, req.params.linkId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Tracking link revoked',
+      data: link
+    });
+
+  } catch (error) {
+    console.error('Revoke pickup tracking link error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error revoking tracking link',
+      code: error.code
+    });
+  }
+});
+
 // @route   POST /api/v1/pickups
 // @desc    Create pickup request
 // @access  Private
 router.post('/', [
   body('pickupLocation.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
   body('pickupLocation.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
-  body('pickupLocation.address').optional().trim().isLength({ max: 200 }).withMessage('Address too long')
+  body('pickupLocation.address').optional().trim().isLength({ max: 200 }).withMessage('Address too long'),
+  body('cargo.weight').optional().isFloat({ min: 0 }).withMessage('Cargo weight must be a positive number of kg'),
+  body('cargo.volume').optional().isFloat({ min: 0 }).withMessage('Cargo volume must be a positive number of m³'),
+  body('cargo.requiredEquipment').optional().isArray().withMessage('Required equipment must be a list')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -99,18 +253,18 @@ router.post('/', [
       userName: req.user.name,
       userPhone: req.user.phone,
       pickupLocation: req.body.pickupLocation,
+      cargo: req.body.cargo,
       notes: req.body.notes
     });
 
     await pickupRequest.save();
 
-    // Emit real-time notification to admins
-    const io = req.app.get('socketio');
-    io.to('admin-room').emit('pickup-request-received', {
-      requestId: pickupRequest._id,
+    // Notify admins in real time
+    req.app.get('eventBus').publish('pickup.created', {
+      pickupId: pickupRequest._id,
+      userId: req.user._id,
       userName: req.user.name,
-      location: pickupRequest.pickupLocation,
-      timestamp: pickupRequest.requestTime
+      location: pickupRequest.pickupLocation
     });
 
     res.status(201).json({
@@ -132,8 +286,7 @@ router.post('/', [
 // @desc    Update pickup request status
 // @access  Admin
 router.put('/:id/status', requireAdmin, [
-  body('status').isIn(['pending', 'dispatched', 'en-route', 'at-location', 'completed', 'cancelled'])
-    .withMessage('Invalid status')
+  body('status').isIn(PICKUP_STATUSES).withMessage('Invalid status')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -166,12 +319,11 @@ router.put('/:id/status', requireAdmin, [
       });
     }
 
-    // Emit real-time update to user
-    const io = req.app.get('socketio');
-    io.to(`user-${pickupRequest.userId._id}`).emit('pickup-status-updated', {
-      requestId: pickupRequest._id,
-      status: pickupRequest.status,
-      timestamp: new Date()
+    // Notify the user in real time
+    req.app.get('eventBus').publish('pickup.status_changed', {
+      pickupId: pickupRequest._id,
+      userId: pickupRequest.userId._id,
+      status: pickupRequest.status
     });
 
     res.json({
@@ -204,6 +356,11 @@ router.put('/:id/assign-truck', requireAdmin, [
       });
     }
 
+    await takeOverDispatch(req.params.id, req.body.truckId, {
+      by: req.user._id,
+      eventBus: req.app.get('eventBus')
+    });
+
     const pickupRequest = await PickupRequest.findByIdAndUpdate(
       req.params.id,
       { 
@@ -222,15 +379,11 @@ router.put('/:id/assign-truck', requireAdmin, [
       });
     }
 
-    // Emit real-time updates
-    const io = req.app.get('socketio');
-    
-    // Notify user
-    io.to(`user-${pickupRequest.userId._id}`).emit('truck-dispatch-update', {
-      requestId: pickupRequest._id,
-      truck: pickupRequest.assignedTruck,
-      status: 'dispatched',
-      timestamp: pickupRequest.dispatchTime
+    // Notify the user in real time
+    req.app.get('eventBus').publish('pickup.dispatched', {
+      pickupId: pickupRequest._id,
+      userId: pickupRequest.userId._id,
+      truckId: pickupRequest.assignedTruck?._id || req.body.truckId
     });
 
     res.json({
@@ -248,4 +401,85 @@ router.put('/:id/assign-truck', requireAdmin, [
   }
 });
 
+// @route   POST /api/v1/pickups/:id/auto-dispatch
+// @desc    Let the auto-dispatcher pick a truck for a pending pickup request
+// @access  Admin
+router.post('/:id/auto-dispatch', requireAdmin, [
+  param('id').isMongoId().withMessage('Invalid pickup request')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pickupRequest = await autoDispatch(req.params.id, { eventBus: req.app.get('eventBus') });
+    const escalated = pickupRequest?.dispatch.state === 'escalated';
+
+    res.json({
+      success: true,
+      message: escalated
+        ? `No truck could be offered: ${pickupRequest.dispatch.escalationReason}`
+        : 'Pickup offered to the best available truck',
+      data: pickupRequest
+    });
+
+  } catch (error) {
+    console.error('Auto-dispatch pickup error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error dispatching pickup request',
+      code: error.code
+    });
+  }
+});
+
+// @route   GET /api/v1/pickups/:id/dispatch-log
+// @desc    Get why each truck was offered or skipped for a pickup request
+// @access  Admin
+router.get('/:id/dispatch-log', requireAdmin, [
+  param('id').isMongoId().withMessage('Invalid pickup request')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pickupRequest = await PickupRequest.findById(req.params.id)
+      .select('status assignedTruck dispatch dispatchLog')
+      .populate('dispatchLog.by', 'name');
+
+    if (!pickupRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pickup request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: pickupRequest.status,
+        assignedTruck: pickupRequest.assignedTruck,
+        dispatch: pickupRequest.dispatch,
+        log: pickupRequest.dispatchLog
+      }
+    });
+
+  } catch (error) {
+    console.error('Get dispatch log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving dispatch log'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,217 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import PromoCode from '../models/PromoCode.js';
+import { SERVICE_TYPES } from '../models/RateCard.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const promoCodeValidators = [
+  body('discountType').optional().isIn(['percent', 'fixed']).withMessage('Invalid discount type'),
+  body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+  body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+  body('minSubtotal').optional().isFloat({ min: 0 }).withMessage('Minimum spend must be a positive number'),
+  body('serviceTypes').optional().isArray().withMessage('Service types must be a list'),
+  body('serviceTypes.*').isIn(SERVICE_TYPES).withMessage('Invalid service type'),
+  body('branches').optional().isArray().withMessage('Branches must be a list'),
+  body('branches.*').isMongoId().withMessage('Invalid branch'),
+  body(['validFrom', 'validUntil']).optional({ nullable: true }).isISO8601().withMessage('Invalid date'),
+  body('maxRedemptions').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Maximum redemptions must be at least 1'),
+  body('perCustomerLimit').optional().isInt({ min: 1 }).withMessage('Per-customer limit must be at least 1')
+];
+
+// Percentages above 100 would make bookings free and then some
+const checkPercentValue = (data) =>
+  data.discountType !== 'fixed' && data.value > 100 ? 'Percentage discounts cannot exceed 100' : null;
+
+// @route   GET /api/v1/promo-codes
+// @desc    List promo codes
+// @access  Admin only
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const promoCodes = await PromoCode.find(filter)
+      .select('-redemptions')
+      .populate('branches', 'name code')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: promoCodes,
+      count: promoCodes.length
+    });
+
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving promo codes'
+    });
+  }
+});
+
+// @route   GET /api/v1/promo-codes/:id
+// @desc    Get promo code with its redemptions
+// @access  Admin only
+router.get('/:id', requireAdmin, async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id)
+      .populate('branches', 'name code')
+      .populate('redemptions.customer', 'name email')
+      .populate('redemptions.booking', 'bookingNumber status');
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promoCode
+    });
+
+  } catch (error) {
+    console.error('Get promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving promo code'
+    });
+  }
+});
+
+// @route   POST /api/v1/promo-codes
+// @desc    Create promo code
+// @access  Admin only
+router.post('/', requireAdmin, [
+  body('code').trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Code must be 3-30 letters, numbers, dashes or underscores'),
+  body('value').isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+  ...promoCodeValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const percentError = checkPercentValue(req.body);
+    if (percentError) {
+      return res.status(400).json({
+        success: false,
+        message: percentError
+      });
+    }
+
+    // Redemption history is only written when bookings use the code
+    const { redemptions, redemptionCount, ...data } = req.body;
+    const promoCode = new PromoCode({
+      ...data,
+      createdBy: req.user._id
+    });
+    await promoCode.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: promoCode
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code already exists'
+      });
+    }
+    console.error('Create promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating promo code'
+    });
+  }
+});
+
+// @route   PUT /api/v1/promo-codes/:id
+// @desc    Update promo code (the code itself cannot change)
+// @access  Admin only
+router.put('/:id', requireAdmin, promoCodeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const { code, redemptions, redemptionCount, createdBy, ...updates } = req.body;
+    promoCode.set(updates);
+
+    const percentError = checkPercentValue(promoCode);
+    if (percentError) {
+      return res.status(400).json({
+        success: false,
+        message: percentError
+      });
+    }
+
+    await promoCode.save();
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: promoCode
+    });
+
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating promo code'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/promo-codes/:id
+// @desc    Deactivate promo code
+// @access  Admin only
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promo code deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating promo code'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,176 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import RateCard, { SERVICE_TYPES, CAPACITY_CLASSES, SURCHARGE_TRIGGERS } from '../models/RateCard.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const rateCardValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Name is required'),
+  body('serviceType').optional().isIn(SERVICE_TYPES).withMessage('Invalid service type'),
+  body('capacityClass').optional({ nullable: true }).isIn(CAPACITY_CLASSES).withMessage('Invalid capacity class'),
+  body('branch').optional({ nullable: true }).isMongoId().withMessage('Invalid branch'),
+  body(['baseRate', 'distanceRate', 'timeRate', 'minimumCharge']).optional().isFloat({ min: 0 })
+    .withMessage('Rates must be positive numbers'),
+  body(['nightWindow.start', 'nightWindow.end']).optional().matches(TIME_PATTERN)
+    .withMessage('Night window times must be HH:MM'),
+  body('surcharges').optional().isArray().withMessage('Surcharges must be a list'),
+  body('surcharges.*.trigger').isIn(SURCHARGE_TRIGGERS).withMessage('Invalid surcharge trigger'),
+  body('surcharges.*.type').optional().isIn(['percent', 'fixed']).withMessage('Invalid surcharge type'),
+  body('surcharges.*.value').isFloat({ min: 0 }).withMessage('Surcharge value must be a positive number')
+];
+
+const sendDuplicateError = (res) => res.status(400).json({
+  success: false,
+  message: 'An active rate card already exists for this service type, capacity class and branch'
+});
+
+// @route   GET /api/v1/rate-cards
+// @desc    List rate cards
+// @access  Admin only
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const { serviceType, branch, isActive } = req.query;
+    const filter = {};
+
+    if (serviceType) filter.serviceType = serviceType;
+    if (branch) filter.branch = branch;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const rateCards = await RateCard.find(filter)
+      .populate('branch', 'name code')
+      .sort({ serviceType: 1, capacityClass: 1 });
+
+    res.json({
+      success: true,
+      data: rateCards,
+      count: rateCards.length
+    });
+
+  } catch (error) {
+    console.error('Get rate cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving rate cards'
+    });
+  }
+});
+
+// @route   POST /api/v1/rate-cards
+// @desc    Create rate card
+// @access  Admin only
+router.post('/', requireAdmin, [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('serviceType').isIn(SERVICE_TYPES).withMessage('Invalid service type'),
+  ...rateCardValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const rateCard = new RateCard({
+      ...req.body,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    await rateCard.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate card created successfully',
+      data: rateCard
+    });
+
+  } catch (error) {
+    if (error.code === 11000) return sendDuplicateError(res);
+    console.error('Create rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating rate card'
+    });
+  }
+});
+
+// @route   PUT /api/v1/rate-cards/:id
+// @desc    Update rate card
+// @access  Admin only
+router.put('/:id', requireAdmin, rateCardValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { createdBy, ...updates } = req.body;
+    const rateCard = await RateCard.findByIdAndUpdate(
+      req.params.id,
+      { ...updates, updatedBy: req.user._id },
+      { new: true, runValidators: true }
+    );
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rate card updated successfully',
+      data: rateCard
+    });
+
+  } catch (error) {
+    if (error.code === 11000) return sendDuplicateError(res);
+    console.error('Update rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating rate card'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/rate-cards/:id
+// @desc    Deactivate rate card (existing bookings keep their prices)
+// @access  Admin only
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const rateCard = await RateCard.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rate card deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating rate card'
+    });
+  }
+});
+
+export default router;
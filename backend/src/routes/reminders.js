@@ -0,0 +1,124 @@
+import express from 'express';
+import ServiceReminder from '../models/ServiceReminder.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { runMaintenanceScheduler } from '../services/maintenanceScheduler.js';
+
+const router = express.Router();
+
+// @route   GET /api/v1/reminders
+// @desc    Get active service reminders for the current user
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const filter = {
+      owner: req.user._id,
+      status: req.query.status || 'active'
+    };
+    if (req.query.vehicle) filter.vehicle = req.query.vehicle;
+
+    const reminders = await ServiceReminder.find(filter)
+      .populate('vehicle', 'make model licensePlate odometer')
+      .sort({ dueDate: 1 });
+
+    res.json({
+      success: true,
+      data: reminders,
+      count: reminders.length,
+      unreadCount: reminders.filter(r => !r.isRead).length
+    });
+
+  } catch (error) {
+    console.error('Get reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving reminders'
+    });
+  }
+});
+
+// @route   PUT /api/v1/reminders/:id/read
+// @desc    Mark reminder as read
+// @access  Private
+router.put('/:id/read', async (req, res) => {
+  try {
+    const reminder = await ServiceReminder.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      { isRead: true },
+      { new: true }
+    );
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: reminder
+    });
+
+  } catch (error) {
+    console.error('Mark reminder read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating reminder'
+    });
+  }
+});
+
+// @route   PUT /api/v1/reminders/:id/dismiss
+// @desc    Dismiss reminder until the next service cycle
+// @access  Private
+router.put('/:id/dismiss', async (req, res) => {
+  try {
+    const reminder = await ServiceReminder.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    await reminder.dismiss();
+
+    res.json({
+      success: true,
+      message: 'Reminder dismissed',
+      data: reminder
+    });
+
+  } catch (error) {
+    console.error('Dismiss reminder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error dismissing reminder'
+    });
+  }
+});
+
+// @route   POST /api/v1/reminders/run
+// @desc    Run the maintenance scheduler now
+// @access  Admin only
+router.post('/run', requireAdmin, async (req, res) => {
+  try {
+    const processed = await runMaintenanceScheduler(req.app.get('eventBus'));
+
+    res.json({
+      success: true,
+      message: `Maintenance scheduler processed ${processed} reminder(s)`,
+      data: { processed }
+    });
+
+  } catch (error) {
+    console.error('Run maintenance scheduler error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running maintenance scheduler'
+    });
+  }
+});
+
+export default router;
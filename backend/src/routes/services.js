@@ -1,21 +1,104 @@
 import express from 'express';
+import { body, validationResult } from 'express-validator';
+import ServiceRequest, { SERVICE_TYPES, REQUEST_STATUSES, REQUEST_PRIORITIES } from '../models/ServiceRequest.js';
+import Vehicle from '../models/Vehicle.js';
+import { resolveRemindersForService } from '../services/maintenanceScheduler.js';
 import { requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Check if the current user owns the request or is an admin
+const canAccessRequest = (user, serviceRequest) => {
+  const customerId = serviceRequest.customer._id || serviceRequest.customer;
+  return user.isAdminUser() || customerId.toString() === user._id.toString();
+};
+
+// Parts may be sent as names or objects; only admins set prices
+const normalizeSpareParts = (parts, isAdmin) => parts.map(part => {
+  const { name, quantity, unitPrice } = typeof part === 'string' ? { name: part } : part;
+  return isAdmin ? { name, quantity, unitPrice } : { name, quantity };
+});
+
+// @route   GET /api/v1/services/types
+// @desc    Get available service types and suggested parts
+// @access  Private
+router.get('/types', (req, res) => {
+  res.json({
+    success: true,
+    data: SERVICE_TYPES.map(type => ({
+      name: type,
+      suggestedParts: ServiceRequest.getSuggestedParts(type).map(part => part.name)
+    }))
+  });
+});
+
 // @route   GET /api/v1/services
 // @desc    Get service requests
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    // Placeholder for service requests
-    // This would integrate with your existing service request system
+    const {
+      status,
+      serviceType,
+      priority,
+      customer,
+      mechanic,
+      branch,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 50
+    } = req.query;
+    const filter = {};
+
+    // Non-admin users can only see their own requests
+    if (!req.user.isAdminUser()) {
+      filter.customer = req.user._id;
+    } else {
+      if (customer) filter.customer = customer;
+      if (mechanic) filter.assignedMechanic = mechanic;
+      if (branch) filter.branch = branch;
+    }
+
+    // Apply filters
+    if (status) filter.status = { $in: status.split(',') };
+    if (serviceType) filter.serviceType = serviceType;
+    if (priority) filter.priority = priority;
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    const [serviceRequests, total] = await Promise.all([
+      ServiceRequest.find(filter)
+        .populate('customer', 'name email phone')
+        .populate('assignedMechanic', 'name email phone')
+        .populate('branch', 'name code location.city')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      ServiceRequest.countDocuments(filter)
+    ]);
+
     res.json({
       success: true,
-      data: [],
-      message: 'Service requests endpoint - integrate with existing system'
+      data: serviceRequests,
+      count: serviceRequests.length,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
     });
+
   } catch (error) {
+    console.error('Get service requests error:', error);
     res.status(500).json({
       success: false,
       message: 'Error retrieving service requests'
@@ -23,17 +106,130 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/v1/services/:id
+// @desc    Get single service request
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const serviceRequest = await ServiceRequest.findById(req.params.id)
+      .populate('customer', 'name email phone')
+      .populate('assignedMechanic', 'name email phone')
+      .populate('branch', 'name code location contact')
+      .populate('statusHistory.updatedBy', 'name role');
+
+    if (!serviceRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    if (!canAccessRequest(req.user, serviceRequest)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serviceRequest
+    });
+
+  } catch (error) {
+    console.error('Get service request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving service request'
+    });
+  }
+});
+
 // @route   POST /api/v1/services
 // @desc    Create service request
 // @access  Private
-router.post('/', async (req, res) => {
+router.post('/', [
+  body('serviceType').isIn(SERVICE_TYPES).withMessage('Invalid service type'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description too long'),
+  body('priority').optional().isIn(REQUEST_PRIORITIES).withMessage('Invalid priority'),
+  body('preferredDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid preferred date required'),
+  body('spareParts').optional().isArray().withMessage('Spare parts must be a list'),
+  body('branch').optional().isMongoId().withMessage('Valid branch ID required'),
+  body('vehicleId').optional({ checkFalsy: true }).isMongoId().withMessage('Valid vehicle ID required')
+], async (req, res) => {
   try {
-    // Placeholder for creating service requests
-    res.json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { serviceType, description, priority, preferredDate, contactNumber, branch } = req.body;
+
+    // The service form sends a free-text "vehicleInfo"; structured details are optional
+    let vehicle = typeof req.body.vehicle === 'object' && req.body.vehicle !== null
+      ? req.body.vehicle
+      : { description: req.body.vehicleInfo || req.body.vehicle };
+
+    // A registered vehicle takes precedence; keep a snapshot of its details
+    let registeredVehicle = null;
+    if (req.body.vehicleId) {
+      registeredVehicle = await Vehicle.findOne({ _id: req.body.vehicleId, owner: req.user._id, isActive: true });
+      if (!registeredVehicle) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vehicle not found'
+        });
+      }
+      vehicle = {
+        description: `${registeredVehicle.make} ${registeredVehicle.model} (${registeredVehicle.licensePlate})`,
+        make: registeredVehicle.make,
+        model: registeredVehicle.model,
+        year: registeredVehicle.year,
+        licensePlate: registeredVehicle.licensePlate
+      };
+    }
+
+    const spareParts = Array.isArray(req.body.spareParts) && req.body.spareParts.length > 0
+      ? normalizeSpareParts(req.body.spareParts, req.user.isAdminUser())
+      : ServiceRequest.getSuggestedParts(serviceType);
+
+    const serviceRequest = new ServiceRequest({
+      customer: req.user._id,
+      vehicleId: registeredVehicle?._id,
+      vehicle,
+      serviceType,
+      description,
+      spareParts,
+      priority: priority || req.body.urgency || 'normal',
+      preferredDate: preferredDate || undefined,
+      contactNumber: contactNumber || req.user.phone,
+      branch,
+      estimatedCompletion: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+
+    await serviceRequest.save();
+
+    // Notify admins in real time
+    req.app.get('eventBus').publish('service_request.created', {
+      requestId: serviceRequest._id,
+      requestNumber: serviceRequest.requestNumber,
+      customerId: req.user._id,
+      customerName: req.user.name,
+      serviceType: serviceRequest.serviceType,
+      priority: serviceRequest.priority
+    });
+
+    res.status(201).json({
       success: true,
-      message: 'Service request creation - integrate with existing system'
+      message: 'Service request created successfully',
+      data: serviceRequest
     });
+
   } catch (error) {
+    console.error('Create service request error:', error);
     res.status(500).json({
       success: false,
       message: 'Error creating service request'
@@ -41,4 +237,250 @@ router.post('/', async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// @route   PUT /api/v1/services/:id
+// @desc    Update service request details
+// @access  Private (owner while pending) / Admin
+router.put('/:id', [
+  body('serviceType').optional().isIn(SERVICE_TYPES).withMessage('Invalid service type'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description too long'),
+  body('priority').optional().isIn(REQUEST_PRIORITIES).withMessage('Invalid priority'),
+  body('preferredDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid preferred date required'),
+  body('spareParts').optional().isArray().withMessage('Spare parts must be a list'),
+  body('assignedMechanic').optional().isMongoId().withMessage('Valid mechanic ID required'),
+  body('branch').optional().isMongoId().withMessage('Valid branch ID required'),
+  body('labourCost').optional().isFloat({ min: 0 }).withMessage('Labour cost must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const serviceRequest = await ServiceRequest.findById(req.params.id);
+    if (!serviceRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    if (!canAccessRequest(req.user, serviceRequest)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const isAdmin = req.user.isAdminUser();
+    if (!isAdmin && !serviceRequest.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending requests can be edited'
+      });
+    }
+
+    // The amount charged cannot change once the request has been paid
+    if (serviceRequest.paymentStatus !== 'unpaid' && (req.body.labourCost !== undefined || req.body.spareParts !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pricing cannot be changed after payment'
+      });
+    }
+
+    // Customers may edit the request itself; admins may also assign it
+    const customerFields = ['vehicle', 'serviceType', 'description', 'spareParts', 'priority', 'preferredDate', 'contactNumber'];
+    const adminFields = ['assignedMechanic', 'branch', 'estimatedCompletion', 'adminNotes', 'labourCost'];
+    const allowedFields = isAdmin ? [...customerFields, ...adminFields] : customerFields;
+
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        serviceRequest[field] = field === 'spareParts'
+          ? normalizeSpareParts(req.body.spareParts, isAdmin)
+          : req.body[field];
+      }
+    });
+
+    await serviceRequest.save();
+
+    res.json({
+      success: true,
+      message: 'Service request updated successfully',
+      data: serviceRequest
+    });
+
+  } catch (error) {
+    console.error('Update service request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating service request'
+    });
+  }
+});
+
+// @route   PUT /api/v1/services/:id/status
+// @desc    Update service request status
+// @access  Admin only
+router.put('/:id/status', requireAdmin, [
+  body('status').isIn(REQUEST_STATUSES).withMessage('Invalid status'),
+  body('notes').optional().trim(),
+  body('odometer').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Odometer must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (req.body.status === 'rejected' && !req.body.notes) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required when rejecting a request'
+      });
+    }
+
+    const serviceRequest = await ServiceRequest.findById(req.params.id);
+    if (!serviceRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    if (!serviceRequest.canTransitionTo(req.body.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change a ${serviceRequest.status} request to ${req.body.status}`,
+        code: 'INVALID_TRANSITION'
+      });
+    }
+
+    // Claim the change first, so a repeated request cannot apply it twice
+    const claimed = await ServiceRequest.updateOne(
+      { _id: serviceRequest._id, status: serviceRequest.status },
+      { status: req.body.status }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Service request was updated by someone else; reload and try again',
+        code: 'INVALID_TRANSITION'
+      });
+    }
+
+    if (req.body.notes) serviceRequest.adminNotes = req.body.notes;
+
+    // Completing a service on a registered vehicle restarts its maintenance schedule
+    if (req.body.status === 'completed' && serviceRequest.vehicleId) {
+      const vehicle = await Vehicle.findById(serviceRequest.vehicleId);
+      if (vehicle) {
+        const odometer = req.body.odometer ? Number(req.body.odometer) : vehicle.odometer.reading;
+        if (odometer > vehicle.odometer.reading) {
+          await vehicle.updateOdometer(odometer, 'service');
+        }
+        serviceRequest.odometerAtService = odometer;
+        await resolveRemindersForService(vehicle._id, serviceRequest.serviceType);
+      }
+    }
+
+    await serviceRequest.updateStatus(req.body.status, req.user._id, req.body.notes);
+
+    // Notify the customer in real time
+    req.app.get('eventBus').publish('service_request.status_changed', {
+      requestId: serviceRequest._id,
+      requestNumber: serviceRequest.requestNumber,
+      customerId: serviceRequest.customer,
+      status: serviceRequest.status,
+      changedBy: req.user._id,
+      notes: req.body.notes
+    });
+
+    res.json({
+      success: true,
+      message: 'Service request status updated successfully',
+      data: serviceRequest
+    });
+
+  } catch (error) {
+    console.error('Update service request status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating service request status'
+    });
+  }
+});
+
+// @route   PUT /api/v1/services/:id/cancel
+// @desc    Cancel service request
+// @access  Private (owner) / Admin
+router.put('/:id/cancel', [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const serviceRequest = await ServiceRequest.findById(req.params.id);
+    if (!serviceRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    if (!canAccessRequest(req.user, serviceRequest)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!serviceRequest.canBeCancelled()) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a request that is ${serviceRequest.status}`
+      });
+    }
+
+    serviceRequest.cancellation = {
+      reason: req.body.reason,
+      cancelledBy: req.user._id,
+      cancelledAt: new Date()
+    };
+    await serviceRequest.updateStatus('cancelled', req.user._id, req.body.reason);
+
+    // Let admins know a customer withdrew the request
+    req.app.get('eventBus').publish('service_request.status_changed', {
+      requestId: serviceRequest._id,
+      requestNumber: serviceRequest.requestNumber,
+      customerId: serviceRequest.customer,
+      status: serviceRequest.status,
+      changedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Service request cancelled successfully',
+      data: serviceRequest
+    });
+
+  } catch (error) {
+    console.error('Cancel service request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling service request'
+    });
+  }
+});
+
+export default router;
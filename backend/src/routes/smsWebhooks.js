@@ -0,0 +1,30 @@
+import express from 'express';
+import { getInboundSmsProvider } from '../services/sms/index.js';
+import { handleInboundSms } from '../services/smsService.js';
+
+const router = express.Router();
+
+// @route   POST /api/v1/sms/inbound/:provider
+// @desc    Receive incoming SMS; STOP and START replies change the sender's opt-out
+// @access  Public (configured provider only; verified by provider signature or callback token)
+router.post('/:provider', async (req, res) => {
+  try {
+    const provider = getInboundSmsProvider(req.params.provider);
+    const message = provider.parseInbound(req);
+    const action = await handleInboundSms(message);
+
+    if (provider.inboundAck) {
+      return res.type(provider.inboundAck.contentType).send(provider.inboundAck.body);
+    }
+    res.json({ received: true, action });
+
+  } catch (error) {
+    console.error('Inbound SMS error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error processing message'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { getSharedTracking } from '../services/trackingLinkService.js';
+
+const router = express.Router();
+
+// Tracking pages poll, so they get their own, tighter per-IP budget
+const trackingLimiter = rateLimit({
+  windowMs: parseInt(process.env.TRACKING_RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+  max: parseInt(process.env.TRACKING_RATE_LIMIT_MAX_REQUESTS) || 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many tracking requests, please try again in a minute.'
+  }
+});
+
+// @route   GET /api/v1/track/:token
+// @desc    Read-only truck position, status timeline and ETA for a shared tracking link
+// @access  Public (signed, expiring, revocable token; rate limited)
+router.get('/:token', trackingLimiter, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getSharedTracking(req.params.token)
+    });
+
+  } catch (error) {
+    console.error('Shared tracking error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error retrieving tracking',
+      code: error.code
+    });
+  }
+});
+
+export default router;
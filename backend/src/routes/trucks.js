@@ -1,11 +1,32 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import Truck from '../models/Truck.js';
-import { requireAdmin } from '../middleware/auth.js';
+import User from '../models/User.js';
+import Branch from '../models/Branch.js';
+import { ingestPositions, getTrack, MAX_BATCH_SIZE } from '../services/telemetryService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { getPermissionScope, scopeIncludes } from '../services/permissionService.js';
 import { uploadTruckDocuments, handleUploadError, processUploadedFiles } from '../middleware/upload.js';
 
 const router = express.Router();
 
+// Branches a truck is assigned to, for branch-scoped permissions
+const truckBranches = (truckId) => Branch.find({ assignedTrucks: truckId }).distinct('_id');
+const branchOfTruck = { branch: (req) => truckBranches(req.params.id) };
+
+// Scheduling details and the driver's phone are for admins only
+const HIDDEN_TRUCK_FIELDS = { reservations: 0, maintenanceWindows: 0, 'driver.phone': 0, 'currentLocation.point': 0 };
+const truckFieldsFor = (user) => (user.isAdminUser() ? {} : HIDDEN_TRUCK_FIELDS);
+
+// Farthest a nearest-truck search may reach, in km
+const MAX_SEARCH_DISTANCE_KM = 500;
+
+// The truck's own driver, or someone who manages the truck
+const canReportTruckLocation = async (user, truck) => {
+  if (truck.driver.user && truck.driver.user.toString() === user._id.toString()) return true;
+  return scopeIncludes(await getPermissionScope(user, 'manage_trucks'), await truckBranches(truck._id));
+};
+
 // @route   GET /api/v1/trucks
 // @desc    Get all trucks
 // @access  Private
@@ -18,6 +39,7 @@ router.get('/', async (req, res) => {
     if (isActive !== undefined) filter.isActive = isActive === 'true';
 
     const trucks = await Truck.find(filter)
+      .select(truckFieldsFor(req.user))
       .populate('assignedRequest', 'pickupLocation status userName')
       .sort({ createdAt: -1 });
 
@@ -42,6 +64,7 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const truck = await Truck.findById(req.params.id)
+      .select(truckFieldsFor(req.user))
       .populate('assignedRequest', 'pickupLocation status userName userPhone');
 
     if (!truck) {
@@ -67,14 +90,19 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/v1/trucks
 // @desc    Create new truck
-// @access  Admin only
-router.post('/', requireAdmin, uploadTruckDocuments, handleUploadError, [
+// @access  Permission: manage_trucks (all branches)
+router.post('/', requirePermission('manage_trucks'), uploadTruckDocuments, handleUploadError, [
   body('truckId').trim().notEmpty().withMessage('Truck ID is required'),
   body('driver.name').trim().notEmpty().withMessage('Driver name is required'),
   body('driver.phone').trim().notEmpty().withMessage('Driver phone is required'),
+  body(['driver.shift.start', 'driver.shift.end']).optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Shift times must be HH:MM'),
   body('vehicle.licensePlate').trim().notEmpty().withMessage('License plate is required'),
   body('currentLocation.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
-  body('currentLocation.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required')
+  body('currentLocation.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('vehicle.capacity.weightKg').optional().isFloat({ min: 0 }).withMessage('Payload must be a positive number of kg'),
+  body('vehicle.capacity.volumeM3').optional().isFloat({ min: 0 }).withMessage('Volume must be a positive number of m³'),
+  body('vehicle.equipment').optional().isArray().withMessage('Equipment must be a list'),
+  body('serviceTypes').optional().isArray().withMessage('Service types must be a list')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -124,13 +152,21 @@ router.post('/', requireAdmin, uploadTruckDocuments, handleUploadError, [
   }
 });
 
+// Optional readings sent with a GPS fix
+const telemetryValidators = [
+  body('speed').optional().isFloat({ min: 0 }).withMessage('Speed must be a positive number of km/h'),
+  body('heading').optional().isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360 degrees'),
+  body('accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number of metres')
+];
+
 // @route   PUT /api/v1/trucks/:id/location
 // @desc    Update truck location
-// @access  Private
+// @access  The truck's driver, or permission: manage_trucks
 router.put('/:id/location', [
   body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
   body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
-  body('address').optional().trim()
+  body('address').optional().trim(),
+  ...telemetryValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -141,7 +177,7 @@ router.put('/:id/location', [
       });
     }
 
-    const { latitude, longitude, address = '' } = req.body;
+    const { latitude, longitude, address = '', speed, heading, accuracy } = req.body;
     const truck = await Truck.findById(req.params.id);
 
     if (!truck) {
@@ -151,11 +187,17 @@ router.put('/:id/location', [
       });
     }
 
-    await truck.updateLocation(latitude, longitude, address);
+    if (!(await canReportTruckLocation(req.user, truck))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the truck\'s driver or its managers can update its location'
+      });
+    }
+
+    await truck.updateLocation(latitude, longitude, address, { speed, heading, accuracy });
 
-    // Emit real-time update via Socket.io
-    const io = req.app.get('socketio');
-    io.emit('truck-location-updated', {
+    // Emit real-time update
+    req.app.get('eventBus').publish('truck.location_updated', {
       truckId: truck._id,
       location: truck.currentLocation,
       status: truck.status
@@ -181,8 +223,8 @@ router.put('/:id/location', [
 
 // @route   PUT /api/v1/trucks/:id/status
 // @desc    Update truck status
-// @access  Admin only
-router.put('/:id/status', requireAdmin, [
+// @access  Permission: manage_trucks (own branch for branch staff)
+router.put('/:id/status', requirePermission('manage_trucks', branchOfTruck), [
   body('status').isIn(['available', 'dispatched', 'en-route', 'at-location', 'completed', 'maintenance', 'offline'])
     .withMessage('Invalid status')
 ], async (req, res) => {
@@ -209,11 +251,10 @@ router.put('/:id/status', requireAdmin, [
     }
 
     // Emit real-time update
-    const io = req.app.get('socketio');
-    io.emit('truck-status-updated', {
+    req.app.get('eventBus').publish('truck.status_changed', {
       truckId: truck._id,
       status: truck.status,
-      assignedRequest: truck.assignedRequest
+      assignedRequestId: truck.assignedRequest
     });
 
     res.json({
@@ -234,8 +275,19 @@ router.put('/:id/status', requireAdmin, [
 // @route   GET /api/v1/trucks/nearest/:lat/:lng
 // @desc    Find nearest available trucks
 // @access  Private
-router.get('/nearest/:lat/:lng', async (req, res) => {
+router.get('/nearest/:lat/:lng', [
+  query('maxDistance').optional().isFloat({ gt: 0, max: MAX_SEARCH_DISTANCE_KM })
+    .withMessage(`Max distance must be more than 0 and at most ${MAX_SEARCH_DISTANCE_KM} km`)
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { lat, lng } = req.params;
     const { maxDistance = 50 } = req.query;
 
@@ -249,7 +301,9 @@ router.get('/nearest/:lat/:lng', async (req, res) => {
       });
     }
 
-    const nearestTrucks = await Truck.findNearestAvailable(latitude, longitude, maxDistance);
+    const nearestTrucks = await Truck.findNearestAvailable(latitude, longitude, maxDistance, {
+      project: HIDDEN_TRUCK_FIELDS
+    });
 
     res.json({
       success: true,
@@ -268,8 +322,8 @@ router.get('/nearest/:lat/:lng', async (req, res) => {
 
 // @route   PUT /api/v1/trucks/:id/assign
 // @desc    Assign truck to pickup request
-// @access  Admin only
-router.put('/:id/assign', requireAdmin, [
+// @access  Permission: manage_trucks (own branch for branch staff)
+router.put('/:id/assign', requirePermission('manage_trucks', branchOfTruck), [
   body('requestId').notEmpty().withMessage('Request ID is required')
 ], async (req, res) => {
   try {
@@ -299,10 +353,9 @@ router.put('/:id/assign', requireAdmin, [
     await truck.assignToRequest(req.body.requestId);
 
     // Emit real-time update
-    const io = req.app.get('socketio');
-    io.emit('truck-assigned', {
+    req.app.get('eventBus').publish('truck.assigned', {
       truckId: truck._id,
-      requestId: req.body.requestId,
+      requestId: truck.assignedRequest,
       status: truck.status
     });
 
@@ -321,10 +374,86 @@ router.put('/:id/assign', requireAdmin, [
   }
 });
 
+// @route   PUT /api/v1/trucks/:id/driver
+// @desc    Link a driver account to a truck (userId: null unlinks it)
+// @access  Permission: manage_trucks (own branch for branch staff)
+router.put('/:id/driver', requirePermission('manage_trucks', branchOfTruck), [
+  body('userId').optional({ nullable: true }).isMongoId().withMessage('Valid user ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const truck = await Truck.findById(req.params.id);
+    if (!truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    if (req.body.userId) {
+      const user = await User.findById(req.body.userId);
+      if (!user || !user.isActive || user.role !== 'driver') {
+        return res.status(400).json({
+          success: false,
+          message: 'User is not an active driver'
+        });
+      }
+
+      // Branch staff can only link drivers who work at one of their branches
+      if (req.branchScope && !(await Branch.exists({
+        _id: { $in: req.branchScope },
+        staff: { $elemMatch: { employee: user._id, isActive: true } }
+      }))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only link drivers from your own branch',
+          code: 'BRANCH_ACCESS_DENIED'
+        });
+      }
+
+      // Contact details follow the account so dispatchers call the right person
+      truck.driver.user = user._id;
+      truck.driver.name = user.name;
+      if (user.phone) truck.driver.phone = user.phone;
+      truck.driver.email = user.email;
+    } else {
+      truck.driver.user = undefined;
+    }
+
+    await truck.save();
+
+    res.json({
+      success: true,
+      message: req.body.userId ? 'Driver linked to truck' : 'Driver unlinked from truck',
+      data: truck
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This driver is already linked to another truck'
+      });
+    }
+    console.error('Link truck driver error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error linking driver'
+    });
+  }
+});
+
 // @route   PUT /api/v1/trucks/:id/complete
 // @desc    Complete truck assignment
-// @access  Admin only
-router.put('/:id/complete', requireAdmin, async (req, res) => {
+// @access  Permission: manage_trucks (own branch for branch staff)
+router.put('/:id/complete', requirePermission('manage_trucks', branchOfTruck), async (req, res) => {
   try {
     const truck = await Truck.findById(req.params.id);
     if (!truck) {
@@ -337,8 +466,7 @@ router.put('/:id/complete', requireAdmin, async (req, res) => {
     await truck.completeAssignment();
 
     // Emit real-time update
-    const io = req.app.get('socketio');
-    io.emit('truck-assignment-completed', {
+    req.app.get('eventBus').publish('truck.assignment_completed', {
       truckId: truck._id,
       status: truck.status
     });
@@ -360,8 +488,8 @@ router.put('/:id/complete', requireAdmin, async (req, res) => {
 
 // @route   POST /api/v1/trucks/:id/documents
 // @desc    Upload documents for truck
-// @access  Admin only
-router.post('/:id/documents', requireAdmin, uploadTruckDocuments, handleUploadError, async (req, res) => {
+// @access  Permission: manage_trucks (own branch for branch staff)
+router.post('/:id/documents', requirePermission('manage_trucks', branchOfTruck), uploadTruckDocuments, handleUploadError, async (req, res) => {
   try {
     const truck = await Truck.findById(req.params.id);
     if (!truck) {
@@ -406,8 +534,8 @@ router.post('/:id/documents', requireAdmin, uploadTruckDocuments, handleUploadEr
 
 // @route   DELETE /api/v1/trucks/:id/documents/:docId
 // @desc    Delete truck document
-// @access  Admin only
-router.delete('/:id/documents/:docId', requireAdmin, async (req, res) => {
+// @access  Permission: manage_trucks (own branch for branch staff)
+router.delete('/:id/documents/:docId', requirePermission('manage_trucks', branchOfTruck), async (req, res) => {
   try {
     const truck = await Truck.findById(req.params.id);
     if (!truck) {
@@ -448,4 +576,223 @@ router.delete('/:id/documents/:docId', requireAdmin, async (req, res) => {
   }
 });
 
+// @route   POST /api/v1/trucks/:id/positions
+// @desc    Upload a batch of GPS fixes buffered on the truck's device
+// @access  The truck's driver, or permission: manage_trucks
+router.post('/:id/positions', [
+  body('positions').isArray({ min: 1, max: MAX_BATCH_SIZE })
+    .withMessage(`Positions must be a list of 1 to ${MAX_BATCH_SIZE} points`),
+  body('positions.*.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('positions.*.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('positions.*.recordedAt').isISO8601().withMessage('Each position needs a recordedAt time')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const truck = await Truck.findById(req.params.id);
+    if (!truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    if (!(await canReportTruckLocation(req.user, truck))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the truck\'s driver can report its positions'
+      });
+    }
+
+    const result = await ingestPositions(truck, req.body.positions);
+
+    if (result.currentLocation) {
+      req.app.get('eventBus').publish('truck.location_updated', {
+        truckId: truck._id,
+        location: result.currentLocation,
+        status: truck.status
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${result.accepted} position(s) stored`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Ingest truck positions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error storing positions'
+    });
+  }
+});
+
+// @route   GET /api/v1/trucks/:id/track
+// @desc    Recorded positions of a truck between from and to (default: last 24 hours)
+// @access  Permission: view_trucks (own branch for branch staff)
+router.get('/:id/track', requirePermission('view_trucks', branchOfTruck), async (req, res) => {
+  try {
+    const truck = await Truck.findById(req.params.id).select('truckId driver.name vehicle.licensePlate');
+    if (!truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    const track = await getTrack(truck._id, {
+      from: req.query.from,
+      to: req.query.to,
+      maxPoints: Math.min(Math.max(parseInt(req.query.maxPoints) || 2000, 2), 10000)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        truck,
+        ...track
+      }
+    });
+
+  } catch (error) {
+    console.error('Get truck track error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error retrieving track'
+    });
+  }
+});
+
+// @route   GET /api/v1/trucks/:id/schedule
+// @desc    Bookings and maintenance windows holding a truck
+// @access  Permission: view_trucks (own branch for branch staff)
+router.get('/:id/schedule', requirePermission('view_trucks', branchOfTruck), async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    const truck = await Truck.findById(req.params.id)
+      .select('truckId reservations maintenanceWindows')
+      .populate('reservations.booking', 'bookingNumber status serviceType customer');
+
+    if (!truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    const inRange = (slot) => slot.end > from && (!to || slot.start < to);
+    const byStart = (a, b) => a.start - b.start;
+
+    res.json({
+      success: true,
+      data: {
+        truckId: truck.truckId,
+        reservations: truck.reservations.filter(inRange).sort(byStart),
+        maintenanceWindows: truck.maintenanceWindows.filter(inRange).sort(byStart)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get truck schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving truck schedule'
+    });
+  }
+});
+
+// @route   POST /api/v1/trucks/:id/maintenance-windows
+// @desc    Block a truck for planned maintenance
+// @access  Permission: update_maintenance (own branch for branch staff)
+router.post('/:id/maintenance-windows', requirePermission('update_maintenance', branchOfTruck), [
+  body('start').isISO8601().withMessage('Valid start date required'),
+  body('end').isISO8601().withMessage('Valid end date required')
+    .custom((end, { req }) => new Date(end) > new Date(req.body.start))
+    .withMessage('End must be after start'),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const truck = await Truck.addMaintenanceWindow(req.params.id, {
+      start: new Date(req.body.start),
+      end: new Date(req.body.end),
+      reason: req.body.reason,
+      createdBy: req.user._id
+    });
+
+    if (!truck) {
+      const exists = await Truck.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists
+          ? 'Truck has bookings during this window; reassign or reschedule them first'
+          : 'Truck not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance window added successfully',
+      data: truck.maintenanceWindows
+    });
+
+  } catch (error) {
+    console.error('Add maintenance window error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding maintenance window'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/trucks/:id/maintenance-windows/:windowId
+// @desc    Remove a maintenance window
+// @access  Permission: update_maintenance (own branch for branch staff)
+router.delete('/:id/maintenance-windows/:windowId', requirePermission('update_maintenance', branchOfTruck), async (req, res) => {
+  try {
+    const truck = await Truck.findOneAndUpdate(
+      { _id: req.params.id, 'maintenanceWindows._id': req.params.windowId },
+      { $pull: { maintenanceWindows: { _id: req.params.windowId } } },
+      { new: true }
+    );
+
+    if (!truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance window not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Maintenance window removed successfully',
+      data: truck.maintenanceWindows
+    });
+
+  } catch (error) {
+    console.error('Remove maintenance window error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing maintenance window'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
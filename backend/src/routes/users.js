@@ -1,12 +1,21 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import User from '../models/User.js';
+import User, { USER_ROLES, ROLE_MANAGER_ROLES } from '../models/User.js';
 import Message from '../models/Message.js';
 import Booking from '../models/Booking.js';
-import { requireAdmin } from '../middleware/auth.js';
+import UserToken from '../models/UserToken.js';
+import { requireAdmin, requireRoleManager } from '../middleware/auth.js';
+import { sendVerificationEmail } from '../services/mailService.js';
 
 const router = express.Router();
 
+// Admin accounts can only be edited or deactivated by those who could demote
+// them: main and super admins only by a super admin, as on the role route
+const canEditUser = (actor, target) => {
+  if (ROLE_MANAGER_ROLES.includes(target.role)) return actor.canManageRoles() && actor.role === 'super_admin';
+  return !target.isAdminUser() || actor.canManageRoles();
+};
+
 // @route   GET /api/v1/users/profile
 // @desc    Get current user's complete profile with messages and requests
 // @access  Private
@@ -15,7 +24,7 @@ router.get('/profile', async (req, res) => {
     const userId = req.user._id;
     
     // Get user data
-    const user = await User.findById(userId).select('-password');
+    const user = await User.findById(userId).select('-password').populate('vehicleCount');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -49,6 +58,7 @@ router.get('/profile', async (req, res) => {
         phone: user.phone,
         isAdmin: user.isAdmin,
         role: user.role,
+        emailVerified: user.emailVerified,
         vehicleCount: user.vehicleCount,
         lastService: user.lastService,
         createdAt: user.createdAt,
@@ -124,13 +134,19 @@ router.put('/profile', [
     // Only update fields that are provided
     if (req.body.name) updateData.name = req.body.name;
     if (req.body.phone) updateData.phone = req.body.phone;
-    if (req.body.email) updateData.email = req.body.email;
+    // A new address has to be verified again
+    const emailChanged = Boolean(req.body.email) && req.body.email !== req.user.email;
+    if (emailChanged) {
+      updateData.email = req.body.email;
+      updateData.emailVerified = false;
+      updateData.emailVerifiedAt = null;
+    }
 
     const user = await User.findByIdAndUpdate(
       userId,
       updateData,
       { new: true, runValidators: true }
-    ).select('-password');
+    ).select('-password').populate('vehicleCount');
 
     if (!user) {
       return res.status(404).json({
@@ -139,6 +155,12 @@ router.put('/profile', [
       });
     }
 
+    if (emailChanged) {
+      UserToken.issue(user._id, 'email_verification')
+        .then(verificationToken => sendVerificationEmail(user, verificationToken))
+        .catch(error => console.error('Verification email not queued:', error.message));
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -149,6 +171,7 @@ router.put('/profile', [
         phone: user.phone,
         isAdmin: user.isAdmin,
         role: user.role,
+        emailVerified: user.emailVerified,
         vehicleCount: user.vehicleCount,
         lastService: user.lastService,
         createdAt: user.createdAt,
@@ -228,7 +251,10 @@ router.get('/', requireAdmin, async (req, res) => {
 // @access  Admin
 router.get('/:id', requireAdmin, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = await User.findById(req.params.id)
+      .select('-password')
+      .populate('vehicleCount')
+      .populate('roleHistory.changedBy', 'name email');
     
     if (!user) {
       return res.status(404).json({
@@ -265,6 +291,7 @@ router.get('/:id', requireAdmin, async (req, res) => {
           phone: user.phone,
           isAdmin: user.isAdmin,
           role: user.role,
+          roleHistory: user.roleHistory,
           vehicleCount: user.vehicleCount,
           lastService: user.lastService,
           isActive: user.isActive,
@@ -296,13 +323,12 @@ router.get('/:id', requireAdmin, async (req, res) => {
 });
 
 // @route   PUT /api/v1/users/:id
-// @desc    Update user by ID (Admin only)
+// @desc    Update user details by ID; roles change through PUT /users/:id/role (Admin only)
 // @access  Admin
 router.put('/:id', requireAdmin, [
   body('name').optional().trim().isLength({ min: 2, max: 50 }),
   body('email').optional().isEmail().normalizeEmail(),
   body('phone').optional().isMobilePhone(),
-  body('role').optional().isIn(['user', 'admin', 'main_admin', 'super_admin', 'driver', 'mechanic', 'manager']),
   body('isActive').optional().isBoolean()
 ], async (req, res) => {
   try {
@@ -314,18 +340,32 @@ router.put('/:id', requireAdmin, [
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).select('-password');
-
-    if (!user) {
+    const target = await User.findById(req.params.id);
+    if (!target) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
+    if (!canEditUser(req.user, target)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to edit this admin account',
+        code: 'ROLE_NOT_ALLOWED'
+      });
+    }
+
+    // Role, isAdmin and password are deliberately not editable here
+    const updateData = {};
+    ['name', 'email', 'phone', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    ).select('-password');
 
     res.json({
       success: true,
@@ -350,11 +390,111 @@ router.put('/:id', requireAdmin, [
   }
 });
 
+// @route   PUT /api/v1/users/:id/role
+// @desc    Promote or demote a user; every change is recorded in roleHistory
+// @access  Super admin, main admin
+router.put('/:id/role', requireRoleManager, [
+  body('role').isIn(USER_ROLES).withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { role, reason } = req.body;
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Nobody can lock themselves out or promote themselves
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role',
+        code: 'CANNOT_CHANGE_OWN_ROLE'
+      });
+    }
+
+    if (req.user.role !== 'super_admin' &&
+        (ROLE_MANAGER_ROLES.includes(role) || ROLE_MANAGER_ROLES.includes(user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super admin can grant or remove the main admin and super admin roles',
+        code: 'ROLE_NOT_ALLOWED'
+      });
+    }
+
+    if (user.role === role) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already ${role}`,
+        code: 'ROLE_UNCHANGED'
+      });
+    }
+
+    const previousRole = user.role;
+    user.setRole(role, { changedBy: req.user._id, reason });
+    await user.save();
+
+    req.app.get('eventBus').publish('user.role_changed', {
+      userId: user._id,
+      role,
+      previousRole,
+      changedBy: req.user._id,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: `${user.name} is now ${role}`,
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        isAdmin: user.isAdmin,
+        role: user.role,
+        roleHistory: user.roleHistory
+      }
+    });
+
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing role'
+    });
+  }
+});
+
 // @route   DELETE /api/v1/users/:id
 // @desc    Deactivate user (Admin only)
 // @access  Admin
 router.delete('/:id', requireAdmin, async (req, res) => {
   try {
+    const target = await User.findById(req.params.id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (target._id.equals(req.user._id) || !canEditUser(req.user, target)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to deactivate this account',
+        code: 'ROLE_NOT_ALLOWED'
+      });
+    }
+
     // Don't actually delete, just deactivate
     const user = await User.findByIdAndUpdate(
       req.params.id,
@@ -362,13 +502,6 @@ router.delete('/:id', requireAdmin, async (req, res) => {
       { new: true }
     ).select('-password');
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
     res.json({
       success: true,
       message: 'User deactivated successfully',
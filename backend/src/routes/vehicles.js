@@ -0,0 +1,320 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import Vehicle from '../models/Vehicle.js';
+import { getVehicleSchedule } from '../services/maintenanceScheduler.js';
+
+const router = express.Router();
+
+const vehicleValidation = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(body('make')).trim().notEmpty().withMessage('Make is required'),
+    required(body('model')).trim().notEmpty().withMessage('Model is required'),
+    required(body('licensePlate')).trim().isLength({ min: 3, max: 10 }).withMessage('License plate must be 3-10 characters'),
+    body('vin').optional({ checkFalsy: true }).trim().isLength({ min: 17, max: 17 }).withMessage('VIN must be 17 characters'),
+    body('year').optional({ checkFalsy: true }).isInt({ min: 1950, max: new Date().getFullYear() + 1 }).withMessage('Valid year required'),
+    body('fuelType').optional({ checkFalsy: true }).isIn(['petrol', 'diesel', 'electric', 'hybrid']).withMessage('Invalid fuel type'),
+    body('odometer').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Odometer must be a positive number')
+  ];
+};
+
+// Load a vehicle the current user may manage
+const findAccessibleVehicle = async (req, res) => {
+  const vehicle = await Vehicle.findOne({ _id: req.params.id, isActive: true });
+
+  if (!vehicle) {
+    res.status(404).json({
+      success: false,
+      message: 'Vehicle not found'
+    });
+    return null;
+  }
+
+  if (!req.user.isAdminUser() && vehicle.owner.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return vehicle;
+};
+
+// @route   GET /api/v1/vehicles
+// @desc    Get vehicles
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const filter = { isActive: true };
+
+    // Non-admin users can only see their own vehicles
+    if (!req.user.isAdminUser()) {
+      filter.owner = req.user._id;
+    } else if (req.query.owner) {
+      filter.owner = req.query.owner;
+    }
+
+    const vehicles = await Vehicle.find(filter)
+      .populate('owner', 'name email phone')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: vehicles,
+      count: vehicles.length
+    });
+
+  } catch (error) {
+    console.error('Get vehicles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving vehicles'
+    });
+  }
+});
+
+// @route   GET /api/v1/vehicles/:id
+// @desc    Get single vehicle
+// @access  Private
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid vehicle')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const vehicle = await findAccessibleVehicle(req, res);
+    if (!vehicle) return;
+
+    res.json({
+      success: true,
+      data: vehicle
+    });
+
+  } catch (error) {
+    console.error('Get vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving vehicle'
+    });
+  }
+});
+
+// @route   GET /api/v1/vehicles/:id/maintenance
+// @desc    Get the maintenance schedule for a vehicle
+// @access  Private
+router.get('/:id/maintenance', [
+  param('id').isMongoId().withMessage('Invalid vehicle')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const vehicle = await findAccessibleVehicle(req, res);
+    if (!vehicle) return;
+
+    const schedule = await getVehicleSchedule(vehicle);
+
+    res.json({
+      success: true,
+      data: {
+        vehicle: {
+          id: vehicle._id,
+          make: vehicle.make,
+          model: vehicle.model,
+          licensePlate: vehicle.licensePlate,
+          odometer: vehicle.odometer
+        },
+        schedule: schedule.sort((a, b) => (a.dueDate || Infinity) - (b.dueDate || Infinity))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get maintenance schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error computing maintenance schedule'
+    });
+  }
+});
+
+// @route   POST /api/v1/vehicles
+// @desc    Register a vehicle
+// @access  Private
+router.post('/', vehicleValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { make, model, year, licensePlate, vin, color, fuelType, odometer } = req.body;
+
+    const duplicate = await Vehicle.findDuplicate({ licensePlate, vin });
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'A vehicle with this license plate or VIN is already registered',
+        code: 'VEHICLE_ALREADY_EXISTS'
+      });
+    }
+
+    const vehicle = new Vehicle({
+      owner: req.user.isAdminUser() && req.body.owner ? req.body.owner : req.user._id,
+      make,
+      model,
+      year: year || undefined,
+      licensePlate,
+      vin: vin || undefined,
+      color,
+      fuelType: fuelType || undefined,
+      odometer: {
+        reading: Number(odometer) || 0,
+        updatedAt: new Date()
+      },
+      odometerReadings: [{ reading: Number(odometer) || 0, source: 'owner' }]
+    });
+    await vehicle.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Vehicle added successfully',
+      data: vehicle
+    });
+
+  } catch (error) {
+    console.error('Create vehicle error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A vehicle with this license plate or VIN is already registered',
+        code: 'VEHICLE_ALREADY_EXISTS'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding vehicle'
+    });
+  }
+});
+
+// @route   PUT /api/v1/vehicles/:id
+// @desc    Update vehicle
+// @access  Private (owner) / Admin
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid vehicle'),
+  ...vehicleValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const vehicle = await findAccessibleVehicle(req, res);
+    if (!vehicle) return;
+
+    const duplicate = await Vehicle.findDuplicate({
+      licensePlate: req.body.licensePlate,
+      vin: req.body.vin
+    }, vehicle._id);
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'A vehicle with this license plate or VIN is already registered',
+        code: 'VEHICLE_ALREADY_EXISTS'
+      });
+    }
+
+    ['make', 'model', 'year', 'licensePlate', 'vin', 'color', 'fuelType'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        vehicle[field] = req.body[field] === '' ? undefined : req.body[field];
+      }
+    });
+
+    if (req.body.odometer !== undefined && req.body.odometer !== '' && Number(req.body.odometer) !== vehicle.odometer.reading) {
+      await vehicle.updateOdometer(Number(req.body.odometer), req.user.isAdminUser() ? 'admin' : 'owner');
+    } else {
+      await vehicle.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Vehicle updated successfully',
+      data: vehicle
+    });
+
+  } catch (error) {
+    console.error('Update vehicle error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A vehicle with this license plate or VIN is already registered',
+        code: 'VEHICLE_ALREADY_EXISTS'
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating vehicle'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/vehicles/:id
+// @desc    Remove vehicle
+// @access  Private (owner) / Admin
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid vehicle')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const vehicle = await findAccessibleVehicle(req, res);
+    if (!vehicle) return;
+
+    // Keep the record for service history, just hide it
+    vehicle.isActive = false;
+    await vehicle.save();
+
+    res.json({
+      success: true,
+      message: 'Vehicle removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing vehicle'
+    });
+  }
+});
+
+export default router;
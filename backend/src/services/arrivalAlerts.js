@@ -0,0 +1,76 @@
+import Booking from '../models/Booking.js';
+import PickupRequest from '../models/PickupRequest.js';
+import { estimateArrival } from './trackingService.js';
+
+// Alert the customer once the truck's ETA drops to this
+const getAlertMinutes = () => parseFloat(process.env.ARRIVAL_ALERT_MINUTES) || 5;
+
+const hasCoordinates = (point) => point?.latitude != null && point?.longitude != null;
+
+// The truck's job it has not yet arrived at, if any
+const findApproachingJob = async (truckId) => {
+  const pickup = await PickupRequest.findOne({
+    assignedTruck: truckId,
+    status: { $in: ['dispatched', 'en-route'] },
+    arrivalAlertSentAt: null
+  });
+  if (pickup) {
+    return {
+      model: PickupRequest,
+      job: pickup,
+      target: pickup.pickupLocation,
+      data: { jobType: 'pickup', jobId: pickup._id, customerId: pickup.userId }
+    };
+  }
+
+  const booking = await Booking.findOne({
+    truck: truckId,
+    status: 'assigned',
+    'driverProgress.arrivedAt': null,
+    arrivalAlertSentAt: null
+  });
+  if (booking) {
+    return {
+      model: Booking,
+      job: booking,
+      target: booking.route?.origin?.coordinates,
+      data: { jobType: 'booking', jobId: booking._id, customerId: booking.customer, reference: booking.bookingNumber }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Publish truck.arriving when a truck comes within ARRIVAL_ALERT_MINUTES of
+ * the job it is heading to, by the same recent-speed ETA the tracking views
+ * show. Each job is alerted once: the alert is claimed with a conditional
+ * update, so only one instance publishes it.
+ */
+export const checkArrival = async (eventBus, truckId, location) => {
+  if (!hasCoordinates(location)) return null;
+
+  const approaching = await findApproachingJob(truckId);
+  if (!approaching || !hasCoordinates(approaching.target)) return null;
+
+  const { minutes } = await estimateArrival(truckId, location, approaching.target);
+  if (minutes > getAlertMinutes()) return null;
+
+  const claimed = await approaching.model.updateOne(
+    { _id: approaching.job._id, arrivalAlertSentAt: null },
+    { arrivalAlertSentAt: new Date() }
+  );
+  if (!claimed.modifiedCount) return null;
+
+  const data = { ...approaching.data, truckId, minutes: Math.max(1, Math.round(minutes)) };
+  eventBus.publish('truck.arriving', data);
+  return data;
+};
+
+export const subscribeArrivalAlerts = (eventBus) => eventBus.subscribe('truck.location_updated', async (event) => {
+  try {
+    await checkArrival(eventBus, event.data.truckId, event.data.location);
+  } catch (error) {
+    console.error('Arrival alert error:', error.message);
+  }
+});
@@ -0,0 +1,77 @@
+import Truck from '../models/Truck.js';
+import Branch from '../models/Branch.js';
+import { getLocalTime, parseTime } from './businessTime.js';
+
+const httpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Check that a booking starts while its branch is open. Emergency call-outs
+ * are taken around the clock. Returns the problem, or null if there is none.
+ */
+export const checkWorkingHours = (branch, start, serviceType) => {
+  if (!branch || serviceType === 'emergency') return null;
+
+  const { weekday, minutes } = getLocalTime(start);
+  const hours = branch.workingHours?.[weekday];
+
+  if (!hours || !hours.isOpen) {
+    return `${branch.name} is closed on ${capitalize(weekday)}s`;
+  }
+  if ((hours.open && minutes < parseTime(hours.open)) || (hours.close && minutes >= parseTime(hours.close))) {
+    return `${branch.name} takes bookings between ${hours.open || '00:00'} and ${hours.close || '24:00'} on ${capitalize(weekday)}s`;
+  }
+  return null;
+};
+
+/**
+ * Check that a booking starts within its branch's working hours. Throws 400
+ * when it does not. Applies whether or not a truck is chosen yet.
+ */
+export const assertWithinWorkingHours = async (booking) => {
+  const branch = booking.branch ? await Branch.findById(booking.branch._id || booking.branch) : null;
+  const hoursIssue = checkWorkingHours(branch, booking.getTimeWindow().start, booking.serviceType);
+  if (hoursIssue) {
+    throw httpError(400, hoursIssue, 'OUTSIDE_WORKING_HOURS');
+  }
+};
+
+/**
+ * Validate the truck for a booking and hold it for the booking's time window.
+ * Throws 400 when the truck cannot do the job and 409 when the slot overlaps
+ * another booking or a maintenance window.
+ */
+export const reserveTruckForBooking = async (booking, truckId = booking.truck) => {
+  const truck = await Truck.findById(truckId);
+  if (!truck || !truck.isActive || truck.status === 'offline') {
+    throw httpError(400, 'Truck is not available');
+  }
+  if (!truck.handlesServiceType(booking.serviceType)) {
+    throw httpError(400, `Truck ${truck.truckId} does not take ${booking.serviceType} bookings`);
+  }
+
+  const issues = truck.getCapacityIssues(booking.cargo);
+  if (issues.length) {
+    throw httpError(400, issues.join('; '), 'CAPACITY_EXCEEDED');
+  }
+
+  await assertWithinWorkingHours(booking);
+
+  const { start, end } = booking.getTimeWindow();
+  const reserved = await Truck.reserve(truck._id, { booking: booking._id, start, end });
+  if (!reserved) {
+    throw httpError(409, 'Truck is already booked or under maintenance for the selected time slot', 'TRUCK_UNAVAILABLE');
+  }
+
+  return truck;
+};
+
+// Give the booking's time on its truck back
+export const releaseTruckForBooking = (booking, truckId = booking.truck) =>
+  truckId ? Truck.release(truckId._id || truckId, booking._id) : null;
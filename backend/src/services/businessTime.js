@@ -0,0 +1,31 @@
+// Branch hours and time-of-day pricing are defined in local time, while the
+// server may run in UTC
+export const getTimeZone = () => process.env.BUSINESS_TIMEZONE || 'Africa/Nairobi';
+
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Local weekday name (monday...sunday) and minutes past midnight of a date
+ * in the business time zone.
+ */
+export const getLocalTime = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: getTimeZone(),
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parts.find(part => part.type === type)?.value;
+
+  return {
+    weekday: get('weekday').toLowerCase(),
+    minutes: Number(get('hour')) * 60 + Number(get('minute'))
+  };
+};
+
+// Minutes past midnight for an HH:MM string
+export const parseTime = (time) => {
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
@@ -0,0 +1,442 @@
+import Booking from '../models/Booking.js';
+import Branch from '../models/Branch.js';
+import PickupRequest from '../models/PickupRequest.js';
+import Truck from '../models/Truck.js';
+import { WEEKDAYS, getLocalTime, parseTime } from './businessTime.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// Auto-dispatch is opt-in: new pickups are dispatched automatically only when
+// this is set; admins can start it for any pending pickup either way
+export const isAutoDispatchEnabled = () => process.env.AUTO_DISPATCH_ENABLED === 'true';
+
+const getMaxDistanceKm = () => parseFloat(process.env.DISPATCH_MAX_DISTANCE_KM) || 50;
+const getAcceptTimeoutMs = () => (parseInt(process.env.DISPATCH_ACCEPT_TIMEOUT_SECONDS) || 120) * 1000;
+const getMaxAttempts = () => parseInt(process.env.DISPATCH_MAX_ATTEMPTS) || 3;
+
+// Share of the score each factor carries; every factor is scored 0 to 1
+export const SCORE_WEIGHTS = {
+  distance: 0.4,
+  branch: 0.2,
+  workload: 0.2,
+  capacity: 0.1,
+  shift: 0.1
+};
+
+// Bookings still ahead of a truck count towards its workload
+const QUEUED_BOOKING_STATUSES = ['confirmed', 'assigned', 'in_progress'];
+
+const httpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Whether a driver is on shift at `date`, and for how many more minutes.
+ * minutesLeft is null when the driver has no set hours.
+ */
+export const getShiftStatus = (shift, date = new Date()) => {
+  const { weekday, minutes } = getLocalTime(date);
+  const days = shift?.days || [];
+
+  if (!shift?.start || !shift?.end) {
+    return { onShift: !days.length || days.includes(weekday), minutesLeft: null };
+  }
+
+  const start = parseTime(shift.start);
+  const end = parseTime(shift.end);
+  let startedOn = weekday;
+  let minutesLeft = null;
+
+  if (start < end) {
+    if (minutes >= start && minutes < end) minutesLeft = end - minutes;
+  } else if (minutes >= start) {
+    minutesLeft = DAY_MINUTES - minutes + end;
+  } else if (minutes < end) {
+    // Overnight shift that began the day before
+    minutesLeft = end - minutes;
+    startedOn = WEEKDAYS[(WEEKDAYS.indexOf(weekday) + 6) % 7];
+  }
+
+  const onShift = minutesLeft !== null && (!days.length || days.includes(startedOn));
+  return { onShift, minutesLeft: onShift ? minutesLeft : null };
+};
+
+// Why a truck cannot take the pickup, or null
+const getSkipReason = (truck, pickup, { now, shiftStatus }) => {
+  if ((pickup.dispatch?.declinedTrucks || []).some(id => id.equals(truck._id))) {
+    return 'Already offered this pickup';
+  }
+  if (!truck.driver?.user) {
+    return 'No driver login linked to accept the job';
+  }
+  if (!shiftStatus.onShift) {
+    const { start, end } = truck.driver.shift || {};
+    return start && end ? `Driver is off shift (works ${start}-${end})` : 'Driver is off shift today';
+  }
+
+  const issues = truck.getCapacityIssues(pickup.cargo);
+  if (issues.length) return issues.join('; ');
+
+  // The truck must be free for the hour the pickup is likely to take
+  const end = new Date(now.getTime() + HOUR_MS);
+  const overlaps = (window) => window.start < end && window.end > now;
+  if (truck.reservations.some(overlaps)) return 'Booked for another job within the hour';
+  if (truck.maintenanceWindows.some(overlaps)) return 'In maintenance within the hour';
+
+  return null;
+};
+
+/**
+ * Score every available truck near a pickup. Returns the trucks that can
+ * take it, best first, followed by those skipped with the reason why.
+ */
+export const rankTrucks = async (pickup, now = new Date()) => {
+  const { latitude, longitude } = pickup.pickupLocation;
+  const maxDistanceKm = getMaxDistanceKm();
+
+  const [nearby, nearbyBranches] = await Promise.all([
+    Truck.findNearestAvailable(latitude, longitude, maxDistanceKm),
+    Branch.findNearby(latitude, longitude, maxDistanceKm)
+  ]);
+  if (!nearby.length) return [];
+
+  const truckIds = nearby.map(truck => truck._id);
+  const [homeBranches, queued] = await Promise.all([
+    Branch.find({ assignedTrucks: { $in: truckIds }, isActive: true }).select('_id assignedTrucks'),
+    Booking.aggregate([
+      { $match: { truck: { $in: truckIds }, status: { $in: QUEUED_BOOKING_STATUSES } } },
+      { $group: { _id: '$truck', jobs: { $sum: 1 } } }
+    ])
+  ]);
+
+  // Branches whose coverage radius reaches the pickup
+  const covering = new Set(nearbyBranches
+    .filter(branch => branch.distance <= (branch.coverageRadiusKm ?? 25))
+    .map(branch => String(branch._id)));
+  const branchOf = (truckId) => homeBranches.find(branch => branch.assignedTrucks.some(id => id.equals(truckId)))?._id;
+  const jobsOf = (truckId) => queued.find(entry => entry._id.equals(truckId))?.jobs || 0;
+
+  const candidates = nearby.map(({ distance, ...fields }) => {
+    const truck = Truck.hydrate(fields);
+    const branch = branchOf(truck._id);
+    const shiftStatus = getShiftStatus(truck.driver?.shift, now);
+    const candidate = {
+      truck: truck._id,
+      truckNumber: truck.truckId,
+      branch,
+      distanceKm: round(distance)
+    };
+
+    const reason = getSkipReason(truck, pickup, { now, shiftStatus });
+    if (reason) return { ...candidate, outcome: 'skipped', reason };
+
+    const { weightKg } = truck.vehicle.capacity || {};
+    const factors = {
+      distance: round(1 - distance / maxDistanceKm, 3),
+      branch: branch && covering.has(String(branch)) ? 1 : 0,
+      // Less than an hour left on shift counts against the driver
+      shift: shiftStatus.minutesLeft === null ? 1 : round(Math.min(1, shiftStatus.minutesLeft / 60), 3),
+      // A close fit keeps the bigger trucks free for bigger loads
+      capacity: pickup.cargo?.weight && weightKg ? round(pickup.cargo.weight / weightKg, 3) : 1,
+      workload: round(1 / (1 + jobsOf(truck._id)), 3)
+    };
+    const score = Object.entries(SCORE_WEIGHTS).reduce((total, [factor, weight]) => total + weight * factors[factor], 0);
+
+    return { ...candidate, score: round(score, 3), factors, outcome: 'ranked' };
+  });
+
+  return [
+    ...candidates.filter(candidate => candidate.outcome === 'ranked').sort((a, b) => b.score - a.score),
+    ...candidates.filter(candidate => candidate.outcome === 'skipped')
+  ];
+};
+
+const releaseTruck = async (truckId, pickupId, eventBus) => {
+  const released = await Truck.updateOne(
+    { _id: truckId, assignedRequest: pickupId },
+    { status: 'available', assignedRequest: null }
+  );
+  if (released.modifiedCount) {
+    eventBus?.publish('truck.status_changed', { truckId, status: 'available' });
+  }
+};
+
+// Hand the pickup to a dispatcher. Only the instance that is dispatching it
+// (state 'searching') can escalate it.
+const escalate = async (pickup, reason, candidates, eventBus) => {
+  const escalated = await PickupRequest.findOneAndUpdate(
+    { _id: pickup._id, 'dispatch.state': 'searching' },
+    {
+      $set: {
+        'dispatch.state': 'escalated',
+        'dispatch.escalatedAt': new Date(),
+        'dispatch.escalationReason': reason
+      },
+      $push: { dispatchLog: { action: 'escalated', attempt: pickup.dispatch.attempts, reason, candidates } }
+    },
+    { new: true }
+  );
+  if (!escalated) return null;
+
+  eventBus?.publish('pickup.dispatch_escalated', {
+    pickupId: escalated._id,
+    userName: escalated.userName,
+    reason,
+    attempts: escalated.dispatch.attempts
+  });
+  return escalated;
+};
+
+/**
+ * Offer a pickup being dispatched to the best truck that has not had it yet.
+ * The truck is claimed with a conditional update, so two pickups cannot be
+ * offered the same truck; a truck taken meanwhile is skipped. Escalates once
+ * the attempts run out or no truck is left.
+ */
+const offerToNextTruck = async (pickup, eventBus) => {
+  const attempts = pickup.dispatch.attempts || 0;
+  if (attempts >= getMaxAttempts()) {
+    return escalate(pickup, `No driver accepted after ${attempts} offer(s)`, [], eventBus);
+  }
+
+  const candidates = await rankTrucks(pickup);
+  let chosen = null;
+  for (const candidate of candidates.filter(entry => entry.outcome === 'ranked')) {
+    const claimed = await Truck.findOneAndUpdate(
+      { _id: candidate.truck, status: 'available', isActive: true },
+      { status: 'dispatched', assignedRequest: pickup._id }
+    );
+    if (claimed) {
+      chosen = candidate;
+      chosen.outcome = 'chosen';
+      chosen.reason = 'Highest score';
+      break;
+    }
+    candidate.outcome = 'skipped';
+    candidate.reason = 'Taken by another job while dispatching';
+  }
+
+  if (!chosen) {
+    const reason = candidates.length
+      ? 'No suitable truck is free'
+      : `No available truck within ${getMaxDistanceKm()} km`;
+    return escalate(pickup, reason, candidates, eventBus);
+  }
+
+  const now = new Date();
+  const offered = await PickupRequest.findOneAndUpdate(
+    { _id: pickup._id, status: 'pending', 'dispatch.state': 'searching' },
+    {
+      $set: {
+        status: 'dispatched',
+        assignedTruck: chosen.truck,
+        dispatchTime: now,
+        'dispatch.state': 'offered',
+        'dispatch.offeredAt': now,
+        'dispatch.expiresAt': new Date(now.getTime() + getAcceptTimeoutMs())
+      },
+      $inc: { 'dispatch.attempts': 1 },
+      $push: {
+        dispatchLog: { action: 'offered', attempt: attempts + 1, truck: chosen.truck, reason: `Score ${chosen.score}`, candidates }
+      }
+    },
+    { new: true }
+  ).catch(async (error) => {
+    await releaseTruck(chosen.truck, pickup._id, eventBus);
+    throw error;
+  });
+
+  // Cancelled or taken over by a dispatcher while the trucks were ranked
+  if (!offered) {
+    await releaseTruck(chosen.truck, pickup._id, eventBus);
+    return null;
+  }
+
+  // Only the driver hears of an offer; the customer is told once it is accepted
+  eventBus?.publish('truck.assigned', { truckId: chosen.truck, requestId: offered._id, status: 'dispatched' });
+  return offered;
+};
+
+/**
+ * Offer a pickup in state 'searching' to the next truck. If the search
+ * fails, the pickup is escalated rather than left searching, where neither
+ * autoDispatch nor the offer sweep would pick it up again.
+ */
+const searchForTruck = async (pickup, eventBus) => {
+  try {
+    return await offerToNextTruck(pickup, eventBus);
+  } catch (error) {
+    console.error(`Dispatch of pickup ${pickup._id} failed:`, error.message);
+    const escalated = await escalate(pickup, 'Automatic dispatch failed', [], eventBus);
+    if (!escalated) throw error;
+    return escalated;
+  }
+};
+
+/**
+ * Start auto-dispatching a pending pickup. A pickup escalated earlier starts
+ * over with every truck eligible again. Returns the pickup as offered or
+ * escalated, or null if it was taken over meanwhile.
+ */
+export const autoDispatch = async (pickupId, { eventBus } = {}) => {
+  const pickup = await PickupRequest.findOneAndUpdate(
+    { _id: pickupId, status: 'pending', 'dispatch.state': { $nin: ['searching', 'offered'] } },
+    {
+      $set: {
+        'dispatch.mode': 'auto',
+        'dispatch.state': 'searching',
+        'dispatch.attempts': 0,
+        'dispatch.declinedTrucks': []
+      },
+      $unset: { 'dispatch.escalatedAt': '', 'dispatch.escalationReason': '' }
+    },
+    { new: true }
+  );
+
+  if (!pickup) {
+    const current = await PickupRequest.findById(pickupId);
+    if (!current) throw httpError(404, 'Pickup request not found');
+    if (current.status !== 'pending') {
+      throw httpError(409, `Cannot dispatch a pickup that is ${current.status}`, 'INVALID_TRANSITION');
+    }
+    throw httpError(409, 'Pickup is already being dispatched', 'DISPATCH_IN_PROGRESS');
+  }
+
+  return searchForTruck(pickup, eventBus);
+};
+
+/**
+ * Take an outstanding offer back from a truck and offer the pickup to the
+ * next one. `action` is 'declined' or 'expired'. Returns false if the offer
+ * was no longer open, e.g. the driver accepted first.
+ */
+const withdrawOffer = async (pickupId, truckId, { action, reason, by, eventBus }) => {
+  const filter = { _id: pickupId, assignedTruck: truckId, status: 'dispatched', 'dispatch.state': 'offered' };
+  if (action === 'expired') filter['dispatch.expiresAt'] = { $lte: new Date() };
+
+  const pickup = await PickupRequest.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        status: 'pending',
+        assignedTruck: null,
+        dispatchTime: null,
+        'dispatch.state': 'searching',
+        'dispatch.offeredAt': null,
+        'dispatch.expiresAt': null
+      },
+      $addToSet: { 'dispatch.declinedTrucks': truckId }
+    },
+    { new: true }
+  );
+  if (!pickup) return false;
+
+  await PickupRequest.updateOne(
+    { _id: pickup._id },
+    { $push: { dispatchLog: { action, attempt: pickup.dispatch.attempts, truck: truckId, reason, by } } }
+  );
+  await releaseTruck(truckId, pickup._id, eventBus);
+
+  await searchForTruck(pickup, eventBus);
+  return true;
+};
+
+// A driver turning down the pickup offered to their truck
+export const declineOffer = async (pickupId, { truck, user, reason, eventBus }) => {
+  if (!truck) throw httpError(404, 'Pickup request not found');
+
+  const withdrawn = await withdrawOffer(pickupId, truck._id, {
+    action: 'declined',
+    reason: reason || 'Declined by the driver',
+    by: user._id,
+    eventBus
+  });
+  if (withdrawn) return;
+
+  const current = await PickupRequest.findOne({ _id: pickupId, assignedTruck: truck._id });
+  if (!current) throw httpError(404, 'Pickup request not found');
+  throw httpError(409, 'Only a pickup offered to your truck and not yet accepted can be declined', 'OFFER_NOT_OPEN');
+};
+
+// Mark an auto-dispatched pickup as accepted by its driver
+export const markOfferAccepted = (pickupId) => PickupRequest.updateOne(
+  { _id: pickupId, 'dispatch.state': 'offered' },
+  { 'dispatch.state': 'accepted', 'dispatch.expiresAt': null }
+);
+
+/**
+ * A dispatcher assigning a truck by hand takes over from the auto-dispatcher:
+ * a truck still holding the offer is released and the takeover is logged.
+ */
+export const takeOverDispatch = async (pickupId, truckId, { by, eventBus }) => {
+  const pickup = await PickupRequest.findById(pickupId).select('assignedTruck dispatch');
+  if (!pickup) return;
+
+  if (pickup.dispatch?.state === 'offered' && pickup.assignedTruck && !pickup.assignedTruck.equals(truckId)) {
+    await releaseTruck(pickup.assignedTruck, pickup._id, eventBus);
+  }
+
+  await PickupRequest.updateOne(
+    { _id: pickup._id },
+    {
+      $set: { 'dispatch.mode': 'manual', 'dispatch.state': 'manual', 'dispatch.expiresAt': null },
+      $push: { dispatchLog: { action: 'manual', attempt: pickup.dispatch?.attempts, truck: truckId, reason: 'Assigned by a dispatcher', by } }
+    }
+  );
+};
+
+// Move every offer nobody accepted in time on to the next truck
+export const expireOffers = async (eventBus) => {
+  const expired = await PickupRequest.find({
+    status: 'dispatched',
+    'dispatch.state': 'offered',
+    'dispatch.expiresAt': { $lte: new Date() }
+  }).select('_id assignedTruck');
+
+  let moved = 0;
+  for (const pickup of expired) {
+    try {
+      const withdrawn = await withdrawOffer(pickup._id, pickup.assignedTruck, {
+        action: 'expired',
+        reason: `Not accepted within ${getAcceptTimeoutMs() / 1000} seconds`,
+        eventBus
+      });
+      if (withdrawn) moved++;
+    } catch (error) {
+      console.error(`Dispatch of pickup ${pickup._id} failed:`, error.message);
+    }
+  }
+  return moved;
+};
+
+export const startDispatchMonitor = (eventBus) => {
+  const interval = parseInt(process.env.DISPATCH_SWEEP_INTERVAL_MS) || 15 * 1000;
+
+  const timer = setInterval(async () => {
+    try {
+      const moved = await expireOffers(eventBus);
+      if (moved > 0) console.log(`🚚 Dispatcher moved on ${moved} unaccepted offer(s)`);
+    } catch (error) {
+      console.error('Dispatch monitor error:', error);
+    }
+  }, interval);
+  timer.unref();
+  return timer;
+};
+
+// Every instance hears pickup.created; autoDispatch claims the pickup first,
+// so only one of them dispatches it
+export const subscribeAutoDispatch = (eventBus) => eventBus.subscribe('pickup.created', async (event) => {
+  if (!isAutoDispatchEnabled()) return;
+  try {
+    await autoDispatch(event.data.pickupId, { eventBus });
+  } catch (error) {
+    if (error.statusCode !== 409) console.error('Auto-dispatch error:', error.message);
+  }
+});
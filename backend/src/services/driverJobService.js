@@ -0,0 +1,195 @@
+import Booking from '../models/Booking.js';
+import PickupRequest from '../models/PickupRequest.js';
+import Truck from '../models/Truck.js';
+import { releaseTruckForBooking } from './bookingScheduler.js';
+import { issueInvoiceForBooking } from './invoiceService.js';
+import { markOfferAccepted } from './dispatchService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Jobs that hand goods to someone need a signature before they can be completed
+export const PROOF_OF_DELIVERY_SERVICE_TYPES = ['delivery', 'pickup', 'transport'];
+
+// Each step needs the one before it. `from` is the booking status the step
+// starts from and `status` the one it moves to, if it changes.
+const BOOKING_STEPS = {
+  accept: { from: 'assigned', stamp: 'acceptedAt', label: 'accepted', truckStatus: 'en-route' },
+  arrive: { from: 'assigned', requires: 'acceptedAt', stamp: 'arrivedAt', label: 'arrived', truckStatus: 'at-location' },
+  start: { from: 'assigned', requires: 'arrivedAt', stamp: 'startedAt', status: 'in_progress' },
+  complete: { from: 'in_progress', requires: 'startedAt', stamp: 'completedAt', status: 'completed', truckStatus: 'available' }
+};
+
+const PICKUP_STEPS = {
+  accept: { from: 'dispatched', status: 'en-route', stamp: 'acceptTime', truckStatus: 'en-route' },
+  arrive: { from: 'en-route', status: 'at-location', stamp: 'arrivalTime', truckStatus: 'at-location' },
+  complete: { from: 'at-location', status: 'completed', stamp: 'completionTime', truckStatus: 'available' }
+};
+
+const STEP_HINTS = {
+  acceptedAt: 'Accept the job first',
+  arrivedAt: 'Mark arrival at the pickup point first',
+  startedAt: 'Start the job first'
+};
+
+export const BOOKING_ACTIONS = Object.keys(BOOKING_STEPS);
+export const PICKUP_ACTIONS = Object.keys(PICKUP_STEPS);
+
+const httpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+/**
+ * Bookings a driver works on: those assigned to them by name, and those on
+ * their truck that have no driver of their own.
+ */
+export const driverBookingFilter = (user, truck) => ({
+  $or: [
+    { driver: user._id },
+    ...(truck ? [{ driver: null, truck: truck._id }] : [])
+  ]
+});
+
+export const findDriverBooking = async (bookingId, user, truck) => {
+  const booking = await Booking.findOne({ _id: bookingId, ...driverBookingFilter(user, truck) });
+  if (!booking) throw httpError(404, 'Booking not found');
+  return booking;
+};
+
+// Why a step cannot be taken yet, as an error to throw, or null
+const getBookingStepError = (booking, action, step) => {
+  const progress = booking.driverProgress || {};
+
+  if (progress[step.stamp]) {
+    return httpError(409, `Booking is already ${step.status || step.label}`, 'INVALID_TRANSITION');
+  }
+  if (booking.status !== step.from) {
+    return httpError(409, `Cannot ${action} a ${booking.status} booking`, 'INVALID_TRANSITION');
+  }
+  if (step.requires && !progress[step.requires]) {
+    return httpError(409, STEP_HINTS[step.requires], 'INVALID_TRANSITION');
+  }
+  if (action === 'complete' && PROOF_OF_DELIVERY_SERVICE_TYPES.includes(booking.serviceType) && !booking.hasProofOfDelivery()) {
+    return httpError(409, 'Record proof of delivery before completing the job', 'PROOF_OF_DELIVERY_REQUIRED');
+  }
+  return null;
+};
+
+/**
+ * Move a driver's booking one step along accept, arrive, start and complete.
+ * Steps are applied with a conditional update, so a repeated tap or a second
+ * device cannot apply the same step twice. Returns the updated booking.
+ */
+export const advanceBooking = async (bookingId, action, { user, truck, eventBus }) => {
+  const step = BOOKING_STEPS[action];
+  if (!step) throw httpError(400, `Unknown action: ${action}`);
+
+  const booking = await findDriverBooking(bookingId, user, truck);
+
+  const stepError = getBookingStepError(booking, action, step);
+  if (stepError) throw stepError;
+
+  const now = new Date();
+  const set = { [`driverProgress.${step.stamp}`]: now };
+  if (step.status) set.status = step.status;
+  if (action === 'complete') {
+    set['schedule.actualDuration'] = Math.round((now - booking.driverProgress.startedAt) / HOUR_MS * 100) / 100;
+  }
+
+  const filter = {
+    _id: booking._id,
+    status: step.from,
+    [`driverProgress.${step.stamp}`]: null
+  };
+  if (step.requires) filter[`driverProgress.${step.requires}`] = { $ne: null };
+
+  const updated = await Booking.findOneAndUpdate(
+    filter,
+    {
+      $set: set,
+      $push: { timeline: { status: step.status || step.label, updatedBy: user._id, timestamp: now } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError(409, 'Booking was updated by someone else; reload and try again', 'INVALID_TRANSITION');
+  }
+
+  if (updated.truck && step.truckStatus) {
+    await Truck.findByIdAndUpdate(updated.truck, { status: step.truckStatus });
+  }
+
+  if (action === 'complete') {
+    await releaseTruckForBooking(updated);
+    await Truck.updateOne({ _id: updated.truck, assignedRequest: updated._id }, { assignedRequest: null });
+
+    // Same as an admin completing it; a failure is retried on first download
+    try {
+      await issueInvoiceForBooking(updated, user._id, eventBus);
+    } catch (error) {
+      console.error(`Invoice for booking ${updated.bookingNumber} not issued:`, error.message);
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Attach proof of delivery to a started booking: the delivery photo and the
+ * recipient's signature as documents, and the recipient's name on the
+ * timeline. Recording it again adds a newer entry.
+ */
+export const recordProofOfDelivery = async (bookingId, { recipientName, photo, signature }, { user, truck }) => {
+  const booking = await findDriverBooking(bookingId, user, truck);
+  if (booking.status !== 'in_progress') {
+    throw httpError(409, 'Proof of delivery can only be recorded once the job has started', 'INVALID_TRANSITION');
+  }
+
+  const now = new Date();
+  booking.documents.push(
+    { ...photo, name: photo.name || 'Delivery photo', category: 'delivery_photo', uploadedBy: user._id, uploadDate: now },
+    { ...signature, name: signature.name || 'Recipient signature', category: 'signature', uploadedBy: user._id, uploadDate: now }
+  );
+  booking.timeline.push({
+    status: 'proof_of_delivery',
+    updatedBy: user._id,
+    notes: `Received by ${recipientName}`,
+    timestamp: now
+  });
+
+  return booking.save();
+};
+
+/**
+ * Move a pickup request assigned to the driver's truck one step along
+ * accept, arrive and complete.
+ */
+export const advancePickup = async (pickupId, action, { truck }) => {
+  const step = PICKUP_STEPS[action];
+  if (!step) throw httpError(400, `Unknown action: ${action}`);
+  if (!truck) throw httpError(404, 'Pickup request not found');
+
+  const pickup = await PickupRequest.findOneAndUpdate(
+    { _id: pickupId, assignedTruck: truck._id, status: step.from },
+    { status: step.status, [step.stamp]: new Date() },
+    { new: true }
+  );
+
+  if (!pickup) {
+    const current = await PickupRequest.findOne({ _id: pickupId, assignedTruck: truck._id });
+    if (!current) throw httpError(404, 'Pickup request not found');
+    throw httpError(409, `Cannot ${action} a pickup that is ${current.status}`, 'INVALID_TRANSITION');
+  }
+
+  await Truck.findByIdAndUpdate(truck._id, { status: step.truckStatus });
+
+  if (action === 'accept') {
+    await markOfferAccepted(pickup._id);
+  } else if (action === 'complete') {
+    await Truck.updateOne({ _id: truck._id, assignedRequest: pickup._id }, { assignedRequest: null });
+  }
+
+  return pickup;
+};
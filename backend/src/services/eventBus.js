@@ -0,0 +1,96 @@
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { createEventAdapter } from './events/index.js';
+import { EVENT_SCHEMAS, validateEventPayload } from './events/schemas.js';
+
+// Identifies the instance that published an event, for logs
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Every instance hears every event; work that must happen once can be left
+// to the instance that published it
+export const isOwnEvent = (event) => event.source === INSTANCE_ID;
+
+/**
+ * Wrap a payload in a versioned envelope. Only the fields in the event's
+ * schema are kept, and the payload goes through JSON so every subscriber sees
+ * the same shape whether it arrived in-process or through Redis. Throws on
+ * unknown event types and payloads that do not match the schema.
+ */
+export const createEvent = (type, data, source = INSTANCE_ID) => {
+  const problems = validateEventPayload(type, data);
+  if (problems.length) {
+    const error = new Error(`Invalid ${type} event: ${problems.join(', ')}`);
+    error.code = 'INVALID_EVENT';
+    throw error;
+  }
+
+  const { version, fields } = EVENT_SCHEMAS[type];
+  const payload = Object.fromEntries(
+    Object.keys(fields).filter(field => data[field] != null).map(field => [field, data[field]])
+  );
+
+  return {
+    id: uuidv4(),
+    type,
+    version,
+    occurredAt: new Date().toISOString(),
+    source,
+    data: JSON.parse(JSON.stringify(payload))
+  };
+};
+
+/**
+ * Publish domain events to every instance and deliver the ones received to
+ * local subscribers. Routes reach the bus through req.app.get('eventBus').
+ */
+export const createEventBus = (adapter = createEventAdapter()) => {
+  const handlers = new Map();
+
+  adapter.onEvent(async (event) => {
+    const subscribers = [...(handlers.get(event.type) || []), ...(handlers.get('*') || [])];
+    for (const handler of subscribers) {
+      try {
+        await handler(event);
+      } catch (error) {
+        console.error(`Event handler for ${event.type} failed:`, error);
+      }
+    }
+  });
+
+  return {
+    adapter: adapter.name,
+
+    connect: () => adapter.connect(),
+
+    close: () => adapter.close(),
+
+    // Subscribe to one event type, or to all with '*'. Returns an unsubscribe function.
+    subscribe(type, handler) {
+      if (!handlers.has(type)) handlers.set(type, new Set());
+      handlers.get(type).add(handler);
+      return () => handlers.get(type).delete(handler);
+    },
+
+    /**
+     * Validate and publish an event. An invalid payload or a transport
+     * failure is logged and resolves to null, so callers that have already
+     * saved their changes do not need to handle either.
+     */
+    publish(type, data) {
+      let event;
+      try {
+        event = createEvent(type, data);
+      } catch (error) {
+        console.error(`Not publishing ${type} event:`, error.message);
+        return Promise.resolve(null);
+      }
+
+      return adapter.publish(event)
+        .then(() => event)
+        .catch(error => {
+          console.error(`Publishing ${type} event failed:`, error.message);
+          return null;
+        });
+    }
+  };
+};
@@ -0,0 +1,25 @@
+import { createMemoryAdapter } from './memoryAdapter.js';
+import { createRedisAdapter } from './redisAdapter.js';
+
+/**
+ * Event bus adapters share one interface:
+ *   name -> adapter name
+ *   connect() / close() -> open and release connections
+ *   publish(event) -> send an event envelope to every instance
+ *   onEvent(handler) -> set the function called with each event received
+ * The adapter is chosen by EVENT_BUS_ADAPTER ("memory" by default, or "redis").
+ */
+const adapters = {
+  memory: createMemoryAdapter,
+  redis: createRedisAdapter
+};
+
+export const getEventAdapterName = () => process.env.EVENT_BUS_ADAPTER || 'memory';
+
+export const createEventAdapter = (name = getEventAdapterName(), options = {}) => {
+  const createAdapter = adapters[name];
+  if (!createAdapter) {
+    throw new Error(`Unknown event bus adapter: ${name}`);
+  }
+  return createAdapter(options);
+};
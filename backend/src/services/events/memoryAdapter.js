@@ -0,0 +1,26 @@
+// Delivers events to subscribers in this process only. Fine for a single
+// instance and for development; run more than one instance on Redis.
+
+export const createMemoryAdapter = () => {
+  let deliver = () => {};
+
+  return {
+    name: 'memory',
+
+    onEvent(handler) {
+      deliver = handler;
+    },
+
+    async connect() {},
+
+    // Deliver on a later tick, as a broker would, so a failing subscriber
+    // never affects the request that published the event
+    async publish(event) {
+      setImmediate(() => deliver(event));
+    },
+
+    async close() {}
+  };
+};
+
+export default createMemoryAdapter;
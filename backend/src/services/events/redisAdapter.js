@@ -0,0 +1,56 @@
+import { createClient } from 'redis';
+
+// Publishes events on a Redis channel that every instance subscribes to, so
+// each instance hears every event, including its own.
+
+export const createRedisAdapter = ({
+  url = process.env.REDIS_URL || 'redis://localhost:6379',
+  channel = process.env.EVENT_BUS_CHANNEL || 'autocare:events'
+} = {}) => {
+  let deliver = () => {};
+  let publisher = null;
+  let subscriber = null;
+
+  const logError = (error) => console.error('Redis event bus error:', error.message);
+
+  return {
+    name: 'redis',
+
+    onEvent(handler) {
+      deliver = handler;
+    },
+
+    // A subscribed connection cannot run other commands, so publishing uses a second one
+    async connect() {
+      publisher = createClient({ url });
+      subscriber = publisher.duplicate();
+      publisher.on('error', logError);
+      subscriber.on('error', logError);
+
+      await Promise.all([publisher.connect(), subscriber.connect()]);
+      await subscriber.subscribe(channel, (message) => {
+        let event;
+        try {
+          event = JSON.parse(message);
+        } catch (error) {
+          console.error('Ignoring malformed event on', channel);
+          return;
+        }
+        deliver(event);
+      });
+    },
+
+    async publish(event) {
+      if (!publisher) throw new Error('Redis event bus is not connected');
+      await publisher.publish(channel, JSON.stringify(event));
+    },
+
+    async close() {
+      await Promise.all([subscriber, publisher].filter(Boolean).map(client => client.quit()));
+      publisher = null;
+      subscriber = null;
+    }
+  };
+};
+
+export default createRedisAdapter;
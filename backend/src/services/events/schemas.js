@@ -0,0 +1,228 @@
+/**
+ * Domain events published on the event bus, with the payload each carries.
+ *
+ * Field types: id (ObjectId or its string), string, number, boolean, date,
+ * object and array. A trailing `?` marks an optional field. Payloads are
+ * serialized to JSON, so subscribers receive ids as strings and dates as ISO
+ * strings whichever adapter delivers them.
+ *
+ * Payloads are a contract between instances that may run different releases.
+ * Adding an optional field keeps the version; renaming, removing or changing
+ * the meaning of a field needs a new version.
+ */
+export const EVENT_SCHEMAS = {
+  'pickup.created': {
+    version: 1,
+    fields: { pickupId: 'id', userId: 'id', userName: 'string', location: 'object' }
+  },
+  'pickup.status_changed': {
+    version: 1,
+    fields: { pickupId: 'id', userId: 'id', status: 'string', driverId: 'id?' }
+  },
+  'pickup.dispatched': {
+    version: 1,
+    fields: { pickupId: 'id', userId: 'id', truckId: 'id' }
+  },
+  'pickup.dispatch_escalated': {
+    version: 1,
+    fields: { pickupId: 'id', userName: 'string', reason: 'string', attempts: 'number' }
+  },
+  'pickup.tracking_updated': {
+    version: 1,
+    fields: { pickupId: 'id', userId: 'id', truckId: 'id', status: 'string', location: 'object', eta: 'object?' }
+  },
+  'message.sent': {
+    version: 1,
+    fields: {
+      messageId: 'id',
+      conversationId: 'string?',
+      senderId: 'id',
+      senderName: 'string',
+      senderType: 'string',
+      recipientId: 'id?', // a customer; admins receive messages without one
+      text: 'string',
+      message: 'object'
+    }
+  },
+  'booking.created': {
+    version: 1,
+    fields: { bookingId: 'id', bookingNumber: 'string', customerId: 'id', customerName: 'string', serviceType: 'string' }
+  },
+  'booking.status_changed': {
+    version: 1,
+    fields: { bookingId: 'id', bookingNumber: 'string?', customerId: 'id', status: 'string', step: 'string?', driverId: 'id?' }
+  },
+  'booking.assigned': {
+    version: 1,
+    fields: {
+      bookingId: 'id',
+      bookingNumber: 'string',
+      customerId: 'id',
+      truckId: 'id',
+      truckNumber: 'string',
+      driverId: 'id?',
+      driverName: 'string?'
+    }
+  },
+  'booking.proof_of_delivery_recorded': {
+    version: 1,
+    fields: { bookingId: 'id', bookingNumber: 'string', recipientName: 'string', driverId: 'id' }
+  },
+  'truck.location_updated': {
+    version: 1,
+    fields: { truckId: 'id', location: 'object', status: 'string' }
+  },
+  'truck.status_changed': {
+    version: 1,
+    fields: { truckId: 'id', status: 'string', assignedRequestId: 'id?' }
+  },
+  'truck.assigned': {
+    version: 1,
+    fields: { truckId: 'id', requestId: 'id', status: 'string' }
+  },
+  'truck.assignment_completed': {
+    version: 1,
+    fields: { truckId: 'id', status: 'string' }
+  },
+  'location.shared': {
+    version: 1,
+    fields: { userId: 'id', userName: 'string', location: 'object' }
+  },
+  'service_request.created': {
+    version: 1,
+    fields: {
+      requestId: 'id',
+      requestNumber: 'string',
+      customerId: 'id',
+      customerName: 'string',
+      serviceType: 'string',
+      priority: 'string'
+    }
+  },
+  'service_request.status_changed': {
+    version: 1,
+    fields: {
+      requestId: 'id',
+      requestNumber: 'string',
+      customerId: 'id',
+      status: 'string',
+      changedBy: 'id',
+      notes: 'string?'
+    }
+  },
+  'service_reminder.due': {
+    version: 1,
+    fields: {
+      reminderId: 'id',
+      ownerId: 'id',
+      vehicleId: 'id',
+      serviceType: 'string',
+      title: 'string',
+      message: 'string',
+      urgency: 'string'
+    }
+  },
+  'payment.status_changed': {
+    version: 1,
+    fields: {
+      paymentId: 'id',
+      customerId: 'id',
+      bookingId: 'id?',
+      serviceRequestId: 'id?',
+      amount: 'number',
+      currency: 'string',
+      status: 'string', // pending, succeeded, failed, cancelled or refunded
+      change: 'string', // initiated, completed, failed or refunded
+      reason: 'string?',
+      refundAmount: 'number?'
+    }
+  },
+  'notification.created': {
+    version: 1,
+    fields: {
+      notificationId: 'id',
+      recipientId: 'id',
+      type: 'string',
+      title: 'string',
+      message: 'string',
+      priority: 'string',
+      data: 'object'
+    }
+  },
+  'payment.reconciliation_failed': {
+    version: 1,
+    fields: { paymentId: 'id', bookingId: 'id?', serviceRequestId: 'id?', issues: 'array' }
+  },
+  'truck.arriving': {
+    version: 1,
+    fields: {
+      truckId: 'id',
+      jobType: 'string',
+      jobId: 'id',
+      customerId: 'id',
+      reference: 'string?',
+      minutes: 'number'
+    }
+  },
+  'invoice.issued': {
+    version: 1,
+    fields: {
+      invoiceId: 'id',
+      invoiceNumber: 'string',
+      bookingId: 'id',
+      bookingNumber: 'string',
+      customerId: 'id',
+      total: 'number',
+      currency: 'string'
+    }
+  },
+  'user.role_changed': {
+    version: 1,
+    fields: { userId: 'id', role: 'string', previousRole: 'string', changedBy: 'id', reason: 'string?' }
+  },
+  'permissions.updated': {
+    version: 1,
+    fields: { role: 'string', updatedBy: 'id' }
+  },
+  'auth.sessions_revoked': {
+    version: 1,
+    fields: { userId: 'id', sessionIds: 'array', reason: 'string' }
+  },
+  'auth.refresh_token_reused': {
+    version: 1,
+    fields: { userId: 'id', sessionId: 'id', device: 'string?', ip: 'string?' }
+  }
+};
+
+const isObjectId = (value) => value?._bsontype === 'ObjectId' || value?._bsontype === 'ObjectID';
+
+const TYPE_CHECKS = {
+  id: (value) => isObjectId(value) || (typeof value === 'string' && /^[a-f\d]{24}$/i.test(value)),
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  date: (value) => (value instanceof Date || typeof value === 'string') && !Number.isNaN(new Date(value).getTime()),
+  object: (value) => typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value)
+};
+
+/**
+ * Problems with a payload for an event type, as a list of messages.
+ * Empty when the payload matches the schema.
+ */
+export const validateEventPayload = (type, data) => {
+  const schema = EVENT_SCHEMAS[type];
+  if (!schema) return [`Unknown event type: ${type}`];
+  if (!data || typeof data !== 'object') return ['Payload must be an object'];
+
+  return Object.entries(schema.fields).flatMap(([field, spec]) => {
+    const optional = spec.endsWith('?');
+    const fieldType = optional ? spec.slice(0, -1) : spec;
+    const value = data[field];
+
+    if (value === undefined || value === null) {
+      return optional ? [] : [`${field} is required`];
+    }
+    return TYPE_CHECKS[fieldType](value) ? [] : [`${field} must be of type ${fieldType}`];
+  });
+};
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// Geospatial helpers shared by the models. Documents keep their flat
+// latitude/longitude pairs for the API, plus a GeoJSON point that the
+// 2dsphere indexes and $geoNear work on.
+
+const EARTH_RADIUS_KM = 6371;
+
+// GeoJSON stores [longitude, latitude], the reverse of everywhere else
+export const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    validate: {
+      validator: (value) => value.length === 2,
+      message: 'A point needs a longitude and a latitude'
+    }
+  }
+}, { _id: false });
+
+const isCoordinate = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export const toPoint = (latitude, longitude) => (isCoordinate(latitude) && isCoordinate(longitude)
+  ? { type: 'Point', coordinates: [longitude, latitude] }
+  : undefined);
+
+// Great-circle distance in kilometres (Haversine formula)
+export const haversineKm = (lat1, lon1, lat2, lon2) => {
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * First stage of a nearest-first aggregation over the 2dsphere index on
+ * `key`. Each result gets `distance` in kilometres.
+ */
+export const geoNearStage = (latitude, longitude, { key, maxDistanceKm, query } = {}) => ({
+  $geoNear: {
+    near: { type: 'Point', coordinates: [longitude, latitude] },
+    key,
+    distanceField: 'distance',
+    distanceMultiplier: 0.001,
+    spherical: true,
+    ...(maxDistanceKm != null && { maxDistance: maxDistanceKm * 1000 }),
+    ...(query && { query })
+  }
+});
+
+const join = (...paths) => paths.filter(Boolean).join('.');
+const valueAt = (object, path) => (path ? path.split('.').reduce((value, key) => value?.[key], object) : object);
+
+/**
+ * Keep a GeoJSON point in step with a latitude/longitude pair, when
+ * documents are saved and when an update replaces the object holding them.
+ *   - `parent`: path of the object the point is stored on ('' for the root)
+ *   - `coordinates`: path, inside parent, of the object holding latitude
+ *     and longitude ('' for parent itself)
+ */
+export const syncPoint = (schema, { parent = '', coordinates = '' } = {}) => {
+  const pointPath = join(parent, 'point');
+
+  schema.pre('validate', function(next) {
+    if (!parent || this.get(parent)) {
+      const pair = join(parent, coordinates);
+      this.set(pointPath, toPoint(this.get(join(pair, 'latitude')), this.get(join(pair, 'longitude'))));
+    }
+    next();
+  });
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+    const update = this.getUpdate();
+    for (const target of [update, update?.$set]) {
+      const holder = parent ? target?.[parent] : target;
+      if (!holder || typeof holder !== 'object') continue;
+
+      const pair = valueAt(holder, coordinates);
+      const point = toPoint(pair?.latitude, pair?.longitude);
+      if (point) holder.point = point;
+    }
+    next();
+  });
+};
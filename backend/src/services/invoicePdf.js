@@ -0,0 +1,129 @@
+import PDFDocument from 'pdfkit';
+
+const PROVIDER_NAMES = {
+  stripe: 'Card',
+  mpesa: 'M-Pesa',
+  fake: 'Test payment'
+};
+
+const COLUMNS = {
+  description: { x: 50, width: 250 },
+  quantity: { x: 300, width: 70 },
+  unitPrice: { x: 370, width: 85 },
+  amount: { x: 455, width: 90 }
+};
+
+const formatMoney = (amount, currency) =>
+  `${currency} ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+
+const formatQuantity = (item) =>
+  `${Number(item.quantity).toLocaleString('en-US', { maximumFractionDigits: 2 })}${item.unit ? ` ${item.unit}` : ''}`;
+
+const drawRow = (doc, y, cells, options = {}) => {
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+  doc.text(cells.description, COLUMNS.description.x, y, { width: COLUMNS.description.width });
+  doc.text(cells.quantity, COLUMNS.quantity.x, y, { width: COLUMNS.quantity.width, align: 'right' });
+  doc.text(cells.unitPrice, COLUMNS.unitPrice.x, y, { width: COLUMNS.unitPrice.width, align: 'right' });
+  doc.text(cells.amount, COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+  return Math.max(doc.y, y + 14) + 6;
+};
+
+const drawTotal = (doc, y, label, value, bold = false) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 12 : 10);
+  doc.text(label, 300, y, { width: 155, align: 'right' });
+  doc.text(value, COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+  return y + (bold ? 20 : 16);
+};
+
+/**
+ * Render an invoice as PDF into a writable stream. When a settled payment is
+ * passed the document is titled as a receipt and shows the payment details.
+ */
+export const streamInvoicePdf = (invoice, stream, { payment = null } = {}) => {
+  const isReceipt = Boolean(payment);
+  const { currency } = invoice;
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${isReceipt ? 'Receipt' : 'Invoice'} ${invoice.invoiceNumber}` } });
+  doc.pipe(stream);
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#b91c1c').text('AutoCare Pro', 50, 50);
+  doc.fillColor('black').fontSize(18).text(isReceipt ? 'RECEIPT' : 'TAX INVOICE', 300, 50, { width: 245, align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(`Invoice No: ${invoice.invoiceNumber}`, 300, 75, { width: 245, align: 'right' })
+    .text(`Date: ${formatDate(invoice.issuedAt)}`, { width: 245, align: 'right' })
+    .text(`Booking: ${invoice.reference}`, { width: 245, align: 'right' });
+
+  // Seller and customer
+  const seller = invoice.seller || {};
+  doc.font('Helvetica-Bold').fontSize(10).text('From', 50, 130);
+  doc.font('Helvetica')
+    .text(seller.name || 'AutoCare Pro', 50, 145, { width: 230 });
+  [seller.address, seller.phone, seller.email, seller.taxRegistrationNumber && `PIN: ${seller.taxRegistrationNumber}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { width: 230 }));
+
+  const billTo = invoice.billTo || {};
+  doc.font('Helvetica-Bold').text('Bill To', 320, 130);
+  doc.font('Helvetica').text(billTo.name || 'Customer', 320, 145, { width: 225 });
+  [billTo.email, billTo.phone].filter(Boolean).forEach(line => doc.text(line, { width: 225 }));
+
+  // Line items
+  let y = 230;
+  doc.rect(50, y - 5, 495, 20).fill('#f3f4f6').fillColor('black');
+  y = drawRow(doc, y, { description: 'Description', quantity: 'Qty', unitPrice: 'Unit Price', amount: 'Amount' }, { bold: true });
+
+  invoice.lineItems.forEach(item => {
+    if (y > 700) {
+      doc.addPage();
+      y = 50;
+    }
+    y = drawRow(doc, y, {
+      description: item.description,
+      quantity: formatQuantity(item),
+      unitPrice: formatMoney(item.unitPrice, currency),
+      amount: formatMoney(item.amount, currency)
+    });
+  });
+
+  doc.moveTo(300, y).lineTo(545, y).stroke('#d1d5db');
+  y += 10;
+
+  // Totals
+  if (y > 620) {
+    doc.addPage();
+    y = 50;
+  }
+  const { tax } = invoice;
+  const taxLabel = tax.exempt
+    ? `${tax.name} (exempt)`
+    : `${tax.name} ${tax.rate}%${tax.inclusive ? ' (included)' : ''}`;
+  y = drawTotal(doc, y, `Subtotal (excl. ${tax.name})`, formatMoney(invoice.subtotal, currency));
+  y = drawTotal(doc, y, taxLabel, formatMoney(invoice.taxAmount, currency));
+  y = drawTotal(doc, y + 4, 'Total', formatMoney(invoice.total, currency), true);
+
+  // Payment
+  y += 20;
+  if (isReceipt) {
+    const paidBy = PROVIDER_NAMES[payment.provider] || payment.provider;
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#15803d').text('PAID', 50, y);
+    doc.font('Helvetica').fontSize(10).fillColor('black')
+      .text(`Amount paid: ${formatMoney(payment.amountPaid ?? payment.amount, payment.currency)}`, 50, y + 16)
+      .text(`Paid on: ${formatDate(payment.paidAt || payment.updatedAt)} via ${paidBy}`);
+    if (payment.providerReference) doc.text(`Transaction reference: ${payment.providerReference}`);
+    if (payment.amountRefunded > 0) {
+      doc.text(`Refunded: ${formatMoney(payment.amountRefunded, payment.currency)}`);
+    }
+  } else {
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#b91c1c').text('PAYMENT DUE', 50, y);
+    doc.font('Helvetica').fontSize(10).fillColor('black')
+      .text(`Amount due: ${formatMoney(invoice.total, currency)}`, 50, y + 16);
+  }
+
+  doc.fontSize(8).fillColor('#6b7280')
+    .text('Thank you for choosing AutoCare Pro.', 50, 770, { width: 495, align: 'center' });
+
+  doc.end();
+};
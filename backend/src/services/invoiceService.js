@@ -0,0 +1,200 @@
+import Invoice from '../models/Invoice.js';
+import Booking from '../models/Booking.js';
+import Branch from '../models/Branch.js';
+import User from '../models/User.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Bookings without a branch fall back to the company-wide rule
+const getDefaultTaxRule = () => ({
+  name: process.env.DEFAULT_TAX_NAME || 'VAT',
+  rate: process.env.DEFAULT_TAX_RATE !== undefined ? parseFloat(process.env.DEFAULT_TAX_RATE) : 16,
+  inclusive: process.env.DEFAULT_TAX_INCLUSIVE !== 'false',
+  exemptServiceTypes: []
+});
+
+// Branch tax rule, or the company-wide default when there is no branch
+export const getTaxRuleForBranch = (branch) =>
+  branch?.tax?.rate !== undefined ? branch.tax : getDefaultTaxRule();
+
+const loadBranch = (booking) => {
+  if (!booking.branch) return null;
+  if (booking.branch instanceof Branch) return booking.branch;
+  return Branch.findById(booking.branch._id || booking.branch);
+};
+
+/**
+ * Turn a booking's pricing into invoice line items. Quantities use the same
+ * estimates as Booking#calculateTotal so the invoice matches what was charged.
+ */
+export const buildLineItems = (booking) => {
+  const { pricing = {}, route = {}, schedule = {} } = booking;
+  const items = [];
+
+  if (pricing.baseRate) {
+    items.push({ description: `Base rate (${booking.serviceType})`, quantity: 1, unitPrice: pricing.baseRate, amount: round(pricing.baseRate) });
+  }
+
+  if (route.estimatedDistance && pricing.distanceRate) {
+    items.push({
+      description: 'Distance',
+      quantity: route.estimatedDistance,
+      unit: 'km',
+      unitPrice: pricing.distanceRate,
+      amount: round(route.estimatedDistance * pricing.distanceRate)
+    });
+  }
+
+  if (schedule.estimatedDuration && pricing.timeRate) {
+    items.push({
+      description: 'Time',
+      quantity: schedule.estimatedDuration,
+      unit: 'hours',
+      unitPrice: pricing.timeRate,
+      amount: round(schedule.estimatedDuration * pricing.timeRate)
+    });
+  }
+
+  (pricing.additionalCharges || [])
+    .filter(charge => charge.amount)
+    .forEach(charge => {
+      items.push({ description: charge.description || 'Additional charge', quantity: 1, unitPrice: charge.amount, amount: round(charge.amount) });
+    });
+
+  return items;
+};
+
+/**
+ * Work out subtotal, tax and total for a set of line items. Inclusive rules
+ * extract tax from the line amounts; exclusive rules add it on top.
+ */
+export const calculateTotals = (lineItems, taxRule, serviceType) => {
+  const exempt = (taxRule.exemptServiceTypes || []).includes(serviceType);
+  const rate = exempt ? 0 : taxRule.rate || 0;
+  const lineTotal = round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+
+  let taxAmount;
+  let subtotal;
+  let total;
+  if (taxRule.inclusive) {
+    taxAmount = round(lineTotal * rate / (100 + rate));
+    subtotal = round(lineTotal - taxAmount);
+    total = lineTotal;
+  } else {
+    subtotal = lineTotal;
+    taxAmount = round(lineTotal * rate / 100);
+    total = round(lineTotal + taxAmount);
+  }
+
+  return {
+    tax: { name: taxRule.name || 'VAT', rate, inclusive: taxRule.inclusive !== false, exempt },
+    subtotal,
+    taxAmount,
+    total
+  };
+};
+
+const buildInvoiceData = async (booking) => {
+  const branch = await loadBranch(booking);
+  const taxRule = getTaxRuleForBranch(branch);
+  const lineItems = buildLineItems(booking);
+
+  return {
+    branch,
+    lineItems,
+    ...calculateTotals(lineItems, taxRule, booking.serviceType)
+  };
+};
+
+/**
+ * Amount the customer owes for a booking, tax included. Issued invoices are
+ * final, so their total wins over a fresh calculation.
+ */
+export const getBookingAmountDue = async (booking) => {
+  const invoice = await Invoice.findOne({ booking: booking._id });
+  if (invoice) return invoice.total;
+
+  const { total } = await buildInvoiceData(booking);
+  return total;
+};
+
+/**
+ * Issue the invoice for a completed booking. Safe to call repeatedly: the
+ * existing invoice is returned if one was already issued. A new invoice is
+ * announced on the event bus as invoice.issued.
+ */
+export const issueInvoiceForBooking = async (bookingOrId, issuedBy = null, eventBus = null) => {
+  const booking = bookingOrId instanceof Booking
+    ? bookingOrId
+    : await Booking.findById(bookingOrId);
+
+  if (!booking) {
+    const error = new Error('Booking not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const existing = await Invoice.findOne({ booking: booking._id });
+  if (existing) return existing;
+
+  if (booking.status !== 'completed') {
+    const error = new Error('Invoices are issued once the booking is completed');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const customer = await User.findById(booking.customer._id || booking.customer).select('name email phone');
+  const { branch, lineItems, tax, subtotal, taxAmount, total } = await buildInvoiceData(booking);
+
+  const invoice = new Invoice({
+    booking: booking._id,
+    customer: booking.customer._id || booking.customer,
+    branch: branch?._id,
+    reference: booking.bookingNumber,
+    serviceType: booking.serviceType,
+    billTo: {
+      name: customer?.name,
+      email: customer?.email,
+      phone: customer?.phone
+    },
+    seller: {
+      name: branch ? `AutoCare Pro - ${branch.name}` : 'AutoCare Pro',
+      address: branch ? [branch.location.address, branch.location.city].filter(Boolean).join(', ') : undefined,
+      phone: branch?.contact?.phone,
+      email: branch?.contact?.email,
+      taxRegistrationNumber: branch?.tax?.registrationNumber || process.env.COMPANY_TAX_PIN
+    },
+    lineItems,
+    currency: booking.pricing.currency || 'KES',
+    tax,
+    subtotal,
+    taxAmount,
+    total,
+    issuedBy
+  });
+
+  // Numbers are allocated from the latest invoice, so a concurrent issue can
+  // collide; take the next number, or the other request's invoice for this booking
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await invoice.save();
+      break;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 3) throw error;
+      if (error.keyPattern?.booking) return Invoice.findOne({ booking: booking._id });
+      invoice.invoiceNumber = undefined;
+    }
+  }
+
+  eventBus?.publish('invoice.issued', {
+    invoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    bookingId: booking._id,
+    bookingNumber: booking.bookingNumber,
+    customerId: invoice.customer,
+    total: invoice.total,
+    currency: invoice.currency
+  });
+
+  return invoice;
+};
@@ -0,0 +1,202 @@
+// Email templates. Each takes the data it needs and returns
+// { subject, text, html }; the HTML is wrapped in the shared layout.
+
+const BRAND = 'AutoCare Pro';
+
+export const getAppUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount, currency = 'KES') =>
+  `${currency} ${Number(amount || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleString('en-KE', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: process.env.BUSINESS_TIMEZONE || 'Africa/Nairobi'
+  })
+  : 'To be confirmed');
+
+const humanize = (value) => String(value || '').replace(/_/g, ' ');
+
+// Label/value rows shown as a table in HTML and as lines in text
+const detailRows = (rows) => rows.filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+const renderDetailsHtml = (rows) => `
+  <table cellpadding="6" cellspacing="0" style="border-collapse:collapse;margin:16px 0;width:100%">
+    ${detailRows(rows).map(([label, value]) => `
+    <tr>
+      <td style="color:#6b7280;border-bottom:1px solid #e5e7eb">${escapeHtml(label)}</td>
+      <td style="border-bottom:1px solid #e5e7eb"><strong>${escapeHtml(value)}</strong></td>
+    </tr>`).join('')}
+  </table>`;
+
+const renderDetailsText = (rows) => detailRows(rows).map(([label, value]) => `${label}: ${value}`).join('\n');
+
+const layout = ({ heading, bodyHtml, action }) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827">
+    <table width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0">
+      <tr>
+        <td align="center">
+          <table width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;overflow:hidden">
+            <tr>
+              <td style="background:#b91c1c;color:#ffffff;padding:20px 24px;font-size:20px;font-weight:bold">${BRAND}</td>
+            </tr>
+            <tr>
+              <td style="padding:24px">
+                <h1 style="font-size:20px;margin:0 0 16px">${escapeHtml(heading)}</h1>
+                ${bodyHtml}
+                ${action ? `<p style="margin:24px 0 0"><a href="${escapeHtml(action.url)}" style="background:#dc2626;color:#ffffff;padding:10px 18px;border-radius:6px;text-decoration:none">${escapeHtml(action.label)}</a></p>` : ''}
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:16px 24px;color:#6b7280;font-size:12px;border-top:1px solid #e5e7eb">
+                You are receiving this email because you have an ${BRAND} account.
+                Manage email notifications in your account settings: ${escapeHtml(`${getAppUrl()}/settings`)}
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+const textFooter = () => `\n\n--\n${BRAND}\nManage email notifications: ${getAppUrl()}/settings`;
+
+const build = ({ subject, heading, paragraphs, details = [], action }) => ({
+  subject,
+  html: layout({
+    heading,
+    bodyHtml: [
+      ...paragraphs.map(paragraph => `<p style="margin:0 0 12px;line-height:1.5">${escapeHtml(paragraph)}</p>`),
+      details.length ? renderDetailsHtml(details) : ''
+    ].join('\n'),
+    action
+  }),
+  text: [
+    heading,
+    '',
+    ...paragraphs,
+    ...(details.length ? ['', renderDetailsText(details)] : []),
+    ...(action ? ['', `${action.label}: ${action.url}`] : [])
+  ].join('\n') + textFooter()
+});
+
+export const templates = {
+  welcome: ({ name, verifyUrl }) => build({
+    subject: `Welcome to ${BRAND}`,
+    heading: `Welcome, ${name}!`,
+    paragraphs: [
+      'Your account is ready. You can now book transport and towing, request services for your vehicles and track your trucks in real time.',
+      ...(verifyUrl ? ['Please confirm your email address before making your first booking.'] : [])
+    ],
+    action: verifyUrl
+      ? { label: 'Verify your email', url: verifyUrl }
+      : { label: 'Go to your dashboard', url: `${getAppUrl()}/dashboard` }
+  }),
+
+  verify_email: ({ name, verifyUrl, expiresAt }) => build({
+    subject: `Verify your ${BRAND} email address`,
+    heading: 'Confirm your email address',
+    paragraphs: [
+      `Hi ${name}, please confirm this is your email address so you can make bookings.`,
+      `The link works once and expires ${formatDate(expiresAt)}.`
+    ],
+    action: { label: 'Verify your email', url: verifyUrl }
+  }),
+
+  password_reset: ({ name, resetUrl, expiresAt }) => build({
+    subject: `Reset your ${BRAND} password`,
+    heading: 'Reset your password',
+    paragraphs: [
+      `Hi ${name}, we received a request to reset your password.`,
+      `The link works once and expires ${formatDate(expiresAt)}. If you did not ask for this, you can ignore this email; your password will not change.`
+    ],
+    action: { label: 'Choose a new password', url: resetUrl }
+  }),
+
+  password_changed: ({ name, changedAt }) => build({
+    subject: `Your ${BRAND} password was changed`,
+    heading: 'Your password was changed',
+    paragraphs: [
+      `Hi ${name}, the password for your account was changed on ${formatDate(changedAt)} and other sessions were signed out.`,
+      'If this was not you, reset your password straight away and contact support.'
+    ],
+    action: { label: 'Reset password', url: `${getAppUrl()}/forgot-password` }
+  }),
+
+  booking_confirmed: ({ name, bookingNumber, serviceType, startDate, pickupAddress, destinationAddress, total, currency }) => build({
+    subject: `Booking ${bookingNumber} confirmed`,
+    heading: 'Your booking is confirmed',
+    paragraphs: [
+      `Hi ${name}, your booking ${bookingNumber} has been confirmed. We will let you know when a truck is on its way.`
+    ],
+    details: [
+      ['Booking', bookingNumber],
+      ['Service', humanize(serviceType)],
+      ['Scheduled for', formatDate(startDate)],
+      ['Pickup', pickupAddress],
+      ['Destination', destinationAddress],
+      ['Estimated total', total ? formatMoney(total, currency) : undefined]
+    ],
+    action: { label: 'View booking', url: `${getAppUrl()}/dashboard` }
+  }),
+
+  truck_dispatched: ({ name, reference, truckNumber, driverName, driverPhone, pickupAddress }) => build({
+    subject: `Your truck is on its way${reference ? ` (${reference})` : ''}`,
+    heading: 'A truck has been dispatched',
+    paragraphs: [
+      `Hi ${name}, truck ${truckNumber} has been assigned to you and will head to your pickup location.`,
+      'You can follow it live from your dashboard.'
+    ],
+    details: [
+      ['Reference', reference],
+      ['Truck', truckNumber],
+      ['Driver', driverName],
+      ['Driver phone', driverPhone],
+      ['Pickup', pickupAddress]
+    ],
+    action: { label: 'Track your truck', url: `${getAppUrl()}/dashboard` }
+  }),
+
+  invoice_ready: ({ name, invoiceNumber, bookingNumber, total, currency, issuedAt }) => build({
+    subject: `Invoice ${invoiceNumber} for booking ${bookingNumber}`,
+    heading: 'Your invoice is ready',
+    paragraphs: [
+      `Hi ${name}, thank you for choosing ${BRAND}. The invoice for booking ${bookingNumber} is ready to download from your dashboard.`
+    ],
+    details: [
+      ['Invoice', invoiceNumber],
+      ['Booking', bookingNumber],
+      ['Issued', formatDate(issuedAt)],
+      ['Total', formatMoney(total, currency)]
+    ],
+    action: { label: 'Download invoice', url: `${getAppUrl()}/dashboard` }
+  }),
+
+  // Any other notification, as plain title and message
+  notification: ({ name, title, message }) => build({
+    subject: title,
+    heading: title,
+    paragraphs: [`Hi ${name},`, message],
+    action: { label: `Open ${BRAND}`, url: `${getAppUrl()}/dashboard` }
+  })
+};
+
+export const TEMPLATE_NAMES = Object.keys(templates);
+
+export const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
@@ -0,0 +1,319 @@
+import nodemailer from 'nodemailer';
+import EmailMessage from '../models/EmailMessage.js';
+import Notification from '../models/Notification.js';
+import Booking from '../models/Booking.js';
+import PickupRequest from '../models/PickupRequest.js';
+import Invoice from '../models/Invoice.js';
+import { renderTemplate, getAppUrl } from './mail/templates.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Wait before each retry; the last delay repeats until MAIL_MAX_ATTEMPTS
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240];
+const SEND_LOCK_MS = 5 * MINUTE_MS;
+const BATCH_SIZE = 20;
+
+const getMaxAttempts = () => parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+
+let transporter = null;
+
+/**
+ * SMTP transport from SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER /
+ * SMTP_PASS. Defaults to a local catcher such as MailHog on port 1025.
+ */
+export const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+const getFromAddress = () => process.env.MAIL_FROM || 'AutoCare Pro <no-reply@autocare.com>';
+
+// SMTP 5xx replies (unknown mailbox, rejected sender) will not succeed on retry
+const isPermanentFailure = (error) => error.responseCode >= 500 && error.responseCode < 600;
+
+/**
+ * Render a template and store the email for the queue worker to send.
+ * With a dedupeKey, an email already queued under that key is returned
+ * instead of queueing a second one.
+ */
+export const queueEmail = async ({ to, template, data, user, notification, dedupeKey, sensitive }) => {
+  const { subject, text, html } = renderTemplate(template, data);
+
+  let email;
+  try {
+    email = await EmailMessage.create({ to, subject, text, html, template, user, notification, dedupeKey, sensitive });
+  } catch (error) {
+    if (error.code === 11000 && dedupeKey) return EmailMessage.findOne({ dedupeKey });
+    throw error;
+  }
+
+  // Try straight away rather than waiting for the next queue run
+  setImmediate(() => {
+    processMailQueue().catch(error => console.error('Mail queue error:', error));
+  });
+
+  return email;
+};
+
+// Keep the notification's email delivery status in step with its email
+const updateNotificationDelivery = (email, delivery) => {
+  if (!email.notification) return null;
+  return Notification.updateOne({ _id: email.notification }, { 'delivery.email': delivery });
+};
+
+const REDACTED = '[removed after sending]';
+const redact = (email) => (email.sensitive ? { text: REDACTED, html: REDACTED } : {});
+
+const sendEmail = async (email) => {
+  try {
+    const info = await getTransporter().sendMail({
+      from: getFromAddress(),
+      to: email.to,
+      subject: email.subject,
+      text: email.text,
+      html: email.html
+    });
+
+    await EmailMessage.updateOne({ _id: email._id }, {
+      status: 'sent',
+      sentAt: new Date(),
+      providerMessageId: info.messageId,
+      ...redact(email),
+      $unset: { lockedUntil: 1, lastError: 1 }
+    });
+    await updateNotificationDelivery(email, { status: 'sent', sentAt: new Date() });
+    return true;
+
+  } catch (error) {
+    const gaveUp = isPermanentFailure(error) || email.attempts >= getMaxAttempts();
+    const delay = RETRY_DELAYS_MINUTES[Math.min(email.attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+
+    await EmailMessage.updateOne({ _id: email._id }, {
+      status: gaveUp ? 'failed' : 'queued',
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + delay * MINUTE_MS),
+      ...(gaveUp ? redact(email) : {}),
+      $unset: { lockedUntil: 1 }
+    });
+    if (gaveUp) {
+      console.error(`Email ${email._id} to ${email.to} failed after ${email.attempts} attempt(s):`, error.message);
+      await updateNotificationDelivery(email, { status: 'failed', error: error.message });
+    }
+    return false;
+  }
+};
+
+/**
+ * Send due emails. Each one is claimed with a conditional update, so several
+ * instances can run the queue at once without sending an email twice.
+ * Returns the number sent.
+ */
+export const processMailQueue = async () => {
+  let sent = 0;
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const now = new Date();
+    const email = await EmailMessage.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        status: 'sending',
+        lockedUntil: new Date(now.getTime() + SEND_LOCK_MS),
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!email) break;
+
+    if (await sendEmail(email)) sent++;
+  }
+
+  return sent;
+};
+
+/**
+ * Put a failed email back in the queue for another round of attempts.
+ * Sensitive emails have lost their body and must be requested again.
+ */
+export const retryEmail = async (emailId) => {
+  const email = await EmailMessage.findOneAndUpdate(
+    { _id: emailId, status: 'failed', sensitive: { $ne: true } },
+    { status: 'queued', attempts: 0, nextAttemptAt: new Date() },
+    { new: true }
+  );
+  if (email) {
+    setImmediate(() => {
+      processMailQueue().catch(error => console.error('Mail queue error:', error));
+    });
+  }
+  return email;
+};
+
+// Run the queue periodically (default every minute) to pick up retries
+export const startMailQueue = () => {
+  const interval = parseInt(process.env.MAIL_QUEUE_INTERVAL_MS) || MINUTE_MS;
+
+  const run = async () => {
+    try {
+      const sent = await processMailQueue();
+      if (sent) console.log(`📧 Mail queue sent ${sent} email(s)`);
+    } catch (error) {
+      console.error('Mail queue error:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, interval);
+};
+
+/**
+ * Template and data for notifications that have a dedicated email; other
+ * notifications use the generic template.
+ */
+const NOTIFICATION_EMAILS = {
+  'booking.status_changed': async (notification, user) => {
+    if (notification.data.status !== 'confirmed') return null;
+    const booking = await Booking.findById(notification.data.bookingId);
+    if (!booking) return null;
+
+    return {
+      template: 'booking_confirmed',
+      data: {
+        name: user.name,
+        bookingNumber: booking.bookingNumber,
+        serviceType: booking.serviceType,
+        startDate: booking.schedule?.startDate,
+        pickupAddress: booking.route?.origin?.address,
+        destinationAddress: booking.route?.destination?.address,
+        total: booking.pricing?.totalAmount,
+        currency: booking.pricing?.currency
+      }
+    };
+  },
+
+  'booking.assigned': async (notification, user) => {
+    const booking = await Booking.findById(notification.data.bookingId).populate('truck', 'truckId driver');
+    // The driver gets the generic "New Job" email
+    if (!booking?.truck || booking.customer.toString() !== user._id.toString()) return null;
+
+    return {
+      template: 'truck_dispatched',
+      data: {
+        name: user.name,
+        reference: booking.bookingNumber,
+        truckNumber: booking.truck.truckId,
+        driverName: booking.truck.driver?.name,
+        driverPhone: booking.truck.driver?.phone,
+        pickupAddress: booking.route?.origin?.address
+      }
+    };
+  },
+
+  'pickup.dispatched': async (notification, user) => {
+    const pickup = await PickupRequest.findById(notification.data.pickupId).populate('assignedTruck', 'truckId driver');
+    if (!pickup?.assignedTruck) return null;
+
+    return {
+      template: 'truck_dispatched',
+      data: {
+        name: user.name,
+        truckNumber: pickup.assignedTruck.truckId,
+        driverName: pickup.assignedTruck.driver?.name,
+        driverPhone: pickup.assignedTruck.driver?.phone,
+        pickupAddress: pickup.pickupLocation?.address
+      }
+    };
+  },
+
+  'invoice.issued': async (notification, user) => {
+    const invoice = await Invoice.findById(notification.data.invoiceId);
+    if (!invoice) return null;
+
+    return {
+      template: 'invoice_ready',
+      data: {
+        name: user.name,
+        invoiceNumber: invoice.invoiceNumber,
+        bookingNumber: invoice.reference,
+        total: invoice.total,
+        currency: invoice.currency,
+        issuedAt: invoice.createdAt
+      }
+    };
+  }
+};
+
+/**
+ * Email channel for the notification center: queue the notification's email
+ * and report it as queued; the queue updates the status once it is sent.
+ */
+export const sendNotificationEmail = async (user, notification) => {
+  if (!user.email) throw new Error('User has no email address');
+
+  const build = NOTIFICATION_EMAILS[notification.sourceEvent?.type];
+  const email = (build && await build(notification, user)) || {
+    template: 'notification',
+    data: { name: user.name, title: notification.title, message: notification.message }
+  };
+
+  await queueEmail({
+    to: user.email,
+    ...email,
+    user: user._id,
+    notification: notification._id,
+    dedupeKey: `notification:${notification._id}`
+  });
+  return 'queued';
+};
+
+// Account emails below are transactional: they are sent whatever the user's
+// notification preferences
+
+// With a verification token, the welcome email doubles as the verification email
+export const sendWelcomeEmail = (user, verificationToken = null) => queueEmail({
+  to: user.email,
+  template: 'welcome',
+  data: {
+    name: user.name,
+    verifyUrl: verificationToken ? `${getAppUrl()}/verify-email?token=${verificationToken}` : undefined
+  },
+  user: user._id,
+  dedupeKey: `welcome:${user._id}`,
+  sensitive: Boolean(verificationToken)
+});
+
+export const sendVerificationEmail = (user, { token, expiresAt }) => queueEmail({
+  to: user.email,
+  template: 'verify_email',
+  data: { name: user.name, verifyUrl: `${getAppUrl()}/verify-email?token=${token}`, expiresAt },
+  user: user._id,
+  sensitive: true
+});
+
+export const sendPasswordResetEmail = (user, { token, expiresAt }) => queueEmail({
+  to: user.email,
+  template: 'password_reset',
+  data: { name: user.name, resetUrl: `${getAppUrl()}/reset-password?token=${token}`, expiresAt },
+  user: user._id,
+  sensitive: true
+});
+
+export const sendPasswordChangedEmail = (user) => queueEmail({
+  to: user.email,
+  template: 'password_changed',
+  data: { name: user.name, changedAt: user.passwordChangedAt },
+  user: user._id
+});
@@ -0,0 +1,249 @@
+import Vehicle from '../models/Vehicle.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import ServiceReminder from '../models/ServiceReminder.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Service intervals by service type. A service also resets the schedule of
+// every type listed in `covers` (a routine service includes an oil change).
+export const SERVICE_INTERVALS = {
+  '3000km Routine Maintenance': { km: 3000, months: 3, covers: ['Oil Change'] },
+  'Oil Change': { km: 5000, months: 6 },
+  'Brake Service': { km: 20000, months: 12, covers: ['Brake Repair'] },
+  'Wheel Alignment': { km: 10000, months: 12 },
+  'Tire Replacement': { km: 40000, months: 36 },
+  'Transmission Service': { km: 60000, months: 48 },
+  'Battery Replacement': { months: 36 }
+};
+
+// Reminder lead times, configurable per deployment
+export const getLeadTimes = () => ({
+  km: parseInt(process.env.MAINTENANCE_REMINDER_LEAD_KM) || 500,
+  days: parseInt(process.env.MAINTENANCE_REMINDER_LEAD_DAYS) || 14
+});
+
+// Used to turn km into a date when a vehicle has too few odometer readings
+const DEFAULT_DAILY_KM = parseInt(process.env.MAINTENANCE_DEFAULT_DAILY_KM) || 40;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Service types whose completion resets the schedule for `serviceType`
+const typesResetting = (serviceType) => [
+  serviceType,
+  ...Object.keys(SERVICE_INTERVALS).filter(type => (SERVICE_INTERVALS[type].covers || []).includes(serviceType))
+];
+
+/**
+ * Compute the next due point for each service type of a vehicle.
+ * `lastServices` maps service type -> { completedAt, odometerAtService }.
+ */
+export const computeSchedule = (vehicle, lastServices = {}, now = new Date()) => {
+  const leadTimes = getLeadTimes();
+  const currentKm = vehicle.odometer?.reading || 0;
+  const dailyKm = (vehicle.estimateDailyKm && vehicle.estimateDailyKm()) || DEFAULT_DAILY_KM;
+
+  return Object.entries(SERVICE_INTERVALS).map(([serviceType, interval]) => {
+    // The most recent completed service that resets this type
+    const last = typesResetting(serviceType)
+      .map(type => lastServices[type])
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))[0];
+
+    let dueAtKm = null;
+    let kmRemaining = null;
+    if (interval.km) {
+      if (last && last.odometerAtService != null) {
+        dueAtKm = last.odometerAtService + interval.km;
+      } else {
+        // No service on record: assume the next multiple of the interval
+        dueAtKm = (Math.floor(currentKm / interval.km) + 1) * interval.km;
+      }
+      kmRemaining = Math.round(dueAtKm - currentKm);
+    }
+
+    const baseline = last ? new Date(last.completedAt) : new Date(vehicle.createdAt || now);
+    let dueDate = interval.months ? addMonths(baseline, interval.months) : null;
+
+    // Whichever comes first: the calendar date or the projected date for the km limit
+    if (kmRemaining !== null) {
+      const projected = new Date(now.getTime() + Math.max(kmRemaining, 0) / dailyKm * DAY_MS);
+      if (!dueDate || projected < dueDate) dueDate = projected;
+    }
+
+    const daysRemaining = dueDate ? Math.ceil((dueDate - now) / DAY_MS) : null;
+
+    let urgency = 'ok';
+    if ((kmRemaining !== null && kmRemaining <= 0) || (daysRemaining !== null && daysRemaining <= 0)) {
+      urgency = 'overdue';
+    } else if ((kmRemaining !== null && kmRemaining <= leadTimes.km) ||
+               (daysRemaining !== null && daysRemaining <= leadTimes.days)) {
+      urgency = 'due_soon';
+    }
+
+    return {
+      serviceType,
+      dueAtKm,
+      kmRemaining,
+      dueDate,
+      daysRemaining,
+      urgency,
+      lastService: last || null
+    };
+  });
+};
+
+// Latest completed service per service type for a vehicle
+export const getLastServices = async (vehicleId) => {
+  const results = await ServiceRequest.aggregate([
+    { $match: { vehicleId, status: 'completed' } },
+    { $sort: { completedAt: -1 } },
+    {
+      $group: {
+        _id: '$serviceType',
+        completedAt: { $first: '$completedAt' },
+        odometerAtService: { $first: '$odometerAtService' },
+        requestNumber: { $first: '$requestNumber' }
+      }
+    }
+  ]);
+
+  return results.reduce((map, result) => {
+    map[result._id] = result;
+    return map;
+  }, {});
+};
+
+export const getVehicleSchedule = async (vehicle) => {
+  const lastServices = await getLastServices(vehicle._id);
+  return computeSchedule(vehicle, lastServices);
+};
+
+const describeDue = (item) => {
+  const parts = [];
+  if (item.kmRemaining !== null) {
+    parts.push(item.kmRemaining <= 0
+      ? `overdue by ${Math.abs(item.kmRemaining).toLocaleString()} km`
+      : `due in ${item.kmRemaining.toLocaleString()} km`);
+  }
+  if (item.dueDate) {
+    parts.push(item.daysRemaining <= 0
+      ? `was due on ${item.dueDate.toDateString()}`
+      : `by ${item.dueDate.toDateString()}`);
+  }
+  return parts.join(', ');
+};
+
+// What identifies one service cycle: the due mileage for services with a km
+// interval (the projected date moves as the vehicle is driven), else the
+// calendar due date. A completed service starts a new cycle.
+const cycleOf = (item) => (SERVICE_INTERVALS[item.serviceType].km
+  ? { dueAtKm: item.dueAtKm }
+  : { dueDate: item.dueDate });
+
+/**
+ * Create or refresh reminders for every active vehicle whose service is due
+ * within the lead time. A reminder the owner dismissed stays dismissed for
+ * the rest of its cycle. Returns the number of reminders created or updated.
+ */
+export const runMaintenanceScheduler = async (eventBus = null) => {
+  let processed = 0;
+  const cursor = Vehicle.find({ isActive: true }).cursor();
+
+  for (let vehicle = await cursor.next(); vehicle != null; vehicle = await cursor.next()) {
+    const schedule = await getVehicleSchedule(vehicle);
+
+    for (const item of schedule) {
+      if (item.urgency === 'ok') continue;
+
+      const label = `${vehicle.make} ${vehicle.model} (${vehicle.licensePlate})`;
+      const title = item.urgency === 'overdue'
+        ? `${item.serviceType} Overdue`
+        : `${item.serviceType} Due Soon`;
+      const message = `${item.serviceType} for your ${label} is ${describeDue(item)}. Book your service today!`;
+
+      const dismissed = await ServiceReminder.exists({
+        vehicle: vehicle._id,
+        serviceType: item.serviceType,
+        status: 'dismissed',
+        ...cycleOf(item)
+      });
+      if (dismissed) continue;
+
+      const existing = await ServiceReminder.findOne({
+        vehicle: vehicle._id,
+        serviceType: item.serviceType,
+        status: 'active'
+      });
+
+      // Only notify again when the reminder is new or has escalated
+      const shouldNotify = !existing || existing.urgency !== item.urgency;
+
+      const reminder = existing || new ServiceReminder({
+        owner: vehicle.owner,
+        vehicle: vehicle._id,
+        serviceType: item.serviceType
+      });
+
+      Object.assign(reminder, {
+        urgency: item.urgency,
+        dueAtKm: item.dueAtKm,
+        dueDate: item.dueDate,
+        kmRemaining: item.kmRemaining,
+        daysRemaining: item.daysRemaining,
+        title,
+        message
+      });
+
+      if (shouldNotify) {
+        reminder.isRead = false;
+        reminder.lastNotifiedAt = new Date();
+      }
+
+      await reminder.save();
+      processed++;
+
+      if (shouldNotify && eventBus) {
+        eventBus.publish('service_reminder.due', {
+          reminderId: reminder._id,
+          ownerId: vehicle.owner,
+          vehicleId: vehicle._id,
+          serviceType: item.serviceType,
+          title,
+          message,
+          urgency: item.urgency
+        });
+      }
+    }
+  }
+
+  return processed;
+};
+
+// Resolve reminders once a service has been completed
+export const resolveRemindersForService = (vehicleId, serviceType) => {
+  const resolved = [serviceType, ...((SERVICE_INTERVALS[serviceType] || {}).covers || [])];
+  return ServiceReminder.resolveForService(vehicleId, resolved);
+};
+
+// Run the scheduler now and then periodically (default every 6 hours)
+export const startMaintenanceScheduler = (eventBus) => {
+  const interval = parseInt(process.env.MAINTENANCE_SCHEDULER_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+  const run = async () => {
+    try {
+      const processed = await runMaintenanceScheduler(eventBus);
+      console.log(`🔧 Maintenance scheduler processed ${processed} reminder(s)`);
+    } catch (error) {
+      console.error('Maintenance scheduler error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, interval);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,301 @@
+import Notification, { DELIVERY_CHANNELS } from '../models/Notification.js';
+import User from '../models/User.js';
+import { EVENT_SCHEMAS } from './events/schemas.js';
+import { sendNotificationEmail } from './mailService.js';
+import { sendNotificationSms } from './smsService.js';
+import { sendNotificationPush } from './pushService.js';
+
+/**
+ * Senders for the channels outside the app, keyed by channel:
+ *   (user, notification) -> Promise, rejecting if the message was not sent
+ * A sender may resolve to another status: 'queued' when it sends later and
+ * records the outcome itself, or 'unavailable' when the user cannot be reached
+ * that way. A channel without a sender is recorded as unavailable.
+ */
+const channelSenders = {
+  email: sendNotificationEmail,
+  sms: sendNotificationSms,
+  push: sendNotificationPush
+};
+
+const ADMINS = 'admins';
+
+const truncate = (text, length = 100) => (text.length > length ? `${text.slice(0, length - 3)}...` : text);
+
+const humanize = (value) => value.replace(/_/g, ' ');
+
+const paymentMessages = {
+  completed: (d) => `Payment of ${d.currency} ${d.amount} completed`,
+  failed: (d) => `Payment of ${d.currency} ${d.amount} failed${d.reason ? `: ${d.reason}` : ''}`,
+  refunded: (d) => `${d.currency} ${d.refundAmount} of a ${d.currency} ${d.amount} payment was refunded`
+};
+
+/**
+ * Notifications created for each domain event: who gets them (a user id or
+ * all admins) and what they say. Events not listed here, such as frequent
+ * truck location updates, do not create notifications.
+ */
+const NOTIFICATION_RULES = {
+  'message.sent': (d) => [{
+    to: d.recipientId || ADMINS,
+    type: 'message',
+    title: d.recipientId ? 'New Message from Support' : `New Message from ${d.senderName}`,
+    message: truncate(d.text),
+    data: { messageId: d.messageId, conversationId: d.conversationId }
+  }],
+  'pickup.created': (d) => [{
+    to: ADMINS,
+    type: 'pickup',
+    title: 'New Pickup Request',
+    message: `${d.userName} requested a pickup`,
+    priority: 'high',
+    data: { pickupId: d.pickupId }
+  }],
+  'pickup.status_changed': (d) => [{
+    to: d.userId,
+    type: 'pickup',
+    title: 'Pickup Status Update',
+    message: `Your pickup request is now ${d.status}`,
+    data: { pickupId: d.pickupId, status: d.status }
+  }],
+  'pickup.dispatched': (d) => [{
+    to: d.userId,
+    type: 'pickup',
+    title: 'Truck Dispatched',
+    message: 'A truck is on its way to your pickup location',
+    priority: 'high',
+    data: { pickupId: d.pickupId, truckId: d.truckId }
+  }],
+  'pickup.dispatch_escalated': (d) => [{
+    to: ADMINS,
+    type: 'pickup',
+    title: 'Pickup Needs a Dispatcher',
+    message: `${d.userName}'s pickup could not be auto-dispatched: ${d.reason}`,
+    priority: 'high',
+    data: { pickupId: d.pickupId }
+  }],
+  'booking.created': (d) => [{
+    to: ADMINS,
+    type: 'booking',
+    title: 'New Booking',
+    message: `${d.customerName} booked ${humanize(d.serviceType)} (${d.bookingNumber})`,
+    data: { bookingId: d.bookingId }
+  }],
+  'booking.status_changed': (d) => {
+    const booking = d.bookingNumber ? `Booking ${d.bookingNumber}` : 'Your booking';
+    return [{
+      to: d.customerId,
+      type: 'booking',
+      title: 'Booking Update',
+      message: d.step ? `${booking}: ${humanize(d.step)}` : `${booking} is now ${humanize(d.status)}`,
+      data: { bookingId: d.bookingId, status: d.status }
+    }];
+  },
+  'booking.assigned': (d) => [
+    {
+      to: d.customerId,
+      type: 'booking',
+      title: 'Truck Assigned',
+      message: `Truck ${d.truckNumber} will handle booking ${d.bookingNumber}`,
+      data: { bookingId: d.bookingId, truckId: d.truckId }
+    },
+    ...(d.driverId ? [{
+      to: d.driverId,
+      type: 'booking',
+      title: 'New Job',
+      message: `Booking ${d.bookingNumber} was assigned to you`,
+      priority: 'high',
+      data: { bookingId: d.bookingId }
+    }] : [])
+  ],
+  'truck.arriving': (d) => [{
+    to: d.customerId,
+    type: d.jobType,
+    title: 'Driver Arriving',
+    message: `Your driver is about ${d.minutes} minute${d.minutes === 1 ? '' : 's'} away`,
+    priority: 'high',
+    data: { [d.jobType === 'pickup' ? 'pickupId' : 'bookingId']: d.jobId, truckId: d.truckId, minutes: d.minutes }
+  }],
+  'booking.proof_of_delivery_recorded': (d) => [{
+    to: ADMINS,
+    type: 'booking',
+    title: 'Proof of Delivery',
+    message: `Booking ${d.bookingNumber} was received by ${d.recipientName}`,
+    priority: 'low',
+    data: { bookingId: d.bookingId }
+  }],
+  'location.shared': (d) => [{
+    to: ADMINS,
+    type: 'location',
+    title: 'Location Shared',
+    message: `${d.userName} shared their location`,
+    priority: 'low',
+    data: { userId: d.userId }
+  }],
+  'service_request.created': (d) => [{
+    to: ADMINS,
+    type: 'service_request',
+    title: 'New Service Request',
+    message: `${d.customerName} requested ${humanize(d.serviceType)} (${d.requestNumber})`,
+    priority: d.priority === 'urgent' || d.priority === 'high' ? 'high' : 'medium',
+    data: { requestId: d.requestId }
+  }],
+  'service_request.status_changed': (d) => [{
+    to: d.changedBy === d.customerId ? ADMINS : d.customerId,
+    type: 'service_request',
+    title: 'Service Request Update',
+    message: `Request ${d.requestNumber} is now ${humanize(d.status)}${d.notes ? `: ${truncate(d.notes)}` : ''}`,
+    data: { requestId: d.requestId }
+  }],
+  'service_reminder.due': (d) => [{
+    to: d.ownerId,
+    type: 'maintenance',
+    title: d.title,
+    message: d.message,
+    priority: d.urgency === 'overdue' ? 'high' : 'medium',
+    data: { reminderId: d.reminderId, vehicleId: d.vehicleId }
+  }],
+  // Customers already know they started a payment; tell them how it ended
+  'payment.status_changed': (d) => (paymentMessages[d.change] ? [d.customerId, ADMINS].map(to => ({
+    to,
+    type: 'payment',
+    title: `Payment ${d.change.charAt(0).toUpperCase() + d.change.slice(1)}`,
+    message: paymentMessages[d.change](d),
+    priority: d.change === 'failed' ? 'high' : (to === ADMINS ? 'low' : 'medium'),
+    data: { paymentId: d.paymentId, bookingId: d.bookingId, serviceRequestId: d.serviceRequestId }
+  })) : []),
+  'payment.reconciliation_failed': (d) => [{
+    to: ADMINS,
+    type: 'payment',
+    title: 'Payment Reconciliation Failed',
+    message: truncate(d.issues.join('; ')),
+    priority: 'high',
+    data: { paymentId: d.paymentId, bookingId: d.bookingId, serviceRequestId: d.serviceRequestId }
+  }],
+  'invoice.issued': (d) => [{
+    to: d.customerId,
+    type: 'invoice',
+    title: 'Invoice Ready',
+    message: `Invoice ${d.invoiceNumber} for booking ${d.bookingNumber} is ready to download`,
+    data: { invoiceId: d.invoiceId, bookingId: d.bookingId }
+  }],
+  'user.role_changed': (d) => [{
+    to: d.userId,
+    type: 'system',
+    title: 'Account Role Changed',
+    message: `Your account role changed from ${humanize(d.previousRole)} to ${humanize(d.role)}`,
+    priority: 'high',
+    data: { role: d.role }
+  }],
+  'auth.refresh_token_reused': (d) => [{
+    to: d.userId,
+    type: 'system',
+    title: 'Session Signed Out',
+    message: `Your session on ${d.device || 'an unknown device'} was signed out because its sign-in token was used twice. If this wasn't you, change your password.`,
+    priority: 'high',
+    data: { sessionId: d.sessionId }
+  }]
+};
+
+/**
+ * Send a notification over email, SMS and push as the recipient's
+ * preferences allow, and record the outcome for each channel.
+ */
+export const deliverNotification = async (notification, user) => {
+  const recipient = user || await User.findById(notification.recipient);
+  const preferences = recipient?.preferences?.notifications || {};
+
+  const delivery = {};
+  for (const channel of DELIVERY_CHANNELS) {
+    const sender = channelSenders[channel];
+    if (!recipient || !preferences[channel]) {
+      delivery[channel] = { status: 'disabled' };
+    } else if (!sender) {
+      delivery[channel] = { status: 'unavailable' };
+    } else {
+      try {
+        const status = (await sender(recipient, notification)) || 'sent';
+        delivery[channel] = status === 'sent' ? { status, sentAt: new Date() } : { status };
+      } catch (error) {
+        console.error(`Notification ${channel} delivery failed:`, error.message);
+        delivery[channel] = { status: 'failed', error: error.message };
+      }
+    }
+  }
+
+  // A queued channel may already have reported its outcome; only move it on from pending
+  const set = {};
+  const queued = [];
+  for (const channel of DELIVERY_CHANNELS) {
+    if (delivery[channel].status === 'queued') queued.push(channel);
+    else set[`delivery.${channel}`] = delivery[channel];
+  }
+  await Notification.updateOne({ _id: notification._id }, { $set: set });
+  for (const channel of queued) {
+    await Notification.updateOne(
+      { _id: notification._id, [`delivery.${channel}.status`]: 'pending' },
+      { $set: { [`delivery.${channel}.status`]: 'queued' } }
+    );
+  }
+
+  notification.delivery = delivery;
+  return notification;
+};
+
+/**
+ * Store a notification for a user, show it in their open sessions and send
+ * it over the channels they have switched on. With a source event, only the
+ * first instance to store it delivers it; the others get null.
+ */
+export const createNotification = async (recipientId, content, { eventBus, sourceEvent } = {}) => {
+  let notification;
+  try {
+    notification = await Notification.create({ ...content, recipient: recipientId, sourceEvent });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  eventBus?.publish('notification.created', {
+    notificationId: notification._id,
+    recipientId,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    priority: notification.priority,
+    data: notification.data
+  });
+
+  return deliverNotification(notification);
+};
+
+const getAdminIds = async () => {
+  const admins = await User.findActiveAdmins().select('_id');
+  return admins.map(admin => admin._id.toString());
+};
+
+/**
+ * Create notifications from domain events on the bus. Every instance
+ * subscribes; the unique source event index keeps one copy per recipient.
+ */
+export const subscribeNotifications = (eventBus) => eventBus.subscribe('*', async (event) => {
+  const rule = NOTIFICATION_RULES[event.type];
+  if (!rule || event.version !== EVENT_SCHEMAS[event.type].version) return;
+
+  const notifications = rule(event.data);
+  const adminIds = notifications.some(n => n.to === ADMINS) ? await getAdminIds() : [];
+
+  for (const { to, ...content } of notifications) {
+    const recipients = to === ADMINS ? adminIds : [to];
+    for (const recipientId of recipients) {
+      try {
+        await createNotification(recipientId, content, {
+          eventBus,
+          sourceEvent: { id: event.id, type: event.type }
+        });
+      } catch (error) {
+        console.error(`Notification for ${event.type} not created:`, error.message);
+      }
+    }
+  }
+});
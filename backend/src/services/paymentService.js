@@ -0,0 +1,506 @@
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Booking from '../models/Booking.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import { getPaymentProvider, getAvailableProviders, getDefaultProviderName } from './payments/index.js';
+import { getBookingAmountDue } from './invoiceService.js';
+
+const httpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// What the provider will charge for an amount, e.g. whole shillings on M-Pesa
+const chargeableAmount = (provider, amount) => (provider.roundAmount ? provider.roundAmount(amount) : amount);
+
+/**
+ * Load the booking or service request being paid for and compute the amount
+ * server-side. Throws errors carrying an HTTP statusCode.
+ */
+export const resolvePayable = async ({ bookingId, serviceRequestId }, user) => {
+  let target;
+  let payable;
+
+  if (bookingId) {
+    target = await Booking.findById(bookingId);
+    if (!target) throw httpError(404, 'Booking not found');
+    if (target.status === 'cancelled') throw httpError(400, 'Cancelled bookings cannot be paid');
+
+    payable = {
+      booking: target._id,
+      amount: round(await getBookingAmountDue(target)),
+      currency: target.pricing.currency || 'KES',
+      reference: target.bookingNumber,
+      description: `AutoCare Pro booking ${target.bookingNumber}`
+    };
+  } else if (serviceRequestId) {
+    target = await ServiceRequest.findById(serviceRequestId);
+    if (!target) throw httpError(404, 'Service request not found');
+    if (['rejected', 'cancelled'].includes(target.status)) {
+      throw httpError(400, `${target.status.charAt(0).toUpperCase() + target.status.slice(1)} requests cannot be paid`);
+    }
+
+    payable = {
+      serviceRequest: target._id,
+      amount: round(target.calculateTotal()),
+      currency: target.currency || 'KES',
+      reference: target.requestNumber,
+      description: `AutoCare Pro ${target.serviceType} (${target.requestNumber})`
+    };
+  } else {
+    throw httpError(400, 'A booking or service request is required');
+  }
+
+  if (!user.isAdminUser() && target.customer.toString() !== user._id.toString()) {
+    throw httpError(403, 'Access denied');
+  }
+
+  if (target.paymentStatus !== 'unpaid') {
+    throw httpError(409, 'This item has already been paid', 'ALREADY_PAID');
+  }
+
+  if (payable.amount <= 0) {
+    throw httpError(400, 'This item has not been priced yet');
+  }
+
+  return { ...payable, customer: target.customer };
+};
+
+// Keep the booking or service request's paymentStatus in step with the payment
+const syncBillingStatus = async (payment) => {
+  const Model = payment.booking ? Booking : ServiceRequest;
+  const paymentStatus = payment.getBillingStatus();
+
+  // A failed attempt must not mark an item unpaid that another payment covered
+  if (paymentStatus === 'unpaid') {
+    const paidElsewhere = await Payment.exists({
+      _id: { $ne: payment._id },
+      ...(payment.booking ? { booking: payment.booking } : { serviceRequest: payment.serviceRequest }),
+      status: { $in: ['succeeded', 'partially_refunded'] }
+    });
+    if (paidElsewhere) return null;
+  }
+
+  return Model.updateOne(
+    { _id: payment.booking || payment.serviceRequest },
+    { paymentStatus }
+  );
+};
+
+// `change` is initiated, completed, failed or refunded
+const publishPaymentEvent = (eventBus, change, payment, extra = {}) => {
+  if (!eventBus) return;
+  eventBus.publish('payment.status_changed', {
+    paymentId: payment._id,
+    customerId: payment.customer,
+    bookingId: payment.booking,
+    serviceRequestId: payment.serviceRequest,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    change,
+    ...extra
+  });
+};
+
+/**
+ * Create a provider payment and the matching Payment record.
+ * Returns the saved payment and the client secret for the frontend.
+ */
+export const createPayment = async (payable, eventBus = null, { provider: providerName, phoneNumber } = {}) => {
+  const name = providerName || getDefaultProviderName();
+  if (!name) throw httpError(503, 'No payment provider is configured');
+  if (!getAvailableProviders().includes(name)) {
+    throw httpError(400, `Payment provider ${name} is not available`);
+  }
+  const provider = getPaymentProvider(name);
+  const amount = chargeableAmount(provider, payable.amount);
+
+  const existing = await Payment.findOne({
+    ...(payable.booking ? { booking: payable.booking } : { serviceRequest: payable.serviceRequest }),
+    provider: provider.name,
+    amount,
+    status: 'pending'
+  }).select('+clientSecret');
+
+  if (existing) {
+    // Retrying card checkout reuses the open payment instead of creating a second charge
+    if (existing.clientSecret) {
+      return { payment: existing, clientSecret: existing.clientSecret };
+    }
+
+    // Push payments cannot be resumed, so settle the previous attempt first
+    const previous = await confirmPayment(existing, eventBus);
+    if (previous.status === 'succeeded') {
+      throw httpError(409, 'This item has already been paid', 'ALREADY_PAID');
+    }
+    if (previous.status === 'pending') {
+      throw httpError(409, 'A payment prompt is still waiting on your phone', 'PAYMENT_IN_PROGRESS');
+    }
+  }
+
+  const result = await provider.createPayment({
+    amount,
+    currency: payable.currency,
+    description: payable.description,
+    phoneNumber,
+    metadata: {
+      reference: payable.reference,
+      bookingId: payable.booking?.toString() || '',
+      serviceRequestId: payable.serviceRequest?.toString() || '',
+      customerId: payable.customer.toString()
+    }
+  });
+
+  const payment = new Payment({
+    customer: payable.customer,
+    booking: payable.booking,
+    serviceRequest: payable.serviceRequest,
+    provider: provider.name,
+    providerPaymentId: result.providerPaymentId,
+    clientSecret: result.clientSecret,
+    phoneNumber: result.phoneNumber,
+    amount,
+    currency: payable.currency,
+    description: payable.description,
+    status: result.status
+  });
+  await payment.save();
+
+  publishPaymentEvent(eventBus, 'initiated', payment);
+
+  return { payment, clientSecret: result.clientSecret, customerMessage: result.customerMessage };
+};
+
+/**
+ * Check a settled payment against what was charged and the current total of
+ * the booking or request. Mismatches are flagged for admins, not reversed.
+ */
+const reconcilePayment = async (payment, eventBus = null) => {
+  const target = payment.booking
+    ? await Booking.findById(payment.booking)
+    : await ServiceRequest.findById(payment.serviceRequest);
+
+  const issues = [];
+  if (payment.amountPaid !== undefined && payment.amountPaid < payment.amount) {
+    issues.push(`Provider reported ${payment.amountPaid} ${payment.currency} paid, expected ${payment.amount}`);
+  }
+  if (!target) {
+    issues.push('The booking or service request no longer exists');
+  } else {
+    const provider = getPaymentProvider(payment.provider);
+    const total = chargeableAmount(provider, round(payment.booking ? await getBookingAmountDue(target) : target.calculateTotal()));
+    if (total !== payment.amount) {
+      issues.push(`Total changed to ${total} ${payment.currency} after payment started`);
+    }
+  }
+
+  payment.reconciliation = {
+    status: issues.length ? 'mismatch' : 'matched',
+    checkedAt: new Date(),
+    notes: issues.join('; ') || undefined
+  };
+
+  if (issues.length && eventBus) {
+    eventBus.publish('payment.reconciliation_failed', {
+      paymentId: payment._id,
+      bookingId: payment.booking,
+      serviceRequestId: payment.serviceRequest,
+      issues
+    });
+  }
+};
+
+/**
+ * Apply a provider-reported status to a payment and return the payment as
+ * stored. Only moves forward from pending, in one conditional update, so a
+ * webhook and the reconciler (or two instances) cannot both settle it; only
+ * the one that did publishes. `eventId` records the webhook event in the
+ * same update.
+ */
+export const applyPaymentState = async (payment, { status, failureReason, amountPaid, providerReference }, eventBus = null, { eventId } = {}) => {
+  if (status === 'pending' || status === payment.status) {
+    return payment;
+  }
+
+  const set = { status };
+  if (failureReason) set.failureReason = failureReason;
+  if (providerReference) set.providerReference = providerReference;
+  if (status === 'succeeded') {
+    set.paidAt = new Date();
+    set.amountPaid = amountPaid !== undefined ? Number(amountPaid) : payment.amount;
+  }
+
+  const settled = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending', ...(eventId && { processedEvents: { $ne: eventId } }) },
+    { $set: set, ...(eventId && { $push: { processedEvents: eventId } }) },
+    { new: true }
+  );
+  if (!settled) {
+    return Payment.findById(payment._id);
+  }
+
+  if (status === 'succeeded') {
+    await reconcilePayment(settled, eventBus);
+    await settled.save();
+  }
+  await syncBillingStatus(settled);
+
+  if (status === 'succeeded') {
+    publishPaymentEvent(eventBus, 'completed', settled);
+  } else if (status === 'failed') {
+    publishPaymentEvent(eventBus, 'failed', settled, { reason: settled.failureReason });
+  }
+
+  return settled;
+};
+
+// Ask the provider for the current state of a payment and apply it
+export const confirmPayment = async (payment, eventBus = null) => {
+  const provider = getPaymentProvider(payment.provider);
+  const state = await provider.retrievePayment(payment.providerPaymentId);
+  return applyPaymentState(payment, state, eventBus);
+};
+
+// A refund still waiting on the provider
+const pendingRefund = (paymentId, refundId) => ({
+  _id: paymentId,
+  refunds: { $elemMatch: { _id: refundId, status: 'pending' } }
+});
+
+/**
+ * Record the provider's outcome for a reserved refund: a succeeded refund
+ * moves its amount from pending to refunded, a failed one releases it.
+ * Only a refund still pending is finished, so this happens once. Returns
+ * the updated payment, or null when the refund was already finished.
+ */
+const finishRefund = async (paymentId, refundId, status, { providerRefundId, eventBus } = {}) => {
+  const current = await Payment.findOne(pendingRefund(paymentId, refundId));
+  if (!current) return null;
+  const refund = current.refunds.id(refundId);
+
+  const finished = await Payment.findOneAndUpdate(
+    pendingRefund(paymentId, refundId),
+    {
+      $inc: {
+        amountRefundPending: -refund.amount,
+        ...(status === 'succeeded' && { amountRefunded: refund.amount })
+      },
+      $set: {
+        'refunds.$.status': status,
+        ...(providerRefundId && { 'refunds.$.providerRefundId': providerRefundId })
+      }
+    },
+    { new: true }
+  );
+  if (!finished || status !== 'succeeded') return finished;
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: paymentId },
+    [{
+      $set: {
+        status: {
+          $cond: [{ $gte: [{ $round: ['$amountRefunded', 2] }, '$amount'] }, 'refunded', 'partially_refunded']
+        }
+      }
+    }],
+    { new: true }
+  );
+  await syncBillingStatus(updated);
+  publishPaymentEvent(eventBus, 'refunded', updated, { refundAmount: refund.amount });
+
+  return updated;
+};
+
+/**
+ * Refund all or part of a payment. `amount` defaults to the remaining
+ * refundable amount. The amount is reserved before the provider is called,
+ * so two refunds at once cannot refund more than was paid. Returns the
+ * updated payment; a refund the provider has not confirmed stays pending
+ * until its webhook arrives.
+ */
+export const refundPayment = async (payment, { amount, reason, refundedBy }, eventBus = null) => {
+  const refundable = payment.refundableAmount;
+  if (refundable <= 0) {
+    throw httpError(400, 'This payment cannot be refunded');
+  }
+
+  const refundAmount = amount !== undefined ? round(Number(amount)) : refundable;
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw httpError(400, `Refund amount must be between 0 and ${refundable} ${payment.currency}`);
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+
+  const refundId = new mongoose.Types.ObjectId();
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: ['succeeded', 'partially_refunded'] },
+      $expr: {
+        $lte: [
+          { $add: ['$amountRefunded', { $ifNull: ['$amountRefundPending', 0] }, refundAmount] },
+          { $add: ['$amount', 0.005] }
+        ]
+      }
+    },
+    {
+      $inc: { amountRefundPending: refundAmount },
+      $push: { refunds: { _id: refundId, amount: refundAmount, reason, status: 'pending', createdBy: refundedBy } }
+    },
+    { new: true }
+  );
+  if (!reserved) {
+    throw httpError(409, 'This payment was refunded by someone else in the meantime', 'REFUND_CONFLICT');
+  }
+
+  let result;
+  try {
+    result = await provider.refund(payment.providerPaymentId, {
+      amount: refundAmount,
+      currency: payment.currency,
+      reason,
+      refundId: refundId.toString()
+    });
+  } catch (error) {
+    await finishRefund(payment._id, refundId, 'failed');
+    throw error;
+  }
+
+  if (result.status === 'pending') {
+    return Payment.findOneAndUpdate(
+      pendingRefund(payment._id, refundId),
+      { $set: { 'refunds.$.providerRefundId': result.providerRefundId } },
+      { new: true }
+    );
+  }
+
+  const updated = await finishRefund(payment._id, refundId, result.status, {
+    providerRefundId: result.providerRefundId,
+    eventBus
+  });
+
+  if (result.status === 'failed') {
+    throw httpError(502, 'The payment provider rejected the refund');
+  }
+
+  return updated;
+};
+
+// Webhook events that settle a pending payment, and the status they settle it with
+const WEBHOOK_STATES = {
+  payment_succeeded: 'succeeded',
+  payment_failed: 'failed',
+  payment_cancelled: 'cancelled'
+};
+
+/**
+ * Apply a verified, normalized webhook event. Events for unknown payments
+ * and events already processed are ignored.
+ */
+export const handleWebhookEvent = async (providerName, event, eventBus = null) => {
+  if (!event.providerPaymentId || event.type === 'ignored') return null;
+
+  const payment = await Payment.findOne({
+    provider: providerName,
+    providerPaymentId: event.providerPaymentId
+  });
+  if (!payment || payment.processedEvents.includes(event.id)) return null;
+
+  const state = WEBHOOK_STATES[event.type];
+  if (state) {
+    const updated = await applyPaymentState(payment, {
+      status: state,
+      failureReason: event.failureReason,
+      amountPaid: event.amountPaid,
+      providerReference: event.providerReference
+    }, eventBus, { eventId: event.id });
+    // Settled some other way first: the event is still seen
+    await Payment.updateOne({ _id: payment._id }, { $addToSet: { processedEvents: event.id } });
+    return updated;
+  }
+
+  if (event.type === 'refunded') {
+    // Claim the event first, so a redelivery cannot record the refund twice
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, processedEvents: { $ne: event.id } },
+      { $push: { processedEvents: event.id } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    // Refunds issued from the provider's dashboard are recorded here too.
+    // Refunds we are still waiting on are settled by refund_updated instead.
+    const outstanding = round((event.amountRefunded || 0) - claimed.amountRefunded - (claimed.amountRefundPending || 0));
+    if (outstanding > 0) {
+      claimed.applyRefund({ amount: outstanding, reason: 'Refunded by provider', status: 'succeeded' });
+      await claimed.save();
+      await syncBillingStatus(claimed);
+      publishPaymentEvent(eventBus, 'refunded', claimed, { refundAmount: outstanding });
+    }
+    return claimed;
+  }
+
+  if (event.type === 'refund_updated') {
+    await Payment.updateOne({ _id: payment._id }, { $addToSet: { processedEvents: event.id } });
+
+    // Matched by our own id too, in case the webhook beats the refund call's response
+    const refund = payment.refunds.find(entry =>
+      entry._id.toString() === event.refundId
+      || (entry.providerRefundId && entry.providerRefundId === event.providerRefundId)
+    );
+    if (!refund || !['succeeded', 'failed'].includes(event.refundStatus)) return payment;
+
+    const finished = await finishRefund(payment._id, refund._id, event.refundStatus, {
+      providerRefundId: event.providerRefundId,
+      eventBus
+    });
+    return finished || payment;
+  }
+
+  await Payment.updateOne({ _id: payment._id }, { $addToSet: { processedEvents: event.id } });
+  return payment;
+};
+
+/**
+ * Poll providers for push payments still pending after a minute, in case
+ * their callback never arrived. Returns the number of payments settled.
+ */
+export const reconcilePendingPayments = async (eventBus = null) => {
+  const pending = await Payment.find({
+    provider: 'mpesa',
+    status: 'pending',
+    createdAt: { $lte: new Date(Date.now() - 60 * 1000) }
+  });
+
+  let settled = 0;
+  for (const payment of pending) {
+    try {
+      const updated = await confirmPayment(payment, eventBus);
+      if (updated.status !== 'pending') settled++;
+    } catch (error) {
+      console.error(`Payment reconciliation error for ${payment._id}:`, error.message);
+    }
+  }
+  return settled;
+};
+
+// Run payment reconciliation periodically (default every minute)
+export const startPaymentReconciler = (eventBus) => {
+  const interval = parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MS) || 60 * 1000;
+
+  const timer = setInterval(async () => {
+    try {
+      const settled = await reconcilePendingPayments(eventBus);
+      if (settled > 0) console.log(`💳 Payment reconciler settled ${settled} payment(s)`);
+    } catch (error) {
+      console.error('Payment reconciler error:', error);
+    }
+  }, interval);
+  timer.unref();
+  return timer;
+};
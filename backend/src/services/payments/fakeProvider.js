@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+
+// Local provider for development and tests: no network calls, payments settle
+// as FAKE_PAYMENT_OUTCOME ("succeeded" by default, or "failed") when confirmed.
+
+// No default: a known secret would let anyone settle payments
+const getWebhookSecret = () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// Sign a webhook payload the same way the fake provider verifies it
+export const signFakeWebhook = (rawBody) =>
+  crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+
+const fakeProvider = {
+  name: 'fake',
+  signatureHeader: 'x-fake-signature',
+
+  isConfigured() {
+    return true;
+  },
+
+  getClientConfig() {
+    return { publishableKey: null };
+  },
+
+  async createPayment() {
+    const providerPaymentId = randomId('fake_pi');
+    return {
+      providerPaymentId,
+      clientSecret: `${providerPaymentId}_secret`,
+      status: 'pending'
+    };
+  },
+
+  async retrievePayment() {
+    if (process.env.FAKE_PAYMENT_OUTCOME === 'failed') {
+      return { status: 'failed', failureReason: 'Your card was declined.' };
+    }
+    return { status: 'succeeded' };
+  },
+
+  async refund() {
+    return { providerRefundId: randomId('fake_re'), status: 'succeeded' };
+  },
+
+  // Payload: { id, type, data: { paymentId, failureReason, amountRefunded } }
+  parseWebhook(rawBody, signature) {
+    if (!getWebhookSecret()) {
+      const error = new Error('FAKE_PAYMENT_WEBHOOK_SECRET is not set');
+      error.statusCode = 400;
+      throw error;
+    }
+    const expected = Buffer.from(signFakeWebhook(rawBody));
+    const received = Buffer.from(signature || '');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      const error = new Error('Invalid webhook signature');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    return {
+      id: event.id,
+      type: event.type,
+      providerPaymentId: event.data?.paymentId,
+      failureReason: event.data?.failureReason,
+      amountRefunded: event.data?.amountRefunded
+    };
+  }
+};
+
+export default fakeProvider;
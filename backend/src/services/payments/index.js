@@ -0,0 +1,53 @@
+import stripeProvider from './stripeProvider.js';
+import fakeProvider from './fakeProvider.js';
+import mpesaProvider from './mpesaProvider.js';
+
+/**
+ * Payment providers share one interface:
+ *   isConfigured() -> whether the credentials it needs are set
+ *   createPayment({ amount, currency, description, metadata, phoneNumber }) -> { providerPaymentId, clientSecret, status }
+ *   retrievePayment(providerPaymentId) -> { status, failureReason }
+ *   refund(providerPaymentId, { amount, currency, reason, refundId }) -> { providerRefundId, status }
+ *   parseWebhook(rawBody, signature) -> { id, type, providerPaymentId, failureReason, amountRefunded, amountPaid, providerReference,
+ *     providerRefundId, refundId, refundStatus }
+ *   getClientConfig() -> settings the frontend needs (e.g. publishable key)
+ *   roundAmount(amount) (optional) -> the amount the provider can actually charge
+ * Amounts are always in major units; providers convert as needed.
+ * Webhook signatures come from the `signatureHeader` request header, or from
+ * `getWebhookSignature(req)` when the provider does not sign its callbacks.
+ */
+const providers = {
+  stripe: stripeProvider,
+  mpesa: mpesaProvider,
+  fake: fakeProvider
+};
+
+// Real providers with credentials set. The fake provider always succeeds, so
+// it is only offered with PAYMENT_PROVIDER=fake, or outside production when
+// no real provider has credentials.
+export const getAvailableProviders = () => {
+  const configured = ['stripe', 'mpesa'].filter(name => providers[name].isConfigured());
+  const useFake = process.env.PAYMENT_PROVIDER === 'fake'
+    || (configured.length === 0 && process.env.NODE_ENV !== 'production');
+  return useFake ? ['fake', ...configured] : configured;
+};
+
+export const getDefaultProviderName = () => {
+  const available = getAvailableProviders();
+  return available.includes(process.env.PAYMENT_PROVIDER) ? process.env.PAYMENT_PROVIDER : available[0];
+};
+
+export const getPaymentProvider = (name = getDefaultProviderName()) => {
+  if (!name) {
+    const error = new Error('No payment provider is configured');
+    error.statusCode = 503;
+    throw error;
+  }
+  const provider = providers[name];
+  if (!provider) {
+    const error = new Error(`Unknown payment provider: ${name}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return provider;
+};
@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+
+// Safaricom Daraja STK Push (Lipa na M-Pesa Online). Point MPESA_BASE_URL at
+// scripts/mpesa-mock-server.js to run without Safaricom credentials.
+
+const getConfig = () => ({
+  baseUrl: (process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke').replace(/\/$/, ''),
+  consumerKey: process.env.MPESA_CONSUMER_KEY,
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+  shortCode: process.env.MPESA_SHORTCODE || '174379',
+  passkey: process.env.MPESA_PASSKEY,
+  callbackBaseUrl: (process.env.MPESA_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, ''),
+  callbackToken: process.env.MPESA_CALLBACK_TOKEN
+});
+
+// STK push result codes we map explicitly; anything else non-zero is a failure
+const RESULT_CANCELLED_BY_USER = 1032;
+
+const mpesaError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Daraja wants the payer's number as 2547XXXXXXXX / 2541XXXXXXXX
+export const normalizeMsisdn = (phoneNumber) => {
+  const digits = (phoneNumber || '').replace(/[^\d]/g, '');
+  let msisdn = digits;
+  if (/^0[17]\d{8}$/.test(digits)) msisdn = `254${digits.slice(1)}`;
+  if (/^[17]\d{8}$/.test(digits)) msisdn = `254${digits}`;
+  return /^254[17]\d{8}$/.test(msisdn) ? msisdn : null;
+};
+
+// yyyyMMddHHmmss in East Africa Time, as Daraja expects
+const getTimestamp = (date = new Date()) => {
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[-:TZ]/g, '').slice(0, 14);
+};
+
+const getPassword = (config, timestamp) =>
+  Buffer.from(`${config.shortCode}${config.passkey}${timestamp}`).toString('base64');
+
+let cachedToken = null;
+
+const getAccessToken = async (config) => {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.value;
+  }
+
+  const credentials = Buffer.from(`${config.consumerKey}:${config.consumerSecret}`).toString('base64');
+  const response = await fetch(`${config.baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${credentials}` }
+  });
+  if (!response.ok) {
+    throw mpesaError(502, `M-Pesa authentication failed (${response.status})`);
+  }
+
+  const data = await response.json();
+  // Refresh a minute early so a token never expires mid-request
+  cachedToken = {
+    value: data.access_token,
+    expiresAt: Date.now() + (parseInt(data.expires_in) - 60) * 1000
+  };
+  return cachedToken.value;
+};
+
+const darajaRequest = async (config, path, body) => {
+  const token = await getAccessToken(config);
+  const response = await fetch(`${config.baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+  return { ok: response.ok, data: await response.json() };
+};
+
+const mapResultCode = (resultCode, resultDesc) => {
+  const code = Number(resultCode);
+  if (code === 0) return { status: 'succeeded' };
+  if (code === RESULT_CANCELLED_BY_USER) return { status: 'cancelled', failureReason: resultDesc };
+  return { status: 'failed', failureReason: resultDesc };
+};
+
+const mpesaProvider = {
+  name: 'mpesa',
+  currencies: ['KES'],
+
+  isConfigured() {
+    const config = getConfig();
+    return Boolean(config.consumerKey && config.consumerSecret && config.passkey && config.callbackToken);
+  },
+
+  getClientConfig() {
+    return {};
+  },
+
+  // Daraja callbacks are unsigned, so the callback URL carries a secret token
+  getWebhookSignature(req) {
+    return req.query.token;
+  },
+
+  // Daraja expects this acknowledgement body from the callback URL
+  webhookAck: { ResultCode: 0, ResultDesc: 'Accepted' },
+
+  // M-Pesa only accepts whole shillings
+  roundAmount(amount) {
+    return Math.ceil(amount);
+  },
+
+  async createPayment({ amount, currency, description, metadata, phoneNumber }) {
+    const config = getConfig();
+    if (currency.toUpperCase() !== 'KES') {
+      throw mpesaError(400, 'M-Pesa payments must be in KES');
+    }
+
+    const msisdn = normalizeMsisdn(phoneNumber);
+    if (!msisdn) {
+      throw mpesaError(400, 'A valid Safaricom phone number is required for M-Pesa');
+    }
+
+    const timestamp = getTimestamp();
+    const { ok, data } = await darajaRequest(config, '/mpesa/stkpush/v1/processrequest', {
+      BusinessShortCode: config.shortCode,
+      Password: getPassword(config, timestamp),
+      Timestamp: timestamp,
+      TransactionType: 'CustomerPayBillOnline',
+      Amount: amount,
+      PartyA: msisdn,
+      PartyB: config.shortCode,
+      PhoneNumber: msisdn,
+      CallBackURL: `${config.callbackBaseUrl}/api/v1/payments/webhook/mpesa?token=${encodeURIComponent(config.callbackToken)}`,
+      AccountReference: (metadata?.reference || 'AutoCarePro').slice(0, 12),
+      TransactionDesc: (description || 'AutoCare Pro').slice(0, 13)
+    });
+
+    if (!ok || data.ResponseCode !== '0') {
+      throw mpesaError(502, data.errorMessage || data.ResponseDescription || 'M-Pesa could not start the payment');
+    }
+
+    return {
+      providerPaymentId: data.CheckoutRequestID,
+      clientSecret: null,
+      status: 'pending',
+      customerMessage: data.CustomerMessage,
+      phoneNumber: msisdn
+    };
+  },
+
+  // STK push query: still pending while the customer has the PIN prompt open
+  async retrievePayment(providerPaymentId) {
+    const config = getConfig();
+    const timestamp = getTimestamp();
+    const { ok, data } = await darajaRequest(config, '/mpesa/stkpushquery/v1/query', {
+      BusinessShortCode: config.shortCode,
+      Password: getPassword(config, timestamp),
+      Timestamp: timestamp,
+      CheckoutRequestID: providerPaymentId
+    });
+
+    if (!ok || data.ResultCode === undefined) {
+      return { status: 'pending' };
+    }
+    return mapResultCode(data.ResultCode, data.ResultDesc);
+  },
+
+  async refund() {
+    throw mpesaError(501, 'M-Pesa payments must be reversed from the M-Pesa business portal');
+  },
+
+  parseWebhook(rawBody, token) {
+    const expected = Buffer.from(getConfig().callbackToken || '');
+    const received = Buffer.from(token || '');
+    if (!expected.length || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw mpesaError(400, 'Invalid callback token');
+    }
+
+    const callback = JSON.parse(rawBody.toString()).Body?.stkCallback;
+    if (!callback) {
+      throw mpesaError(400, 'Malformed STK callback');
+    }
+
+    const items = (callback.CallbackMetadata?.Item || []).reduce((map, item) => {
+      map[item.Name] = item.Value;
+      return map;
+    }, {});
+    const result = mapResultCode(callback.ResultCode, callback.ResultDesc);
+
+    return {
+      // Daraja sends one callback per checkout, so its ID doubles as the event ID
+      id: `${callback.CheckoutRequestID}:${callback.ResultCode}`,
+      type: {
+        succeeded: 'payment_succeeded',
+        cancelled: 'payment_cancelled',
+        failed: 'payment_failed'
+      }[result.status],
+      providerPaymentId: callback.CheckoutRequestID,
+      failureReason: result.failureReason,
+      amountPaid: items.Amount,
+      providerReference: items.MpesaReceiptNumber
+    };
+  }
+};
+
+export default mpesaProvider;
@@ -0,0 +1,138 @@
+import Stripe from 'stripe';
+
+// Stripe amounts are in the smallest currency unit, except for these currencies
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+const toMinorUnits = (amount, currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? Math.round(amount) : Math.round(amount * 100);
+
+const fromMinorUnits = (amount, currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? amount : amount / 100;
+
+let client = null;
+
+// Create the client on first use so the server can start without Stripe keys
+const getClient = () => {
+  if (!client) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      const error = new Error('Stripe is not configured');
+      error.statusCode = 503;
+      throw error;
+    }
+    client = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+const mapIntentStatus = (intent) => {
+  switch (intent.status) {
+    case 'succeeded':
+      return 'succeeded';
+    case 'canceled':
+      return 'cancelled';
+    case 'requires_payment_method':
+      return intent.last_payment_error ? 'failed' : 'pending';
+    default:
+      return 'pending';
+  }
+};
+
+const stripeProvider = {
+  name: 'stripe',
+  signatureHeader: 'stripe-signature',
+
+  isConfigured() {
+    return Boolean(process.env.STRIPE_SECRET_KEY);
+  },
+
+  getClientConfig() {
+    return { publishableKey: process.env.STRIPE_PUBLISHABLE_KEY };
+  },
+
+  async createPayment({ amount, currency, description, metadata }) {
+    const intent = await getClient().paymentIntents.create({
+      amount: toMinorUnits(amount, currency),
+      currency: currency.toLowerCase(),
+      description,
+      metadata,
+      automatic_payment_methods: { enabled: true }
+    });
+
+    return {
+      providerPaymentId: intent.id,
+      clientSecret: intent.client_secret,
+      status: mapIntentStatus(intent)
+    };
+  },
+
+  async retrievePayment(providerPaymentId) {
+    const intent = await getClient().paymentIntents.retrieve(providerPaymentId);
+    return {
+      status: mapIntentStatus(intent),
+      failureReason: intent.last_payment_error?.message
+    };
+  },
+
+  async refund(providerPaymentId, { amount, currency, reason, refundId }) {
+    const refund = await getClient().refunds.create({
+      payment_intent: providerPaymentId,
+      amount: toMinorUnits(amount, currency),
+      reason: 'requested_by_customer',
+      metadata: { ...(reason && { reason }), ...(refundId && { refundId }) }
+    });
+
+    return {
+      providerRefundId: refund.id,
+      status: refund.status === 'failed' ? 'failed' : refund.status === 'succeeded' ? 'succeeded' : 'pending'
+    };
+  },
+
+  // Verify the Stripe signature and normalize the events we act on
+  parseWebhook(rawBody, signature) {
+    let event;
+    try {
+      event = getClient().webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (err) {
+      const error = new Error(`Invalid webhook signature: ${err.message}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const object = event.data.object;
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return { id: event.id, type: 'payment_succeeded', providerPaymentId: object.id };
+      case 'payment_intent.payment_failed':
+        return {
+          id: event.id,
+          type: 'payment_failed',
+          providerPaymentId: object.id,
+          failureReason: object.last_payment_error?.message
+        };
+      case 'payment_intent.canceled':
+        return { id: event.id, type: 'payment_cancelled', providerPaymentId: object.id };
+      case 'charge.refunded':
+        return {
+          id: event.id,
+          type: 'refunded',
+          providerPaymentId: object.payment_intent,
+          amountRefunded: fromMinorUnits(object.amount_refunded, object.currency)
+        };
+      // Confirms or fails a refund that was still pending when created
+      case 'refund.updated':
+      case 'charge.refund.updated':
+        return {
+          id: event.id,
+          type: 'refund_updated',
+          providerPaymentId: object.payment_intent,
+          providerRefundId: object.id,
+          refundId: object.metadata?.refundId,
+          refundStatus: object.status
+        };
+      default:
+        return { id: event.id, type: 'ignored' };
+    }
+  }
+};
+
+export default stripeProvider;
@@ -0,0 +1,155 @@
+import RolePermission, { PERMISSION_SCOPES } from '../models/RolePermission.js';
+import Branch from '../models/Branch.js';
+
+// Every permission a route can require. 'all' grants every one of them.
+export const PERMISSIONS = [
+  'manage_users',
+  'manage_permissions',
+  'manage_trucks',
+  'view_trucks',
+  'update_maintenance',
+  'manage_branches',
+  'manage_branch',
+  'manage_staff',
+  'manage_bookings',
+  'view_analytics',
+  'view_reports',
+  'update_location',
+  'view_assigned_trucks',
+  'update_job_status',
+  'book_service',
+  'view_own_data'
+];
+
+const ADMIN_PERMISSIONS = [
+  'manage_trucks', 'view_trucks', 'update_maintenance',
+  'manage_branches', 'manage_branch', 'manage_staff',
+  'manage_bookings', 'view_analytics', 'view_reports'
+];
+
+/**
+ * Permissions of each role unless stored otherwise. Admin roles hold theirs
+ * in every branch; other staff only in the branches they manage or work at.
+ */
+export const DEFAULT_ROLE_PERMISSIONS = {
+  super_admin: { scope: 'global', permissions: ['all'] },
+  main_admin: { scope: 'global', permissions: ['manage_users', ...ADMIN_PERMISSIONS] },
+  admin: { scope: 'global', permissions: ADMIN_PERMISSIONS },
+  manager: {
+    scope: 'branch',
+    permissions: ['manage_branch', 'manage_staff', 'manage_trucks', 'view_trucks', 'update_maintenance', 'manage_bookings', 'view_reports']
+  },
+  mechanic: { scope: 'branch', permissions: ['update_maintenance', 'view_trucks'] },
+  driver: { scope: 'branch', permissions: ['update_location', 'view_assigned_trucks', 'update_job_status'] },
+  user: { scope: 'branch', permissions: ['book_service', 'view_own_data'] }
+};
+
+export const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+const NO_PERMISSIONS = { scope: 'branch', permissions: [] };
+
+const httpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+// Stored overrides by role, loaded once and reloaded when any instance changes them
+let stored = {};
+let loading = null;
+
+export const loadPermissions = async () => {
+  const docs = await RolePermission.find().lean();
+  stored = Object.fromEntries(docs.map(doc => [doc.role, { scope: doc.scope, permissions: doc.permissions }]));
+  return stored;
+};
+
+export const ensurePermissionsLoaded = () => {
+  if (!loading) {
+    loading = loadPermissions().catch((error) => {
+      loading = null;
+      throw error;
+    });
+  }
+  return loading;
+};
+
+export const getRolePermissions = (role) => stored[role] || DEFAULT_ROLE_PERMISSIONS[role] || NO_PERMISSIONS;
+
+export const roleHasPermission = (role, permission) => {
+  const { permissions } = getRolePermissions(role);
+  return permissions.includes('all') || permissions.includes(permission);
+};
+
+// The effective matrix, marking which roles use stored permissions
+export const getPermissionMatrix = async () => {
+  await ensurePermissionsLoaded();
+  return ROLES.map(role => ({ role, ...getRolePermissions(role), customized: Boolean(stored[role]) }));
+};
+
+/**
+ * Store a role's permissions and scope. The super admin role always keeps
+ * every permission so the matrix cannot lock everyone out.
+ */
+export const setRolePermissions = async (role, { permissions, scope }, updatedBy, eventBus) => {
+  if (!ROLES.includes(role)) throw httpError(404, 'Role not found');
+  if (role === 'super_admin') {
+    throw httpError(400, 'The super admin role always has every permission', 'ROLE_LOCKED');
+  }
+
+  const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+  if (unknown.length) {
+    throw httpError(400, `Unknown permission(s): ${unknown.join(', ')}`, 'UNKNOWN_PERMISSION');
+  }
+  if (!PERMISSION_SCOPES.includes(scope)) {
+    throw httpError(400, `Scope must be one of: ${PERMISSION_SCOPES.join(', ')}`);
+  }
+
+  await RolePermission.findOneAndUpdate(
+    { role },
+    { permissions: [...new Set(permissions)], scope, updatedBy },
+    { upsert: true, runValidators: true }
+  );
+  await loadPermissions();
+  eventBus?.publish('permissions.updated', { role, updatedBy });
+  return getRolePermissions(role);
+};
+
+// Drop a role's stored permissions so it uses the defaults again
+export const resetRolePermissions = async (role, updatedBy, eventBus) => {
+  if (!ROLES.includes(role)) throw httpError(404, 'Role not found');
+
+  await RolePermission.deleteOne({ role });
+  await loadPermissions();
+  eventBus?.publish('permissions.updated', { role, updatedBy });
+  return getRolePermissions(role);
+};
+
+// Other instances reload the matrix when one of them changes it
+export const subscribePermissionChanges = (eventBus) => eventBus.subscribe('permissions.updated', () => {
+  loadPermissions().catch(error => console.error('Could not reload permissions:', error.message));
+});
+
+export const getUserBranchIds = async (user) => {
+  const branches = await Branch.findForUser(user._id).select('_id');
+  return branches.map(branch => branch._id.toString());
+};
+
+/**
+ * Where a user holds a permission: null for everywhere, the ids of their
+ * branches for branch-scoped roles, or false if they do not hold it.
+ */
+export const getPermissionScope = async (user, permission) => {
+  await ensurePermissionsLoaded();
+  if (!roleHasPermission(user.role, permission)) return false;
+  if (getRolePermissions(user.role).scope === 'global') return null;
+  return getUserBranchIds(user);
+};
+
+// Whether a scope from getPermissionScope covers any of the given branches
+export const scopeIncludes = (scope, branchIds) => {
+  if (scope === null) return true;
+  if (!scope) return false;
+  return [].concat(branchIds || []).some(id => id && scope.includes(id.toString()));
+};
@@ -0,0 +1,209 @@
+import RateCard from '../models/RateCard.js';
+import PromoCode from '../models/PromoCode.js';
+import Branch from '../models/Branch.js';
+import Truck from '../models/Truck.js';
+import { buildLineItems, calculateTotals, getTaxRuleForBranch } from './invoiceService.js';
+import { getLocalTime, parseTime } from './businessTime.js';
+
+const DEFAULT_DURATION_HOURS = 4;
+
+const httpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Straight-line distance understates the road distance by roughly this much
+export const getRoadFactor = () => parseFloat(process.env.PRICING_ROAD_FACTOR) || 1.3;
+
+/**
+ * Map a payload in tonnes to a rate card capacity class.
+ */
+export const getCapacityClass = (tonnes) => {
+  if (!tonnes || Number.isNaN(tonnes)) return null;
+  if (tonnes <= 3.5) return 'light';
+  if (tonnes <= 10) return 'medium';
+  return 'heavy';
+};
+
+/**
+ * Estimate the trip distance in km. Coordinates are preferred over a
+ * client-supplied estimate so customers cannot shorten their own trips.
+ */
+export const estimateDistance = (route = {}) => {
+  const stops = [
+    route.origin,
+    ...[...(route.waypoints || [])].sort((a, b) => (a.order || 0) - (b.order || 0)),
+    route.destination
+  ].map(stop => stop?.coordinates);
+
+  const hasCoordinates = stops.length >= 2 && stops.every(c => c && c.latitude != null && c.longitude != null);
+  if (hasCoordinates) {
+    let km = 0;
+    for (let i = 1; i < stops.length; i++) {
+      km += Branch.calculateDistance(stops[i - 1].latitude, stops[i - 1].longitude, stops[i].latitude, stops[i].longitude);
+    }
+    return { km: Math.round(km * getRoadFactor() * 10) / 10, source: 'coordinates' };
+  }
+
+  return { km: Math.max(Number(route.estimatedDistance) || 0, 0), source: 'estimate' };
+};
+
+// Windows such as 20:00-06:00 wrap past midnight
+const isInWindow = (minutes, window) => {
+  const start = parseTime(window.start);
+  const end = parseTime(window.end);
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+const surchargeApplies = (surcharge, { priority, localTime, nightWindow, specialRequirements }) => {
+  switch (surcharge.trigger) {
+    case 'priority':
+      return priority === surcharge.match;
+    case 'night':
+      return isInWindow(localTime.minutes, nightWindow);
+    case 'weekend':
+      return ['saturday', 'sunday'].includes(localTime.weekday);
+    case 'special_requirement':
+      return surcharge.match
+        ? specialRequirements.includes(surcharge.match)
+        : specialRequirements.length > 0;
+    default:
+      return false;
+  }
+};
+
+const describeSurcharge = (surcharge) => {
+  const label = surcharge.label || {
+    priority: `${surcharge.match} priority surcharge`,
+    night: 'Night surcharge',
+    weekend: 'Weekend surcharge',
+    special_requirement: `Special handling${surcharge.match ? ` (${surcharge.match})` : ''}`
+  }[surcharge.trigger];
+  const text = label.charAt(0).toUpperCase() + label.slice(1);
+  return surcharge.type === 'percent' ? `${text} (${surcharge.value}%)` : text;
+};
+
+const loadPricingContext = async ({ branch, truck, capacityClass, cargo = {} }) => {
+  const branchDoc = branch ? await Branch.findById(branch) : null;
+  if (branch && !branchDoc) throw httpError(404, 'Branch not found');
+
+  const truckDoc = truck ? await Truck.findById(truck) : null;
+  if (truck && !truckDoc) throw httpError(404, 'Truck not found');
+
+  // An explicit class wins, then the chosen truck, then the cargo weight
+  const resolvedClass = capacityClass
+    || getCapacityClass(truckDoc?.vehicle?.capacity?.weightKg ? truckDoc.vehicle.capacity.weightKg / 1000 : null)
+    || getCapacityClass(cargo.weight ? cargo.weight / 1000 : null);
+
+  return { branch: branchDoc, capacityClass: resolvedClass };
+};
+
+/**
+ * Price a booking from the matching rate card. Returns the customer-facing
+ * quote, the `pricing` to store on the booking and any promo code applied.
+ * Throws a 404 with code NO_RATE_CARD when nothing matches.
+ */
+export const priceBooking = async (input, { customer } = {}) => {
+  const { serviceType, priority = 'medium', schedule = {}, route = {}, cargo = {}, promoCode } = input;
+  const { branch, capacityClass } = await loadPricingContext(input);
+
+  const rateCard = await RateCard.findBestMatch({ serviceType, capacityClass, branch: branch?._id });
+  if (!rateCard) {
+    throw httpError(404, `No rate card is configured for ${serviceType} bookings`, 'NO_RATE_CARD');
+  }
+
+  const startDate = schedule.startDate ? new Date(schedule.startDate) : new Date();
+  const durationHours = Number(schedule.estimatedDuration) || DEFAULT_DURATION_HOURS;
+  const distance = estimateDistance(route);
+
+  const pricing = {
+    baseRate: rateCard.baseRate,
+    distanceRate: rateCard.distanceRate,
+    timeRate: rateCard.timeRate,
+    additionalCharges: [],
+    currency: rateCard.currency,
+    rateCard: rateCard._id
+  };
+  const priced = {
+    serviceType,
+    pricing,
+    route: { estimatedDistance: distance.km },
+    schedule: { estimatedDuration: durationHours }
+  };
+
+  const charges = buildLineItems(priced).reduce((sum, item) => sum + item.amount, 0);
+  if (rateCard.minimumCharge > charges) {
+    pricing.additionalCharges.push({ description: 'Minimum charge adjustment', amount: round(rateCard.minimumCharge - charges) });
+  }
+  const chargeable = Math.max(charges, rateCard.minimumCharge);
+
+  // Percentage surcharges apply to the base charges, not to each other
+  const context = {
+    priority,
+    localTime: getLocalTime(startDate),
+    nightWindow: rateCard.nightWindow,
+    specialRequirements: (cargo.specialRequirements || []).map(r => String(r).trim().toLowerCase())
+  };
+  const surcharges = rateCard.surcharges
+    .filter(surcharge => surchargeApplies(surcharge, context))
+    .map(surcharge => ({
+      trigger: surcharge.trigger,
+      description: describeSurcharge(surcharge),
+      amount: round(surcharge.type === 'percent' ? chargeable * surcharge.value / 100 : surcharge.value)
+    }));
+  surcharges.forEach(({ description, amount }) => pricing.additionalCharges.push({ description, amount }));
+
+  const beforeDiscount = round(chargeable + surcharges.reduce((sum, s) => sum + s.amount, 0));
+
+  let promo = null;
+  let discount = null;
+  let promoError;
+  if (promoCode) {
+    promo = await PromoCode.findOne({ code: String(promoCode).trim().toUpperCase() });
+    promoError = promo
+      ? promo.getIneligibilityReason({ customer, serviceType, branch: branch?._id, subtotal: beforeDiscount, at: startDate })
+      : 'Promo code not found';
+
+    if (promoError) {
+      promo = null;
+    } else {
+      discount = { code: promo.code, description: promo.description, amount: promo.calculateDiscount(beforeDiscount) };
+      pricing.additionalCharges.push({ description: `Promo ${promo.code}`, amount: -discount.amount });
+      pricing.promoCode = promo.code;
+    }
+  }
+
+  const lineItems = buildLineItems(priced);
+  const totals = calculateTotals(lineItems, getTaxRuleForBranch(branch), serviceType);
+
+  const quote = {
+    serviceType,
+    currency: rateCard.currency,
+    capacityClass,
+    rateCard: { id: rateCard._id, name: rateCard.name },
+    distance,
+    durationHours,
+    lineItems,
+    surcharges,
+    discount,
+    promoError,
+    subtotal: totals.subtotal,
+    tax: { ...totals.tax, amount: totals.taxAmount },
+    total: totals.total,
+    quotedAt: new Date()
+  };
+
+  return { quote, pricing, promo, distance };
+};
+
+// Customer-facing estimate only; nothing is stored or redeemed
+export const quoteBooking = async (input, options) => {
+  const { quote } = await priceBooking(input, options);
+  return quote;
+};
@@ -0,0 +1,90 @@
+import webpush from 'web-push';
+import PushSubscription from '../models/PushSubscription.js';
+
+// Seconds the push service keeps a message for an offline browser
+const getPushTtl = () => parseInt(process.env.PUSH_TTL_SECONDS) || 24 * 60 * 60;
+
+// Push services answer 404 or 410 for subscriptions the browser has dropped
+const EXPIRED_STATUS_CODES = [404, 410];
+
+const getVapidDetails = () => ({
+  publicKey: process.env.VAPID_PUBLIC_KEY,
+  privateKey: process.env.VAPID_PRIVATE_KEY,
+  subject: process.env.VAPID_SUBJECT || 'mailto:admin@autocare.com'
+});
+
+export const isPushConfigured = () => {
+  const { publicKey, privateKey } = getVapidDetails();
+  return Boolean(publicKey && privateKey);
+};
+
+export const getPushPublicKey = () => (isPushConfigured() ? getVapidDetails().publicKey : null);
+
+/**
+ * Store a browser's subscription for a user, taking it over from whoever
+ * held it before.
+ */
+export const saveSubscription = (userId, { endpoint, keys }, userAgent) =>
+  PushSubscription.findOneAndUpdate(
+    { endpoint },
+    { user: userId, keys: { p256dh: keys.p256dh, auth: keys.auth }, userAgent },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+export const removeSubscription = (userId, endpoint) =>
+  PushSubscription.deleteOne({ user: userId, endpoint });
+
+// What the service worker shows; it opens `url` when the notification is clicked
+const buildPayload = (user, notification) => ({
+  notificationId: notification._id,
+  type: notification.type,
+  title: notification.title,
+  body: notification.message,
+  priority: notification.priority,
+  url: user.isAdminUser?.() ? '/admin' : '/dashboard',
+  data: notification.data
+});
+
+/**
+ * Push channel for the notification center: send to every browser the user
+ * has subscribed. Resolves to 'unavailable' when push is not configured or
+ * the user has no subscriptions, and rejects if no browser accepted it.
+ */
+export const sendNotificationPush = async (user, notification) => {
+  if (!isPushConfigured()) return 'unavailable';
+
+  const subscriptions = await PushSubscription.find({ user: user._id });
+  if (!subscriptions.length) return 'unavailable';
+
+  const { publicKey, privateKey, subject } = getVapidDetails();
+  const payload = JSON.stringify(buildPayload(user, notification));
+  const options = {
+    TTL: getPushTtl(),
+    urgency: notification.priority === 'high' ? 'high' : 'normal',
+    vapidDetails: { subject, publicKey, privateKey }
+  };
+
+  let delivered = 0;
+  let lastError = null;
+  for (const subscription of subscriptions) {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        payload,
+        options
+      );
+      delivered++;
+      await PushSubscription.updateOne({ _id: subscription._id }, { lastPushedAt: new Date() });
+    } catch (error) {
+      if (EXPIRED_STATUS_CODES.includes(error.statusCode)) {
+        await PushSubscription.deleteOne({ _id: subscription._id });
+      } else {
+        lastError = error;
+      }
+    }
+  }
+
+  if (delivered) return 'sent';
+  if (lastError) throw new Error(lastError.body || lastError.message);
+  return 'unavailable';
+};
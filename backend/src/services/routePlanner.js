@@ -0,0 +1,196 @@
+import Invoice from '../models/Invoice.js';
+import { haversineKm } from './geo.js';
+import { getRoadFactor } from './pricingService.js';
+
+// Planning is quadratic in the number of stops, and OSRM limits table sizes
+export const MAX_WAYPOINTS = 25;
+export const ROUTE_OBJECTIVES = ['distance', 'time'];
+
+// Road distances and times come from OSRM when OSRM_URL points at an
+// instance, otherwise from straight-line distance at an average speed
+const getOsrmUrl = () => process.env.OSRM_URL?.replace(/\/+$/, '');
+const getOsrmProfile = () => process.env.OSRM_PROFILE || 'driving';
+const getOsrmTimeoutMs = () => parseInt(process.env.OSRM_TIMEOUT_MS) || 5000;
+const getAverageSpeedKmh = () => parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMH) || 40;
+
+const httpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const hasCoordinates = (stop) => Number.isFinite(stop?.coordinates?.latitude) && Number.isFinite(stop?.coordinates?.longitude);
+
+// Distances (km) and times (minutes) between every pair of points
+const haversineMatrix = (points) => {
+  const distances = points.map(from => points.map(to =>
+    haversineKm(from.latitude, from.longitude, to.latitude, to.longitude) * getRoadFactor()
+  ));
+  return {
+    source: 'haversine',
+    distances,
+    durations: distances.map(row => row.map(km => km / getAverageSpeedKmh() * 60))
+  };
+};
+
+const osrmMatrix = async (baseUrl, points) => {
+  const coordinates = points.map(point => `${point.longitude},${point.latitude}`).join(';');
+  const response = await fetch(
+    `${baseUrl}/table/v1/${getOsrmProfile()}/${coordinates}?annotations=distance,duration`,
+    { signal: AbortSignal.timeout(getOsrmTimeoutMs()) }
+  );
+  const data = await response.json();
+  if (!response.ok || data.code !== 'Ok') {
+    throw new Error(data.message || `OSRM responded with ${response.status}`);
+  }
+  // OSRM leaves a pair null when there is no road between them
+  if ([...data.distances, ...data.durations].some(row => row.some(value => value === null))) {
+    throw new Error('OSRM found no road between some of the stops');
+  }
+
+  return {
+    source: 'osrm',
+    distances: data.distances.map(row => row.map(metres => metres / 1000)),
+    durations: data.durations.map(row => row.map(seconds => seconds / 60))
+  };
+};
+
+const buildMatrix = async (points) => {
+  const osrmUrl = getOsrmUrl();
+  if (osrmUrl) {
+    try {
+      return await osrmMatrix(osrmUrl, points);
+    } catch (error) {
+      console.error('OSRM unavailable, planning with straight-line distances:', error.message);
+    }
+  }
+  return haversineMatrix(points);
+};
+
+const pathCost = (path, cost) => path.slice(1).reduce((total, stop, i) => total + cost[path[i]][stop], 0);
+
+// Greedy tour from the origin (0): always drive to the closest stop left
+const nearestNeighbour = (cost, stops, end) => {
+  const path = [0];
+  const remaining = new Set(stops);
+  while (remaining.size) {
+    const from = path[path.length - 1];
+    const next = [...remaining].reduce((best, stop) => (cost[from][stop] < cost[from][best] ? stop : best));
+    path.push(next);
+    remaining.delete(next);
+  }
+  if (end !== null) path.push(end);
+  return path;
+};
+
+/**
+ * Improve a path by reversing stretches of it while that shortens it. The
+ * origin stays first and a fixed destination stays last. Costs may differ
+ * by direction, so each candidate is costed in full.
+ */
+const twoOpt = (path, cost, fixedEnd) => {
+  let best = path;
+  let bestCost = pathCost(path, cost);
+  const last = fixedEnd ? path.length - 2 : path.length - 1;
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < last; i++) {
+      for (let k = i + 1; k <= last; k++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, k + 1).reverse(), ...best.slice(k + 1)];
+        const candidateCost = pathCost(candidate, cost);
+        if (candidateCost < bestCost - 1e-9) {
+          best = candidate;
+          bestCost = candidateCost;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Order a route's waypoints to minimise total distance or driving time,
+ * starting at the origin and ending at the destination if there is one.
+ * Returns the visiting order as indexes into route.waypoints, each leg and
+ * the totals.
+ */
+export const planRoute = async (route = {}, { objective = 'distance' } = {}) => {
+  const waypoints = route.waypoints || [];
+  if (!ROUTE_OBJECTIVES.includes(objective)) {
+    throw httpError(400, `Objective must be one of: ${ROUTE_OBJECTIVES.join(', ')}`);
+  }
+  if (waypoints.length > MAX_WAYPOINTS) {
+    throw httpError(400, `A route can have at most ${MAX_WAYPOINTS} waypoints`);
+  }
+  if (!route.origin || (!route.destination && !waypoints.length)) {
+    throw httpError(400, 'A route needs an origin and at least one other stop', 'MISSING_COORDINATES');
+  }
+
+  const stops = [
+    { ...route.origin, label: route.origin.address || 'Origin' },
+    ...waypoints.map((waypoint, index) => ({ ...waypoint, label: waypoint.address || `Stop ${index + 1}` })),
+    ...(route.destination ? [{ ...route.destination, label: route.destination.address || 'Destination' }] : [])
+  ];
+  if (!stops.every(hasCoordinates)) {
+    throw httpError(400, 'Every stop needs coordinates to plan a route', 'MISSING_COORDINATES');
+  }
+
+  const matrix = await buildMatrix(stops.map(stop => stop.coordinates));
+  const cost = objective === 'time' ? matrix.durations : matrix.distances;
+
+  const end = route.destination ? stops.length - 1 : null;
+  const waypointIndexes = waypoints.map((waypoint, index) => index + 1);
+  const path = twoOpt(nearestNeighbour(cost, waypointIndexes, end), cost, end !== null);
+
+  const legs = path.slice(1).map((to, i) => ({
+    from: stops[path[i]].label,
+    to: stops[to].label,
+    distanceKm: round(matrix.distances[path[i]][to]),
+    durationMinutes: round(matrix.durations[path[i]][to])
+  }));
+
+  return {
+    objective,
+    source: matrix.source,
+    order: path.filter(index => index > 0 && index !== end).map(index => index - 1),
+    legs,
+    totalDistanceKm: round(pathCost(path, matrix.distances)),
+    totalDurationMinutes: round(pathCost(path, matrix.durations))
+  };
+};
+
+/**
+ * Plan a booking's route and store the result: waypoint `order` (from 1),
+ * the legs, and the planned distance and driving time under
+ * `route.optimization`. `route.estimatedDistance`, which the price, amount
+ * due and invoice are worked out from, is left alone. Paid or invoiced
+ * bookings are refused, since their stops are settled.
+ */
+export const optimizeBookingRoute = async (booking, { objective } = {}) => {
+  if (booking.paymentStatus !== 'unpaid' || await Invoice.exists({ booking: booking._id })) {
+    throw httpError(409, 'Cannot re-plan the route of a booking that has been paid or invoiced', 'BOOKING_BILLED');
+  }
+
+  const plan = await planRoute(booking.route, { objective });
+
+  plan.order.forEach((waypointIndex, position) => {
+    booking.route.waypoints[waypointIndex].order = position + 1;
+  });
+  booking.route.legs = plan.legs;
+  booking.route.optimization = {
+    objective: plan.objective,
+    source: plan.source,
+    distanceKm: plan.totalDistanceKm,
+    durationMinutes: plan.totalDurationMinutes,
+    optimizedAt: new Date()
+  };
+  await booking.save();
+
+  return plan;
+};
@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session, { describeDevice } from '../models/Session.js';
+import User from '../models/User.js';
+
+const getRefreshLifetimeMs = () => (parseInt(process.env.REFRESH_TOKEN_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Tabs sharing the cookie may refresh at the same moment; the loser presents
+// the token just rotated away and is asked to retry instead of being treated
+// as a thief
+const getRotationGraceMs = () => (parseInt(process.env.REFRESH_TOKEN_GRACE_SECONDS) || 10) * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const httpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+// Refresh tokens are "<session id>.<secret>", so a reused token leads
+// straight to the session it was stolen from
+const newRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, tokenHash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+  return { sessionId, tokenHash: hashToken(secret) };
+};
+
+// Short-lived access token tied to a session, so revoking the session
+// stops it before it expires
+export const signAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sid: sessionId },
+  process.env.JWT_SECRET || 'your-fallback-secret',
+  { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+);
+
+// Sign a user in on a new device. The refresh token is only returned here.
+export const startSession = async (user, { userAgent, ip } = {}) => {
+  const session = new Session({
+    user: user._id,
+    userAgent,
+    device: describeDevice(userAgent),
+    ip,
+    lastIp: ip,
+    expiresAt: new Date(Date.now() + getRefreshLifetimeMs())
+  });
+  const { refreshToken, tokenHash } = newRefreshToken(session._id);
+  session.tokenHash = tokenHash;
+  await session.save();
+
+  return {
+    session,
+    refreshToken,
+    accessToken: signAccessToken(user._id, session._id)
+  };
+};
+
+export const revokeSessions = async (filter, reason, eventBus) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id user');
+  if (!sessions.length) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  // Each user's open sockets on these sessions are disconnected
+  const sessionIdsByUser = {};
+  for (const session of sessions) {
+    (sessionIdsByUser[session.user] ||= []).push(session._id);
+  }
+  Object.entries(sessionIdsByUser).forEach(([userId, sessionIds]) => {
+    eventBus?.publish('auth.sessions_revoked', { userId, sessionIds, reason });
+  });
+
+  return sessions.length;
+};
+
+export const revokeSession = (userId, sessionId, reason, eventBus) =>
+  revokeSessions({ _id: sessionId, user: userId }, reason, eventBus);
+
+export const revokeUserSessions = (userId, { except, reason }, eventBus) =>
+  revokeSessions({ user: userId, ...(except && { _id: { $ne: except } }) }, reason, eventBus);
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token.
+ * A token that was already rotated away means a copy is in someone else's
+ * hands: the session is revoked and the user told.
+ */
+export const rotateSession = async (refreshToken, { userAgent, ip } = {}, eventBus) => {
+  const parsed = parseRefreshToken(refreshToken);
+  const session = parsed && await Session.findById(parsed.sessionId);
+  if (!session) throw httpError(401, 'Please sign in again.', 'INVALID_REFRESH_TOKEN');
+
+  if (session.revokedAt) throw httpError(401, 'This session has been signed out.', 'SESSION_REVOKED');
+  if (session.expiresAt <= new Date()) throw httpError(401, 'Your session has expired. Please sign in again.', 'SESSION_EXPIRED');
+
+  if (parsed.tokenHash !== session.tokenHash) {
+    const justRotated = parsed.tokenHash === session.previousTokenHash
+      && Date.now() - session.rotatedAt.getTime() < getRotationGraceMs();
+    if (justRotated) throw httpError(409, 'This session was just refreshed. Please retry.', 'REFRESH_TOKEN_ROTATED');
+
+    await revokeSessions({ _id: session._id }, 'reuse_detected', eventBus);
+    eventBus?.publish('auth.refresh_token_reused', {
+      userId: session.user,
+      sessionId: session._id,
+      device: session.device,
+      ip
+    });
+    throw httpError(401, 'This session was signed out for your security. Please sign in again.', 'REFRESH_TOKEN_REUSED');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    await revokeSessions({ _id: session._id }, 'revoked', eventBus);
+    throw httpError(401, 'Invalid token or user not found.', 'INVALID_REFRESH_TOKEN');
+  }
+
+  // Only the first of two concurrent refreshes with the same token wins
+  const next = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: parsed.tokenHash, revokedAt: null },
+    {
+      tokenHash: next.tokenHash,
+      previousTokenHash: parsed.tokenHash,
+      rotatedAt: new Date(),
+      lastUsedAt: new Date(),
+      lastIp: ip,
+      ...(userAgent && { userAgent, device: describeDevice(userAgent) })
+    },
+    { new: true }
+  );
+  if (!rotated) throw httpError(409, 'This session was just refreshed. Please retry.', 'REFRESH_TOKEN_ROTATED');
+
+  return {
+    session: rotated,
+    user,
+    refreshToken: next.refreshToken,
+    accessToken: signAccessToken(user._id, session._id)
+  };
+};
+
+// Sign out the session a refresh token belongs to. The token just rotated
+// away also counts, since the browser may not have stored its successor yet.
+export const endSession = async (refreshToken, eventBus) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return 0;
+  return revokeSessions({
+    _id: parsed.sessionId,
+    $or: [{ tokenHash: parsed.tokenHash }, { previousTokenHash: parsed.tokenHash }]
+  }, 'logout', eventBus);
+};
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+
+// Africa's Talking bulk SMS. Set AT_USERNAME=sandbox to use their simulator.
+
+const getConfig = () => {
+  const username = process.env.AT_USERNAME;
+  return {
+    username,
+    apiKey: process.env.AT_API_KEY,
+    senderId: process.env.AT_SENDER_ID,
+    baseUrl: (process.env.AT_BASE_URL || (username === 'sandbox'
+      ? 'https://api.sandbox.africastalking.com'
+      : 'https://api.africastalking.com')).replace(/\/$/, ''),
+    inboundToken: process.env.SMS_INBOUND_TOKEN
+  };
+};
+
+// Per-recipient status codes: 100 processed, 101 sent, 102 queued
+const ACCEPTED_STATUS_CODES = [100, 101, 102];
+const STATUS_USER_IN_BLACKLIST = 406;
+
+const smsError = (message, extra = {}) => Object.assign(new Error(message), extra);
+
+const africasTalkingProvider = {
+  name: 'africastalking',
+
+  isConfigured() {
+    const config = getConfig();
+    return Boolean(config.username && config.apiKey);
+  },
+
+  async send({ to, message }) {
+    const config = getConfig();
+    const form = new URLSearchParams({ username: config.username, to, message });
+    if (config.senderId) form.set('from', config.senderId);
+
+    const response = await fetch(`${config.baseUrl}/version1/messaging`, {
+      method: 'POST',
+      headers: {
+        apiKey: config.apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: form
+    });
+    if (!response.ok) {
+      throw smsError(`Africa's Talking request failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    const recipient = data.SMSMessageData?.Recipients?.[0];
+    if (!recipient) {
+      throw smsError(data.SMSMessageData?.Message || 'Message was not accepted');
+    }
+    if (!ACCEPTED_STATUS_CODES.includes(recipient.statusCode)) {
+      throw smsError(`Message rejected: ${recipient.status}`, {
+        optedOut: recipient.statusCode === STATUS_USER_IN_BLACKLIST
+      });
+    }
+
+    return { providerMessageId: recipient.messageId, status: 'sent' };
+  },
+
+  // Incoming messages are unsigned, so the callback URL carries a secret token
+  parseInbound(req) {
+    const { inboundToken } = getConfig();
+    const expected = Buffer.from(inboundToken || '');
+    const received = Buffer.from(String(req.query.token || ''));
+    if (!inboundToken || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw smsError('Invalid callback token', { statusCode: 401 });
+    }
+
+    return { from: req.body.from, text: req.body.text || '' };
+  }
+};
+
+export default africasTalkingProvider;
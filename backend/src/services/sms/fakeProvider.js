@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+
+// Local provider for development and tests: no network calls. Messages are
+// logged and kept in an in-memory outbox; SMS_FAKE_OUTCOME ("sent" by
+// default, "failed" or "opted_out") decides how each send ends.
+
+const MAX_OUTBOX_SIZE = 100;
+const outbox = [];
+
+// Latest messages first, for tests and local debugging
+export const getFakeOutbox = () => [...outbox].reverse();
+
+export const clearFakeOutbox = () => {
+  outbox.length = 0;
+};
+
+const fakeProvider = {
+  name: 'fake',
+
+  isConfigured() {
+    return true;
+  },
+
+  async send({ to, message }) {
+    const outcome = process.env.SMS_FAKE_OUTCOME || 'sent';
+    if (outcome === 'failed') {
+      throw new Error('Fake SMS delivery failed');
+    }
+    if (outcome === 'opted_out') {
+      throw Object.assign(new Error('Recipient has opted out'), { optedOut: true });
+    }
+
+    const providerMessageId = `fake_sms_${crypto.randomBytes(8).toString('hex')}`;
+    outbox.push({ id: providerMessageId, to, message, sentAt: new Date() });
+    if (outbox.length > MAX_OUTBOX_SIZE) outbox.shift();
+    console.log(`📱 [fake SMS] to ${to}: ${message}`);
+
+    return { providerMessageId, status: 'sent' };
+  },
+
+  // Payload: { from, text }, with ?token=SMS_INBOUND_TOKEN; refused while the token is unset
+  parseInbound(req) {
+    const inboundToken = process.env.SMS_INBOUND_TOKEN;
+    const expected = Buffer.from(inboundToken || '');
+    const received = Buffer.from(String(req.query.token || ''));
+    if (!inboundToken || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw Object.assign(new Error('Invalid callback token'), { statusCode: 401 });
+    }
+    return { from: req.body.from, text: req.body.text || '' };
+  }
+};
+
+export default fakeProvider;
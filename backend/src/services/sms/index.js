@@ -0,0 +1,50 @@
+import africasTalkingProvider from './africasTalkingProvider.js';
+import twilioProvider from './twilioProvider.js';
+import fakeProvider from './fakeProvider.js';
+
+/**
+ * SMS providers share one interface:
+ *   isConfigured() -> whether the credentials it needs are set
+ *   send({ to, message }) -> { providerMessageId, status }; `to` is E.164.
+ *     Rejects on failure, with `optedOut: true` when the provider refuses
+ *     because the recipient has unsubscribed
+ *   parseInbound(req) -> { from, text } for a verified incoming message
+ *   inboundAck (optional) -> { contentType, body } to answer an incoming message with
+ */
+const providers = {
+  africastalking: africasTalkingProvider,
+  twilio: twilioProvider,
+  fake: fakeProvider
+};
+
+// SMS_PROVIDER if set; otherwise the first configured provider, falling back
+// to the fake provider when none has credentials
+export const getDefaultSmsProviderName = () => {
+  if (providers[process.env.SMS_PROVIDER]) return process.env.SMS_PROVIDER;
+  return ['africastalking', 'twilio'].find(name => providers[name].isConfigured()) || 'fake';
+};
+
+/**
+ * The provider whose incoming-message callback is accepted: only the one in
+ * use, and never the fake one in production, where anyone could otherwise
+ * opt numbers in or out.
+ */
+export const getInboundSmsProvider = (name) => {
+  const isFakeInProduction = name === 'fake' && process.env.NODE_ENV === 'production';
+  if (name !== getDefaultSmsProviderName() || isFakeInProduction) {
+    const error = new Error(`SMS provider ${name} does not accept incoming messages here`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return providers[name];
+};
+
+export const getSmsProvider = (name = getDefaultSmsProviderName()) => {
+  const provider = providers[name];
+  if (!provider) {
+    const error = new Error(`Unknown SMS provider: ${name}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return provider;
+};
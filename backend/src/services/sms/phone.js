@@ -0,0 +1,32 @@
+// Phone numbers are stored and sent in E.164 (+<country code><number>).
+// Local numbers such as 0712 345 678 take SMS_DEFAULT_COUNTRY_CODE.
+
+const E164 = /^\+[1-9]\d{7,14}$/;
+
+export const getDefaultCountryCode = () => (process.env.SMS_DEFAULT_COUNTRY_CODE || '254').replace(/^\+/, '');
+
+/**
+ * E.164 form of a phone number, or null if it cannot be made into one.
+ */
+export const normalizePhoneNumber = (phone, countryCode = getDefaultCountryCode()) => {
+  if (!phone) return null;
+
+  let number = String(phone).trim().replace(/[\s\-().]/g, '');
+  if (number.startsWith('00')) {
+    number = `+${number.slice(2)}`;
+  } else if (number.startsWith('0')) {
+    number = `+${countryCode}${number.slice(1)}`;
+  } else if (!number.startsWith('+')) {
+    // Either already has the country code or is a local number without its 0
+    number = number.startsWith(countryCode) && number.length > countryCode.length + 8
+      ? `+${number}`
+      : `+${countryCode}${number}`;
+  }
+
+  return E164.test(number) ? number : null;
+};
+
+export const isE164 = (phone) => E164.test(phone || '');
+
+// Schema setter: numbers that parse are stored in E.164, others as entered
+export const toStoredPhone = (phone) => normalizePhoneNumber(phone) || phone;
@@ -0,0 +1,33 @@
+// SMS templates. Each takes the data it needs and returns the message text,
+// kept short enough for one or two SMS segments.
+
+const BRAND = 'AutoCare Pro';
+const OPT_OUT = 'Reply STOP to opt out.';
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+export const templates = {
+  truck_dispatched: ({ reference, truckNumber, driverName, driverPhone }) =>
+    `${BRAND}: Truck ${truckNumber} is on its way${reference ? ` for ${reference}` : ''}.`
+    + `${driverName ? ` Driver: ${driverName}${driverPhone ? `, ${driverPhone}` : ''}.` : ''}`,
+
+  driver_arriving: ({ minutes, truckNumber, driverName }) =>
+    `${BRAND}: ${driverName || 'Your driver'}${truckNumber ? ` (truck ${truckNumber})` : ''}`
+    + ` is about ${plural(minutes, 'minute')} away. Please be ready at the pickup point.`,
+
+  job_completed: ({ reference }) =>
+    `${BRAND}: ${reference ? `Booking ${reference}` : 'Your pickup'} is complete. Thank you for choosing ${BRAND}.`,
+
+  // Any other notification, as plain title and message
+  notification: ({ title, message }) => `${BRAND}: ${title}. ${message}`
+};
+
+export const TEMPLATE_NAMES = Object.keys(templates);
+
+export const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown SMS template: ${name}`);
+  }
+  return `${template(data)} ${OPT_OUT}`;
+};
@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+
+// Twilio Programmable Messaging, sending from TWILIO_FROM_NUMBER or a
+// messaging service (TWILIO_MESSAGING_SERVICE_SID).
+
+const getConfig = () => ({
+  accountSid: process.env.TWILIO_ACCOUNT_SID,
+  authToken: process.env.TWILIO_AUTH_TOKEN,
+  fromNumber: process.env.TWILIO_FROM_NUMBER,
+  messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+  callbackBaseUrl: (process.env.SMS_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '')
+});
+
+// The recipient replied STOP to our number
+const ERROR_UNSUBSCRIBED = 21610;
+
+const smsError = (message, extra = {}) => Object.assign(new Error(message), extra);
+
+// https://www.twilio.com/docs/usage/security#validating-requests
+const computeSignature = (authToken, url, params) => {
+  const payload = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+  return crypto.createHmac('sha1', authToken).update(payload).digest('base64');
+};
+
+const twilioProvider = {
+  name: 'twilio',
+
+  isConfigured() {
+    const config = getConfig();
+    return Boolean(config.accountSid && config.authToken && (config.fromNumber || config.messagingServiceSid));
+  },
+
+  async send({ to, message }) {
+    const config = getConfig();
+    const form = new URLSearchParams({ To: to, Body: message });
+    if (config.messagingServiceSid) form.set('MessagingServiceSid', config.messagingServiceSid);
+    else form.set('From', config.fromNumber);
+
+    const credentials = Buffer.from(`${config.accountSid}:${config.authToken}`).toString('base64');
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${config.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: form
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw smsError(data.message || `Twilio request failed (${response.status})`, {
+        optedOut: data.code === ERROR_UNSUBSCRIBED
+      });
+    }
+
+    return { providerMessageId: data.sid, status: 'sent' };
+  },
+
+  // Twilio signs the full callback URL plus the posted form fields
+  parseInbound(req) {
+    const config = getConfig();
+    const expected = Buffer.from(computeSignature(config.authToken || '', `${config.callbackBaseUrl}${req.originalUrl}`, req.body));
+    const received = Buffer.from(req.header('x-twilio-signature') || '');
+    if (!config.authToken || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw smsError('Invalid webhook signature', { statusCode: 401 });
+    }
+
+    return { from: req.body.From, text: req.body.Body || '' };
+  },
+
+  // An empty TwiML response: no automatic reply
+  inboundAck: { contentType: 'text/xml', body: '<Response></Response>' }
+};
+
+export default twilioProvider;
@@ -0,0 +1,151 @@
+import SmsOptOut from '../models/SmsOptOut.js';
+import User from '../models/User.js';
+import Truck from '../models/Truck.js';
+import Booking from '../models/Booking.js';
+import PickupRequest from '../models/PickupRequest.js';
+import { getSmsProvider } from './sms/index.js';
+import { renderTemplate } from './sms/templates.js';
+import { normalizePhoneNumber } from './sms/phone.js';
+
+// Replies that unsubscribe or resubscribe a number, as carriers expect
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+
+const httpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+/**
+ * Stop sending SMS to a number, and switch SMS off for the users who have it.
+ */
+export const optOutPhone = async (phone, { source, keyword } = {}) => {
+  await SmsOptOut.updateOne(
+    { phone },
+    { $setOnInsert: { phone, source, keyword } },
+    { upsert: true }
+  );
+  await User.updateMany({ phone }, { 'preferences.notifications.sms': false });
+};
+
+/**
+ * Allow SMS to a number again. With `resubscribe`, users with the number get
+ * SMS switched back on; otherwise their preferences are left alone.
+ */
+export const optInPhone = async (phone, { resubscribe = false } = {}) => {
+  await SmsOptOut.deleteOne({ phone });
+  if (resubscribe) {
+    await User.updateMany({ phone }, { 'preferences.notifications.sms': true });
+  }
+};
+
+/**
+ * Render a template and send it. Resolves to 'sent', or to 'disabled' when
+ * the number has opted out; rejects if the number is invalid or the provider
+ * fails.
+ */
+export const sendSms = async ({ to, template, data }) => {
+  const phone = normalizePhoneNumber(to);
+  if (!phone) throw httpError(400, 'Phone number is not valid', 'INVALID_PHONE');
+
+  if (await SmsOptOut.isOptedOut(phone)) return 'disabled';
+
+  const message = renderTemplate(template, data);
+  try {
+    await getSmsProvider().send({ to: phone, message });
+    return 'sent';
+  } catch (error) {
+    if (!error.optedOut) throw error;
+    await optOutPhone(phone, { source: 'provider' });
+    return 'disabled';
+  }
+};
+
+/**
+ * Handle an incoming SMS: STOP and similar keywords opt the number out,
+ * START opts it back in. Other messages are ignored. Returns the action taken.
+ */
+export const handleInboundSms = async ({ from, text }) => {
+  const phone = normalizePhoneNumber(from);
+  const keyword = String(text || '').trim().split(/\s+/)[0].toUpperCase();
+  if (!phone) return 'ignored';
+
+  if (OPT_OUT_KEYWORDS.includes(keyword)) {
+    await optOutPhone(phone, { source: 'reply', keyword });
+    return 'opted_out';
+  }
+  if (OPT_IN_KEYWORDS.includes(keyword)) {
+    await optInPhone(phone, { resubscribe: true });
+    return 'opted_in';
+  }
+  return 'ignored';
+};
+
+const truckDetails = (truck) => ({
+  truckNumber: truck.truckId,
+  driverName: truck.driver?.name,
+  driverPhone: normalizePhoneNumber(truck.driver?.phone) || truck.driver?.phone
+});
+
+/**
+ * Template and data for notifications that have a dedicated SMS; other
+ * notifications use the generic template.
+ */
+const NOTIFICATION_SMS = {
+  'pickup.dispatched': async (notification) => {
+    const pickup = await PickupRequest.findById(notification.data.pickupId).populate('assignedTruck', 'truckId driver');
+    if (!pickup?.assignedTruck) return null;
+    return { template: 'truck_dispatched', data: truckDetails(pickup.assignedTruck) };
+  },
+
+  'booking.assigned': async (notification, user) => {
+    const booking = await Booking.findById(notification.data.bookingId).populate('truck', 'truckId driver');
+    // The driver gets the generic "New Job" message
+    if (!booking?.truck || booking.customer.toString() !== user._id.toString()) return null;
+    return { template: 'truck_dispatched', data: { reference: booking.bookingNumber, ...truckDetails(booking.truck) } };
+  },
+
+  'truck.arriving': async (notification) => {
+    const truck = await Truck.findById(notification.data.truckId).select('truckId driver');
+    return {
+      template: 'driver_arriving',
+      data: { minutes: notification.data.minutes, ...(truck ? truckDetails(truck) : {}) }
+    };
+  },
+
+  'booking.status_changed': async (notification) => {
+    if (notification.data.status !== 'completed') return null;
+    const booking = await Booking.findById(notification.data.bookingId).select('bookingNumber');
+    return { template: 'job_completed', data: { reference: booking?.bookingNumber } };
+  },
+
+  'pickup.status_changed': async (notification) => (notification.data.status === 'completed'
+    ? { template: 'job_completed', data: {} }
+    : null)
+};
+
+// Drivers often have no phone on their account; fall back to their truck's
+const getUserPhone = async (user) => {
+  if (normalizePhoneNumber(user.phone)) return user.phone;
+  if (user.role !== 'driver') return null;
+  const truck = await Truck.findByDriver(user._id).select('driver.phone');
+  return truck?.driver?.phone || null;
+};
+
+/**
+ * SMS channel for the notification center.
+ */
+export const sendNotificationSms = async (user, notification) => {
+  const phone = await getUserPhone(user);
+  if (!phone) throw new Error('User has no valid phone number');
+
+  const build = NOTIFICATION_SMS[notification.sourceEvent?.type];
+  const sms = (build && await build(notification, user)) || {
+    template: 'notification',
+    data: { title: notification.title, message: notification.message }
+  };
+
+  return sendSms({ to: phone, ...sms });
+};
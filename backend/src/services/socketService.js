@@ -0,0 +1,323 @@
+import Branch from '../models/Branch.js';
+import User from '../models/User.js';
+import Truck from '../models/Truck.js';
+import { authenticateSocket } from '../middleware/auth.js';
+import { EVENT_SCHEMAS } from './events/schemas.js';
+
+// Room names. Clients never choose their rooms; they are assigned on connect.
+export const rooms = {
+  admin: 'admin-room',
+  user: (userId) => `user-${userId}`,
+  role: (role) => `role-${role}`,
+  branch: (branchId) => `branch-${branchId}`,
+  truck: (truckId) => `truck-${truckId}`
+};
+
+/**
+ * Rooms a user belongs to: their own room, their role, admin-room for
+ * admins, the branches they manage or staff, and their truck if they drive one.
+ */
+export const getRoomsForUser = async (user) => {
+  const userRooms = [rooms.user(user._id), rooms.role(user.role)];
+
+  if (user.isAdminUser()) {
+    userRooms.push(rooms.admin);
+  }
+
+  const branches = await Branch.findForUser(user._id).select('_id');
+  branches.forEach(branch => userRooms.push(rooms.branch(branch._id)));
+
+  if (user.role === 'driver') {
+    const truck = await Truck.findByDriver(user._id);
+    if (truck) userRooms.push(rooms.truck(truck._id));
+  }
+
+  return userRooms;
+};
+
+// Truck updates go to dispatchers and to the truck's own driver
+const truckRooms = (truckId) => [rooms.admin, rooms.truck(truckId)];
+
+const paymentPayload = (d) => ({
+  paymentId: d.paymentId,
+  bookingId: d.bookingId,
+  serviceRequestId: d.serviceRequestId,
+  amount: d.amount,
+  currency: d.currency,
+  status: d.status,
+  ...(d.reason && { reason: d.reason }),
+  ...(d.refundAmount !== undefined && { refundAmount: d.refundAmount })
+});
+
+/**
+ * Socket.IO events sent for each domain event: [rooms, socket event, payload].
+ * The socket payloads are what the frontend already listens for; every one
+ * also gets a `timestamp` from the event.
+ */
+const SOCKET_ROUTES = {
+  'pickup.created': (d) => [
+    [rooms.admin, 'pickup-request-received', { requestId: d.pickupId, userName: d.userName, location: d.location }]
+  ],
+  'pickup.status_changed': (d) => [
+    [rooms.user(d.userId), 'pickup-status-updated', { requestId: d.pickupId, status: d.status }],
+    ...(d.driverId ? [[rooms.admin, 'driver-job-updated', { requestId: d.pickupId, status: d.status, driver: d.driverId }]] : [])
+  ],
+  'pickup.dispatched': (d) => [
+    [rooms.user(d.userId), 'truck-dispatch-update', { requestId: d.pickupId, truckId: d.truckId, status: 'dispatched' }]
+  ],
+  'pickup.dispatch_escalated': (d) => [
+    [rooms.admin, 'pickup-dispatch-escalated', { requestId: d.pickupId, userName: d.userName, reason: d.reason, attempts: d.attempts }]
+  ],
+  'pickup.tracking_updated': (d) => [
+    [rooms.user(d.userId), 'pickup-tracking-updated', { requestId: d.pickupId, truckId: d.truckId, status: d.status, location: d.location, eta: d.eta || null }]
+  ],
+  'message.sent': (d) => [
+    [d.recipientId ? rooms.user(d.recipientId) : rooms.admin, 'message-received', {
+      messageId: d.messageId,
+      text: d.text,
+      senderType: d.senderType,
+      senderName: d.senderName,
+      senderId: d.senderId,
+      conversationId: d.conversationId,
+      message: d.message
+    }]
+  ],
+  'booking.created': (d) => [
+    [rooms.admin, 'booking-created', {
+      bookingId: d.bookingId,
+      bookingNumber: d.bookingNumber,
+      customer: d.customerName,
+      serviceType: d.serviceType
+    }]
+  ],
+  'booking.status_changed': (d) => {
+    const update = { bookingId: d.bookingId, status: d.status, step: d.step };
+    return [
+      [rooms.user(d.customerId), 'booking-status-updated', update],
+      ...(d.driverId ? [[rooms.admin, 'driver-job-updated', { ...update, driver: d.driverId }]] : [])
+    ];
+  },
+  'booking.assigned': (d) => [
+    [rooms.user(d.customerId), 'booking-assigned', { bookingId: d.bookingId, truck: d.truckNumber, driver: d.driverName }],
+    ...(d.driverId ? [[rooms.user(d.driverId), 'booking-assigned-to-driver', { bookingId: d.bookingId, bookingNumber: d.bookingNumber }]] : [])
+  ],
+  'booking.proof_of_delivery_recorded': (d) => [
+    [rooms.admin, 'proof-of-delivery-recorded', { bookingId: d.bookingId, bookingNumber: d.bookingNumber, recipientName: d.recipientName }]
+  ],
+  'truck.location_updated': (d) => [
+    [truckRooms(d.truckId), 'truck-location-updated', { truckId: d.truckId, location: d.location, status: d.status }]
+  ],
+  'truck.status_changed': (d) => [
+    [truckRooms(d.truckId), 'truck-status-updated', { truckId: d.truckId, status: d.status, assignedRequest: d.assignedRequestId || null }]
+  ],
+  'truck.assigned': (d) => [
+    [truckRooms(d.truckId), 'truck-assigned', { truckId: d.truckId, requestId: d.requestId, status: d.status }]
+  ],
+  'truck.assignment_completed': (d) => [
+    [truckRooms(d.truckId), 'truck-assignment-completed', { truckId: d.truckId, status: d.status }]
+  ],
+  'truck.arriving': (d) => [
+    [rooms.user(d.customerId), 'truck-arriving', { jobType: d.jobType, jobId: d.jobId, truckId: d.truckId, minutes: d.minutes }]
+  ],
+  'location.shared': (d) => [
+    [rooms.admin, 'location-shared', { userId: d.userId, userName: d.userName, location: d.location }]
+  ],
+  'service_request.created': (d) => [
+    [rooms.admin, 'service-request-created', {
+      requestId: d.requestId,
+      requestNumber: d.requestNumber,
+      customer: d.customerName,
+      serviceType: d.serviceType,
+      priority: d.priority
+    }]
+  ],
+  // Customers hear about changes staff make; staff hear about the customer's own
+  'service_request.status_changed': (d) => [
+    [d.changedBy === d.customerId ? rooms.admin : rooms.user(d.customerId), 'service-request-updated', {
+      requestId: d.requestId,
+      requestNumber: d.requestNumber,
+      status: d.status,
+      notes: d.notes
+    }]
+  ],
+  'service_reminder.due': (d) => [
+    [rooms.user(d.ownerId), 'service-reminder', {
+      reminderId: d.reminderId,
+      vehicleId: d.vehicleId,
+      serviceType: d.serviceType,
+      title: d.title,
+      message: d.message,
+      urgency: d.urgency
+    }]
+  ],
+  'payment.status_changed': (d) => [
+    [[rooms.admin, rooms.user(d.customerId)], `payment-${d.change}`, paymentPayload(d)]
+  ],
+  'notification.created': (d) => [
+    [rooms.user(d.recipientId), 'notification-created', {
+      _id: d.notificationId,
+      type: d.type,
+      title: d.title,
+      message: d.message,
+      priority: d.priority,
+      data: d.data,
+      isRead: false
+    }]
+  ],
+  'payment.reconciliation_failed': (d) => [
+    [rooms.admin, 'payment-reconciliation-failed', {
+      paymentId: d.paymentId,
+      bookingId: d.bookingId,
+      serviceRequestId: d.serviceRequestId,
+      issues: d.issues
+    }]
+  ]
+};
+
+/**
+ * Forward domain events from the bus to the sockets connected to this
+ * instance. Every instance receives every event, so together they reach all
+ * connected users. Events of a version this release does not know are
+ * skipped rather than sent in a shape the frontend may not expect.
+ */
+export const bridgeEventsToSockets = (io, eventBus) => eventBus.subscribe('*', (event) => {
+  const route = SOCKET_ROUTES[event.type];
+  if (!route) return;
+
+  const known = EVENT_SCHEMAS[event.type].version;
+  if (event.version !== known) {
+    console.warn(`Skipping ${event.type} v${event.version} event; this instance handles v${known}`);
+    return;
+  }
+
+  route(event.data).forEach(([target, socketEvent, payload]) => {
+    io.to(target).emit(socketEvent, { ...payload, timestamp: event.occurredAt });
+  });
+});
+
+/**
+ * Move a user's sockets on this instance to the rooms for their new role, so
+ * a demoted admin stops receiving admin events without reconnecting.
+ */
+export const refreshRoomsOnRoleChange = (io, eventBus) => eventBus.subscribe('user.role_changed', async (event) => {
+  const { userId } = event.data;
+  try {
+    const sockets = await io.local.in(rooms.user(userId)).fetchSockets();
+    if (!sockets.length) return;
+
+    const user = await User.findById(userId);
+    if (!user) return;
+    const userRooms = await getRoomsForUser(user);
+
+    for (const socket of sockets) {
+      [...socket.rooms].filter(room => room !== socket.id).forEach(room => socket.leave(room));
+      socket.join(userRooms);
+      socket.user = user;
+      socket.emit('role-changed', { role: user.role, isAdmin: user.isAdminUser(), timestamp: event.occurredAt });
+      socket.emit('rooms-joined', { rooms: userRooms });
+    }
+  } catch (error) {
+    console.error('Socket room refresh error:', error);
+  }
+});
+
+// Sockets opened with a signed-out session's token close at once. The
+// session id is kept in socket.data, the only part fetchSockets() carries.
+export const disconnectRevokedSessions = (io, eventBus) => eventBus.subscribe('auth.sessions_revoked', async (event) => {
+  const { userId, sessionIds } = event.data;
+  const revoked = sessionIds.map(String);
+  try {
+    const sockets = await io.local.in(rooms.user(userId)).fetchSockets();
+    sockets
+      .filter(socket => revoked.includes(String(socket.data.sessionId)))
+      .forEach((socket) => {
+        socket.emit('session-revoked');
+        socket.disconnect(true);
+      });
+  } catch (error) {
+    console.error('Socket session revoke error:', error);
+  }
+});
+
+// setTimeout fires at once for delays past 2^31 - 1 ms (about 24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const isValidCoordinate = (value, limit) => typeof value === 'number' && Math.abs(value) <= limit;
+
+/**
+ * Drivers may stream their truck's location over the socket instead of
+ * calling PUT /driver/location. The truck is always the one linked to the
+ * driver; any truck ID in the payload is ignored.
+ */
+const handleTruckLocationUpdate = (eventBus, socket) => async (data = {}, ack = () => {}) => {
+  try {
+    if (socket.user.role !== 'driver') {
+      return ack({ success: false, message: 'Driver access required.' });
+    }
+
+    const { latitude, longitude, address = '', speed, heading, accuracy } = data;
+    if (!isValidCoordinate(latitude, 90) || !isValidCoordinate(longitude, 180)) {
+      return ack({ success: false, message: 'Valid latitude and longitude required' });
+    }
+
+    const truck = await Truck.findByDriver(socket.user._id);
+    if (!truck) {
+      return ack({ success: false, message: 'You are not assigned to a truck' });
+    }
+
+    await truck.updateLocation(latitude, longitude, address, { speed, heading, accuracy });
+
+    eventBus.publish('truck.location_updated', {
+      truckId: truck._id,
+      location: truck.currentLocation,
+      status: truck.status
+    });
+    ack({ success: true });
+
+  } catch (error) {
+    console.error('Socket location update error:', error);
+    ack({ success: false, message: 'Error updating location' });
+  }
+};
+
+/**
+ * Authenticate every connection with the same JWT as the REST API, join it
+ * to its rooms and disconnect it when the token expires. Sockets receive
+ * domain events from the event bus.
+ */
+export const initSocket = (io, eventBus) => {
+  io.use(authenticateSocket);
+  bridgeEventsToSockets(io, eventBus);
+  refreshRoomsOnRoleChange(io, eventBus);
+  disconnectRevokedSessions(io, eventBus);
+
+  io.on('connection', async (socket) => {
+    const { user } = socket;
+    console.log(`👤 ${user.email} connected:`, socket.id);
+
+    let expiryTimer;
+    if (socket.tokenExpiresAt) {
+      const remaining = socket.tokenExpiresAt - Date.now();
+      expiryTimer = setTimeout(() => {
+        socket.emit('session-expired');
+        socket.disconnect(true);
+      }, Math.min(Math.max(remaining, 0), MAX_TIMER_MS));
+    }
+
+    socket.on('disconnect', () => {
+      clearTimeout(expiryTimer);
+      console.log(`👤 ${user.email} disconnected:`, socket.id);
+    });
+
+    socket.on('truck-location-update', handleTruckLocationUpdate(eventBus, socket));
+
+    try {
+      const userRooms = await getRoomsForUser(user);
+      socket.join(userRooms);
+      socket.emit('rooms-joined', { rooms: userRooms });
+    } catch (error) {
+      console.error('Socket room assignment error:', error);
+      socket.disconnect(true);
+    }
+  });
+};
@@ -0,0 +1,146 @@
+import TruckPosition from '../models/TruckPosition.js';
+import Truck from '../models/Truck.js';
+
+export const MAX_BATCH_SIZE = 500;
+const DEFAULT_TRACK_HOURS = 24;
+const MAX_TRACK_DAYS = 31;
+const DEFAULT_MAX_POINTS = 2000;
+
+const httpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+// Devices with a wrong clock should not write positions into the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const toPosition = (truckId, point) => ({
+  truck: truckId,
+  recordedAt: new Date(point.recordedAt),
+  latitude: Number(point.latitude),
+  longitude: Number(point.longitude),
+  speed: point.speed != null ? Number(point.speed) : undefined,
+  heading: point.heading != null ? Number(point.heading) % 360 : undefined,
+  accuracy: point.accuracy != null ? Number(point.accuracy) : undefined,
+  source: 'batch'
+});
+
+const isValidPosition = (position) =>
+  !Number.isNaN(position.recordedAt.getTime())
+  && position.recordedAt.getTime() <= Date.now() + MAX_CLOCK_SKEW_MS
+  && Math.abs(position.latitude) <= 90
+  && Math.abs(position.longitude) <= 180
+  && !(position.speed < 0)
+  && !(position.accuracy < 0);
+
+/**
+ * Store a batch of GPS fixes buffered on a device. Points already stored for
+ * the same time are skipped, so a device can safely resend a batch after a
+ * dropped connection. The newest point becomes the truck's current location
+ * unless the truck has reported a later one. Returns counts of accepted,
+ * duplicate and rejected points, and the new current location if it moved.
+ */
+export const ingestPositions = async (truck, points) => {
+  const positions = points.map(point => toPosition(truck._id, point));
+  const valid = positions.filter(isValidPosition);
+  const rejected = positions.length - valid.length;
+
+  if (!valid.length) {
+    return { accepted: 0, duplicates: 0, rejected, currentLocation: null };
+  }
+
+  const times = valid.map(position => position.recordedAt.getTime());
+  const existing = await TruckPosition.find({
+    truck: truck._id,
+    recordedAt: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) }
+  }).select('recordedAt').lean();
+
+  const seen = new Set(existing.map(position => position.recordedAt.getTime()));
+  const fresh = valid.filter(position => {
+    const time = position.recordedAt.getTime();
+    if (seen.has(time)) return false;
+    seen.add(time);
+    return true;
+  });
+
+  if (fresh.length) {
+    await TruckPosition.insertMany(fresh, { ordered: false });
+  }
+
+  // Batches can arrive late; only move the truck forward in time
+  const latest = valid.reduce((a, b) => (b.recordedAt > a.recordedAt ? b : a));
+  const current = truck.currentLocation?.timestamp;
+  let currentLocation = null;
+  if (!current || latest.recordedAt > current) {
+    currentLocation = {
+      latitude: latest.latitude,
+      longitude: latest.longitude,
+      address: '',
+      timestamp: latest.recordedAt
+    };
+    await Truck.updateOne({ _id: truck._id }, { currentLocation, lastSeen: new Date() });
+  }
+
+  return {
+    accepted: fresh.length,
+    duplicates: valid.length - fresh.length,
+    rejected,
+    currentLocation
+  };
+};
+
+// Great-circle distance in km
+const haversine = (a, b) => Truck.calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+
+/**
+ * Positions of a truck between `from` and `to` in time order, thinned evenly
+ * to at most `maxPoints`, with a summary of the trip. Distance and top speed
+ * are measured on every stored point, not just the returned ones.
+ */
+export const getTrack = async (truckId, { from, to, maxPoints = DEFAULT_MAX_POINTS } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_TRACK_HOURS * 60 * 60 * 1000);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+    throw httpError(400, 'Invalid time range');
+  }
+  if (end - start > MAX_TRACK_DAYS * 24 * 60 * 60 * 1000) {
+    throw httpError(400, `Tracks can cover at most ${MAX_TRACK_DAYS} days`);
+  }
+
+  const positions = await TruckPosition.find({ truck: truckId, recordedAt: { $gte: start, $lte: end } })
+    .select('-_id -truck')
+    .sort({ recordedAt: 1 })
+    .lean();
+
+  let distanceKm = 0;
+  let maxSpeed = 0;
+  positions.forEach((position, i) => {
+    if (i > 0) distanceKm += haversine(positions[i - 1], position);
+    if (position.speed > maxSpeed) maxSpeed = position.speed;
+  });
+
+  // Keep the first and last points so the trip's ends are exact
+  const limit = Math.max(maxPoints, 2);
+  let points = positions;
+  if (positions.length > limit) {
+    const step = (positions.length - 1) / (limit - 1);
+    points = Array.from({ length: limit }, (_, i) => positions[Math.round(i * step)]);
+  }
+
+  return {
+    from: start,
+    to: end,
+    points,
+    summary: {
+      pointCount: positions.length,
+      returnedPoints: points.length,
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      maxSpeed,
+      startedAt: positions[0]?.recordedAt || null,
+      endedAt: positions[positions.length - 1]?.recordedAt || null
+    }
+  };
+};
@@ -0,0 +1,137 @@
+import jwt from 'jsonwebtoken';
+import TrackingLink from '../models/TrackingLink.js';
+import Booking from '../models/Booking.js';
+import PickupRequest from '../models/PickupRequest.js';
+import { getBookingTracking, getPickupTracking } from './trackingService.js';
+import { getAppUrl } from './mail/templates.js';
+
+const getDefaultHours = () => parseFloat(process.env.TRACKING_LINK_HOURS) || 48;
+const getMaxHours = () => parseFloat(process.env.TRACKING_LINK_MAX_HOURS) || 168;
+
+// Signed for a different audience than access tokens, so neither kind of
+// token is accepted in place of the other
+const getSecret = () => process.env.TRACKING_LINK_SECRET || process.env.JWT_SECRET || 'your-fallback-secret';
+const AUDIENCE = 'tracking-link';
+
+// No new links for jobs that are over
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+const JOBS = {
+  booking: { model: Booking, track: getBookingTracking },
+  pickup: { model: PickupRequest, track: getPickupTracking }
+};
+
+const httpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+/**
+ * Create a link to a booking or pickup (`type`) for someone without an
+ * account. It expires after `expiresInHours` (TRACKING_LINK_HOURS by
+ * default, at most TRACKING_LINK_MAX_HOURS). The token and URL are only
+ * returned here.
+ */
+export const createTrackingLink = async (type, job, user, { recipientName, expiresInHours } = {}) => {
+  if (CLOSED_STATUSES.includes(job.status)) {
+    throw httpError(409, `Cannot share tracking for a ${job.status} ${type}`, 'JOB_CLOSED');
+  }
+  const hours = expiresInHours ? Number(expiresInHours) : getDefaultHours();
+  if (hours > getMaxHours()) {
+    throw httpError(400, `Tracking links can last at most ${getMaxHours()} hours`);
+  }
+
+  const link = await TrackingLink.create({
+    [type]: job._id,
+    recipientName,
+    createdBy: user._id,
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+  });
+  const token = jwt.sign(
+    { link: link._id, exp: Math.floor(link.expiresAt.getTime() / 1000) },
+    getSecret(),
+    { audience: AUDIENCE }
+  );
+
+  return { link, token, url: `${getAppUrl()}/track/${token}` };
+};
+
+export const listTrackingLinks = (type, jobId) => TrackingLink.find({ [type]: jobId })
+  .populate('createdBy', 'name')
+  .sort({ createdAt: -1 });
+
+// Revoking a link twice leaves the first revocation in place
+export const revokeTrackingLink = async (type, jobId, linkId, user) => {
+  const link = await TrackingLink.findOne({ _id: linkId, [type]: jobId });
+  if (!link) throw httpError(404, 'Tracking link not found');
+
+  if (!link.revokedAt) {
+    link.revokedAt = new Date();
+    link.revokedBy = user._id;
+    await link.save();
+  }
+  return link;
+};
+
+// The link a token names, if the token is genuine and the link still works
+const resolveTrackingToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getSecret(), { audience: AUDIENCE });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw httpError(410, 'This tracking link has expired', 'TRACKING_LINK_EXPIRED');
+    }
+    throw httpError(404, 'Tracking link not found', 'TRACKING_LINK_INVALID');
+  }
+
+  const link = await TrackingLink.findById(decoded.link);
+  if (!link) throw httpError(404, 'Tracking link not found', 'TRACKING_LINK_INVALID');
+  if (link.revokedAt) throw httpError(410, 'This tracking link has been revoked', 'TRACKING_LINK_REVOKED');
+  if (!link.isActive()) throw httpError(410, 'This tracking link has expired', 'TRACKING_LINK_EXPIRED');
+  return link;
+};
+
+// Only what the recipient needs: no customer details and no driver phone
+const sharedView = (type, tracking) => ({
+  type,
+  reference: tracking.bookingNumber,
+  status: tracking.status,
+  destination: type === 'booking' ? tracking.destination : {
+    address: tracking.pickupLocation?.address,
+    coordinates: { latitude: tracking.pickupLocation?.latitude, longitude: tracking.pickupLocation?.longitude }
+  },
+  heading: tracking.heading,
+  timeline: tracking.timeline,
+  truck: tracking.truck && {
+    licensePlate: tracking.truck.licensePlate,
+    driverName: tracking.truck.driverName,
+    status: tracking.truck.status,
+    location: tracking.truck.location,
+    lastSeen: tracking.truck.lastSeen
+  },
+  eta: tracking.eta
+});
+
+/**
+ * Read-only tracking for whoever holds the token: the truck's position,
+ * the status timeline and the ETA. Each view is counted on the link.
+ */
+export const getSharedTracking = async (token) => {
+  const link = await resolveTrackingToken(token);
+  const type = link.booking ? 'booking' : 'pickup';
+  const { model, track } = JOBS[type];
+
+  const job = await model.findById(link[type]);
+  if (!job) throw httpError(404, 'Tracking link not found', 'TRACKING_LINK_INVALID');
+
+  await TrackingLink.updateOne({ _id: link._id }, { $inc: { viewCount: 1 }, lastViewedAt: new Date() });
+
+  return {
+    ...sharedView(type, await track(job)),
+    recipientName: link.recipientName,
+    expiresAt: link.expiresAt
+  };
+};
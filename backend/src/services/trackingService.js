@@ -0,0 +1,189 @@
+import PickupRequest from '../models/PickupRequest.js';
+import Truck from '../models/Truck.js';
+import TruckPosition from '../models/TruckPosition.js';
+import { isOwnEvent } from './eventBus.js';
+import { haversineKm } from './geo.js';
+import { getRoadFactor } from './pricingService.js';
+
+// Speeds over this many recent minutes feed the ETA
+const getSpeedWindowMinutes = () => parseInt(process.env.ETA_SPEED_WINDOW_MINUTES) || 10;
+// Assumed city speed for a truck with too little recent history
+const getAverageSpeedKmh = () => parseFloat(process.env.ARRIVAL_ALERT_SPEED_KMH) || 30;
+
+// A truck crawling through traffic still gets a finite ETA
+const MIN_SPEED_KMH = 5;
+const MIN_TRACK_SECONDS = 30;
+
+// Pickups a truck is on its way to or at; ETAs only before arrival
+const TRACKED_STATUSES = ['dispatched', 'en-route', 'at-location'];
+const APPROACHING_STATUSES = ['dispatched', 'en-route'];
+const TRACKED_BOOKING_STATUSES = ['assigned', 'in_progress'];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const hasCoordinates = (point) => point?.latitude != null && point?.longitude != null;
+
+/**
+ * The truck's average speed over the last few minutes: the speeds its
+ * device reported, else the distance covered between its fixes. Falls back
+ * to ARRIVAL_ALERT_SPEED_KMH when there is too little history.
+ */
+export const getRecentSpeed = async (truckId, now = new Date()) => {
+  const positions = await TruckPosition.find({
+    truck: truckId,
+    recordedAt: { $gte: new Date(now.getTime() - getSpeedWindowMinutes() * 60 * 1000), $lte: now }
+  }).sort({ recordedAt: 1 }).select('recordedAt latitude longitude speed').lean();
+
+  const reported = positions.filter(position => position.speed != null);
+  if (reported.length) {
+    const kmh = reported.reduce((total, position) => total + position.speed, 0) / reported.length;
+    return { kmh: Math.max(kmh, MIN_SPEED_KMH), source: 'reported', samples: reported.length };
+  }
+
+  const seconds = positions.length > 1
+    ? (positions[positions.length - 1].recordedAt - positions[0].recordedAt) / 1000
+    : 0;
+  if (seconds >= MIN_TRACK_SECONDS) {
+    const km = positions.slice(1).reduce((total, position, i) =>
+      total + haversineKm(positions[i].latitude, positions[i].longitude, position.latitude, position.longitude), 0);
+    return { kmh: Math.max(km / (seconds / 3600), MIN_SPEED_KMH), source: 'track', samples: positions.length };
+  }
+
+  return { kmh: getAverageSpeedKmh(), source: 'default', samples: positions.length };
+};
+
+/**
+ * ETA from a truck's position to a point: the remaining straight-line
+ * distance scaled to road distance, at the truck's recent speed.
+ */
+export const estimateArrival = async (truckId, from, to, now = new Date()) => {
+  const distanceKm = haversineKm(from.latitude, from.longitude, to.latitude, to.longitude) * getRoadFactor();
+  const speed = await getRecentSpeed(truckId, now);
+  const minutes = distanceKm / speed.kmh * 60;
+
+  return {
+    distanceKm: round(distanceKm),
+    minutes: round(minutes),
+    arrivesAt: new Date(now.getTime() + minutes * 60 * 1000),
+    speedKmh: round(speed.kmh),
+    speedSource: speed.source
+  };
+};
+
+const pickupTimeline = (pickup) => [
+  ['requested', pickup.requestTime],
+  ['dispatched', pickup.dispatchTime],
+  ['en-route', pickup.acceptTime],
+  ['at-location', pickup.arrivalTime],
+  ['completed', pickup.completionTime]
+].filter(([, at]) => at).map(([status, at]) => ({ status, at }));
+
+const truckView = (truck) => ({
+  id: truck._id,
+  truckId: truck.truckId,
+  licensePlate: truck.vehicle?.licensePlate,
+  driverName: truck.driver?.name,
+  driverPhone: truck.driver?.phone,
+  status: truck.status,
+  location: truck.currentLocation && {
+    latitude: truck.currentLocation.latitude,
+    longitude: truck.currentLocation.longitude,
+    address: truck.currentLocation.address,
+    recordedAt: truck.currentLocation.timestamp
+  },
+  lastSeen: truck.lastSeen
+});
+
+/**
+ * What the customer sees while waiting for a pickup: its status history,
+ * the assigned truck's latest position and, until it arrives, the ETA.
+ */
+export const getPickupTracking = async (pickup, now = new Date()) => {
+  const tracked = pickup.assignedTruck && TRACKED_STATUSES.includes(pickup.status);
+  const truck = tracked ? await Truck.findById(pickup.assignedTruck._id || pickup.assignedTruck) : null;
+
+  const eta = truck && APPROACHING_STATUSES.includes(pickup.status)
+    && hasCoordinates(truck.currentLocation) && hasCoordinates(pickup.pickupLocation)
+    ? await estimateArrival(truck._id, truck.currentLocation, pickup.pickupLocation, now)
+    : null;
+
+  return {
+    pickupId: pickup._id,
+    status: pickup.status,
+    pickupLocation: pickup.pickupLocation,
+    timeline: pickupTimeline(pickup),
+    truck: truck && truckView(truck),
+    eta
+  };
+};
+
+// Where a booking's truck is heading: the origin until it arrives there,
+// then the destination once the job has started
+const bookingHeading = (booking) => {
+  if (booking.status === 'in_progress') return 'destination';
+  if (booking.status === 'assigned' && !booking.driverProgress?.arrivedAt) return 'origin';
+  return null;
+};
+
+/**
+ * The same view for a booking: its timeline, the truck's latest position
+ * and the ETA to wherever the truck is heading next.
+ */
+export const getBookingTracking = async (booking, now = new Date()) => {
+  const tracked = booking.truck && TRACKED_BOOKING_STATUSES.includes(booking.status);
+  const truck = tracked ? await Truck.findById(booking.truck._id || booking.truck) : null;
+  const heading = bookingHeading(booking);
+  const target = heading && booking.route?.[heading]?.coordinates;
+
+  const eta = truck && hasCoordinates(truck.currentLocation) && hasCoordinates(target)
+    ? await estimateArrival(truck._id, truck.currentLocation, target, now)
+    : null;
+
+  return {
+    bookingId: booking._id,
+    bookingNumber: booking.bookingNumber,
+    status: booking.status,
+    origin: booking.route?.origin,
+    destination: booking.route?.destination,
+    heading,
+    timeline: (booking.timeline || []).map(entry => ({ status: entry.status, at: entry.timestamp })),
+    truck: truck && truckView(truck),
+    eta
+  };
+};
+
+/**
+ * Send the customer of the pickup a truck is serving its new position and
+ * ETA. The driver-arriving alert is truck.arriving, from arrivalAlerts.
+ */
+export const publishPickupTracking = async (eventBus, truckId, location) => {
+  if (!hasCoordinates(location)) return null;
+
+  const pickup = await PickupRequest.findOne({ assignedTruck: truckId, status: { $in: TRACKED_STATUSES } });
+  if (!pickup) return null;
+
+  const eta = APPROACHING_STATUSES.includes(pickup.status) && hasCoordinates(pickup.pickupLocation)
+    ? await estimateArrival(truckId, location, pickup.pickupLocation)
+    : null;
+
+  const update = {
+    pickupId: pickup._id,
+    userId: pickup.userId,
+    truckId,
+    status: pickup.status,
+    location,
+    ...(eta && { eta })
+  };
+  eventBus.publish('pickup.tracking_updated', update);
+  return update;
+};
+
+// Only the instance that received the location works out the ETA
+export const subscribePickupTracking = (eventBus) => eventBus.subscribe('truck.location_updated', async (event) => {
+  if (!isOwnEvent(event)) return;
+  try {
+    await publishPickupTracking(eventBus, event.data.truckId, event.data.location);
+  } catch (error) {
+    console.error('Pickup tracking error:', error.message);
+  }
+});
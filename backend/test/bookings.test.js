@@ -0,0 +1,68 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Booking from '../src/models/Booking.js';
+import RateCard from '../src/models/RateCard.js';
+import Truck from '../src/models/Truck.js';
+import router from '../src/routes/bookings.js';
+import { callRoute, fakeEventBus, fakeQuery, fakeUser } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+const stubSave = () => {
+  // Validation still runs, so a schema that rejects the booking fails here
+  mock.method(Booking, 'findOne', () => fakeQuery(null));
+  return mock.method(Booking.prototype, 'save', async function() {
+    await this.validate();
+    return this;
+  });
+};
+
+test('POST /bookings without a truck creates the booking for an admin to assign', async () => {
+  const save = stubSave();
+  const reserve = mock.method(Truck, 'reserve', async () => null);
+  mock.method(RateCard, 'findBestMatch', async () => null);
+  const eventBus = fakeEventBus();
+
+  const { status, body } = await callRoute(router, {
+    user: fakeUser(),
+    eventBus,
+    method: 'POST',
+    body: { serviceType: 'delivery', schedule: { startDate: '2030-01-07T09:00:00Z' } }
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.truck, undefined);
+  assert.match(body.data.bookingNumber, /^BK\d{8}$/);
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal(reserve.mock.callCount(), 0);
+  assert.deepEqual(eventBus.published.map(event => event.type), ['booking.created']);
+});
+
+test('POST /bookings ignores server-owned fields in the request body', async () => {
+  stubSave();
+  mock.method(RateCard, 'findBestMatch', async () => null);
+  const user = fakeUser();
+
+  const { status, body } = await callRoute(router, {
+    user,
+    method: 'POST',
+    body: {
+      serviceType: 'delivery',
+      schedule: { startDate: '2030-01-07T09:00:00Z' },
+      status: 'completed',
+      paymentStatus: 'paid',
+      customer: '64b000000000000000000001',
+      driverProgress: { completedAt: '2030-01-07T10:00:00Z' },
+      timeline: [{ status: 'completed' }],
+      notes: { customerNotes: 'Gate 3', adminNotes: 'VIP' }
+    }
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.status, 'pending');
+  assert.equal(body.data.paymentStatus, 'unpaid');
+  assert.equal(body.data.customer, user._id.toString());
+  assert.equal(body.data.driverProgress?.completedAt, undefined);
+  assert.deepEqual(body.data.timeline, []);
+  assert.deepEqual(body.data.notes, { customerNotes: 'Gate 3' });
+});
@@ -0,0 +1,63 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import PickupRequest from '../src/models/PickupRequest.js';
+import Truck from '../src/models/Truck.js';
+import Branch from '../src/models/Branch.js';
+import { autoDispatch } from '../src/services/dispatchService.js';
+import { fakeEventBus, objectId } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+// One pickup held in memory; conditional updates only apply while the
+// dispatch state matches, as they would in MongoDB
+const storePickup = () => {
+  const pickup = new PickupRequest({
+    userId: objectId(),
+    userName: 'Test Customer',
+    pickupLocation: { latitude: -1.29, longitude: 36.82 }
+  });
+  const stateMatches = (expected) => {
+    const state = pickup.dispatch?.state;
+    return expected?.$nin ? !expected.$nin.includes(state) : expected === undefined || expected === state;
+  };
+
+  mock.method(PickupRequest, 'findOneAndUpdate', async (filter, update) => {
+    if (filter.status && filter.status !== pickup.status) return null;
+    if (!stateMatches(filter['dispatch.state'])) return null;
+    for (const [path, value] of Object.entries(update.$set || {})) pickup.set(path, value);
+    for (const [path, value] of Object.entries(update.$push || {})) pickup.get(path).push(value);
+    return pickup;
+  });
+  mock.method(PickupRequest, 'findById', async () => pickup);
+  return pickup;
+};
+
+test('a failed truck search escalates the pickup instead of leaving it searching', async () => {
+  const pickup = storePickup();
+  mock.method(Truck, 'findNearestAvailable', async () => {
+    throw new Error('geo index missing');
+  });
+  mock.method(Branch, 'findNearby', async () => []);
+  const eventBus = fakeEventBus();
+
+  const result = await autoDispatch(pickup._id, { eventBus });
+
+  assert.equal(result.dispatch.state, 'escalated');
+  assert.equal(pickup.dispatch.escalationReason, 'Automatic dispatch failed');
+  assert.deepEqual(eventBus.published.map(event => event.type), ['pickup.dispatch_escalated']);
+});
+
+test('an escalated pickup can be auto-dispatched again', async () => {
+  const pickup = storePickup();
+  mock.method(Truck, 'findNearestAvailable', async () => {
+    throw new Error('geo index missing');
+  });
+  mock.method(Branch, 'findNearby', async () => []);
+  await autoDispatch(pickup._id, { eventBus: fakeEventBus() });
+
+  mock.method(Truck, 'findNearestAvailable', async () => []);
+  const result = await autoDispatch(pickup._id, { eventBus: fakeEventBus() });
+
+  assert.equal(result.dispatch.state, 'escalated');
+  assert.match(pickup.dispatch.escalationReason, /No available truck/);
+});
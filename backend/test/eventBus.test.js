@@ -0,0 +1,42 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEventBus } from '../src/services/eventBus.js';
+import { createMemoryAdapter } from '../src/services/events/memoryAdapter.js';
+import { objectId } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+const message = (overrides = {}) => ({
+  messageId: objectId(),
+  senderId: objectId(),
+  senderName: 'Test Customer',
+  senderType: 'customer',
+  text: 'Hello',
+  message: {},
+  ...overrides
+});
+
+test('an invalid payload is logged and skipped instead of thrown', async () => {
+  const bus = createEventBus(createMemoryAdapter());
+  const logged = mock.method(console, 'error', () => {});
+  const received = [];
+  bus.subscribe('message.sent', event => received.push(event));
+
+  const published = await bus.publish('message.sent', message({ text: undefined }));
+
+  assert.equal(published, null);
+  assert.equal(received.length, 0);
+  assert.match(logged.mock.calls[0].arguments[1], /text is required/);
+});
+
+test('a valid payload reaches subscribers', async () => {
+  const bus = createEventBus(createMemoryAdapter());
+  const received = [];
+  bus.subscribe('message.sent', event => received.push(event));
+
+  const published = await bus.publish('message.sent', message());
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(published.type, 'message.sent');
+  assert.deepEqual(received.map(event => event.id), [published.id]);
+});
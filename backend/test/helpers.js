@@ -0,0 +1,65 @@
+import express from 'express';
+import mongoose from 'mongoose';
+
+// Behaviour tests run without a database: each test stubs the model calls it
+// relies on with node:test mocks, and routes are mounted on a bare app.
+
+export const objectId = () => new mongoose.Types.ObjectId();
+
+export const fakeUser = (overrides = {}) => ({
+  _id: objectId(),
+  name: 'Test Customer',
+  role: 'user',
+  emailVerified: true,
+  isAdminUser: () => false,
+  ...overrides
+});
+
+// Records what was published instead of delivering it
+export const fakeEventBus = () => {
+  const published = [];
+  return {
+    published,
+    publish: (type, data) => published.push({ type, data })
+  };
+};
+
+// A query whose chained calls (sort, select, populate...) resolve to `value`
+export const fakeQuery = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  for (const method of ['sort', 'select', 'populate', 'lean', 'limit', 'skip', 'session']) {
+    query[method] = () => query;
+  }
+  return query;
+};
+
+/**
+ * Call a router as the given user and return { status, body }. The app has
+ * what the routes expect from server.js: a JSON body parser, req.user and
+ * the event bus.
+ */
+export const callRoute = async (router, { user, eventBus = fakeEventBus(), method = 'GET', path = '/', body } = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.set('eventBus', eventBus);
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(router);
+
+  const server = app.listen(0);
+  try {
+    const { port } = server.address();
+    const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+};
@@ -0,0 +1,90 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Vehicle from '../src/models/Vehicle.js';
+import ServiceRequest from '../src/models/ServiceRequest.js';
+import ServiceReminder from '../src/models/ServiceReminder.js';
+import { runMaintenanceScheduler } from '../src/services/maintenanceScheduler.js';
+import { fakeEventBus, objectId } from './helpers.js';
+
+// Reminders kept in memory, matched on plain field equality
+let reminders;
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => String(doc[key]) === String(value));
+
+const vehicle = (reading) => new Vehicle({
+  owner: objectId(),
+  make: 'Toyota',
+  model: 'Probox',
+  year: 2018,
+  licensePlate: 'KDA 123A',
+  odometer: { reading },
+  createdAt: new Date()
+});
+
+const useFleet = (vehicles) => mock.method(Vehicle, 'find', () => ({
+  cursor: () => {
+    const queue = [...vehicles];
+    return { next: async () => queue.shift() ?? null };
+  }
+}));
+
+beforeEach(() => {
+  reminders = [];
+  mock.method(ServiceRequest, 'aggregate', async () => []);
+  mock.method(ServiceReminder, 'exists', async (filter) => reminders.some(doc => matches(doc, filter)));
+  mock.method(ServiceReminder, 'findOne', async (filter) => reminders.find(doc => matches(doc, filter)) || null);
+  mock.method(ServiceReminder.prototype, 'save', async function() {
+    await this.validate();
+    if (!reminders.includes(this)) reminders.push(this);
+    return this;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a service coming due creates one reminder and notifies the owner once', async () => {
+  const car = vehicle(2800);
+  useFleet([car]);
+  const eventBus = fakeEventBus();
+
+  await runMaintenanceScheduler(eventBus);
+  await runMaintenanceScheduler(eventBus);
+
+  assert.equal(reminders.length, 1);
+  assert.equal(reminders[0].serviceType, '3000km Routine Maintenance');
+  assert.equal(reminders[0].dueAtKm, 3000);
+  assert.equal(eventBus.published.length, 1);
+});
+
+test('a dismissed reminder stays dismissed for the rest of its cycle', async () => {
+  const car = vehicle(2800);
+  useFleet([car]);
+  const eventBus = fakeEventBus();
+
+  await runMaintenanceScheduler(eventBus);
+  await reminders[0].dismiss();
+
+  // Closer to due, but still the cycle the owner dismissed
+  car.odometer.reading = 2950;
+  await runMaintenanceScheduler(eventBus);
+
+  assert.equal(reminders.length, 1);
+  assert.equal(reminders[0].status, 'dismissed');
+  assert.equal(eventBus.published.length, 1);
+});
+
+test('the next service cycle reminds the owner again after a dismissal', async () => {
+  const car = vehicle(2800);
+  useFleet([car]);
+  const eventBus = fakeEventBus();
+
+  await runMaintenanceScheduler(eventBus);
+  await reminders[0].dismiss();
+
+  car.odometer.reading = 5800;
+  await runMaintenanceScheduler(eventBus);
+
+  const active = reminders.filter(reminder => reminder.status === 'active');
+  assert.equal(active.length, 1);
+  assert.equal(active[0].dueAtKm, 6000);
+  assert.equal(eventBus.published.length, 2);
+});
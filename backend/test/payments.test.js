@@ -0,0 +1,135 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Payment from '../src/models/Payment.js';
+import Booking from '../src/models/Booking.js';
+import fakeProvider from '../src/services/payments/fakeProvider.js';
+import paymentsRouter from '../src/routes/payments.js';
+import { callRoute, fakeUser, fakeQuery, objectId } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+const admin = fakeUser({ role: 'admin', isAdminUser: () => true });
+
+// One paid payment behind conditional-update stubs that apply the filters the
+// refund code relies on, the way MongoDB would
+const stubPaymentStore = () => {
+  const payment = new Payment({
+    customer: objectId(),
+    booking: objectId(),
+    amount: 1000,
+    currency: 'KES',
+    provider: 'fake',
+    providerPaymentId: 'fake_pi_1',
+    status: 'succeeded'
+  });
+  const pendingRefund = (filter) => {
+    const match = filter.refunds?.$elemMatch;
+    return payment.refunds.find(refund => refund._id.equals(match._id) && refund.status === match.status);
+  };
+
+  // Every admin loads the payment as it was before any refund, as two
+  // browser tabs or a double click would
+  const loaded = payment.toObject();
+  mock.method(Payment, 'findById', () => fakeQuery(Payment.hydrate(loaded)));
+  mock.method(Payment, 'findOne', (filter) => fakeQuery(pendingRefund(filter) ? payment : null));
+  mock.method(Payment, 'exists', () => fakeQuery(null));
+  mock.method(Booking, 'updateOne', () => fakeQuery({ modifiedCount: 1 }));
+  mock.method(Payment, 'findOneAndUpdate', (filter, update) => {
+    // Derive the refunded status
+    if (Array.isArray(update)) {
+      payment.status = payment.amountRefunded >= payment.amount ? 'refunded' : 'partially_refunded';
+      return fakeQuery(payment);
+    }
+
+    // Reserve a refund amount
+    if (filter.$expr) {
+      const amount = update.$inc.amountRefundPending;
+      if (!filter.status.$in.includes(payment.status)
+        || payment.amountRefunded + payment.amountRefundPending + amount > payment.amount) {
+        return fakeQuery(null);
+      }
+      payment.amountRefundPending += amount;
+      payment.refunds.push(update.$push.refunds);
+      return fakeQuery(payment);
+    }
+
+    // Finish a pending refund
+    const refund = pendingRefund(filter);
+    if (!refund) return fakeQuery(null);
+    payment.amountRefundPending += update.$inc?.amountRefundPending || 0;
+    payment.amountRefunded += update.$inc?.amountRefunded || 0;
+    refund.status = update.$set['refunds.$.status'] || refund.status;
+    refund.providerRefundId = update.$set['refunds.$.providerRefundId'] || refund.providerRefundId;
+    return fakeQuery(payment);
+  });
+
+  return payment;
+};
+
+const refund = () => callRoute(paymentsRouter, {
+  user: admin,
+  method: 'POST',
+  path: '/fake-id/refund',
+  body: { reason: 'Double click' }
+});
+
+test('two refunds at once only refund the payment once', async () => {
+  const payment = stubPaymentStore();
+  const providerRefund = mock.method(fakeProvider, 'refund', async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return { providerRefundId: 'fake_re_1', status: 'succeeded' };
+  });
+
+  const responses = await Promise.all([refund(), refund()]);
+
+  assert.deepEqual(responses.map(response => response.status).sort(), [200, 409]);
+  assert.equal(providerRefund.mock.callCount(), 1);
+  assert.equal(payment.amountRefunded, 1000);
+  assert.equal(payment.amountRefundPending, 0);
+  assert.equal(payment.status, 'refunded');
+});
+
+test('a refund the provider rejects releases its reservation', async () => {
+  const payment = stubPaymentStore();
+  mock.method(fakeProvider, 'refund', async () => ({ providerRefundId: 'fake_re_1', status: 'failed' }));
+
+  const response = await refund();
+
+  assert.equal(response.status, 502);
+  assert.equal(payment.amountRefunded, 0);
+  assert.equal(payment.amountRefundPending, 0);
+  assert.equal(payment.status, 'succeeded');
+  assert.equal(payment.refundableAmount, 1000);
+});
+
+test('a refund still pending with the provider is not counted as refunded', async () => {
+  const payment = stubPaymentStore();
+  mock.method(fakeProvider, 'refund', async () => ({ providerRefundId: 'fake_re_1', status: 'pending' }));
+
+  const response = await refund();
+
+  assert.equal(response.status, 200);
+  assert.equal(payment.amountRefunded, 0);
+  assert.equal(payment.status, 'succeeded');
+  assert.equal(payment.refundableAmount, 0);
+  assert.equal(payment.refunds[0].providerRefundId, 'fake_re_1');
+});
+
+test('payment settings answer a JSON error when no provider is configured', async () => {
+  const { NODE_ENV, PAYMENT_PROVIDER } = process.env;
+  process.env.NODE_ENV = 'production';
+  delete process.env.PAYMENT_PROVIDER;
+  mock.method(console, 'error', () => {});
+
+  try {
+    const response = await callRoute(paymentsRouter, { user: fakeUser(), path: '/config' });
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.message, 'No payment provider is configured');
+  } finally {
+    Object.assign(process.env, { NODE_ENV, PAYMENT_PROVIDER });
+    if (NODE_ENV === undefined) delete process.env.NODE_ENV;
+    if (PAYMENT_PROVIDER === undefined) delete process.env.PAYMENT_PROVIDER;
+  }
+});
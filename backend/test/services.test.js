@@ -0,0 +1,71 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ServiceRequest from '../src/models/ServiceRequest.js';
+import ServiceReminder from '../src/models/ServiceReminder.js';
+import Vehicle from '../src/models/Vehicle.js';
+import router from '../src/routes/services.js';
+import { callRoute, fakeQuery, fakeUser, objectId } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+const admin = fakeUser({ role: 'admin', isAdminUser: () => true });
+
+// One service request on one vehicle. The status claim applies its filter the
+// way MongoDB would; every admin loads the request as it was at the start.
+const stubRequestStore = (status) => {
+  const stored = { _id: objectId(), customer: objectId(), serviceType: 'Oil Change', vehicleId: objectId(), status };
+  const vehicle = Vehicle.hydrate({ _id: stored.vehicleId, odometer: { reading: 10000 }, odometerReadings: [] });
+
+  mock.method(ServiceRequest, 'findById', () => fakeQuery(ServiceRequest.hydrate({ ...stored, statusHistory: [] })));
+  mock.method(ServiceRequest.prototype, 'save', async function() { return this; });
+  mock.method(Vehicle, 'findById', () => fakeQuery(vehicle));
+  mock.method(Vehicle.prototype, 'save', async function() { return this; });
+  const claim = mock.method(ServiceRequest, 'updateOne', (filter, update) => {
+    if (filter.status !== stored.status) return fakeQuery({ modifiedCount: 0 });
+    stored.status = update.status;
+    return fakeQuery({ modifiedCount: 1 });
+  });
+  const resolve = mock.method(ServiceReminder, 'resolveForService', async () => null);
+
+  return { stored, vehicle, claim, resolve };
+};
+
+const setStatus = (status, body = {}) => callRoute(router, {
+  user: admin,
+  method: 'PUT',
+  path: `/${objectId()}/status`,
+  body: { status, ...body }
+});
+
+test('completing a request twice at once records the service once', async () => {
+  const { vehicle, resolve } = stubRequestStore('approved');
+
+  const responses = await Promise.all([
+    setStatus('completed', { odometer: 12000 }),
+    setStatus('completed', { odometer: 12000 })
+  ]);
+
+  assert.deepEqual(responses.map(response => response.status).sort(), [200, 409]);
+  assert.equal(resolve.mock.callCount(), 1);
+  assert.equal(vehicle.odometerReadings.length, 1);
+  assert.equal(vehicle.odometer.reading, 12000);
+});
+
+test('a completed request cannot go back to pending', async () => {
+  const { stored, claim } = stubRequestStore('completed');
+
+  const response = await setStatus('pending');
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.code, 'INVALID_TRANSITION');
+  assert.equal(claim.mock.callCount(), 0);
+  assert.equal(stored.status, 'completed');
+});
+
+test('a cancelled request cannot be re-opened', async () => {
+  stubRequestStore('cancelled');
+
+  const response = await setStatus('approved');
+
+  assert.equal(response.status, 409);
+});
@@ -0,0 +1,53 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Truck from '../src/models/Truck.js';
+import Branch from '../src/models/Branch.js';
+import truckRouter from '../src/routes/trucks.js';
+import branchRouter from '../src/routes/branches.js';
+import { callRoute, fakeQuery, fakeUser } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+// Record the projection a route asks for
+const spySelect = () => {
+  const selected = [];
+  mock.method(Truck, 'find', () => {
+    const query = fakeQuery([]);
+    query.select = (fields) => {
+      selected.push(fields);
+      return query;
+    };
+    return query;
+  });
+  return selected;
+};
+
+test('customers get trucks without schedules or the driver phone', async () => {
+  const selected = spySelect();
+
+  const { status } = await callRoute(truckRouter, { user: fakeUser() });
+
+  assert.equal(status, 200);
+  assert.deepEqual(selected, [{ reservations: 0, maintenanceWindows: 0, 'driver.phone': 0, 'currentLocation.point': 0 }]);
+});
+
+test('admins get every truck field', async () => {
+  const selected = spySelect();
+
+  await callRoute(truckRouter, { user: fakeUser({ role: 'admin', isAdminUser: () => true }) });
+
+  assert.deepEqual(selected, [{}]);
+});
+
+test('nearest-truck and nearby-branch searches reject a non-numeric maxDistance', async () => {
+  const findTrucks = mock.method(Truck, 'findNearestAvailable', async () => []);
+  const findBranches = mock.method(Branch, 'findNearby', async () => []);
+
+  const trucks = await callRoute(truckRouter, { user: fakeUser(), path: '/nearest/-1.29/36.82?maxDistance=far' });
+  const branches = await callRoute(branchRouter, { user: fakeUser(), path: '/nearby/-1.29/36.82?maxDistance=far' });
+
+  assert.equal(trucks.status, 400);
+  assert.equal(branches.status, 400);
+  assert.equal(findTrucks.mock.callCount(), 0);
+  assert.equal(findBranches.mock.callCount(), 0);
+});
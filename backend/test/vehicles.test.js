@@ -0,0 +1,19 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Vehicle from '../src/models/Vehicle.js';
+import router from '../src/routes/vehicles.js';
+import { callRoute, fakeQuery, fakeUser } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+test('an invalid vehicle id answers 400 without querying', async () => {
+  const findOne = mock.method(Vehicle, 'findOne', () => fakeQuery(null));
+
+  for (const [method, path] of [['GET', '/not-an-id'], ['GET', '/not-an-id/maintenance'], ['PUT', '/not-an-id'], ['DELETE', '/not-an-id']]) {
+    const response = await callRoute(router, { user: fakeUser(), method, path, body: method === 'PUT' ? {} : undefined });
+
+    assert.equal(response.status, 400, `${method} ${path}`);
+    assert.equal(response.body.errors[0].msg, 'Invalid vehicle');
+  }
+  assert.equal(findOne.mock.callCount(), 0);
+});
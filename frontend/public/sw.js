@@ -0,0 +1,56 @@
+// Service worker for Web Push. Shows notifications pushed by the backend
+// while no AutoCare Pro tab is in view; open tabs show them in the app.
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+const hasVisibleClient = async () => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  return windows.some(client => client.visibilityState === 'visible');
+};
+
+self.addEventListener('push', (event) => {
+  if (!event.data) return;
+
+  let payload;
+  try {
+    payload = event.data.json();
+  } catch {
+    payload = { title: 'AutoCare Pro', body: event.data.text() };
+  }
+
+  event.waitUntil((async () => {
+    if (await hasVisibleClient()) return;
+
+    await self.registration.showNotification(payload.title || 'AutoCare Pro', {
+      body: payload.body,
+      icon: '/vite.svg',
+      badge: '/vite.svg',
+      // One entry per notification; a repeated push replaces rather than stacks
+      tag: payload.notificationId,
+      renotify: payload.priority === 'high',
+      requireInteraction: payload.priority === 'high',
+      data: { url: payload.url || '/dashboard', notificationId: payload.notificationId }
+    });
+  })());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/dashboard', self.location.origin).href;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find(client => client.url.startsWith(self.location.origin));
+    if (existing) {
+      await existing.focus();
+      return existing.navigate(url);
+    }
+    return self.clients.openWindow(url);
+  })());
+});
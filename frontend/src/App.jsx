@@ -8,10 +8,14 @@ import { SocketProvider } from '@/contexts/SocketContext';
 import LandingPage from '@/pages/LandingPage';
 import LoginPage from '@/pages/LoginPage';
 import RegisterPage from '@/pages/RegisterPage';
+import ForgotPasswordPage from '@/pages/ForgotPasswordPage';
+import ResetPasswordPage from '@/pages/ResetPasswordPage';
+import VerifyEmailPage from '@/pages/VerifyEmailPage';
 import UserDashboard from '@/pages/UserDashboard';
 import AdminDashboard from '@/pages/AdminDashboard';
 import ServiceRequest from '@/pages/ServiceRequest.jsx';
 import TrackingPage from '@/pages/TrackingPage.jsx';
+import PublicTrackingPage from '@/pages/PublicTrackingPage';
 import ProtectedRoute from '@/components/ProtectedRoute';
 import { MessageProvider } from '@/contexts/MessageContext';
 import MyVehiclesPage from '@/pages/MyVehiclesPage';
@@ -60,6 +64,10 @@ function App() {
                 <Route path="/" element={<LandingPage />} />
                 <Route path="/login" element={<LoginPage />} />
                 <Route path="/register" element={<RegisterPage />} />
+                <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+                <Route path="/reset-password" element={<ResetPasswordPage />} />
+                <Route path="/verify-email" element={<VerifyEmailPage />} />
+                <Route path="/track/:token" element={<PublicTrackingPage />} />
                 <Route 
                   path="/dashboard" 
                   element={
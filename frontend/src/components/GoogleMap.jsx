@@ -5,6 +5,7 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/
 import { Alert, AlertDescription } from './ui/alert';
 import { Loader2, MapPin, Share2, Users } from 'lucide-react';
 import { useSocket } from '../contexts/SocketContext';
+import { apiService } from '../services/api';
 
 const GoogleMap = ({ 
   showUserLocations = false, 
@@ -97,14 +98,7 @@ const GoogleMap = ({
 
   const fetchUserLocations = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch('/api/v1/locations/all', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
-      const data = await response.json();
+      const data = await apiService.getAllLocations();
 
       if (data.success) {
         setUserLocations(data.data);
@@ -187,24 +181,14 @@ const GoogleMap = ({
           }
 
           // Send location to backend
-          const token = localStorage.getItem('token');
-          const response = await fetch('/api/v1/locations', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify({
-              latitude,
-              longitude,
-              address,
-              accuracy,
-              locationType: 'current'
-            })
+          const data = await apiService.shareLocation({
+            latitude,
+            longitude,
+            address,
+            accuracy,
+            locationType: 'current'
           });
 
-          const data = await response.json();
-
           if (data.success) {
             addNotification({
               id: Date.now(),
@@ -224,7 +208,7 @@ const GoogleMap = ({
             setError(data.message || 'Failed to share location');
           }
         } catch (err) {
-          setError('Failed to share location');
+          setError(err.message || 'Failed to share location');
         } finally {
           setSharingLocation(false);
         }
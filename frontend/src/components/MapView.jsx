@@ -1,11 +1,23 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react';
-import { MapPin, Truck, Navigation, Home, Building, User, RefreshCw, ZoomIn, ZoomOut } from 'lucide-react';
+import { MapPin, Truck, Navigation, Home, Building, User, RefreshCw, ZoomIn, ZoomOut, History, Play, Pause, Loader2 } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
 import { apiService } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 
+const PLAYBACK_STEP_MS = 250;
+
+// Value for a datetime-local input, in the browser's time zone
+const toLocalInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
 const MapView = ({ showControls = true, height = 400 }) => {
   const { user } = useAuth();
   const canvasRef = useRef(null);
@@ -20,6 +32,16 @@ const MapView = ({ showControls = true, height = 400 }) => {
   const [loading, setLoading] = useState(false);
   const [lastUpdate, setLastUpdate] = useState(new Date());
 
+  // Track playback (admins only)
+  const { toast } = useToast();
+  const [trackTruckId, setTrackTruckId] = useState('');
+  const [trackFrom, setTrackFrom] = useState(() => toLocalInputValue(new Date(Date.now() - 4 * 60 * 60 * 1000)));
+  const [trackTo, setTrackTo] = useState(() => toLocalInputValue(new Date()));
+  const [track, setTrack] = useState(null);
+  const [trackLoading, setTrackLoading] = useState(false);
+  const [playbackIndex, setPlaybackIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+
   // Load real map data from backend
   const loadMapData = useCallback(async () => {
     if (!user) return;
@@ -60,21 +82,97 @@ const MapView = ({ showControls = true, height = 400 }) => {
     }
   }, [userLocation]);
 
-  // Convert lat/lng to canvas coordinates with more accurate projection
+  // Convert lat/lng to canvas coordinates with a mercator projection;
+  // both axes are scaled in degrees so tracks keep their shape
   const latLngToCanvas = (lat, lng, canvasWidth, canvasHeight) => {
     const centerLat = mapCenter.lat;
     const centerLng = mapCenter.lng;
     
-    // More accurate mercator-like projection
-    const latRad = lat * Math.PI / 180;
-    const centerLatRad = centerLat * Math.PI / 180;
+    const mercatorY = (value) => Math.log(Math.tan(Math.PI / 4 + value * Math.PI / 360)) * 180 / Math.PI;
     
     const x = (canvasWidth / 2) + ((lng - centerLng) * 1000 * zoom);
-    const y = (canvasHeight / 2) - ((latRad - centerLatRad) * 1000 * zoom);
+    const y = (canvasHeight / 2) - ((mercatorY(lat) - mercatorY(centerLat)) * 1000 * zoom);
     
     return { x, y };
   };
 
+  const loadTrack = async () => {
+    if (!trackTruckId) return;
+
+    try {
+      setTrackLoading(true);
+      setIsPlaying(false);
+      const response = await apiService.getTruckTrack(
+        trackTruckId,
+        new Date(trackFrom).toISOString(),
+        new Date(trackTo).toISOString()
+      );
+
+      if (response.success) {
+        setTrack(response.data);
+        setPlaybackIndex(0);
+
+        const [first] = response.data.points;
+        if (first) {
+          setMapCenter({ lat: first.latitude, lng: first.longitude });
+        } else {
+          toast({
+            title: 'No positions recorded',
+            description: 'This truck reported no positions in the selected period.'
+          });
+        }
+      }
+    } catch (error) {
+      toast({
+        title: 'Could not load track',
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setTrackLoading(false);
+    }
+  };
+
+  const clearTrack = () => {
+    setIsPlaying(false);
+    setTrack(null);
+    setPlaybackIndex(0);
+  };
+
+  const drawTrack = (ctx, width, height) => {
+    const points = track.points.map(point => latLngToCanvas(point.latitude, point.longitude, width, height));
+    if (!points.length) return;
+
+    const tracePath = (from, to, color) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      points.slice(from, to + 1).forEach((pos, i) => (i === 0 ? ctx.moveTo(pos.x, pos.y) : ctx.lineTo(pos.x, pos.y)));
+      ctx.stroke();
+    };
+
+    // Whole trip faded, the part played so far in red
+    tracePath(0, points.length - 1, 'rgba(239, 68, 68, 0.3)');
+    tracePath(0, playbackIndex, '#ef4444');
+
+    const current = points[playbackIndex];
+    const { heading } = track.points[playbackIndex];
+    ctx.fillStyle = '#ef4444';
+    ctx.beginPath();
+    ctx.arc(current.x, current.y, 8, 0, 2 * Math.PI);
+    ctx.fill();
+
+    if (heading != null) {
+      const angle = (heading - 90) * Math.PI / 180;
+      ctx.strokeStyle = 'white';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(current.x, current.y);
+      ctx.lineTo(current.x + Math.cos(angle) * 14, current.y + Math.sin(angle) * 14);
+      ctx.stroke();
+    }
+  };
+
   const drawMap = () => {
     const canvas = canvasRef.current;
     if (!canvas) return;
@@ -201,6 +299,10 @@ const MapView = ({ showControls = true, height = 400 }) => {
       }
     });
 
+    if (track) {
+      drawTrack(ctx, width, height);
+    }
+
     // Draw user location if provided
     if (userLocation) {
       const pos = latLngToCanvas(userLocation.lat, userLocation.lng, width, height);
@@ -244,7 +346,26 @@ const MapView = ({ showControls = true, height = 400 }) => {
 
   useEffect(() => {
     drawMap();
-  }, [mapData, userLocation, mapCenter, zoom]);
+  }, [mapData, userLocation, mapCenter, zoom, track, playbackIndex]);
+
+  // Step through the track while playing; stops at the last point
+  useEffect(() => {
+    if (!isPlaying || !track) return undefined;
+
+    const timer = setInterval(() => {
+      setPlaybackIndex((index) => {
+        if (index >= track.points.length - 1) {
+          setIsPlaying(false);
+          return index;
+        }
+        return index + 1;
+      });
+    }, PLAYBACK_STEP_MS);
+
+    return () => clearInterval(timer);
+  }, [isPlaying, track]);
+
+  const currentPoint = track?.points[playbackIndex];
 
   const handleCanvasClick = (event) => {
     const canvas = canvasRef.current;
@@ -307,6 +428,111 @@ const MapView = ({ showControls = true, height = 400 }) => {
             onClick={handleCanvasClick}
             style={{ maxHeight: '400px' }}
           />
+
+          {/* Track playback */}
+          {showControls && user?.isAdmin && (
+            <div className="space-y-3 p-3 border border-red-900/30 rounded-lg">
+              <div className="flex items-center gap-2 text-white font-medium">
+                <History className="w-4 h-4" />
+                Track Playback
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                <div>
+                  <Label className="text-gray-300">Truck</Label>
+                  <Select value={trackTruckId} onValueChange={setTrackTruckId}>
+                    <SelectTrigger className="bg-black/50 border-red-900/50 text-white">
+                      <SelectValue placeholder="Select truck" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {mapData.trucks.map((truck) => (
+                        <SelectItem key={truck.id} value={truck.id}>
+                          {truck.truckId} - {truck.licensePlate}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <Label htmlFor="trackFrom" className="text-gray-300">From</Label>
+                  <Input
+                    id="trackFrom"
+                    type="datetime-local"
+                    value={trackFrom}
+                    onChange={(e) => setTrackFrom(e.target.value)}
+                    className="bg-black/50 border-red-900/50 text-white"
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="trackTo" className="text-gray-300">To</Label>
+                  <Input
+                    id="trackTo"
+                    type="datetime-local"
+                    value={trackTo}
+                    onChange={(e) => setTrackTo(e.target.value)}
+                    className="bg-black/50 border-red-900/50 text-white"
+                  />
+                </div>
+                <div className="flex gap-2">
+                  <Button
+                    onClick={loadTrack}
+                    disabled={!trackTruckId || trackLoading}
+                    size="sm"
+                    className="bg-red-600 hover:bg-red-700"
+                  >
+                    {trackLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Load Track'}
+                  </Button>
+                  {track && (
+                    <Button
+                      onClick={clearTrack}
+                      variant="outline"
+                      size="sm"
+                      className="border-red-900/50 text-red-300 hover:bg-red-900/20"
+                    >
+                      Clear
+                    </Button>
+                  )}
+                </div>
+              </div>
+
+              {track && track.points.length > 0 && (
+                <div className="space-y-2">
+                  <div className="flex items-center gap-3">
+                    <Button
+                      onClick={() => {
+                        if (playbackIndex >= track.points.length - 1) setPlaybackIndex(0);
+                        setIsPlaying(!isPlaying);
+                      }}
+                      variant="outline"
+                      size="sm"
+                      className="border-red-500 text-red-500 hover:bg-red-500 hover:text-white"
+                    >
+                      {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                    </Button>
+                    <input
+                      type="range"
+                      min={0}
+                      max={track.points.length - 1}
+                      value={playbackIndex}
+                      onChange={(e) => {
+                        setIsPlaying(false);
+                        setPlaybackIndex(Number(e.target.value));
+                      }}
+                      className="flex-1 accent-red-500"
+                      aria-label="Playback position"
+                    />
+                  </div>
+                  <div className="flex flex-wrap justify-between gap-2 text-sm text-gray-300">
+                    <span>{new Date(currentPoint.recordedAt).toLocaleString()}</span>
+                    <span>{currentPoint.speed != null ? `${Math.round(currentPoint.speed)} km/h` : 'Speed unknown'}</span>
+                    <span>
+                      {track.summary.distanceKm} km · {track.summary.pointCount} points
+                      {track.summary.maxSpeed ? ` · max ${Math.round(track.summary.maxSpeed)} km/h` : ''}
+                    </span>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
           
           {/* Legend */}
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
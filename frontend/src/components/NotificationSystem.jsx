@@ -1,19 +1,25 @@
-import React, { useEffect, useState, useRef } from 'react';
-import { Bell, X, MessageSquare, Truck, AlertCircle } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { Bell, X, MessageSquare, Truck, AlertCircle, CreditCard, Wrench } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { useAuth } from '@/contexts/AuthContext';
+import { useSocket } from '@/contexts/SocketContext';
+import { apiService } from '@/services/api';
 import { getTimeAgo } from '@/lib/utils';
 
+const PAGE_SIZE = 20;
+
 const NotificationSystem = () => {
   const { user } = useAuth();
+  const { socket } = useSocket();
   const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
   const [showPanel, setShowPanel] = useState(false);
-  const [hasUnread, setHasUnread] = useState(false);
-  const audioRef = useRef(null);
-  const lastCheckRef = useRef(Date.now());
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
 
   // Create notification sound
   const playNotificationSound = () => {
@@ -35,182 +41,90 @@ const NotificationSystem = () => {
     oscillator.stop(audioContext.currentTime + 0.3);
   };
 
-  // Check for new messages
-  const checkNewMessages = () => {
-    const allConversations = getAllStorageConversations();
-    const newMessages = [];
-
-    if (user?.isAdmin) {
-      // Check all user conversations for new messages
-      Object.keys(allConversations).forEach(userId => {
-        const messages = allConversations[userId] || [];
-        const newUserMessages = messages.filter(msg => 
-          msg.sender === 'user' && 
-          new Date(msg.timestamp).getTime() > lastCheckRef.current
-        );
-        
-        newUserMessages.forEach(msg => {
-          newMessages.push({
-            id: `msg-${msg.id}`,
-            type: 'message',
-            title: 'New Message',
-            message: `New message from user`,
-            timestamp: msg.timestamp,
-            isRead: false
-          });
-        });
-      });
-    } else if (user) {
-      // Check for new admin replies
-      const userMessages = allConversations[user.id] || [];
-      const newAdminMessages = userMessages.filter(msg => 
-        msg.sender === 'admin' && 
-        new Date(msg.timestamp).getTime() > lastCheckRef.current
-      );
-      
-      newAdminMessages.forEach(msg => {
-        newMessages.push({
-          id: `msg-${msg.id}`,
-          type: 'message',
-          title: 'Admin Reply',
-          message: msg.text.substring(0, 50) + (msg.text.length > 50 ? '...' : ''),
-          timestamp: msg.timestamp,
-          isRead: false
-        });
-      });
-    }
-
-    return newMessages;
-  };
-
-  // Check for new pickup requests or status updates
-  const checkPickupUpdates = () => {
-    const pickupRequests = JSON.parse(localStorage.getItem('autocare_pickup_requests') || '[]');
-    const newUpdates = [];
-
-    if (user?.isAdmin) {
-      // Check for new pickup requests
-      const newRequests = pickupRequests.filter(req => 
-        req.status === 'pending' &&
-        new Date(req.requestTime).getTime() > lastCheckRef.current
-      );
-      
-      newRequests.forEach(req => {
-        newUpdates.push({
-          id: `pickup-${req.id}`,
-          type: 'pickup',
-          title: 'New Pickup Request',
-          message: `${req.userName} requested pickup`,
-          timestamp: req.requestTime,
-          isRead: false
-        });
-      });
-    } else if (user) {
-      // Check for status updates on user's requests
-      const userRequests = pickupRequests.filter(req => req.userId === user.id);
-      const updatedRequests = userRequests.filter(req => 
-        req.dispatchTime && 
-        new Date(req.dispatchTime).getTime() > lastCheckRef.current
-      );
-      
-      updatedRequests.forEach(req => {
-        newUpdates.push({
-          id: `status-${req.id}`,
-          type: 'status',
-          title: 'Pickup Status Update',
-          message: `Your pickup request is now ${req.status}`,
-          timestamp: req.dispatchTime || req.requestTime,
-          isRead: false
-        });
-      });
+  const loadNotifications = async (pageToLoad = 1) => {
+    setLoading(true);
+    try {
+      const response = await apiService.getNotifications({ page: pageToLoad, limit: PAGE_SIZE });
+      setNotifications(prev => (pageToLoad === 1 ? response.data : [...prev, ...response.data]));
+      setUnreadCount(response.unreadCount);
+      setPage(pageToLoad);
+      setHasMore(pageToLoad < response.pagination.pages);
+    } catch (error) {
+      console.error('Could not load notifications:', error);
+    } finally {
+      setLoading(false);
     }
-
-    return newUpdates;
   };
 
-  // Get all conversations from localStorage
-  const getAllStorageConversations = () => {
-    const conversations = {};
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith('autocare_messages_')) {
-        const userId = key.replace('autocare_messages_', '');
-        conversations[userId] = JSON.parse(localStorage.getItem(key) || '[]');
-      }
+  // Load saved notifications
+  useEffect(() => {
+    if (user) {
+      loadNotifications(1);
+    } else {
+      setNotifications([]);
+      setUnreadCount(0);
     }
-    return conversations;
-  };
+  }, [user?.id]);
 
-  // Check for updates periodically
+  // New notifications arrive over the socket as they are created
   useEffect(() => {
-    if (!user) return;
+    if (!socket) return;
 
-    const checkForUpdates = () => {
-      const newMessages = checkNewMessages();
-      const newPickups = checkPickupUpdates();
-      const allNewNotifications = [...newMessages, ...newPickups];
+    const handleNotification = (notification) => {
+      setNotifications(prev => [
+        { ...notification, createdAt: notification.timestamp },
+        ...prev.filter(n => n._id !== notification._id)
+      ]);
+      setUnreadCount(count => count + 1);
 
-      if (allNewNotifications.length > 0) {
-        setNotifications(prev => [
-          ...allNewNotifications,
-          ...prev.slice(0, 19) // Keep only 20 most recent
-        ]);
-        setHasUnread(true);
-        
-        // Play notification sound
-        try {
-          playNotificationSound();
-        } catch (error) {
-          console.log('Could not play notification sound:', error);
-        }
+      try {
+        playNotificationSound();
+      } catch (error) {
+        console.log('Could not play notification sound:', error);
       }
-
-      lastCheckRef.current = Date.now();
     };
 
-    // Check immediately and then every 5 seconds
-    checkForUpdates();
-    const interval = setInterval(checkForUpdates, 5000);
+    socket.on('notification-created', handleNotification);
+    return () => socket.off('notification-created', handleNotification);
+  }, [socket]);
 
-    return () => clearInterval(interval);
-  }, [user]);
+  const markAsRead = async (notification) => {
+    if (notification.isRead) return;
 
-  // Load saved notifications
-  useEffect(() => {
-    if (user) {
-      const saved = localStorage.getItem(`autocare_notifications_${user.id}`);
-      if (saved) {
-        const savedNotifications = JSON.parse(saved);
-        setNotifications(savedNotifications);
-        setHasUnread(savedNotifications.some(n => !n.isRead));
-      }
-    }
-  }, [user]);
-
-  // Save notifications when they change
-  useEffect(() => {
-    if (user && notifications.length > 0) {
-      localStorage.setItem(`autocare_notifications_${user.id}`, JSON.stringify(notifications));
-    }
-  }, [notifications, user]);
-
-  const markAsRead = (notificationId) => {
     setNotifications(prev =>
-      prev.map(n => n.id === notificationId ? { ...n, isRead: true } : n)
+      prev.map(n => n._id === notification._id ? { ...n, isRead: true } : n)
     );
-    
-    // Check if there are still unread notifications
-    const stillHasUnread = notifications.some(n => n.id !== notificationId && !n.isRead);
-    setHasUnread(stillHasUnread);
+    setUnreadCount(count => Math.max(count - 1, 0));
+
+    try {
+      await apiService.markNotificationRead(notification._id);
+    } catch (error) {
+      console.error('Could not mark notification as read:', error);
+    }
   };
 
-  const markAllAsRead = () => {
+  const markAllAsRead = async () => {
     setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
-    setHasUnread(false);
+    setUnreadCount(0);
+
+    try {
+      await apiService.markAllNotificationsRead();
+    } catch (error) {
+      console.error('Could not mark notifications as read:', error);
+    }
   };
 
-  const removeNotification = (notificationId) => {
-    setNotifications(prev => prev.filter(n => n.id !== notificationId));
+  const removeNotification = async (notification) => {
+    setNotifications(prev => prev.filter(n => n._id !== notification._id));
+    if (!notification.isRead) {
+      setUnreadCount(count => Math.max(count - 1, 0));
+    }
+
+    try {
+      await apiService.deleteNotification(notification._id);
+    } catch (error) {
+      console.error('Could not delete notification:', error);
+    }
   };
 
   const getNotificationIcon = (type) => {
@@ -218,14 +132,19 @@ const NotificationSystem = () => {
       case 'message':
         return <MessageSquare className="w-4 h-4" />;
       case 'pickup':
-      case 'status':
+      case 'booking':
         return <Truck className="w-4 h-4" />;
+      case 'payment':
+      case 'invoice':
+        return <CreditCard className="w-4 h-4" />;
+      case 'maintenance':
+        return <Wrench className="w-4 h-4" />;
       default:
         return <AlertCircle className="w-4 h-4" />;
     }
   };
 
-  const unreadCount = notifications.filter(n => !n.isRead).length;
+  const hasUnread = unreadCount > 0;
 
   return (
     <div className="relative">
@@ -294,17 +213,18 @@ const NotificationSystem = () => {
                     <div className="space-y-1">
                       {notifications.map((notification) => (
                         <motion.div
-                          key={notification.id}
+                          key={notification._id}
                           initial={{ opacity: 0, x: -20 }}
                           animate={{ opacity: 1, x: 0 }}
                           className={`p-3 border-b border-red-900/20 hover:bg-red-900/10 cursor-pointer transition-colors ${
                             !notification.isRead ? 'bg-red-900/5 border-l-2 border-l-red-500' : ''
                           }`}
-                          onClick={() => markAsRead(notification.id)}
+                          onClick={() => markAsRead(notification)}
                         >
                           <div className="flex items-start gap-3">
                             <div className={`p-1 rounded-full ${
                               notification.type === 'message' ? 'bg-blue-600/20 text-blue-400' :
+                              notification.priority === 'high' ? 'bg-red-600/20 text-red-400' :
                               notification.type === 'pickup' ? 'bg-green-600/20 text-green-400' :
                               'bg-orange-600/20 text-orange-400'
                             }`}>
@@ -321,7 +241,7 @@ const NotificationSystem = () => {
                                 <Button
                                   onClick={(e) => {
                                     e.stopPropagation();
-                                    removeNotification(notification.id);
+                                    removeNotification(notification);
                                   }}
                                   variant="ghost"
                                   size="sm"
@@ -334,12 +254,23 @@ const NotificationSystem = () => {
                                 {notification.message}
                               </p>
                               <p className="text-xs text-gray-500 mt-1">
-                                {getTimeAgo(notification.timestamp)}
+                                {getTimeAgo(notification.createdAt)}
                               </p>
                             </div>
                           </div>
                         </motion.div>
                       ))}
+                      {hasMore && (
+                        <Button
+                          onClick={() => loadNotifications(page + 1)}
+                          disabled={loading}
+                          variant="ghost"
+                          size="sm"
+                          className="w-full text-xs text-gray-400 hover:text-white"
+                        >
+                          {loading ? 'Loading...' : 'Load more'}
+                        </Button>
+                      )}
                     </div>
                   )}
                 </div>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { loadStripe } from '@stripe/stripe-js';
 import {
   Elements,
@@ -12,112 +12,158 @@ import { Label } from './ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { Alert, AlertDescription } from './ui/alert';
-import { Loader2, CreditCard, DollarSign } from 'lucide-react';
+import { Loader2, CreditCard, Smartphone } from 'lucide-react';
+import { apiService } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
 
 // Initialize Stripe
-let stripePromise;
+let stripePromise = null;
 
-const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
+// M-Pesa settles on the customer's phone, so poll until the prompt is answered
+const MPESA_POLL_INTERVAL_MS = 5000;
+const MPESA_POLL_ATTEMPTS = 24;
+
+const PROVIDER_LABELS = {
+  stripe: 'Card',
+  mpesa: 'M-Pesa',
+  fake: 'Card (test mode)',
+};
+
+const formatAmount = (amount, currency) => `${currency} ${Number(amount).toLocaleString(undefined, { minimumFractionDigits: 2 })}`;
+
+const PaymentFormContent = ({ providers, defaultProvider, bookingId, serviceRequestId, onPaymentSuccess, onPaymentError }) => {
   const stripe = useStripe();
   const elements = useElements();
-  const [amount, setAmount] = useState('');
-  const [currency, setCurrency] = useState('usd');
-  const [description, setDescription] = useState('');
+  const { user } = useAuth();
+  const [provider, setProvider] = useState(defaultProvider);
+  const [phoneNumber, setPhoneNumber] = useState(user?.phone || '');
+  const [statusMessage, setStatusMessage] = useState('');
+  const [payableItems, setPayableItems] = useState([]);
+  const [selectedKey, setSelectedKey] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState('');
-  const [clientSecret, setClientSecret] = useState('');
+  const [payment, setPayment] = useState(null);
+  const unmounted = useRef(false);
+
+  const usesStripe = provider === 'stripe';
+  const fixedTarget = bookingId || serviceRequestId;
+
+  useEffect(() => () => {
+    unmounted.current = true;
+  }, []);
+
+  useEffect(() => {
+    if (fixedTarget) return;
 
-  const handleCreatePaymentIntent = async () => {
-    if (!amount || amount <= 0) {
-      setError('Please enter a valid amount');
+    apiService.getPayableItems()
+      .then(response => setPayableItems(response.data || []))
+      .catch(() => setError('Failed to load items awaiting payment'));
+  }, [fixedTarget]);
+
+  const selectedItem = payableItems.find(item => `${item.type}:${item.id}` === selectedKey);
+
+  const getTarget = () => {
+    if (fixedTarget) return { bookingId, serviceRequestId };
+    if (!selectedItem) return null;
+    return selectedItem.type === 'booking'
+      ? { bookingId: selectedItem.id }
+      : { serviceRequestId: selectedItem.id };
+  };
+
+  const finishPayment = async (paymentId) => {
+    let response = await apiService.confirmPayment(paymentId);
+
+    for (let attempt = 1; provider === 'mpesa' && response.data?.status === 'pending' && attempt < MPESA_POLL_ATTEMPTS; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, MPESA_POLL_INTERVAL_MS));
+      if (unmounted.current) return;
+      response = await apiService.confirmPayment(paymentId);
+    }
+
+    setStatusMessage('');
+    if (response.data?.status === 'pending') {
+      setError('We have not heard back from M-Pesa yet. Your payment will update once it is confirmed.');
+      setPayment(null);
       return;
     }
 
-    setIsProcessing(true);
-    setError('');
+    if (response.success) {
+      onPaymentSuccess && onPaymentSuccess(response.data);
+      setPayableItems(prev => prev.filter(item => `${item.type}:${item.id}` !== selectedKey));
+      setSelectedKey('');
+      setPayment(null);
+    } else {
+      setError(response.message || 'Payment failed');
+      setPayment(null);
+      onPaymentError && onPaymentError(response.data);
+    }
+  };
 
-    try {
-      const token = localStorage.getItem('token');
-      const response = await fetch('/api/v1/payments/create-payment-intent', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({
-          amount: parseFloat(amount),
-          currency,
-          description: description || 'AutoCare Pro Service Payment'
-        })
-      });
+  const handleCreatePayment = async () => {
+    const target = getTarget();
+    if (!target) {
+      setError('Please select what you would like to pay for');
+      return;
+    }
 
-      const data = await response.json();
+    // The server prices the booking or request; we only say which one
+    const response = await apiService.createPaymentIntent({
+      ...target,
+      provider,
+      phoneNumber: provider === 'mpesa' ? phoneNumber : undefined
+    });
+    setPayment(response.data);
 
-      if (data.success) {
-        setClientSecret(data.data.clientSecret);
-      } else {
-        setError(data.message || 'Failed to create payment intent');
+    // M-Pesa and the fake provider have no card step
+    if (!usesStripe) {
+      if (provider === 'mpesa') {
+        setStatusMessage(`${response.data.customerMessage || 'Payment request sent'}. Enter your M-Pesa PIN on your phone to complete the payment.`);
       }
-    } catch (err) {
-      setError('Network error. Please try again.');
-    } finally {
-      setIsProcessing(false);
+      await finishPayment(response.data.paymentId);
     }
   };
 
   const handleSubmit = async (event) => {
     event.preventDefault();
 
-    if (!stripe || !elements) {
+    if (usesStripe && (!stripe || !elements)) {
       return;
     }
 
-    if (!clientSecret) {
-      await handleCreatePaymentIntent();
+    if (provider === 'mpesa' && !phoneNumber.trim()) {
+      setError('Please enter your M-Pesa phone number');
       return;
     }
 
     setIsProcessing(true);
     setError('');
 
-    const cardElement = elements.getElement(CardElement);
-
-    const { error, paymentIntent } = await stripe.confirmCardPayment(clientSecret, {
-      payment_method: {
-        card: cardElement,
-        billing_details: {
-          name: 'AutoCare Pro Customer',
-        },
+    try {
+      if (!payment) {
+        await handleCreatePayment();
+        return;
       }
-    });
 
-    if (error) {
-      setError(error.message);
-      setIsProcessing(false);
-    } else {
-      // Payment succeeded
-      try {
-        const token = localStorage.getItem('token');
-        await fetch('/api/v1/payments/confirm-payment', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`
+      const cardElement = elements.getElement(CardElement);
+
+      const { error: stripeError } = await stripe.confirmCardPayment(payment.clientSecret, {
+        payment_method: {
+          card: cardElement,
+          billing_details: {
+            name: 'AutoCare Pro Customer',
           },
-          body: JSON.stringify({
-            paymentIntentId: paymentIntent.id
-          })
-        });
-
-        onPaymentSuccess && onPaymentSuccess(paymentIntent);
-        
-        // Reset form
-        setAmount('');
-        setDescription('');
-        setClientSecret('');
-      } catch (err) {
-        console.error('Payment confirmation error:', err);
+        }
+      });
+
+      if (stripeError) {
+        setError(stripeError.message);
+        onPaymentError && onPaymentError(stripeError);
+        return;
       }
+
+      await finishPayment(payment.paymentId);
+    } catch (err) {
+      setError(err.message || 'Network error. Please try again.');
+    } finally {
       setIsProcessing(false);
     }
   };
@@ -145,7 +191,7 @@ const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
           Payment
         </CardTitle>
         <CardDescription>
-          Enter payment details for AutoCare Pro services
+          Pay for your AutoCare Pro bookings and services
         </CardDescription>
       </CardHeader>
       <CardContent>
@@ -156,50 +202,86 @@ const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
             </Alert>
           )}
 
-          <div className="space-y-2">
-            <Label htmlFor="amount">Amount</Label>
-            <div className="relative">
-              <DollarSign className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
-              <Input
-                id="amount"
-                type="number"
-                placeholder="0.00"
-                value={amount}
-                onChange={(e) => setAmount(e.target.value)}
-                className="pl-10"
-                step="0.01"
-                min="0.01"
+          {!fixedTarget && (
+            <div className="space-y-2">
+              <Label htmlFor="payableItem">Pay For</Label>
+              <Select
+                value={selectedKey}
+                onValueChange={(value) => {
+                  setSelectedKey(value);
+                  setPayment(null);
+                }}
                 disabled={isProcessing}
-              />
+              >
+                <SelectTrigger id="payableItem">
+                  <SelectValue placeholder={payableItems.length ? 'Select a booking or service' : 'Nothing awaiting payment'} />
+                </SelectTrigger>
+                <SelectContent>
+                  {payableItems.map(item => (
+                    <SelectItem key={`${item.type}:${item.id}`} value={`${item.type}:${item.id}`}>
+                      {item.reference} - {item.description} ({formatAmount(item.amount, item.currency)})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
             </div>
-          </div>
-
-          <div className="space-y-2">
-            <Label htmlFor="currency">Currency</Label>
-            <Select value={currency} onValueChange={setCurrency} disabled={isProcessing}>
-              <SelectTrigger>
-                <SelectValue placeholder="Select currency" />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="usd">USD - US Dollar</SelectItem>
-                <SelectItem value="eur">EUR - Euro</SelectItem>
-                <SelectItem value="gbp">GBP - British Pound</SelectItem>
-              </SelectContent>
-            </Select>
-          </div>
-
-          <div className="space-y-2">
-            <Label htmlFor="description">Description (Optional)</Label>
-            <Input
-              id="description"
-              placeholder="Service description"
-              value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              disabled={isProcessing}
-            />
-          </div>
-
-          {clientSecret && (
+          )}
+
+          {providers.length > 1 && (
+            <div className="space-y-2">
+              <Label htmlFor="paymentMethod">Payment Method</Label>
+              <Select
+                value={provider}
+                onValueChange={(value) => {
+                  setProvider(value);
+                  setPayment(null);
+                }}
+                disabled={isProcessing}
+              >
+                <SelectTrigger id="paymentMethod">
+                  <SelectValue placeholder="Select payment method" />
+                </SelectTrigger>
+                <SelectContent>
+                  {providers.map(name => (
+                    <SelectItem key={name} value={name}>{PROVIDER_LABELS[name] || name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {provider === 'mpesa' && (
+            <div className="space-y-2">
+              <Label htmlFor="mpesaPhone">M-Pesa Phone Number</Label>
+              <div className="relative">
+                <Smartphone className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                <Input
+                  id="mpesaPhone"
+                  type="tel"
+                  placeholder="07XX XXX XXX"
+                  value={phoneNumber}
+                  onChange={(e) => setPhoneNumber(e.target.value)}
+                  className="pl-10"
+                  disabled={isProcessing}
+                />
+              </div>
+            </div>
+          )}
+
+          {statusMessage && (
+            <Alert>
+              <AlertDescription>{statusMessage}</AlertDescription>
+            </Alert>
+          )}
+
+          {payment && (
+            <div className="flex justify-between text-sm">
+              <span>{payment.description}</span>
+              <span className="font-semibold">{formatAmount(payment.amount, payment.currency)}</span>
+            </div>
+          )}
+
+          {payment && usesStripe && (
             <div className="space-y-2">
               <Label>Card Details</Label>
               <div className="p-3 border rounded-md">
@@ -211,15 +293,15 @@ const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
           <Button
             type="submit"
             className="w-full"
-            disabled={!stripe || isProcessing}
+            disabled={(usesStripe && !stripe) || isProcessing || (!fixedTarget && !selectedItem)}
           >
             {isProcessing ? (
               <>
                 <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                {clientSecret ? 'Processing Payment...' : 'Creating Payment...'}
+                {provider === 'mpesa' && payment ? 'Waiting for M-Pesa...' : payment ? 'Processing Payment...' : 'Creating Payment...'}
               </>
             ) : (
-              clientSecret ? `Pay $${amount}` : 'Create Payment'
+              payment ? `Pay ${formatAmount(payment.amount, payment.currency)}` : 'Continue to Payment'
             )}
           </Button>
         </form>
@@ -228,26 +310,23 @@ const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
   );
 };
 
-const PaymentForm = ({ onPaymentSuccess, onPaymentError }) => {
-  const [stripePublishableKey, setStripePublishableKey] = useState('');
+const PaymentForm = ({ bookingId, serviceRequestId, onPaymentSuccess, onPaymentError }) => {
+  const [provider, setProvider] = useState('');
+  const [providers, setProviders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
   useEffect(() => {
-    const fetchStripeConfig = async () => {
+    const fetchPaymentConfig = async () => {
       try {
-        const token = localStorage.getItem('token');
-        const response = await fetch('/api/v1/payments/config', {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
+        const response = await apiService.getPaymentConfig();
 
-        const data = await response.json();
-
-        if (data.success) {
-          setStripePublishableKey(data.data.publishableKey);
-          stripePromise = loadStripe(data.data.publishableKey);
+        if (response.success) {
+          setProvider(response.data.provider);
+          setProviders(response.data.providers || [response.data.provider]);
+          if ((response.data.providers || []).includes('stripe') && response.data.publishableKey && !stripePromise) {
+            stripePromise = loadStripe(response.data.publishableKey);
+          }
         } else {
           setError('Failed to load payment configuration');
         }
@@ -258,7 +337,7 @@ const PaymentForm = ({ onPaymentSuccess, onPaymentError }) => {
       }
     };
 
-    fetchStripeConfig();
+    fetchPaymentConfig();
   }, []);
 
   if (loading) {
@@ -278,9 +357,14 @@ const PaymentForm = ({ onPaymentSuccess, onPaymentError }) => {
     );
   }
 
+  // Elements accepts a null Stripe instance, which the fake provider uses
   return (
-    <Elements stripe={stripePromise}>
-      <PaymentFormContent 
+    <Elements stripe={providers.includes('stripe') ? stripePromise : null}>
+      <PaymentFormContent
+        providers={providers}
+        defaultProvider={provider}
+        bookingId={bookingId}
+        serviceRequestId={serviceRequestId}
         onPaymentSuccess={onPaymentSuccess}
         onPaymentError={onPaymentError}
       />
@@ -288,4 +372,4 @@ const PaymentForm = ({ onPaymentSuccess, onPaymentError }) => {
   );
 };
 
-export default PaymentForm;
\ No newline at end of file
+export default PaymentForm;
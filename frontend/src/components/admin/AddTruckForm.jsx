@@ -9,6 +9,7 @@ import { Alert, AlertDescription } from '../ui/alert';
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '../ui/dialog';
 import { Loader2, Truck, Plus, MapPin } from 'lucide-react';
 import { useSocket } from '../../contexts/SocketContext';
+import { apiService } from '../../services/api';
 
 const AddTruckForm = ({ onTruckAdded, trigger }) => {
   const [isOpen, setIsOpen] = useState(false);
@@ -30,7 +31,9 @@ const AddTruckForm = ({ onTruckAdded, trigger }) => {
       make: '',
       model: '',
       year: new Date().getFullYear(),
-      capacity: ''
+      weightKg: '',
+      volumeM3: '',
+      equipment: ''
     },
     currentLocation: {
       latitude: '',
@@ -116,29 +119,29 @@ const AddTruckForm = ({ onTruckAdded, trigger }) => {
         return;
       }
 
-      const token = localStorage.getItem('token');
-      const response = await fetch('/api/v1/trucks', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+      const data = await apiService.createTruck({
+        ...formData,
+        currentLocation: {
+          ...formData.currentLocation,
+          latitude: parseFloat(formData.currentLocation.latitude),
+          longitude: parseFloat(formData.currentLocation.longitude)
         },
-        body: JSON.stringify({
-          ...formData,
-          currentLocation: {
-            ...formData.currentLocation,
-            latitude: parseFloat(formData.currentLocation.latitude),
-            longitude: parseFloat(formData.currentLocation.longitude)
+        vehicle: {
+          licensePlate: formData.vehicle.licensePlate,
+          make: formData.vehicle.make,
+          model: formData.vehicle.model,
+          year: parseInt(formData.vehicle.year),
+          capacity: {
+            ...(formData.vehicle.weightKg && { weightKg: parseFloat(formData.vehicle.weightKg) }),
+            ...(formData.vehicle.volumeM3 && { volumeM3: parseFloat(formData.vehicle.volumeM3) })
           },
-          vehicle: {
-            ...formData.vehicle,
-            year: parseInt(formData.vehicle.year)
-          }
-        })
+          equipment: formData.vehicle.equipment
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean)
+        }
       });
 
-      const data = await response.json();
-
       if (data.success) {
         setSuccess('Truck added successfully!');
         addNotification({
@@ -162,7 +165,9 @@ const AddTruckForm = ({ onTruckAdded, trigger }) => {
             make: '',
             model: '',
             year: new Date().getFullYear(),
-            capacity: ''
+            weightKg: '',
+            volumeM3: '',
+            equipment: ''
           },
           currentLocation: {
             latitude: '',
@@ -187,7 +192,7 @@ const AddTruckForm = ({ onTruckAdded, trigger }) => {
         setError(data.message || 'Failed to add truck');
       }
     } catch (err) {
-      setError('Network error. Please try again.');
+      setError(err.message || 'Network error. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -318,12 +323,37 @@ const AddTruckForm = ({ onTruckAdded, trigger }) => {
                   />
                 </div>
                 <div>
-                  <Label htmlFor="capacity">Capacity</Label>
+                  <Label htmlFor="weightKg">Payload (kg)</Label>
+                  <Input
+                    id="weightKg"
+                    type="number"
+                    min="0"
+                    value={formData.vehicle.weightKg}
+                    onChange={(e) => handleInputChange('vehicle', 'weightKg', e.target.value)}
+                    placeholder="5000"
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="volumeM3">Cargo Volume (m³)</Label>
+                  <Input
+                    id="volumeM3"
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={formData.vehicle.volumeM3}
+                    onChange={(e) => handleInputChange('vehicle', 'volumeM3', e.target.value)}
+                    placeholder="20"
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="equipment">Equipment</Label>
                   <Input
-                    id="capacity"
-                    value={formData.vehicle.capacity}
-                    onChange={(e) => handleInputChange('vehicle', 'capacity', e.target.value)}
-                    placeholder="5 tons"
+                    id="equipment"
+                    value={formData.vehicle.equipment}
+                    onChange={(e) => handleInputChange('vehicle', 'equipment', e.target.value)}
+                    placeholder="tail_lift, refrigerated"
                   />
                 </div>
               </div>
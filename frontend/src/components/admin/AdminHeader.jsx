@@ -13,8 +13,8 @@ const AdminHeader = () => {
   const { toast } = useToast();
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/');
     toast({
       title: "Logged out",
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { useToast } from '@/components/ui/use-toast';
+import { RefreshCw, RotateCcw } from 'lucide-react';
+import { apiService } from '@/services/api';
+
+const statusColors = {
+  pending: 'bg-yellow-600',
+  succeeded: 'bg-green-600',
+  failed: 'bg-red-600',
+  cancelled: 'bg-gray-600',
+  partially_refunded: 'bg-blue-600',
+  refunded: 'bg-purple-600',
+};
+
+const PaymentsTable = () => {
+  const { toast } = useToast();
+  const [payments, setPayments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [refundTarget, setRefundTarget] = useState(null);
+  const [refundAmount, setRefundAmount] = useState('');
+  const [refundReason, setRefundReason] = useState('');
+
+  const fetchPayments = async () => {
+    setLoading(true);
+    try {
+      const response = await apiService.getPayments();
+      setPayments(response.data || []);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: "Failed to load payments",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPayments();
+  }, []);
+
+  const closeRefundDialog = () => {
+    setRefundTarget(null);
+    setRefundAmount('');
+    setRefundReason('');
+  };
+
+  const confirmRefund = async () => {
+    try {
+      // Leaving the amount empty refunds whatever is left
+      const response = await apiService.refundPayment(
+        refundTarget._id,
+        refundAmount ? Number(refundAmount) : undefined,
+        refundReason
+      );
+      toast({
+        title: "Refund Issued",
+        description: response.message,
+      });
+      closeRefundDialog();
+      fetchPayments();
+    } catch (error) {
+      toast({
+        title: "Refund Failed",
+        description: error.message || "Could not refund the payment.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Card className="glass-effect border-red-900/30">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="text-white">Recent Payments</CardTitle>
+        <Button variant="outline" size="sm" onClick={fetchPayments} disabled={loading}>
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-3 max-h-[32rem] overflow-y-auto">
+        {payments.length === 0 && (
+          <p className="text-gray-400 text-sm">No payments yet.</p>
+        )}
+        {payments.map(payment => (
+          <div key={payment._id} className="p-3 bg-black/30 rounded-lg border border-red-900/30">
+            <div className="flex justify-between items-start gap-2">
+              <div>
+                <p className="font-medium text-white">
+                  {payment.currency} {payment.amount.toLocaleString()}
+                  {payment.amountRefunded > 0 && (
+                    <span className="text-sm text-gray-400"> ({payment.currency} {payment.amountRefunded.toLocaleString()} refunded)</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-300">
+                  {payment.booking?.bookingNumber || payment.serviceRequest?.requestNumber} · {payment.customer?.name}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {new Date(payment.createdAt).toLocaleString()} · {payment.provider}
+                </p>
+              </div>
+              <div className="flex flex-col items-end gap-2">
+                <Badge className={`${statusColors[payment.status]} text-white`}>
+                  {payment.status.replace('_', ' ')}
+                </Badge>
+                {payment.refundableAmount > 0 && (
+                  <Button size="sm" variant="outline" onClick={() => setRefundTarget(payment)}>
+                    <RotateCcw className="w-3 h-3 mr-1" /> Refund
+                  </Button>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+
+      <Dialog open={!!refundTarget} onOpenChange={closeRefundDialog}>
+        <DialogContent className="glass-effect border-red-900/30">
+          <DialogHeader>
+            <DialogTitle className="text-white">Refund Payment</DialogTitle>
+            <DialogDescription className="text-gray-300">
+              {refundTarget && `Up to ${refundTarget.currency} ${refundTarget.refundableAmount.toLocaleString()} can be refunded`}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div>
+              <Label htmlFor="refundAmount" className="text-white">Amount (leave empty for a full refund)</Label>
+              <Input
+                id="refundAmount"
+                type="number"
+                min="0.01"
+                step="0.01"
+                max={refundTarget?.refundableAmount}
+                value={refundAmount}
+                onChange={(e) => setRefundAmount(e.target.value)}
+                className="bg-black/50 border-red-900/50 text-white placeholder:text-gray-400"
+              />
+            </div>
+            <div>
+              <Label htmlFor="refundReason" className="text-white">Reason (Optional)</Label>
+              <Textarea
+                id="refundReason"
+                value={refundReason}
+                onChange={(e) => setRefundReason(e.target.value)}
+                className="bg-black/50 border-red-900/50 text-white placeholder:text-gray-400"
+              />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={closeRefundDialog}>
+              Cancel
+            </Button>
+            <Button onClick={confirmRefund} className="bg-purple-600 hover:bg-purple-700">
+              Refund
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default PaymentsTable;
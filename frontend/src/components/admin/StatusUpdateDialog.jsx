@@ -8,6 +8,7 @@ import {
   DialogTitle,
 } from '@/components/ui/dialog';
 import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Textarea } from '@/components/ui/textarea';
 import { useToast } from '@/components/ui/use-toast';
@@ -15,27 +16,38 @@ import { useToast } from '@/components/ui/use-toast';
 const StatusUpdateDialog = ({ dialogState, setDialogState, updateRequestStatus }) => {
   const { isOpen, request, actionType } = dialogState;
   const [adminNotes, setAdminNotes] = useState('');
+  const [odometer, setOdometer] = useState('');
   const { toast } = useToast();
 
   useEffect(() => {
     if (request) {
       setAdminNotes(request.adminNotes || '');
+      setOdometer('');
     }
   }, [request]);
 
   const handleClose = () => {
     setDialogState({ isOpen: false, request: null, actionType: '' });
     setAdminNotes('');
+    setOdometer('');
   };
 
-  const confirmStatusUpdate = () => {
+  const confirmStatusUpdate = async () => {
     if (request && actionType) {
-      updateRequestStatus(request.id, actionType, adminNotes);
-      toast({
-        title: "Request Updated",
-        description: `Request ${request.id} has been ${actionType}`,
-      });
-      handleClose();
+      try {
+        await updateRequestStatus(request.id, actionType, adminNotes, odometer || undefined);
+        toast({
+          title: "Request Updated",
+          description: `Request ${request.requestNumber || request.id} has been ${actionType}`,
+        });
+        handleClose();
+      } catch (error) {
+        toast({
+          title: "Update Failed",
+          description: error.message || "Could not update the request.",
+          variant: "destructive",
+        });
+      }
     }
   };
 
@@ -82,6 +94,22 @@ const StatusUpdateDialog = ({ dialogState, setDialogState, updateRequestStatus }
               className="bg-black/50 border-red-900/50 text-white placeholder:text-gray-400"
             />
           </div>
+
+          {/* Odometer at service restarts the vehicle's maintenance schedule */}
+          {actionType === 'completed' && request?.vehicleId && (
+            <div>
+              <Label htmlFor="odometer" className="text-white">Odometer at Service (km)</Label>
+              <Input
+                id="odometer"
+                type="number"
+                min="0"
+                placeholder="e.g., 45000"
+                value={odometer}
+                onChange={(e) => setOdometer(e.target.value)}
+                className="bg-black/50 border-red-900/50 text-white placeholder:text-gray-400"
+              />
+            </div>
+          )}
         </div>
 
         <DialogFooter>
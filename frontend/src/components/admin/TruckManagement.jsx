@@ -46,7 +46,9 @@ const TruckManagement = () => {
       make: '',
       model: '',
       year: new Date().getFullYear(),
-      capacity: '',
+      weightKg: '',
+      volumeM3: '',
+      equipment: '',
       fuelType: 'diesel',
       engineSize: '',
       transmission: 'manual'
@@ -129,7 +131,9 @@ const TruckManagement = () => {
         make: '',
         model: '',
         year: new Date().getFullYear(),
-        capacity: '',
+        weightKg: '',
+        volumeM3: '',
+        equipment: '',
         fuelType: 'diesel',
         engineSize: '',
         transmission: 'manual'
@@ -160,11 +164,25 @@ const TruckManagement = () => {
     try {
       setLoading(true);
       
+      // Capacity is stored as numbers and equipment as a list
+      const { weightKg, volumeM3, equipment, ...vehicle } = formData.vehicle;
+      const truckData = {
+        ...formData,
+        vehicle: {
+          ...vehicle,
+          capacity: {
+            ...(weightKg !== '' && { weightKg: parseFloat(weightKg) }),
+            ...(volumeM3 !== '' && { volumeM3: parseFloat(volumeM3) })
+          },
+          equipment: equipment.split(',').map(item => item.trim()).filter(Boolean)
+        }
+      };
+
       let response;
       if (editingTruck) {
-        response = await apiService.updateTruck(editingTruck._id, formData);
+        response = await apiService.updateTruck(editingTruck._id, truckData);
       } else {
-        response = await apiService.createTruck(formData);
+        response = await apiService.createTruck(truckData);
       }
       
       if (response.success) {
@@ -210,7 +228,9 @@ const TruckManagement = () => {
         make: truck.vehicle?.make || '',
         model: truck.vehicle?.model || '',
         year: truck.vehicle?.year || new Date().getFullYear(),
-        capacity: truck.vehicle?.capacity || '',
+        weightKg: truck.vehicle?.capacity?.weightKg ?? '',
+        volumeM3: truck.vehicle?.capacity?.volumeM3 ?? '',
+        equipment: (truck.vehicle?.equipment || []).join(', '),
         fuelType: truck.vehicle?.fuelType || 'diesel',
         engineSize: truck.vehicle?.engineSize || '',
         transmission: truck.vehicle?.transmission || 'manual'
@@ -418,16 +438,40 @@ const TruckManagement = () => {
                   
                   <div className="grid grid-cols-3 gap-4">
                     <div>
-                      <Label htmlFor="capacity">Capacity (tons)</Label>
+                      <Label htmlFor="weightKg">Payload (kg)</Label>
+                      <Input
+                        id="weightKg"
+                        type="number"
+                        min="0"
+                        value={formData.vehicle.weightKg}
+                        onChange={(e) => handleInputChange('vehicle.weightKg', e.target.value)}
+                        placeholder="3500"
+                      />
+                    </div>
+                    <div>
+                      <Label htmlFor="volumeM3">Volume (m³)</Label>
                       <Input
-                        id="capacity"
+                        id="volumeM3"
                         type="number"
+                        min="0"
                         step="0.1"
-                        value={formData.vehicle.capacity}
-                        onChange={(e) => handleInputChange('vehicle.capacity', e.target.value)}
-                        placeholder="3.5"
+                        value={formData.vehicle.volumeM3}
+                        onChange={(e) => handleInputChange('vehicle.volumeM3', e.target.value)}
+                        placeholder="15"
                       />
                     </div>
+                    <div>
+                      <Label htmlFor="equipment">Equipment</Label>
+                      <Input
+                        id="equipment"
+                        value={formData.vehicle.equipment}
+                        onChange={(e) => handleInputChange('vehicle.equipment', e.target.value)}
+                        placeholder="tail_lift, refrigerated"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-3 gap-4">
                     <div>
                       <Label htmlFor="fuelType">Fuel Type</Label>
                       <Select 
@@ -45,8 +45,7 @@ const EnhancedRegisterForm = () => {
             setEmailStatus({
               checked: true,
               available: result.available,
-              message: result.message,
-              isAdmin: result.isAdminEmail
+              message: result.message
             });
           }
         } catch (error) {
@@ -201,14 +200,10 @@ const EnhancedRegisterForm = () => {
     
     if (emailStatus.checked && emailStatus.message) {
       const isAvailable = emailStatus.available;
-      const isAdmin = emailStatus.isAdmin;
       
       return (
         <span className={`text-sm ${isAvailable ? 'text-green-600' : 'text-red-600'}`}>
           {emailStatus.message}
-          {isAdmin && isAvailable && (
-            <span className="text-blue-600 ml-1">(Admin Email)</span>
-          )}
         </span>
       );
     }
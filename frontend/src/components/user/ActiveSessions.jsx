@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { LogOut, MonitorSmartphone } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { useAuth } from '@/contexts/AuthContext';
+import { useToast } from '@/components/ui/use-toast';
+import { apiService } from '@/services/api';
+import { getTimeAgo } from '@/lib/utils';
+
+// Devices signed in to this account; reloads whenever refreshKey changes
+const ActiveSessions = ({ refreshKey }) => {
+  const navigate = useNavigate();
+  const { logoutEverywhere } = useAuth();
+  const { toast } = useToast();
+  const [sessions, setSessions] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    apiService.getSessions()
+      .then(response => setSessions(response.data))
+      .catch(error => console.error('Could not load sessions:', error));
+  }, [refreshKey]);
+
+  const handleRevoke = async (session) => {
+    setBusy(session.id);
+    try {
+      await apiService.revokeSession(session.id);
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+      toast({
+        title: "Session signed out",
+        description: `${session.device} is no longer signed in.`,
+      });
+    } catch (error) {
+      toast({
+        title: "Could not sign out session",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    setBusy('all');
+    try {
+      await logoutEverywhere();
+      navigate('/login');
+    } catch (error) {
+      toast({
+        title: "Could not sign out everywhere",
+        description: error.message,
+        variant: "destructive",
+      });
+      setBusy(null);
+    }
+  };
+
+  if (!sessions) return null;
+
+  return (
+    <Card className="glass-effect border-red-900/30 mt-6">
+      <CardHeader>
+        <CardTitle className="text-white flex items-center gap-2">
+          <MonitorSmartphone className="w-5 h-5" />
+          Signed-in Devices
+        </CardTitle>
+        <CardDescription className="text-gray-300">
+          Sign out any device you don't recognise, then change your password.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {sessions.map(session => (
+          <div key={session.id} className="flex items-center justify-between gap-4">
+            <div>
+              <p className="text-white">
+                {session.device}
+                {session.current && <span className="ml-2 text-sm text-green-400">This device</span>}
+              </p>
+              <p className="text-sm text-gray-400">
+                {session.ip || 'Unknown IP'} · active {getTimeAgo(session.lastUsedAt)}
+              </p>
+            </div>
+            {!session.current && (
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                disabled={!!busy}
+                onClick={() => handleRevoke(session)}
+                className="border-red-500 text-red-500 hover:bg-red-500 hover:text-white shrink-0"
+              >
+                {busy === session.id ? 'Signing out...' : 'Sign out'}
+              </Button>
+            )}
+          </div>
+        ))}
+        <div className="flex justify-end pt-2">
+          <Button
+            type="button"
+            disabled={!!busy}
+            onClick={handleLogoutEverywhere}
+            className="bg-gradient-to-r from-red-600 to-red-700 text-white"
+          >
+            <LogOut className="w-4 h-4 mr-2" />
+            {busy === 'all' ? 'Signing out...' : 'Sign out everywhere'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { MailWarning } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/components/ui/use-toast';
+import { apiService } from '@/services/api';
+
+// Bookings need a verified email; remind the user until they follow the link
+const EmailVerificationBanner = ({ user }) => {
+  const [sending, setSending] = useState(false);
+  const { toast } = useToast();
+
+  if (!user || user.emailVerified || user.isAdmin) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await apiService.resendVerificationEmail();
+      toast({
+        title: "Verification email sent",
+        description: response.message,
+      });
+    } catch (error) {
+      toast({
+        title: "Could not send verification email",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="glass-effect border border-yellow-500/40 rounded-lg p-4 mb-6 flex flex-col sm:flex-row sm:items-center justify-between gap-4"
+    >
+      <div className="flex items-center gap-3">
+        <MailWarning className="w-5 h-5 text-yellow-400 shrink-0" />
+        <p className="text-gray-200">
+          Please verify <span className="font-medium text-white">{user.email}</span> to make bookings. Check your inbox for the link.
+        </p>
+      </div>
+      <Button
+        variant="outline"
+        size="sm"
+        disabled={sending}
+        onClick={handleResend}
+        className="border-yellow-500 text-yellow-400 hover:bg-yellow-500 hover:text-black shrink-0"
+      >
+        {sending ? 'Sending...' : 'Resend email'}
+      </Button>
+    </motion.div>
+  );
+};
+
+export default EmailVerificationBanner;
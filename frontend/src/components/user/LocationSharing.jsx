@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
 import { MapPin, Navigation, Clock, Send, Truck, Map } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
@@ -8,9 +9,12 @@ import { Label } from '@/components/ui/label';
 import { Badge } from '@/components/ui/badge';
 import { useToast } from '@/components/ui/use-toast';
 import { useAuth } from '@/contexts/AuthContext';
+import { apiService } from '@/services/api';
 import { getTimeAgo } from '@/lib/utils';
 import MapView from '@/components/MapView';
 
+const formatCoordinates = (point) => `${point.latitude.toFixed(4)}, ${point.longitude.toFixed(4)}`;
+
 const LocationSharing = () => {
   const { user } = useAuth();
   const { toast } = useToast();
@@ -19,23 +23,16 @@ const LocationSharing = () => {
   const [isSharing, setIsSharing] = useState(false);
   const [pickupRequests, setPickupRequests] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [trucks, setTrucks] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
   const [showMap, setShowMap] = useState(true);
 
   useEffect(() => {
-    // Load user's pickup requests
-    const savedRequests = localStorage.getItem('autocare_pickup_requests');
-    if (savedRequests) {
-      const allRequests = JSON.parse(savedRequests);
-      const userRequests = allRequests.filter(req => req.userId === user?.id);
-      setPickupRequests(userRequests);
-    }
+    if (!user) return;
 
-    // Load trucks data for map
-    const savedTrucks = localStorage.getItem('autocare_trucks');
-    if (savedTrucks) {
-      setTrucks(JSON.parse(savedTrucks));
-    }
+    // Customers only get their own pickups back
+    apiService.getPickups()
+      .then(response => setPickupRequests(response.data))
+      .catch(error => console.error('Failed to load pickup requests:', error));
   }, [user]);
 
   const getCurrentLocation = () => {
@@ -100,7 +97,7 @@ const LocationSharing = () => {
     );
   };
 
-  const shareLocationForPickup = () => {
+  const shareLocationForPickup = async () => {
     if (!location || !address.trim()) {
       toast({
         title: "Missing Information",
@@ -110,43 +107,31 @@ const LocationSharing = () => {
       return;
     }
 
-    const pickupRequest = {
-      id: `pickup-${Date.now()}`,
-      userId: user.id,
-      userName: user.name,
-      userPhone: user.phone || '+1234567890',
-      serviceType: 'Vehicle Pickup',
-      vehicleInfo: 'Vehicle details needed',
-      pickupLocation: {
-        lat: location.lat,
-        lng: location.lng,
-        address: address
-      },
-      destination: {
-        lat: -1.2921,
-        lng: 36.8219,
-        address: 'AutoCare Service Center, CBD'
-      },
-      status: 'pending',
-      priority: 'normal',
-      requestTime: new Date().toISOString(),
-      assignedTruck: null,
-      estimatedTime: null
-    };
-
-    // Save to localStorage
-    const savedRequests = localStorage.getItem('autocare_pickup_requests');
-    const allRequests = savedRequests ? JSON.parse(savedRequests) : [];
-    allRequests.push(pickupRequest);
-    localStorage.setItem('autocare_pickup_requests', JSON.stringify(allRequests));
-
-    // Update local state
-    setPickupRequests([...pickupRequests, pickupRequest]);
+    setSubmitting(true);
+    try {
+      const response = await apiService.createPickup({
+        pickupLocation: {
+          latitude: location.lat,
+          longitude: location.lng,
+          address: address.trim()
+        }
+      });
+      setPickupRequests(prev => [response.data, ...prev]);
 
-    toast({
-      title: "Pickup Request Sent!",
-      description: "Your location has been shared. A truck will be dispatched shortly.",
-    });
+      toast({
+        title: "Pickup Request Sent!",
+        description: "Your location has been shared. A truck will be dispatched shortly.",
+      });
+    } catch (error) {
+      toast({
+        title: "Pickup Request Failed",
+        description: error.message,
+        variant: "destructive"
+      });
+      return;
+    } finally {
+      setSubmitting(false);
+    }
 
     // Reset form
     setLocation(null);
@@ -165,8 +150,9 @@ const LocationSharing = () => {
     return colors[status] || colors.pending;
   };
 
+  // The API allows one open pickup at a time
   const activeRequest = pickupRequests.find(req => 
-    req.status === 'dispatched' || req.status === 'en-route' || req.status === 'at-location'
+    ['pending', 'dispatched', 'en-route', 'at-location'].includes(req.status)
   );
 
   return (
@@ -182,7 +168,7 @@ const LocationSharing = () => {
             <CardHeader>
               <CardTitle className="text-white flex items-center gap-2">
                 <Truck className="w-5 h-5 text-green-400" />
-                Truck En Route to Your Location
+                {activeRequest.status === 'pending' ? 'Waiting for a Truck' : 'Truck En Route to Your Location'}
               </CardTitle>
             </CardHeader>
             <CardContent className="space-y-4">
@@ -193,22 +179,18 @@ const LocationSharing = () => {
                     {activeRequest.status.replace('-', ' ')}
                   </Badge>
                 </div>
-                <div className="text-right">
-                  <p className="text-gray-300">ETA:</p>
-                  <p className="text-white font-semibold">
-                    {activeRequest.estimatedTime || '45 minutes'}
-                  </p>
-                </div>
+                <Link to={`/tracking/${activeRequest._id}`}>
+                  <Button size="sm" className="bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white">
+                    <MapPin className="w-4 h-4" />
+                    Track Live
+                  </Button>
+                </Link>
               </div>
               
               <div className="space-y-2">
                 <div className="flex items-center gap-2 text-sm text-gray-300">
                   <MapPin className="w-4 h-4 text-green-400" />
-                  <span>Pickup: {activeRequest.pickupLocation.address}</span>
-                </div>
-                <div className="flex items-center gap-2 text-sm text-gray-300">
-                  <Navigation className="w-4 h-4 text-blue-400" />
-                  <span>Destination: {activeRequest.destination.address}</span>
+                  <span>Pickup: {activeRequest.pickupLocation.address || formatCoordinates(activeRequest.pickupLocation)}</span>
                 </div>
                 <div className="flex items-center gap-2 text-sm text-gray-300">
                   <Clock className="w-4 h-4 text-orange-400" />
@@ -301,6 +283,7 @@ const LocationSharing = () => {
 
                   <Button
                     onClick={shareLocationForPickup}
+                    disabled={submitting}
                     className="w-full bg-gradient-to-r from-green-600 to-green-700 text-white"
                   >
                     <Send className="w-4 h-4 mr-2" />
@@ -340,7 +323,7 @@ const LocationSharing = () => {
             </CardHeader>
             <CardContent className="space-y-4 max-h-64 overflow-y-auto">
               {pickupRequests.map((request) => (
-                <div key={request.id} className="bg-black/30 p-4 rounded-lg border border-red-900/20">
+                <div key={request._id} className="bg-black/30 p-4 rounded-lg border border-red-900/20">
                   <div className="flex justify-between items-start mb-3">
                     <div>
                       <h4 className="font-semibold text-white">Pickup Request</h4>
@@ -356,18 +339,8 @@ const LocationSharing = () => {
                   <div className="space-y-1">
                     <div className="flex items-center gap-2 text-sm text-gray-300">
                       <MapPin className="w-4 h-4 text-green-400" />
-                      <span>From: {request.pickupLocation.address}</span>
-                    </div>
-                    <div className="flex items-center gap-2 text-sm text-gray-300">
-                      <Navigation className="w-4 h-4 text-blue-400" />
-                      <span>To: {request.destination.address}</span>
+                      <span>From: {request.pickupLocation.address || formatCoordinates(request.pickupLocation)}</span>
                     </div>
-                    {request.estimatedTime && (
-                      <div className="flex items-center gap-2 text-sm text-gray-300">
-                        <Clock className="w-4 h-4 text-orange-400" />
-                        <span>ETA: {request.estimatedTime}</span>
-                      </div>
-                    )}
                   </div>
                 </div>
               ))}
@@ -397,12 +370,7 @@ const LocationSharing = () => {
               {showMap ? 'Hide Map' : 'Show Map'}
             </Button>
           </div>
-          <MapView 
-            trucks={trucks} 
-            pickupRequests={pickupRequests.filter(req => req.userId === user?.id)}
-            userLocation={location}
-            showControls={true}
-          />
+          <MapView showControls={true} />
         </motion.div>
       )}
     </div>
@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from 'react';
+import { Copy, Share2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { useToast } from '@/components/ui/use-toast';
+import { apiService } from '@/services/api';
+import { getTimeAgo } from '@/lib/utils';
+
+const linkState = (link) => {
+  if (link.revokedAt) return 'Revoked';
+  if (new Date(link.expiresAt) <= new Date()) return 'Expired';
+  return null;
+};
+
+// Tracking links for someone without an account, e.g. the recipient of a
+// delivery. jobType is bookings or pickups. A link's URL is only shown right
+// after it is created.
+const ShareTracking = ({ jobType, jobId }) => {
+  const { toast } = useToast();
+  const [links, setLinks] = useState(null);
+  const [recipientName, setRecipientName] = useState('');
+  const [newUrl, setNewUrl] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    apiService.getTrackingLinks(jobType, jobId)
+      .then(response => setLinks(response.data))
+      .catch(error => console.error('Could not load tracking links:', error));
+  }, [jobType, jobId]);
+
+  const copyUrl = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast({
+        title: "Link copied",
+        description: "Send it to the person who should follow the truck.",
+      });
+    } catch {
+      // Clipboard access can be refused; the link stays on screen to copy by hand
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy('create');
+    try {
+      const response = await apiService.createTrackingLink(jobType, jobId, {
+        recipientName: recipientName.trim() || undefined,
+      });
+      setLinks(prev => [response.data.link, ...(prev || [])]);
+      setNewUrl(response.data.url);
+      setRecipientName('');
+      await copyUrl(response.data.url);
+    } catch (error) {
+      toast({
+        title: "Could not create link",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    setBusy(link._id);
+    try {
+      const response = await apiService.revokeTrackingLink(jobType, jobId, link._id);
+      setLinks(prev => prev.map(item => (item._id === link._id ? { ...item, ...response.data } : item)));
+      toast({
+        title: "Link revoked",
+        description: `${link.recipientName || 'The link'} can no longer follow this job.`,
+      });
+    } catch (error) {
+      toast({
+        title: "Could not revoke link",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!links) return null;
+
+  return (
+    <Card className="glass-effect border-red-900/30">
+      <CardHeader>
+        <CardTitle className="text-white flex items-center gap-2">
+          <Share2 className="w-5 h-5 text-red-500" />
+          Share Tracking
+        </CardTitle>
+        <CardDescription className="text-gray-300">
+          Anyone with the link can follow the truck, without an account.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <Input
+            value={recipientName}
+            onChange={(e) => setRecipientName(e.target.value)}
+            placeholder="Recipient name (optional)"
+            maxLength={100}
+            className="bg-black/50 border-red-900/50 text-white"
+          />
+          <Button
+            type="submit"
+            disabled={!!busy}
+            className="bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white shrink-0"
+          >
+            {busy === 'create' ? 'Creating...' : 'Create link'}
+          </Button>
+        </form>
+
+        {newUrl && (
+          <div className="flex items-center gap-2 p-3 bg-green-900/20 rounded-lg border border-green-500/30">
+            <p className="text-green-400 text-xs break-all flex-1">{newUrl}</p>
+            <Button type="button" variant="ghost" size="sm" onClick={() => copyUrl(newUrl)} className="text-green-400 shrink-0">
+              <Copy className="w-4 h-4" />
+            </Button>
+          </div>
+        )}
+
+        {links.map(link => {
+          const state = linkState(link);
+          return (
+            <div key={link._id} className="flex items-center justify-between gap-4">
+              <div>
+                <p className={state ? 'text-gray-500' : 'text-white'}>
+                  {link.recipientName || 'Unnamed link'}
+                  {state && <span className="ml-2 text-sm">{state}</span>}
+                </p>
+                <p className="text-sm text-gray-400">
+                  Created {getTimeAgo(link.createdAt)} · {link.viewCount} view{link.viewCount === 1 ? '' : 's'}
+                  {!state && ` · expires ${new Date(link.expiresAt).toLocaleString()}`}
+                </p>
+              </div>
+              {!state && (
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  disabled={!!busy}
+                  onClick={() => handleRevoke(link)}
+                  className="border-red-500 text-red-500 hover:bg-red-500 hover:text-white shrink-0"
+                >
+                  {busy === link._id ? 'Revoking...' : 'Revoke'}
+                </Button>
+              )}
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ShareTracking;
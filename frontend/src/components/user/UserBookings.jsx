@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Calendar, Share2, Truck } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { useAuth } from '@/contexts/AuthContext';
+import { apiService } from '@/services/api';
+import ShareTracking from '@/components/user/ShareTracking';
+
+// Finished bookings are listed in the service history instead
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+const humanize = (status) => status.replace(/_/g, ' ');
+
+// The customer's open bookings, each with links to share its tracking
+const UserBookings = () => {
+  const { user } = useAuth();
+  const [bookings, setBookings] = useState([]);
+  const [sharingId, setSharingId] = useState(null);
+
+  useEffect(() => {
+    apiService.getBookings()
+      .then(response => {
+        setBookings((response.data || []).filter(booking =>
+          !CLOSED_STATUSES.includes(booking.status) && (booking.customer?._id || booking.customer) === user.id
+        ));
+      })
+      .catch(error => console.error('Failed to load bookings:', error));
+  }, [user.id]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      className="space-y-6"
+    >
+      <h2 className="text-2xl font-bold text-white">My Bookings</h2>
+
+      {bookings.length === 0 ? (
+        <Card className="glass-effect border-red-900/30">
+          <CardContent className="text-center py-12">
+            <Truck className="w-16 h-16 text-gray-500 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-white mb-2">No Open Bookings</h3>
+            <p className="text-gray-400">Bookings that are scheduled or under way will appear here.</p>
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="grid gap-6">
+          {bookings.map((booking) => (
+            <Card key={booking._id} className="glass-effect border-red-900/30">
+              <CardContent className="p-6 space-y-4">
+                <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                  <div className="flex items-center gap-4">
+                    <div className="p-3 bg-red-600 rounded-lg">
+                      <Truck className="w-6 h-6 text-white" />
+                    </div>
+                    <div>
+                      <h3 className="text-lg font-semibold text-white capitalize">{booking.serviceType} booking</h3>
+                      <p className="text-gray-400">{booking.bookingNumber}</p>
+                      <div className="flex items-center gap-1 mt-2 text-sm text-gray-400">
+                        <Calendar className="w-4 h-4" />
+                        {new Date(booking.schedule.startDate).toLocaleString()}
+                      </div>
+                      {booking.route?.origin?.address && booking.route?.destination?.address && (
+                        <p className="text-sm text-gray-300 mt-1">
+                          {booking.route.origin.address} &rarr; {booking.route.destination.address}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-4">
+                    <Badge className="status-approved text-white capitalize">
+                      {humanize(booking.status)}
+                    </Badge>
+                    <Button
+                      size="sm"
+                      onClick={() => setSharingId(sharingId === booking._id ? null : booking._id)}
+                      className="bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white"
+                    >
+                      <Share2 className="w-4 h-4" />
+                      Share Tracking
+                    </Button>
+                  </div>
+                </div>
+
+                {sharingId === booking._id && <ShareTracking jobType="bookings" jobId={booking._id} />}
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default UserBookings;
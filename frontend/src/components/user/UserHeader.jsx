@@ -14,8 +14,8 @@ const UserHeader = ({ unreadCount, onNotificationClick }) => {
   const navigate = useNavigate();
   const { toast } = useToast();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/');
     toast({
       title: "Logged out",
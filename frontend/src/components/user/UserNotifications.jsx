@@ -1,20 +1,18 @@
 import React from 'react';
 import { motion } from 'framer-motion';
-import { useNavigate } from 'react-router-dom';
 import { Bell, Wrench, Clock } from 'lucide-react';
 import { Card, CardContent } from '@/components/ui/card';
 import { useService } from '@/contexts/ServiceContext';
 
-const UserNotifications = ({ notifications }) => {
+const UserNotifications = ({ notifications, onTrack }) => {
   const { markNotificationAsRead } = useService();
-  const navigate = useNavigate();
 
   const handleNotificationClick = (notification) => {
     markNotificationAsRead(notification.id);
     if (notification.requestId) {
       const request = notifications.find(n => n.requestId === notification.requestId);
       if (request && request.trackingEnabled && request.status === 'approved') {
-        navigate(`/tracking/${notification.requestId}`);
+        onTrack();
       }
     }
   };
@@ -6,7 +6,8 @@ import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 
-const UserRequests = ({ userRequests }) => {
+// onTrack opens the pickup the request is tracked through
+const UserRequests = ({ userRequests, onTrack }) => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'pending': return 'status-pending';
@@ -59,7 +60,7 @@ const UserRequests = ({ userRequests }) => {
                     </div>
                     <div>
                       <h3 className="text-lg font-semibold text-white">{request.serviceType}</h3>
-                      <p className="text-gray-400">Request ID: {request.id}</p>
+                      <p className="text-gray-400">Request ID: {request.requestNumber || request.id}</p>
                       <div className="flex items-center gap-4 mt-2 text-sm text-gray-400">
                         <div className="flex items-center gap-1">
                           <Calendar className="w-4 h-4" />
@@ -79,12 +80,10 @@ const UserRequests = ({ userRequests }) => {
                     </Badge>
                     
                     {request.trackingEnabled && request.status === 'approved' && (
-                      <Link to={`/tracking/${request.id}`}>
-                        <Button size="sm" className="bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white">
-                          <MapPin className="w-4 h-4" />
-                          Track
-                        </Button>
-                      </Link>
+                      <Button size="sm" onClick={onTrack} className="bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white">
+                        <MapPin className="w-4 h-4" />
+                        Track
+                      </Button>
                     )}
                   </div>
                 </div>
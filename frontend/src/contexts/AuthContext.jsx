@@ -1,6 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { ADMIN_CONFIG } from '@/lib/constants';
 import { apiService } from '@/services/api';
+import { disablePush, syncPushSubscription } from '@/lib/push';
 
 const AuthContext = createContext();
 
@@ -12,101 +12,83 @@ export const useAuth = () => {
   return context;
 };
 
-  const ADMIN_USERS = ADMIN_CONFIG.EMAILS;
-
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    // The refresh cookie may end (revoked, reused or expired) while we are open
+    apiService.onSessionEnded = () => {
+      setUser(null);
+      localStorage.removeItem('autocare_user');
+    };
+
     const initializeAuth = async () => {
-      const savedToken = localStorage.getItem('autocare_token');
+      // Access tokens only live in memory now; earlier versions saved them here
+      localStorage.removeItem('autocare_token');
       const savedUser = localStorage.getItem('autocare_user');
       
-      console.log('🔄 Initializing auth...', { hasToken: !!savedToken, hasUser: !!savedUser });
+      console.log('🔄 Initializing auth...', { hasUser: !!savedUser });
       
-      if (savedToken && savedUser) {
+      if (savedUser) {
+        let parsedUser = null;
         try {
           // First, load from saved data immediately for better UX
-          const parsedUser = JSON.parse(savedUser);
+          parsedUser = JSON.parse(savedUser);
           if (parsedUser && parsedUser.id) {
             console.log('📦 Loading user from localStorage:', parsedUser.email);
             setUser(parsedUser);
-            apiService.setAuthToken(savedToken);
           }
 
-          // Then verify token and get fresh data from backend
-          const verifyResponse = await apiService.verifyToken();
-          
-          if (verifyResponse.success) {
-            console.log('✅ Token verified, loading fresh profile...');
+          // The refresh cookie gets us a new access token
+          const refreshResponse = await apiService.refreshSession();
+          console.log('✅ Session refreshed, loading fresh profile...');
+
+          try {
+            // Get complete profile with messages and requests
+            const profileResponse = await apiService.getProfile();
             
-            try {
-              // Get complete profile with messages and requests
-              const profileResponse = await apiService.getProfile();
+            if (profileResponse.success) {
+              console.log('📊 Profile loaded:', {
+                user: profileResponse.data.user.email,
+                messages: profileResponse.data.messages?.length || 0,
+                bookings: profileResponse.data.bookings?.length || 0
+              });
+              
+              const userData = {
+                ...profileResponse.data.user,
+                messages: profileResponse.data.messages || [],
+                bookings: profileResponse.data.bookings || [],
+                statistics: profileResponse.data.statistics || {}
+              };
               
-              if (profileResponse.success) {
-                console.log('📊 Profile loaded:', {
-                  user: profileResponse.data.user.email,
-                  messages: profileResponse.data.messages?.length || 0,
-                  bookings: profileResponse.data.bookings?.length || 0
-                });
-                
-                const userData = {
-                  ...profileResponse.data.user,
-                  token: savedToken,
-                  messages: profileResponse.data.messages || [],
-                  bookings: profileResponse.data.bookings || [],
-                  statistics: profileResponse.data.statistics || {}
-                };
-                
-                setUser(userData);
-                localStorage.setItem('autocare_user', JSON.stringify(userData));
-                console.log('💾 User data updated successfully');
-              } else {
-                console.warn('⚠️ Profile loading failed, using basic user data');
-                const userData = {
-                  ...verifyResponse.user,
-                  token: savedToken,
-                  messages: parsedUser?.messages || [],
-                  bookings: parsedUser?.bookings || [],
-                  statistics: parsedUser?.statistics || {}
-                };
-                setUser(userData);
-                localStorage.setItem('autocare_user', JSON.stringify(userData));
-              }
-            } catch (profileError) {
-              console.warn('⚠️ Profile request failed, keeping saved data:', profileError.message);
-              // Keep existing saved user data if profile loading fails
-              if (parsedUser && parsedUser.id) {
-                setUser(parsedUser);
-              }
-            }
-          } else {
-            console.warn('❌ Token verification failed');
-            localStorage.removeItem('autocare_token');
-            localStorage.removeItem('autocare_user');
-            setUser(null);
-          }
-        } catch (error) {
-          console.error('🚨 Auth initialization error:', error);
-          
-          // Fallback to saved user data if backend is unavailable
-          try {
-            const userData = JSON.parse(savedUser);
-            if (userData && userData.id) {
-              console.log('🔄 Using saved user data as fallback:', userData.email);
               setUser(userData);
-              apiService.setAuthToken(savedToken);
+              localStorage.setItem('autocare_user', JSON.stringify(userData));
+              console.log('💾 User data updated successfully');
             } else {
-              console.warn('❌ Invalid saved data, clearing storage');
-              localStorage.removeItem('autocare_token');
-              localStorage.removeItem('autocare_user');
-              setUser(null);
+              console.warn('⚠️ Profile loading failed, using basic user data');
+              const userData = {
+                ...parsedUser,
+                ...refreshResponse.user
+              };
+              setUser(userData);
+              localStorage.setItem('autocare_user', JSON.stringify(userData));
             }
-          } catch (parseError) {
-            console.error('🚨 Failed to parse saved user data:', parseError);
-            localStorage.removeItem('autocare_token');
+          } catch (profileError) {
+            console.warn('⚠️ Profile request failed, keeping saved data:', profileError.message);
+            setUser({ ...parsedUser, ...refreshResponse.user });
+          }
+        } catch (error) {
+          if (error.status) {
+            // The server turned the session down; onSessionEnded cleared it
+            console.warn('❌ Session refresh failed:', error.message);
+            setUser(null);
+          } else if (parsedUser && parsedUser.id) {
+            // Fallback to saved user data if backend is unavailable
+            console.log('🔄 Using saved user data as fallback:', parsedUser.email);
+            setUser(parsedUser);
+          } else {
+            console.error('🚨 Failed to parse saved user data:', error);
             localStorage.removeItem('autocare_user');
             setUser(null);
           }
@@ -121,8 +103,18 @@ export const AuthProvider = ({ children }) => {
     };
     
     initializeAuth();
+
+    return () => {
+      apiService.onSessionEnded = null;
+    };
   }, []);
 
+  // Point this browser's push subscription at whoever is signed in
+  useEffect(() => {
+    if (!user?.id) return;
+    syncPushSubscription().catch(error => console.error('Could not sync push subscription:', error));
+  }, [user?.id]);
+
   const login = async (email, password) => {
     try {
       setLoading(true);
@@ -147,14 +139,12 @@ export const AuthProvider = ({ children }) => {
             
             const userData = {
               ...profileResponse.data.user,
-              token: response.token,
               messages: profileResponse.data.messages || [],
               bookings: profileResponse.data.bookings || [],
               statistics: profileResponse.data.statistics || {}
             };
             
             setUser(userData);
-            localStorage.setItem('autocare_token', response.token);
             localStorage.setItem('autocare_user', JSON.stringify(userData));
             console.log('💾 Login: Complete user data saved');
             
@@ -165,13 +155,9 @@ export const AuthProvider = ({ children }) => {
         }
         
         // Fallback to basic user data
-        const userData = {
-          ...response.user,
-          token: response.token
-        };
+        const userData = { ...response.user };
         
         setUser(userData);
-        localStorage.setItem('autocare_token', response.token);
         localStorage.setItem('autocare_user', JSON.stringify(userData));
         
         return userData;
@@ -194,17 +180,13 @@ export const AuthProvider = ({ children }) => {
       const response = await apiService.register(userData);
       
       if (response.success) {
-        const newUserData = {
-          ...response.user,
-          token: response.token
-        };
+        const newUserData = { ...response.user };
         
         // Set auth token for future requests
         apiService.setAuthToken(response.token);
         
         // Save to state and localStorage
         setUser(newUserData);
-        localStorage.setItem('autocare_token', response.token);
         localStorage.setItem('autocare_user', JSON.stringify(newUserData));
         
         return newUserData;
@@ -243,13 +225,43 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const clearSession = () => {
     setUser(null);
     localStorage.removeItem('autocare_user');
-    localStorage.removeItem('autocare_token');
     apiService.setAuthToken(null);
   };
 
+  const logout = async () => {
+    // Stop pushes to this browser while the token is still valid
+    try {
+      await disablePush();
+    } catch (error) {
+      console.error('Could not remove push subscription:', error);
+    }
+
+    // Revoke this device's session and drop the refresh cookie
+    try {
+      await apiService.logout();
+    } catch (error) {
+      console.error('Could not end session:', error);
+    }
+
+    clearSession();
+  };
+
+  // Sign out every device, this one included
+  const logoutEverywhere = async () => {
+    try {
+      await disablePush();
+    } catch (error) {
+      console.error('Could not remove push subscription:', error);
+    }
+
+    const response = await apiService.revokeAllSessions();
+    clearSession();
+    return response;
+  };
+
   const updateUser = async (updatedData) => {
     if (user) {
       try {
@@ -275,13 +287,37 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // The server signs out other sessions on a password change; carry on with the new token
+  const changePassword = async (currentPassword, newPassword) => {
+    const response = await apiService.changePassword(currentPassword, newPassword);
+    apiService.setAuthToken(response.token);
+    return response;
+  };
+
+  // Apply changes the server told us about (no request); safe to call from socket handlers
+  const mergeUser = (changes) => {
+    setUser(prev => {
+      if (!prev) return prev;
+      const newUserData = { ...prev, ...changes };
+      localStorage.setItem('autocare_user', JSON.stringify(newUserData));
+      return newUserData;
+    });
+  };
+
+  // Update local state after the email link was followed in this browser
+  const markEmailVerified = () => mergeUser({ emailVerified: true });
+
   const value = {
     user,
     login,
     register,
     logout,
+    logoutEverywhere,
     loading,
     updateUser,
+    changePassword,
+    mergeUser,
+    markEmailVerified,
     checkEmailAvailability
   };
 
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { useAuth } from './AuthContext';
+import { apiService } from '@/services/api';
 
 const ServiceContext = createContext();
 
@@ -32,10 +33,38 @@ const SPARE_PARTS = {
   AC_REPAIR: ['AC Refrigerant', 'AC Filter', 'AC Compressor']
 };
 
-const initialVehicles = [
-  { id: 1, userId: 1, make: 'Toyota', model: 'Camry', year: '2020', licensePlate: 'KDA 123A' },
-  { id: 2, userId: 1, make: 'Ford', model: 'Ranger', year: '2018', licensePlate: 'KDB 456B' },
-];
+// Map a server-side service request onto the shape the dashboards render
+const normalizeRequest = (request) => ({
+  ...request,
+  id: request._id,
+  userId: request.customer?._id || request.customer,
+  userName: request.customer?.name,
+  vehicleInfo: request.vehicle?.description ||
+    [request.vehicle?.make, request.vehicle?.model, request.vehicle?.licensePlate].filter(Boolean).join(' '),
+  urgency: request.priority,
+  suggestedParts: (request.spareParts || []).map(part => part.name)
+});
+
+// Map a server-side vehicle onto the shape the vehicle pages render
+const normalizeVehicle = (vehicle) => ({
+  ...vehicle,
+  id: vehicle._id,
+  userId: vehicle.owner?._id || vehicle.owner,
+  odometer: vehicle.odometer?.reading ?? 0
+});
+
+// Map a server-side service reminder onto the notification shape
+const normalizeReminder = (reminder) => ({
+  id: reminder._id,
+  reminderId: reminder._id,
+  type: 'service_reminder',
+  title: reminder.title,
+  message: reminder.message,
+  timestamp: reminder.lastNotifiedAt || reminder.createdAt,
+  read: reminder.isRead,
+  urgency: reminder.urgency,
+  vehicleId: reminder.vehicle?._id || reminder.vehicle
+});
 
 export const ServiceProvider = ({ children }) => {
   const { user } = useAuth();
@@ -45,187 +74,170 @@ export const ServiceProvider = ({ children }) => {
 
   useEffect(() => {
     if (user) {
-      const savedRequests = localStorage.getItem(`autocare_requests_${user.id}`);
-      setRequests(savedRequests ? JSON.parse(savedRequests) : []);
+      fetchRequests();
       
+      // Reminders are loaded from the server, not from local storage
       const savedNotifications = localStorage.getItem(`autocare_notifications_${user.id}`);
-      setNotifications(savedNotifications ? JSON.parse(savedNotifications) : []);
+      setNotifications(savedNotifications
+        ? JSON.parse(savedNotifications).filter(n => n.type !== 'service_reminder')
+        : []);
 
-      const savedVehicles = localStorage.getItem(`autocare_vehicles`);
-      setVehicles(savedVehicles ? JSON.parse(savedVehicles) : initialVehicles);
+      fetchVehicles();
       
       generateServiceReminders();
+    } else {
+      setRequests([]);
+      setVehicles([]);
     }
   }, [user]);
 
-  const generateServiceReminders = () => {
-    if (!user || !user.lastService) return;
-    
-    const lastServiceDate = new Date(user.lastService);
-    const daysSinceService = Math.floor((Date.now() - lastServiceDate.getTime()) / (1000 * 60 * 60 * 24));
-    
-    if (daysSinceService >= 90) {
-      const reminder = {
-        id: `reminder_${Date.now()}`,
-        type: 'service_reminder',
-        title: '3000km Service Due',
-        message: 'Your vehicle is due for routine maintenance. Book your service today!',
-        timestamp: new Date().toISOString(),
-        read: false
-      };
-      
-      setNotifications(prev => {
-        const exists = prev.some(n => n.type === 'service_reminder');
-        if (!exists) {
-          const updated = [reminder, ...prev];
-          localStorage.setItem(`autocare_notifications_${user.id}`, JSON.stringify(updated));
-          return updated;
-        }
-        return prev;
-      });
+  // Maintenance reminders are computed server-side from odometer history
+  const generateServiceReminders = async () => {
+    try {
+      const response = await apiService.getReminders();
+      if (response.success) {
+        const reminders = response.data.map(normalizeReminder);
+        setNotifications(prev => [
+          ...reminders,
+          ...prev.filter(n => n.type !== 'service_reminder')
+        ]);
+      }
+    } catch (error) {
+      console.error('Failed to load service reminders:', error);
     }
   };
 
-  const createServiceRequest = (requestData) => {
-    const newRequest = {
-      id: `REQ_${Date.now()}`,
-      userId: user.id,
-      ...requestData,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      estimatedCompletion: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-      suggestedParts: SPARE_PARTS[requestData.serviceType] || [],
-      trackingEnabled: requestData.serviceType === 'Vehicle Pickup'
-    };
-    
-    const updatedRequests = [newRequest, ...requests];
-    setRequests(updatedRequests);
-    localStorage.setItem(`autocare_requests_${user.id}`, JSON.stringify(updatedRequests));
-    
-    if (user.isAdmin) {
-      const notification = {
-        id: `notif_${Date.now()}`,
-        type: 'new_request',
-        title: 'New Service Request',
-        message: `${newRequest.serviceType} requested by ${user.name}`,
-        timestamp: new Date().toISOString(),
-        read: false,
-        requestId: newRequest.id
-      };
-      
-      const updatedNotifications = [notification, ...notifications];
-      setNotifications(updatedNotifications);
-      localStorage.setItem(`autocare_notifications_${user.id}`, JSON.stringify(updatedNotifications));
+  const fetchRequests = async () => {
+    try {
+      const response = await apiService.getServices({ limit: 100 });
+      if (response.success) {
+        setRequests(response.data.map(normalizeRequest));
+      }
+    } catch (error) {
+      console.error('Failed to load service requests:', error);
     }
-    
+  };
+
+  const createServiceRequest = async (requestData) => {
+    const response = await apiService.createService({
+      ...requestData,
+      priority: requestData.urgency
+    });
+    const newRequest = normalizeRequest(response.data);
+    setRequests(prev => [newRequest, ...prev]);
     return newRequest;
   };
 
-  const updateRequestStatus = (requestId, status, adminNotes = '') => {
-    const allRequests = getAllRequests();
-    const updatedRequests = allRequests.map(req => 
-      req.id === requestId 
-        ? { 
-            ...req, 
-            status, 
-            adminNotes,
-            updatedAt: new Date().toISOString(),
-            ...(status === 'approved' && req.trackingEnabled && {
-              truckLocation: { lat: -1.2921, lng: 36.8219 }, // Nairobi coordinates
-              estimatedArrival: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString()
-            })
-          }
-        : req
+  const replaceRequest = (updated) => {
+    setRequests(prev => prev.map(req => req.id === updated.id ? { ...req, ...updated } : req));
+  };
+
+  const updateRequestStatus = async (requestId, status, adminNotes = '', odometer) => {
+    const response = await apiService.updateServiceStatus(requestId, status, adminNotes, odometer);
+    const updated = normalizeRequest(response.data);
+    replaceRequest(updated);
+
+    const notification = {
+      id: `notif_${Date.now()}`,
+      type: 'status_update',
+      title: `Request ${status.charAt(0).toUpperCase() + status.slice(1)}`,
+      message: `${updated.serviceType} request ${updated.requestNumber} has been ${status}`,
+      timestamp: new Date().toISOString(),
+      read: false,
+      requestId
+    };
+
+    const updatedNotifications = [notification, ...notifications];
+    setNotifications(updatedNotifications);
+    localStorage.setItem(
+      `autocare_notifications_${user.id}`,
+      JSON.stringify(updatedNotifications.filter(n => n.type !== 'service_reminder'))
     );
-    
-    // This is tricky with localStorage for multiple users. We'll just update the current user's view.
-    // A real backend would handle this better.
-    const userRequests = updatedRequests.filter(r => r.userId === user.id);
-    setRequests(userRequests);
-    localStorage.setItem(`autocare_requests_${user.id}`, JSON.stringify(userRequests));
-
-    // A bit of a hack to update other users' data in localStorage
-    const otherUsersRequests = updatedRequests.filter(r => r.userId !== user.id);
-    const userIds = [...new Set(otherUsersRequests.map(r => r.userId))];
-    userIds.forEach(uid => {
-        const specificUserRequests = otherUsersRequests.filter(r => r.userId === uid);
-        localStorage.setItem(`autocare_requests_${uid}`, JSON.stringify(specificUserRequests));
-    });
-    
-    const request = updatedRequests.find(req => req.id === requestId);
-    if (request) {
-      const notification = {
-        id: `notif_${Date.now()}`,
-        type: 'status_update',
-        title: `Request ${status.charAt(0).toUpperCase() + status.slice(1)}`,
-        message: `Your ${request.serviceType} request has been ${status}`,
-        timestamp: new Date().toISOString(),
-        read: false,
-        requestId
-      };
-      
-      const updatedNotifications = [notification, ...notifications];
-      setNotifications(updatedNotifications);
-      localStorage.setItem(`autocare_notifications_${request.userId}`, JSON.stringify(updatedNotifications));
-    }
+
+    // A completed service may resolve reminders
+    if (status === 'completed') generateServiceReminders();
+
+    return updated;
+  };
+
+  const cancelServiceRequest = async (requestId, reason = '') => {
+    const response = await apiService.cancelService(requestId, reason);
+    const updated = normalizeRequest(response.data);
+    replaceRequest(updated);
+    return updated;
   };
 
   const markNotificationAsRead = (notificationId) => {
+    const notification = notifications.find(notif => notif.id === notificationId);
+    if (notification?.type === 'service_reminder') {
+      apiService.markReminderRead(notification.reminderId).catch(error => {
+        console.error('Failed to mark reminder as read:', error);
+      });
+    }
+
     const updatedNotifications = notifications.map(notif =>
       notif.id === notificationId ? { ...notif, read: true } : notif
     );
     setNotifications(updatedNotifications);
-    localStorage.setItem(`autocare_notifications_${user.id}`, JSON.stringify(updatedNotifications));
+    localStorage.setItem(
+      `autocare_notifications_${user.id}`,
+      JSON.stringify(updatedNotifications.filter(n => n.type !== 'service_reminder'))
+    );
   };
 
-  const getAllRequests = () => {
-    const allRequests = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith('autocare_requests_')) {
-        const userRequests = JSON.parse(localStorage.getItem(key) || '[]');
-        allRequests.push(...userRequests);
+  const dismissReminder = async (reminderId) => {
+    await apiService.dismissReminder(reminderId);
+    setNotifications(prev => prev.filter(n => n.reminderId !== reminderId));
+  };
+
+  const fetchVehicles = async () => {
+    try {
+      const response = await apiService.getVehicles();
+      if (response.success) {
+        setVehicles(response.data.map(normalizeVehicle));
       }
+    } catch (error) {
+      console.error('Failed to load vehicles:', error);
     }
-    return allRequests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   };
 
-  const addVehicle = (vehicleData) => {
-    const newVehicle = {
-      id: `VEH_${Date.now()}`,
-      userId: user.id,
-      ...vehicleData
-    };
-    const updatedVehicles = [...vehicles, newVehicle];
-    setVehicles(updatedVehicles);
-    localStorage.setItem('autocare_vehicles', JSON.stringify(updatedVehicles));
+  const addVehicle = async (vehicleData) => {
+    const response = await apiService.createVehicle(vehicleData);
+    const newVehicle = normalizeVehicle(response.data);
+    setVehicles(prev => [newVehicle, ...prev]);
+    return newVehicle;
   };
 
-  const updateVehicle = (vehicleData) => {
-    const updatedVehicles = vehicles.map(v => v.id === vehicleData.id ? vehicleData : v);
-    setVehicles(updatedVehicles);
-    localStorage.setItem('autocare_vehicles', JSON.stringify(updatedVehicles));
+  const updateVehicle = async (vehicleData) => {
+    const { id, make, model, year, licensePlate, vin, fuelType, odometer } = vehicleData;
+    const response = await apiService.updateVehicle(id, { make, model, year, licensePlate, vin, fuelType, odometer });
+    const updated = normalizeVehicle(response.data);
+    setVehicles(prev => prev.map(v => v.id === updated.id ? updated : v));
+    return updated;
   };
 
-  const deleteVehicle = (vehicleId) => {
-    const updatedVehicles = vehicles.filter(v => v.id !== vehicleId);
-    setVehicles(updatedVehicles);
-    localStorage.setItem('autocare_vehicles', JSON.stringify(updatedVehicles));
+  const deleteVehicle = async (vehicleId) => {
+    await apiService.deleteVehicle(vehicleId);
+    setVehicles(prev => prev.filter(v => v.id !== vehicleId));
   };
 
   const value = {
-    requests: user?.isAdmin ? getAllRequests() : requests,
+    requests,
     notifications,
     vehicles,
     serviceTypes: SERVICE_TYPES,
     spareParts: SPARE_PARTS,
     createServiceRequest,
     updateRequestStatus,
+    cancelServiceRequest,
+    refreshRequests: fetchRequests,
     markNotificationAsRead,
     generateServiceReminders,
+    dismissReminder,
     addVehicle,
     updateVehicle,
-    deleteVehicle
+    deleteVehicle,
+    refreshVehicles: fetchVehicles
   };
 
   return (
@@ -1,5 +1,7 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { io } from 'socket.io-client';
+import { useAuth } from './AuthContext';
+import { apiService } from '@/services/api';
 
 const SocketContext = createContext();
 
@@ -12,115 +14,74 @@ export const useSocket = () => {
 };
 
 export const SocketProvider = ({ children }) => {
+  const { user, mergeUser } = useAuth();
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [notifications, setNotifications] = useState([]);
 
   useEffect(() => {
-    const token = localStorage.getItem('token');
-    const user = JSON.parse(localStorage.getItem('user') || '{}');
-    
-    if (!token) return;
-
-    // Initialize socket connection
-    const newSocket = io(import.meta.env.VITE_API_URL || 'http://localhost:3001', {
-      auth: {
-        token
+    if (!user) return;
+
+    // Initialize socket connection; the server checks the token and picks our rooms
+    // Read the token on every (re)connect: it is refreshed every few minutes
+    const newSocket = io(import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001', {
+      auth: (cb) => {
+        if (apiService.authToken) return cb({ token: apiService.authToken });
+        apiService.refreshSession()
+          .then(() => cb({ token: apiService.authToken }))
+          .catch(() => cb({}));
       }
     });
 
+    // Reconnect once the refresh cookie has bought a new access token
+    const reconnectWithNewToken = () => {
+      apiService.refreshSession()
+        .then(() => newSocket.connect())
+        .catch(error => console.error('Socket not reconnected:', error.message));
+    };
+
     newSocket.on('connect', () => {
       console.log('Socket connected:', newSocket.id);
       setIsConnected(true);
-      
-      // Join appropriate rooms based on user role
-      if (user.role === 'admin') {
-        newSocket.emit('join-admin-room');
-      } else {
-        newSocket.emit('join-user-room', user._id);
-      }
     });
 
-    newSocket.on('disconnect', () => {
-      console.log('Socket disconnected');
+    newSocket.on('connect_error', (error) => {
+      console.error('Socket connection refused:', error.message);
       setIsConnected(false);
+      if (error.message === 'Token expired.') reconnectWithNewToken();
     });
 
-    // Listen for real-time events
-    newSocket.on('message-received', (data) => {
-      console.log('New message received:', data);
-      addNotification({
-        id: Date.now(),
-        type: 'message',
-        title: 'New Message',
-        message: `New message from ${data.senderName}`,
-        data
-      });
-    });
-
-    newSocket.on('payment-initiated', (data) => {
-      console.log('Payment initiated:', data);
-      addNotification({
-        id: Date.now(),
-        type: 'payment',
-        title: 'Payment Initiated',
-        message: `${data.userName} initiated a payment of $${data.amount}`,
-        data
-      });
-    });
-
-    newSocket.on('payment-completed', (data) => {
-      console.log('Payment completed:', data);
-      addNotification({
-        id: Date.now(),
-        type: 'payment',
-        title: 'Payment Completed',
-        message: `Payment of $${data.amount} completed by ${data.userName}`,
-        data
-      });
+    newSocket.on('session-expired', () => {
+      console.log('Socket session expired');
+      setIsConnected(false);
+      reconnectWithNewToken();
     });
 
-    newSocket.on('payment-failed', (data) => {
-      console.log('Payment failed:', data);
-      addNotification({
-        id: Date.now(),
-        type: 'payment',
-        title: 'Payment Failed',
-        message: `Payment of $${data.amount} failed`,
-        data
-      });
+    // Signed out from another device; the failed refresh signs us out here too
+    newSocket.on('session-revoked', () => {
+      console.log('Socket session revoked');
+      setIsConnected(false);
+      apiService.refreshSession().catch(() => {});
     });
 
-    newSocket.on('location-shared', (data) => {
-      console.log('Location shared:', data);
-      addNotification({
-        id: Date.now(),
-        type: 'location',
-        title: 'Location Shared',
-        message: `${data.userName} shared their location`,
-        data
-      });
+    newSocket.on('disconnect', () => {
+      console.log('Socket disconnected');
+      setIsConnected(false);
     });
 
-    newSocket.on('pickup-request-received', (data) => {
-      console.log('Pickup request received:', data);
-      addNotification({
-        id: Date.now(),
-        type: 'pickup',
-        title: 'New Pickup Request',
-        message: `New pickup request from ${data.userName}`,
-        data
-      });
+    // An admin promoted or demoted us; the server has already moved our rooms
+    newSocket.on('role-changed', ({ role, isAdmin }) => {
+      mergeUser({ role, isAdmin });
     });
 
-    newSocket.on('truck-dispatch-update', (data) => {
-      console.log('Truck dispatch update:', data);
+    // Every notification the server stores for this user also pops up as a toast
+    newSocket.on('notification-created', (notification) => {
       addNotification({
-        id: Date.now(),
-        type: 'truck',
-        title: 'Truck Dispatched',
-        message: `Truck ${data.truckId} has been dispatched`,
-        data
+        id: notification._id,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        data: notification.data
       });
     });
 
@@ -134,8 +95,10 @@ export const SocketProvider = ({ children }) => {
 
     return () => {
       newSocket.close();
+      setSocket(null);
+      setIsConnected(false);
     };
-  }, []);
+  }, [user?.id]);
 
   const addNotification = (notification) => {
     setNotifications(prev => [notification, ...prev.slice(0, 99)]); // Keep last 100
@@ -154,29 +117,13 @@ export const SocketProvider = ({ children }) => {
     setNotifications([]);
   };
 
-  const sendMessage = (data) => {
-    if (socket && isConnected) {
-      socket.emit('new-message', data);
+  // Drivers only; the server updates the truck linked to the signed-in driver
+  const updateTruckLocation = (data) => new Promise((resolve) => {
+    if (!socket || !isConnected) {
+      return resolve({ success: false, message: 'Not connected' });
     }
-  };
-
-  const updateTruckLocation = (data) => {
-    if (socket && isConnected) {
-      socket.emit('truck-location-update', data);
-    }
-  };
-
-  const sendPickupRequest = (data) => {
-    if (socket && isConnected) {
-      socket.emit('new-pickup-request', data);
-    }
-  };
-
-  const dispatchTruck = (data) => {
-    if (socket && isConnected) {
-      socket.emit('truck-dispatched', data);
-    }
-  };
+    socket.emit('truck-location-update', data, resolve);
+  });
 
   const value = {
     socket,
@@ -185,10 +132,7 @@ export const SocketProvider = ({ children }) => {
     addNotification,
     removeNotification,
     clearAllNotifications,
-    sendMessage,
-    updateTruckLocation,
-    sendPickupRequest,
-    dispatchTruck
+    updateTruckLocation
   };
 
   return (
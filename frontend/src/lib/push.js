@@ -0,0 +1,83 @@
+import { apiService } from '@/services/api';
+
+// Web Push for this browser: the service worker in public/sw.js shows pushed
+// notifications, and the backend sends them to the subscriptions we register.
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+export const isPushSupported = () =>
+  typeof window !== 'undefined'
+  && 'serviceWorker' in navigator
+  && 'PushManager' in window
+  && 'Notification' in window;
+
+// VAPID keys are URL-safe base64; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+};
+
+const getRegistration = async () =>
+  (await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL))
+  || navigator.serviceWorker.register(SERVICE_WORKER_URL);
+
+/**
+ * Ask for permission, subscribe this browser and register the subscription
+ * with the backend. Throws with a readable message if that is not possible.
+ */
+export const enablePush = async () => {
+  if (!isPushSupported()) {
+    throw new Error('This browser does not support push notifications');
+  }
+
+  const { data } = await apiService.getPushPublicKey();
+  if (!data.enabled) {
+    throw new Error('Push notifications are not available yet');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Allow notifications for this site in your browser settings');
+  }
+
+  const registration = await getRegistration();
+  await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(data.publicKey),
+    });
+
+  await apiService.savePushSubscription(subscription.toJSON());
+  return subscription;
+};
+
+/**
+ * Unsubscribe this browser and remove its subscription from the backend.
+ * Must run while still signed in.
+ */
+export const disablePush = async () => {
+  if (!isPushSupported()) return;
+
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  const subscription = await registration?.pushManager.getSubscription();
+  if (!subscription) return;
+
+  await apiService.deletePushSubscription(subscription.endpoint);
+  await subscription.unsubscribe();
+};
+
+/**
+ * Re-register an existing subscription after signing in, so pushes reach the
+ * current user and a subscription the browser renewed is picked up.
+ */
+export const syncPushSubscription = async () => {
+  if (!isPushSupported() || Notification.permission !== 'granted') return;
+
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  const subscription = await registration?.pushManager.getSubscription();
+  if (subscription) {
+    await apiService.savePushSubscription(subscription.toJSON());
+  }
+};
@@ -10,7 +10,7 @@ import StatusUpdateDialog from '@/components/admin/StatusUpdateDialog';
 import AdminMessages from '@/components/admin/AdminMessages';
 import TruckDispatch from '@/components/admin/TruckDispatch';
 import AddTruckForm from '@/components/admin/AddTruckForm';
-import PaymentForm from '@/components/PaymentForm';
+import PaymentsTable from '@/components/admin/PaymentsTable';
 import GoogleMap from '@/components/GoogleMap';
 import { useSocket } from '@/contexts/SocketContext';
 import { Wrench, MessageSquare, Truck, CreditCard, MapPin, Plus } from 'lucide-react';
@@ -33,10 +33,6 @@ const AdminDashboard = () => {
     setTrucks(prev => [newTruck, ...prev]);
   };
 
-  const handlePaymentSuccess = (paymentIntent) => {
-    console.log('Payment successful:', paymentIntent);
-  };
-
   const pendingRequests = requests.filter(req => req.status === 'pending');
   const approvedRequests = requests.filter(req => req.status === 'approved');
   const completedRequests = requests.filter(req => req.status === 'completed');
@@ -123,9 +119,7 @@ const AdminDashboard = () => {
             <div className="space-y-6">
               <h2 className="text-2xl font-bold text-white mb-6">Payment Management</h2>
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                <PaymentForm 
-                  onPaymentSuccess={handlePaymentSuccess}
-                />
+                <PaymentsTable />
                 <div className="space-y-4">
                   <h3 className="text-lg font-semibold text-white">Recent Payment Notifications</h3>
                   <div className="space-y-2 max-h-96 overflow-y-auto">
@@ -94,7 +94,12 @@ const LoginPage = () => {
               </div>
               
               <div className="space-y-2">
-                <Label htmlFor="password" className="text-white">Password</Label>
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="password" className="text-white">Password</Label>
+                  <Link to="/forgot-password" className="text-sm text-red-500 hover:text-red-400">
+                    Forgot password?
+                  </Link>
+                </div>
                 <div className="relative">
                   <Input
                     id="password"
@@ -132,27 +137,6 @@ const LoginPage = () => {
                 </Link>
               </p>
             </div>
-
-            <div className="mt-6 p-4 bg-red-900/20 rounded-lg border border-red-900/30">
-              <p className="text-sm text-gray-300 mb-2">Demo Accounts:</p>
-              <div className="space-y-2">
-                <div>
-                  <p className="text-xs text-green-400 font-medium">Regular User:</p>
-                  <p className="text-xs text-gray-400">Any email + any password</p>
-                </div>
-                <div>
-                  <p className="text-xs text-red-400 font-medium">Admin Accounts:</p>
-                  <div className="ml-2 space-y-1">
-                    <p className="text-xs text-gray-400">• emmanuel.evian@autocare.com</p>
-                    <p className="text-xs text-gray-400">• ibrahim.mohamud@autocare.com</p>
-                    <p className="text-xs text-gray-400">• joel.nganga@autocare.com</p>
-                    <p className="text-xs text-gray-400">• patience.karanja@autocare.com</p>
-                    <p className="text-xs text-gray-400">• joyrose.kinuthia@autocare.com</p>
-                  </div>
-                  <p className="text-xs text-yellow-400 mt-1">Password: autocarpro12k@12k.wwc</p>
-                </div>
-              </div>
-            </div>
           </CardContent>
         </Card>
       </motion.div>
@@ -10,6 +10,7 @@ import { useService } from '@/contexts/ServiceContext';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from '@/components/ui/dialog';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { useToast } from '@/components/ui/use-toast';
 
 const MyVehiclesPage = () => {
@@ -26,7 +27,7 @@ const MyVehiclesPage = () => {
   const userVehicles = vehicles.filter(v => v.userId === user.id);
 
   const handleAddNew = () => {
-    setCurrentVehicle({ make: '', model: '', year: '', licensePlate: '' });
+    setCurrentVehicle({ make: '', model: '', year: '', licensePlate: '', vin: '', fuelType: '', odometer: '' });
     setIsDialogOpen(true);
   };
 
@@ -40,23 +41,31 @@ const MyVehiclesPage = () => {
     setIsDeleteConfirmOpen(true);
   };
 
-  const confirmDelete = () => {
-    deleteVehicle(vehicleToDelete.id);
-    toast({ title: "Vehicle Deleted", description: `${vehicleToDelete.make} ${vehicleToDelete.model} has been removed.` });
-    setIsDeleteConfirmOpen(false);
-    setVehicleToDelete(null);
+  const confirmDelete = async () => {
+    try {
+      await deleteVehicle(vehicleToDelete.id);
+      toast({ title: "Vehicle Deleted", description: `${vehicleToDelete.make} ${vehicleToDelete.model} has been removed.` });
+      setIsDeleteConfirmOpen(false);
+      setVehicleToDelete(null);
+    } catch (error) {
+      toast({ title: "Delete Failed", description: error.message, variant: "destructive" });
+    }
   };
 
-  const handleSave = () => {
-    if (currentVehicle.id) {
-      updateVehicle(currentVehicle);
-      toast({ title: "Vehicle Updated", description: "Your vehicle details have been updated." });
-    } else {
-      addVehicle(currentVehicle);
-      toast({ title: "Vehicle Added", description: "Your new vehicle has been added." });
+  const handleSave = async () => {
+    try {
+      if (currentVehicle.id) {
+        await updateVehicle(currentVehicle);
+        toast({ title: "Vehicle Updated", description: "Your vehicle details have been updated." });
+      } else {
+        await addVehicle(currentVehicle);
+        toast({ title: "Vehicle Added", description: "Your new vehicle has been added." });
+      }
+      setIsDialogOpen(false);
+      setCurrentVehicle(null);
+    } catch (error) {
+      toast({ title: "Save Failed", description: error.message, variant: "destructive" });
     }
-    setIsDialogOpen(false);
-    setCurrentVehicle(null);
   };
 
   return (
@@ -134,6 +143,11 @@ const MyVehiclesPage = () => {
                     <p className="text-lg font-semibold text-white bg-black/30 px-4 py-2 rounded-md text-center">
                       {vehicle.licensePlate}
                     </p>
+                    <div className="mt-4 space-y-1 text-sm text-gray-400">
+                      {vehicle.vin && <p>VIN: <span className="text-gray-300">{vehicle.vin}</span></p>}
+                      {vehicle.fuelType && <p>Fuel: <span className="text-gray-300 capitalize">{vehicle.fuelType}</span></p>}
+                      <p>Odometer: <span className="text-gray-300">{Number(vehicle.odometer || 0).toLocaleString()} km</span></p>
+                    </div>
                   </CardContent>
                   <div className="p-6 pt-0 flex gap-2">
                     <Button variant="outline" size="sm" onClick={() => handleEdit(vehicle)} className="flex-1 border-blue-500 text-blue-500 hover:bg-blue-500 hover:text-white">
@@ -176,6 +190,28 @@ const MyVehiclesPage = () => {
               <Label htmlFor="licensePlate" className="text-right text-white">License Plate</Label>
               <Input id="licensePlate" value={currentVehicle?.licensePlate} onChange={(e) => setCurrentVehicle({...currentVehicle, licensePlate: e.target.value})} className="col-span-3 bg-black/50 border-red-900/50 text-white" />
             </div>
+            <div className="grid grid-cols-4 items-center gap-4">
+              <Label htmlFor="vin" className="text-right text-white">VIN</Label>
+              <Input id="vin" maxLength={17} value={currentVehicle?.vin || ''} onChange={(e) => setCurrentVehicle({...currentVehicle, vin: e.target.value})} className="col-span-3 bg-black/50 border-red-900/50 text-white" />
+            </div>
+            <div className="grid grid-cols-4 items-center gap-4">
+              <Label htmlFor="fuelType" className="text-right text-white">Fuel Type</Label>
+              <Select value={currentVehicle?.fuelType || ''} onValueChange={(value) => setCurrentVehicle({...currentVehicle, fuelType: value})}>
+                <SelectTrigger id="fuelType" className="col-span-3 bg-black/50 border-red-900/50 text-white">
+                  <SelectValue placeholder="Select fuel type" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="petrol">Petrol</SelectItem>
+                  <SelectItem value="diesel">Diesel</SelectItem>
+                  <SelectItem value="electric">Electric</SelectItem>
+                  <SelectItem value="hybrid">Hybrid</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="grid grid-cols-4 items-center gap-4">
+              <Label htmlFor="odometer" className="text-right text-white">Odometer (km)</Label>
+              <Input id="odometer" type="number" min="0" value={currentVehicle?.odometer ?? ''} onChange={(e) => setCurrentVehicle({...currentVehicle, odometer: e.target.value})} className="col-span-3 bg-black/50 border-red-900/50 text-white" />
+            </div>
           </div>
           <DialogFooter>
             <Button variant="outline" onClick={() => setIsDialogOpen(false)}>Cancel</Button>
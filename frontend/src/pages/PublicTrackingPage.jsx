@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { useParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { MapPin, Clock, Truck } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { apiService } from '@/services/api';
+import { getTimeAgo } from '@/lib/utils';
+
+const STATUS_LABELS = {
+  requested: 'Requested',
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  assigned: 'Truck Assigned',
+  accepted: 'Driver On the Way',
+  arrived: 'Driver Arrived for Loading',
+  in_progress: 'On the Way to You',
+  proof_of_delivery: 'Delivered',
+  dispatched: 'Truck Dispatched',
+  'en-route': 'On the Way',
+  'at-location': 'Driver Has Arrived',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+const labelFor = (status) => STATUS_LABELS[status] || status.replace(/[_-]/g, ' ');
+
+// Shared links are rate limited per IP; this stays well inside the budget
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+// Why a link does not work, by the code the API returns
+const LINK_ERRORS = {
+  TRACKING_LINK_EXPIRED: 'This tracking link has expired. Ask the sender for a new one.',
+  TRACKING_LINK_REVOKED: 'This tracking link has been turned off by the sender.'
+};
+
+// Read-only tracking for someone who was sent a link and has no account
+const PublicTrackingPage = () => {
+  const { token } = useParams();
+  const [tracking, setTracking] = useState(null);
+  const [error, setError] = useState(null);
+  const intervalRef = useRef(null);
+
+  const loadTracking = useCallback(async () => {
+    try {
+      const response = await apiService.getSharedTracking(token);
+      setTracking(response.data);
+      setError(null);
+    } catch (err) {
+      // Keep showing the last position through a rate limit or a dropped
+      // connection; a missing, expired or revoked link will not come back
+      if (err.status === 404 || err.status === 410) {
+        clearInterval(intervalRef.current);
+        setTracking(null);
+      }
+      setError(LINK_ERRORS[err.code] || err.message);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    intervalRef.current = setInterval(loadTracking, REFRESH_INTERVAL_MS);
+    loadTracking();
+    return () => clearInterval(intervalRef.current);
+  }, [loadTracking]);
+
+  if (!tracking) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <Helmet>
+          <title>Track Delivery - AutoCare Pro</title>
+        </Helmet>
+        <div className="text-center">
+          {error ? (
+            <>
+              <h2 className="text-2xl font-bold text-white mb-4">Tracking Unavailable</h2>
+              <p className="text-gray-400">{error}</p>
+            </>
+          ) : (
+            <p className="text-gray-400">Loading tracking...</p>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const { truck, eta, destination } = tracking;
+  const closed = ['completed', 'cancelled'].includes(tracking.status);
+
+  return (
+    <div className="min-h-screen p-4">
+      <Helmet>
+        <title>Track Delivery - AutoCare Pro</title>
+        <meta name="description" content="Follow your delivery truck live, with its latest position and estimated arrival time." />
+      </Helmet>
+
+      <div className="max-w-2xl mx-auto space-y-6">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+        >
+          <h1 className="text-3xl md:text-4xl font-bold gradient-text">
+            {tracking.recipientName ? `Hi ${tracking.recipientName}` : 'Track Your Delivery'}
+          </h1>
+          <p className="text-gray-300">
+            {tracking.reference ? `Booking ${tracking.reference} · ` : ''}
+            <Badge className="status-approved text-white ml-1">{labelFor(tracking.status)}</Badge>
+          </p>
+          {error && <p className="text-yellow-400 text-sm mt-2">{error}</p>}
+        </motion.div>
+
+        {/* Estimated Arrival */}
+        {!closed && (
+          <Card className="glass-effect border-red-900/30">
+            <CardHeader>
+              <CardTitle className="text-white flex items-center gap-2">
+                <Clock className="w-5 h-5 text-red-500" />
+                Estimated Arrival
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="text-center">
+              <div className="text-3xl font-bold text-white mb-2">
+                {eta ? new Date(eta.arrivesAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '--:--'}
+              </div>
+              <p className="text-gray-400 text-sm">
+                {eta
+                  ? `${Math.max(1, Math.round(eta.minutes))} min · ${eta.distanceKm} km away${tracking.heading === 'origin' ? ' from collection' : ''}`
+                  : truck ? 'The driver is loading up' : 'Waiting for a truck to be assigned'}
+              </p>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Truck */}
+        <Card className="glass-effect border-red-900/30">
+          <CardHeader>
+            <CardTitle className="text-white flex items-center gap-2">
+              <MapPin className="w-5 h-5 text-red-500" />
+              Truck Location
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {truck?.location ? (
+              <div className="flex items-center gap-3">
+                <div className="p-2 bg-red-600 rounded-lg">
+                  <Truck className="w-5 h-5 text-white" />
+                </div>
+                <div>
+                  <p className="text-white font-medium">
+                    {truck.location.address || `${truck.location.latitude.toFixed(4)}, ${truck.location.longitude.toFixed(4)}`}
+                  </p>
+                  <p className="text-gray-400 text-sm">
+                    {[truck.driverName, truck.licensePlate].filter(Boolean).join(' · ')}
+                    {truck.lastSeen && ` · updated ${getTimeAgo(truck.lastSeen)}`}
+                  </p>
+                </div>
+              </div>
+            ) : (
+              <p className="text-gray-400">{closed ? 'This job is over.' : 'The truck position appears once it is on its way.'}</p>
+            )}
+            {destination?.address && (
+              <p className="text-gray-300 text-sm">Delivering to: {destination.address}</p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Timeline */}
+        <Card className="glass-effect border-red-900/30">
+          <CardHeader>
+            <CardTitle className="text-white">Timeline</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="space-y-4">
+              {tracking.timeline.map((entry, index) => (
+                <div key={`${entry.status}-${index}`} className="flex items-start gap-3">
+                  <div className={`w-2 h-2 rounded-full mt-2 ${index === tracking.timeline.length - 1 && !closed ? 'bg-yellow-500 animate-pulse' : 'bg-green-500'}`}></div>
+                  <div>
+                    <p className="text-white text-sm font-medium">{labelFor(entry.status)}</p>
+                    <p className="text-gray-400 text-xs">{new Date(entry.at).toLocaleString()}</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+
+        <p className="text-center text-gray-500 text-xs">
+          This link works until {new Date(tracking.expiresAt).toLocaleString()}.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default PublicTrackingPage;
@@ -1,18 +1,59 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { Helmet } from 'react-helmet';
 import { useNavigate } from 'react-router-dom';
-import { ArrowLeft, Calendar, Wrench, Truck, CheckCircle } from 'lucide-react';
+import { ArrowLeft, Calendar, Wrench, Truck, CheckCircle, Download, Loader2 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { useAuth } from '@/contexts/AuthContext';
 import { useService } from '@/contexts/ServiceContext';
+import { useToast } from '@/components/ui/use-toast';
+import { apiService } from '@/services/api';
+
+const formatAmount = (amount, currency) => `${currency || 'KES'} ${Number(amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2 })}`;
 
 const ServiceHistoryPage = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
   const { requests } = useService();
+  const { toast } = useToast();
+  const [completedBookings, setCompletedBookings] = useState([]);
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  useEffect(() => {
+    apiService.getBookings()
+      .then(response => {
+        const bookings = (response.data || [])
+          .filter(booking => booking.status === 'completed' && (booking.customer?._id || booking.customer) === user.id)
+          .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        setCompletedBookings(bookings);
+      })
+      .catch(error => console.error('Failed to load bookings:', error));
+  }, [user.id]);
+
+  const handleDownloadReceipt = async (booking) => {
+    setDownloadingId(booking._id);
+    try {
+      const { blob, filename } = await apiService.downloadBookingInvoice(booking._id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast({
+        title: 'Download Failed',
+        description: error.message || 'Could not download the receipt. Please try again.',
+        variant: 'destructive'
+      });
+    } finally {
+      setDownloadingId(null);
+    }
+  };
 
   const completedRequests = requests
     .filter(req => req.userId === user.id && req.status === 'completed')
@@ -47,7 +88,7 @@ const ServiceHistoryPage = () => {
           </div>
         </motion.div>
 
-        {completedRequests.length === 0 ? (
+        {completedRequests.length === 0 && completedBookings.length === 0 ? (
           <motion.div
             initial={{ opacity: 0, scale: 0.9 }}
             animate={{ opacity: 1, scale: 1 }}
@@ -57,12 +98,61 @@ const ServiceHistoryPage = () => {
               <CardContent>
                 <Calendar className="w-16 h-16 text-gray-500 mx-auto mb-4" />
                 <h3 className="text-xl font-semibold text-white mb-2">No Completed Services</h3>
-                <p className="text-gray-400">Your completed service requests will appear here.</p>
+                <p className="text-gray-400">Your completed service requests and bookings will appear here.</p>
               </CardContent>
             </Card>
           </motion.div>
         ) : (
           <div className="space-y-6">
+            {completedBookings.map((booking, index) => (
+              <motion.div
+                key={booking._id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.5, delay: index * 0.1 }}
+              >
+                <Card className="glass-effect border-red-900/30 card-hover">
+                  <CardHeader>
+                    <div className="flex justify-between items-start">
+                      <div>
+                        <CardTitle className="text-white flex items-center gap-2 capitalize">
+                          <Truck className="w-5 h-5" />
+                          {booking.serviceType} booking
+                        </CardTitle>
+                        <CardDescription className="text-gray-300">
+                          {booking.bookingNumber} &middot; Completed on: {new Date(booking.updatedAt).toLocaleDateString()}
+                        </CardDescription>
+                      </div>
+                      <Badge className="status-completed text-white">
+                        <CheckCircle className="w-4 h-4 mr-1" />
+                        Completed
+                      </Badge>
+                    </div>
+                  </CardHeader>
+                  <CardContent>
+                    <div className="flex flex-wrap items-center justify-between gap-4">
+                      <div className="text-sm text-gray-300">
+                        {booking.route?.origin?.address && booking.route?.destination?.address && (
+                          <p>{booking.route.origin.address} &rarr; {booking.route.destination.address}</p>
+                        )}
+                        <p className="text-white font-medium">{formatAmount(booking.pricing?.totalAmount, booking.pricing?.currency)}</p>
+                      </div>
+                      <Button
+                        variant="outline"
+                        onClick={() => handleDownloadReceipt(booking)}
+                        disabled={downloadingId === booking._id}
+                        className="border-red-500 text-red-500 hover:bg-red-500 hover:text-white"
+                      >
+                        {downloadingId === booking._id
+                          ? <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                          : <Download className="w-4 h-4 mr-2" />}
+                        Download receipt
+                      </Button>
+                    </div>
+                  </CardContent>
+                </Card>
+              </motion.div>
+            ))}
             {completedRequests.map((request, index) => (
               <motion.div
                 key={request.id}
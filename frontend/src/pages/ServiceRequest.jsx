@@ -16,11 +16,12 @@ import { useToast } from '@/components/ui/use-toast';
 
 const ServiceRequest = () => {
   const navigate = useNavigate();
-  const { createServiceRequest, serviceTypes, spareParts } = useService();
+  const { createServiceRequest, serviceTypes, spareParts, vehicles } = useService();
   const { toast } = useToast();
   
   const [formData, setFormData] = useState({
     serviceType: '',
+    vehicleId: '',
     vehicleInfo: '',
     description: '',
     urgency: 'normal',
@@ -43,21 +44,31 @@ const ServiceRequest = () => {
     }));
   };
 
+  // Picking a registered vehicle links the request to its maintenance schedule
+  const handleVehicleSelect = (vehicleId) => {
+    const vehicle = vehicles.find(v => v.id === vehicleId);
+    setFormData(prev => ({
+      ...prev,
+      vehicleId,
+      vehicleInfo: vehicle ? `${vehicle.make} ${vehicle.model} ${vehicle.year || ''}, License Plate: ${vehicle.licensePlate}` : prev.vehicleInfo
+    }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
-      const request = createServiceRequest(formData);
+      const request = await createServiceRequest(formData);
       toast({
         title: "Request Submitted!",
-        description: `Your ${formData.serviceType} request has been submitted successfully. Request ID: ${request.id}`,
+        description: `Your ${formData.serviceType} request has been submitted successfully. Request ID: ${request.requestNumber}`,
       });
       navigate('/dashboard');
     } catch (error) {
       toast({
         title: "Submission Failed",
-        description: "Please try again later.",
+        description: error.message || "Please try again later.",
         variant: "destructive",
       });
     } finally {
@@ -152,6 +163,28 @@ const ServiceRequest = () => {
                     </Select>
                   </div>
 
+                  {/* Registered Vehicle */}
+                  {vehicles.length > 0 && (
+                    <div className="space-y-2">
+                      <Label htmlFor="vehicleId" className="text-white">My Vehicle</Label>
+                      <Select
+                        value={formData.vehicleId}
+                        onValueChange={handleVehicleSelect}
+                      >
+                        <SelectTrigger className="bg-black/50 border-red-900/50 text-white">
+                          <SelectValue placeholder="Select one of your vehicles" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {vehicles.map((vehicle) => (
+                            <SelectItem key={vehicle.id} value={vehicle.id}>
+                              {vehicle.make} {vehicle.model} ({vehicle.licensePlate})
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  )}
+
                   {/* Vehicle Information */}
                   <div className="space-y-2">
                     <Label htmlFor="vehicleInfo" className="text-white">Vehicle Information *</Label>
@@ -194,7 +227,7 @@ const ServiceRequest = () => {
                         <SelectItem value="low">Low - Can wait a few days</SelectItem>
                         <SelectItem value="normal">Normal - Within this week</SelectItem>
                         <SelectItem value="high">High - As soon as possible</SelectItem>
-                        <SelectItem value="emergency">Emergency - Immediate attention</SelectItem>
+                        <SelectItem value="urgent">Emergency - Immediate attention</SelectItem>
                       </SelectContent>
                     </Select>
                   </div>
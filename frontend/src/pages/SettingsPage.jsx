@@ -1,33 +1,92 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { Helmet } from 'react-helmet';
 import { useNavigate } from 'react-router-dom';
-import { ArrowLeft, User, Mail, Lock, Save } from 'lucide-react';
+import { ArrowLeft, User, Mail, Lock, Save, Bell, ShieldCheck, ShieldAlert } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { useAuth } from '@/contexts/AuthContext';
 import { useToast } from '@/components/ui/use-toast';
+import { apiService } from '@/services/api';
+import { enablePush, disablePush } from '@/lib/push';
+import ActiveSessions from '@/components/user/ActiveSessions';
+
+const NOTIFICATION_CHANNELS = [
+  { key: 'email', label: 'Email', description: 'Booking, payment and service updates by email' },
+  { key: 'sms', label: 'SMS', description: 'Texts when a truck is dispatched, arriving or done (needs a phone number)' },
+  { key: 'push', label: 'Push notifications', description: 'Alerts on this device when the app is closed' },
+];
 
 const SettingsPage = () => {
   const navigate = useNavigate();
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, changePassword } = useAuth();
   const { toast } = useToast();
 
   const [formData, setFormData] = useState({
     name: user.name,
     email: user.email,
+    currentPassword: '',
     password: '',
     confirmPassword: '',
   });
   const [loading, setLoading] = useState(false);
+  const [notificationPrefs, setNotificationPrefs] = useState(null);
+  const [resending, setResending] = useState(false);
+  const [sessionsVersion, setSessionsVersion] = useState(0);
+
+  useEffect(() => {
+    apiService.getNotificationPreferences()
+      .then(response => setNotificationPrefs(response.data))
+      .catch(error => console.error('Could not load notification preferences:', error));
+  }, []);
+
+  const handleNotificationToggle = async (channel) => {
+    const previous = notificationPrefs;
+    const updated = { ...notificationPrefs, [channel]: !notificationPrefs[channel] };
+    setNotificationPrefs(updated);
+
+    try {
+      // Push also needs this browser subscribed; asking for permission may fail
+      if (channel === 'push') {
+        await (updated.push ? enablePush() : disablePush());
+      }
+      await apiService.updateNotificationPreferences({ [channel]: updated[channel] });
+    } catch (error) {
+      setNotificationPrefs(previous);
+      toast({
+        title: "Could not update notifications",
+        description: error.message,
+        variant: "destructive",
+      });
+    }
+  };
 
   const handleChange = (e) => {
     setFormData(prev => ({ ...prev, [e.target.name]: e.target.value }));
   };
 
-  const handleSubmit = (e) => {
+  const handleResendVerification = async () => {
+    setResending(true);
+    try {
+      const response = await apiService.resendVerificationEmail();
+      toast({
+        title: "Verification email sent",
+        description: response.message,
+      });
+    } catch (error) {
+      toast({
+        title: "Could not send verification email",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
     if (formData.password && formData.password !== formData.confirmPassword) {
       toast({
@@ -37,18 +96,42 @@ const SettingsPage = () => {
       });
       return;
     }
-    setLoading(true);
-    updateUser({ name: formData.name, email: formData.email });
-    setTimeout(() => {
-      setLoading(false);
+    if (formData.password && !formData.currentPassword) {
       toast({
-        title: "Settings Updated",
-        description: "Your profile information has been successfully updated.",
+        title: "Current password required",
+        description: "Enter your current password to set a new one.",
+        variant: "destructive",
       });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const emailChanged = formData.email !== user.email;
+      await updateUser({ name: formData.name, email: formData.email });
+
       if (formData.password) {
-        setFormData(prev => ({ ...prev, password: '', confirmPassword: '' }));
+        await changePassword(formData.currentPassword, formData.password);
+        setFormData(prev => ({ ...prev, currentPassword: '', password: '', confirmPassword: '' }));
+        // Every other device was signed out
+        setSessionsVersion(version => version + 1);
       }
-    }, 1000);
+
+      toast({
+        title: "Settings Updated",
+        description: emailChanged
+          ? `Your profile has been updated. We sent a verification link to ${formData.email}.`
+          : "Your profile information has been successfully updated.",
+      });
+    } catch (error) {
+      toast({
+        title: "Could not change password",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
   };
 
   return (
@@ -103,6 +186,29 @@ const SettingsPage = () => {
                     <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
                     <Input id="email" name="email" type="email" value={formData.email} onChange={handleChange} className="pl-10 bg-black/50 border-red-900/50 text-white" />
                   </div>
+                  {!user.isAdmin && (user.emailVerified ? (
+                    <p className="flex items-center gap-2 text-sm text-green-400">
+                      <ShieldCheck className="w-4 h-4" />
+                      Verified
+                    </p>
+                  ) : (
+                    <div className="flex items-center justify-between gap-4">
+                      <p className="flex items-center gap-2 text-sm text-yellow-400">
+                        <ShieldAlert className="w-4 h-4" />
+                        Not verified. You need a verified email to make bookings.
+                      </p>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        disabled={resending}
+                        onClick={handleResendVerification}
+                        className="border-red-500 text-red-500 hover:bg-red-500 hover:text-white shrink-0"
+                      >
+                        {resending ? 'Sending...' : 'Resend link'}
+                      </Button>
+                    </div>
+                  ))}
                 </div>
               </CardContent>
             </Card>
@@ -113,6 +219,13 @@ const SettingsPage = () => {
                 <CardDescription className="text-gray-300">Leave blank to keep your current password.</CardDescription>
               </CardHeader>
               <CardContent className="space-y-6">
+                <div className="space-y-2">
+                  <Label htmlFor="currentPassword" className="text-white">Current Password</Label>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                    <Input id="currentPassword" name="currentPassword" type="password" autoComplete="current-password" value={formData.currentPassword} onChange={handleChange} className="pl-10 bg-black/50 border-red-900/50 text-white" />
+                  </div>
+                </div>
                 <div className="space-y-2">
                   <Label htmlFor="password"  className="text-white">New Password</Label>
                   <div className="relative">
@@ -130,6 +243,37 @@ const SettingsPage = () => {
               </CardContent>
             </Card>
 
+            {notificationPrefs && (
+              <Card className="glass-effect border-red-900/30 mt-6">
+                <CardHeader>
+                  <CardTitle className="text-white flex items-center gap-2">
+                    <Bell className="w-5 h-5" />
+                    Notifications
+                  </CardTitle>
+                  <CardDescription className="text-gray-300">
+                    Notifications always appear in the app. Choose where else to receive them; changes save immediately.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  {NOTIFICATION_CHANNELS.map(channel => (
+                    <label key={channel.key} htmlFor={`notify-${channel.key}`} className="flex items-center justify-between gap-4 cursor-pointer">
+                      <div>
+                        <p className="text-white">{channel.label}</p>
+                        <p className="text-sm text-gray-400">{channel.description}</p>
+                      </div>
+                      <input
+                        id={`notify-${channel.key}`}
+                        type="checkbox"
+                        checked={!!notificationPrefs[channel.key]}
+                        onChange={() => handleNotificationToggle(channel.key)}
+                        className="w-5 h-5 accent-red-600"
+                      />
+                    </label>
+                  ))}
+                </CardContent>
+              </Card>
+            )}
+
             <div className="mt-8 flex justify-end">
               <Button type="submit" disabled={loading} className="bg-gradient-to-r from-red-600 to-red-700 text-white">
                 <Save className="w-4 h-4 mr-2" />
@@ -137,6 +281,8 @@ const SettingsPage = () => {
               </Button>
             </div>
           </form>
+
+          <ActiveSessions refreshKey={sessionsVersion} />
         </motion.div>
       </div>
     </div>
@@ -1,5 +1,4 @@
-
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { useParams, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
@@ -7,39 +6,110 @@ import { ArrowLeft, MapPin, Clock, Truck, Phone, Navigation } from 'lucide-react
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
-import { useService } from '@/contexts/ServiceContext';
+import ShareTracking from '@/components/user/ShareTracking';
+import { useSocket } from '@/contexts/SocketContext';
 import { useToast } from '@/components/ui/use-toast';
+import { apiService } from '@/services/api';
+import { getTimeAgo } from '@/lib/utils';
+
+const STATUS_LABELS = {
+  pending: 'Waiting for a Truck',
+  dispatched: 'Truck Dispatched',
+  'en-route': 'On the Way',
+  'at-location': 'Driver Has Arrived',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+const TIMELINE_STEPS = [
+  { status: 'requested', label: 'Pickup Requested' },
+  { status: 'dispatched', label: 'Truck Dispatched' },
+  { status: 'en-route', label: 'En Route' },
+  { status: 'at-location', label: 'Arrived' },
+  { status: 'completed', label: 'Completed' }
+];
+
+// Keeps the ETA honest when no location update has come in for a while
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const formatCoordinates = (point) => `${point.latitude.toFixed(4)}, ${point.longitude.toFixed(4)}`;
 
 const TrackingPage = () => {
   const { requestId } = useParams();
   const navigate = useNavigate();
-  const { requests } = useService();
+  const { socket } = useSocket();
   const { toast } = useToast();
-  const [truckLocation, setTruckLocation] = useState({ lat: -1.2921, lng: 36.8219 }); // Nairobi
-  const [estimatedArrival, setEstimatedArrival] = useState(null);
+  const [tracking, setTracking] = useState(null);
+  const [loading, setLoading] = useState(true);
 
-  const request = requests.find(req => req.id === requestId);
+  const loadTracking = useCallback(async () => {
+    try {
+      const response = await apiService.getPickupTracking(requestId);
+      setTracking(response.data);
+    } catch (error) {
+      console.error('Failed to load tracking:', error);
+      if (error.status === 404) setTracking(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [requestId]);
 
   useEffect(() => {
-    if (!request || !request.trackingEnabled || request.status !== 'approved') {
-      navigate('/dashboard');
-      return;
-    }
+    loadTracking();
+    const interval = setInterval(loadTracking, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadTracking]);
 
-    setEstimatedArrival(request.estimatedArrival);
+  // Live position and ETA for this pickup; a status change reloads the timeline
+  useEffect(() => {
+    if (!socket) return;
 
-    // Simulate truck movement
-    const interval = setInterval(() => {
-      setTruckLocation(prev => ({
-        lat: prev.lat + (Math.random() - 0.5) * 0.001,
-        lng: prev.lng + (Math.random() - 0.5) * 0.001
-      }));
-    }, 5000);
+    const handleTrackingUpdate = (update) => {
+      if (update.requestId !== requestId) return;
+      setTracking(prev => prev && {
+        ...prev,
+        status: update.status,
+        eta: update.eta,
+        truck: prev.truck && {
+          ...prev.truck,
+          location: { ...update.location, recordedAt: update.location.timestamp },
+          lastSeen: update.timestamp
+        }
+      });
+    };
 
-    return () => clearInterval(interval);
-  }, [request, navigate]);
+    const handleStatusUpdate = (update) => {
+      if (update.requestId === requestId) loadTracking();
+    };
+
+    const handleTruckArriving = (update) => {
+      if (update.jobType !== 'pickup' || update.jobId !== requestId) return;
+      toast({
+        title: "Your driver is almost there",
+        description: `About ${update.minutes} minute${update.minutes === 1 ? '' : 's'} away. Please be ready.`,
+      });
+    };
+
+    socket.on('pickup-tracking-updated', handleTrackingUpdate);
+    socket.on('pickup-status-updated', handleStatusUpdate);
+    socket.on('truck-arriving', handleTruckArriving);
+
+    return () => {
+      socket.off('pickup-tracking-updated', handleTrackingUpdate);
+      socket.off('pickup-status-updated', handleStatusUpdate);
+      socket.off('truck-arriving', handleTruckArriving);
+    };
+  }, [socket, requestId, loadTracking, toast]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <p className="text-gray-400">Loading tracking...</p>
+      </div>
+    );
+  }
 
-  if (!request) {
+  if (!tracking) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
@@ -53,18 +123,17 @@ const TrackingPage = () => {
     );
   }
 
-  const handleCallDriver = () => {
-    toast({
-      title: "🚧 Feature Coming Soon!",
-      description: "Driver calling isn't implemented yet—but don't worry! You can request it in your next prompt! 🚀"
-    });
-  };
+  const { truck, eta, pickupLocation } = tracking;
+  const reached = Object.fromEntries(tracking.timeline.map(entry => [entry.status, entry.at]));
+  const currentStep = tracking.timeline[tracking.timeline.length - 1]?.status;
 
   const handleGetDirections = () => {
-    toast({
-      title: "🚧 Feature Coming Soon!",
-      description: "Navigation directions isn't implemented yet—but don't worry! You can request it in your next prompt! 🚀"
-    });
+    const origin = truck?.location ? `&origin=${truck.location.latitude},${truck.location.longitude}` : '';
+    window.open(
+      `https://www.google.com/maps/dir/?api=1${origin}&destination=${pickupLocation.latitude},${pickupLocation.longitude}`,
+      '_blank',
+      'noopener'
+    );
   };
 
   return (
@@ -115,10 +184,9 @@ const TrackingPage = () => {
                 </CardDescription>
               </CardHeader>
               <CardContent>
-                {/* Simulated Map */}
                 <div className="map-container rounded-lg h-96 flex items-center justify-center relative overflow-hidden">
                   <div className="absolute inset-0 bg-gradient-to-br from-gray-800 to-gray-900"></div>
-                  
+
                   {/* Grid Pattern */}
                   <div className="absolute inset-0 opacity-20">
                     <div className="grid grid-cols-8 grid-rows-6 h-full w-full">
@@ -127,60 +195,42 @@ const TrackingPage = () => {
                       ))}
                     </div>
                   </div>
-                  
-                  {/* Truck Icon */}
-                  <motion.div
-                    animate={{
-                      x: [0, 20, -10, 15, 0],
-                      y: [0, -15, 10, -5, 0]
-                    }}
-                    transition={{
-                      duration: 10,
-                      repeat: Infinity,
-                      ease: "easeInOut"
-                    }}
-                    className="absolute z-10 p-3 bg-red-600 rounded-full shadow-lg truck-animation"
-                  >
-                    <Truck className="w-6 h-6 text-white" />
-                  </motion.div>
-                  
-                  {/* Location Markers */}
-                  <div className="absolute top-4 left-4 p-2 bg-green-600 rounded-full">
-                    <MapPin className="w-4 h-4 text-white" />
-                  </div>
-                  <div className="absolute bottom-4 right-4 p-2 bg-blue-600 rounded-full">
-                    <MapPin className="w-4 h-4 text-white" />
-                  </div>
-                  
-                  {/* Route Line */}
-                  <svg className="absolute inset-0 w-full h-full">
-                    <path
-                      d="M 50 50 Q 200 100 350 300"
-                      stroke="#ef4444"
-                      strokeWidth="3"
-                      fill="none"
-                      strokeDasharray="10,5"
-                      className="opacity-60"
-                    />
-                  </svg>
-                  
-                  <div className="text-center text-white z-20">
-                    <h3 className="text-xl font-bold mb-2">Nairobi Service Area</h3>
-                    <p className="text-gray-300">Truck Location: {truckLocation.lat.toFixed(4)}, {truckLocation.lng.toFixed(4)}</p>
+
+                  <div className="text-center text-white z-20 space-y-4">
+                    {truck?.location ? (
+                      <div>
+                        <div className="inline-flex p-3 bg-red-600 rounded-full shadow-lg truck-animation mb-2">
+                          <Truck className="w-6 h-6 text-white" />
+                        </div>
+                        <p className="text-gray-300">Truck: {formatCoordinates(truck.location)}</p>
+                        {truck.location.address && <p className="text-gray-400 text-sm">{truck.location.address}</p>}
+                        {truck.lastSeen && <p className="text-gray-500 text-xs">Updated {getTimeAgo(truck.lastSeen)}</p>}
+                      </div>
+                    ) : (
+                      <p className="text-gray-300">
+                        {tracking.status === 'pending' ? 'A truck will appear here once one is dispatched' : 'Truck location not available'}
+                      </p>
+                    )}
+                    <div>
+                      <div className="inline-flex p-2 bg-green-600 rounded-full mb-2">
+                        <MapPin className="w-4 h-4 text-white" />
+                      </div>
+                      <p className="text-gray-300">Pickup: {pickupLocation.address || formatCoordinates(pickupLocation)}</p>
+                    </div>
                   </div>
                 </div>
-                
+
                 {/* Map Controls */}
                 <div className="flex justify-between items-center mt-4">
                   <div className="flex gap-2">
+                    <Badge className="bg-red-600 text-white">
+                      <Truck className="w-3 h-3 mr-1" />
+                      Truck
+                    </Badge>
                     <Badge className="bg-green-600 text-white">
                       <MapPin className="w-3 h-3 mr-1" />
                       Pickup Location
                     </Badge>
-                    <Badge className="bg-blue-600 text-white">
-                      <MapPin className="w-3 h-3 mr-1" />
-                      Service Center
-                    </Badge>
                   </div>
                   <Button
                     onClick={handleGetDirections}
@@ -212,16 +262,16 @@ const TrackingPage = () => {
                 <div className="space-y-3">
                   <div>
                     <p className="text-gray-400 text-sm">Service Type</p>
-                    <p className="text-white font-medium">{request.serviceType}</p>
+                    <p className="text-white font-medium">Vehicle Pickup</p>
                   </div>
                   <div>
                     <p className="text-gray-400 text-sm">Request ID</p>
-                    <p className="text-white font-medium">{request.id}</p>
+                    <p className="text-white font-medium">{tracking.pickupId}</p>
                   </div>
                   <div>
                     <p className="text-gray-400 text-sm">Status</p>
                     <Badge className="status-approved text-white">
-                      Approved - Truck Dispatched
+                      {STATUS_LABELS[tracking.status] || tracking.status}
                     </Badge>
                   </div>
                 </div>
@@ -239,50 +289,63 @@ const TrackingPage = () => {
               <CardContent>
                 <div className="text-center">
                   <div className="text-3xl font-bold text-white mb-2">
-                    {estimatedArrival ? new Date(estimatedArrival).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '--:--'}
+                    {eta ? new Date(eta.arrivesAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '--:--'}
                   </div>
                   <p className="text-gray-400 text-sm">
-                    {estimatedArrival ? new Date(estimatedArrival).toLocaleDateString() : 'Calculating...'}
+                    {eta
+                      ? `${Math.max(1, Math.round(eta.minutes))} min · ${eta.distanceKm} km away`
+                      : tracking.status === 'at-location' ? 'Your driver has arrived' : 'Calculating...'}
                   </p>
-                  <div className="mt-4 p-3 bg-green-900/20 rounded-lg border border-green-500/30">
-                    <p className="text-green-400 text-sm font-medium">On Time</p>
-                    <p className="text-gray-300 text-xs">Truck is following schedule</p>
-                  </div>
+                  {eta && (
+                    <div className="mt-4 p-3 bg-green-900/20 rounded-lg border border-green-500/30">
+                      <p className="text-green-400 text-sm font-medium">Moving at about {Math.round(eta.speedKmh)} km/h</p>
+                      <p className="text-gray-300 text-xs">
+                        {eta.speedSource === 'default' ? 'Based on typical city traffic' : "Based on the truck's recent speed"}
+                      </p>
+                    </div>
+                  )}
                 </div>
               </CardContent>
             </Card>
 
             {/* Driver Contact */}
-            <Card className="glass-effect border-red-900/30">
-              <CardHeader>
-                <CardTitle className="text-white">Driver Contact</CardTitle>
-              </CardHeader>
-              <CardContent>
-                <div className="space-y-4">
-                  <div className="flex items-center gap-3">
-                    <div className="p-2 bg-red-600 rounded-lg">
-                      <Truck className="w-5 h-5 text-white" />
+            {truck && (
+              <Card className="glass-effect border-red-900/30">
+                <CardHeader>
+                  <CardTitle className="text-white">Driver Contact</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <div className="space-y-4">
+                    <div className="flex items-center gap-3">
+                      <div className="p-2 bg-red-600 rounded-lg">
+                        <Truck className="w-5 h-5 text-white" />
+                      </div>
+                      <div>
+                        <p className="text-white font-medium">Driver: {truck.driverName}</p>
+                        <p className="text-gray-400 text-sm">License: {truck.licensePlate}</p>
+                      </div>
                     </div>
-                    <div>
-                      <p className="text-white font-medium">Driver: John Mwangi</p>
-                      <p className="text-gray-400 text-sm">License: KCA 123X</p>
-                    </div>
-                  </div>
-                  
-                  <Button
-                    onClick={handleCallDriver}
-                    className="w-full bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white"
-                  >
-                    <Phone className="w-4 h-4 mr-2" />
-                    Call Driver
-                  </Button>
-                  
-                  <div className="text-center text-gray-400 text-xs">
-                    Driver will contact you 10 minutes before arrival
+
+                    {truck.driverPhone && (
+                      <Button
+                        asChild
+                        className="w-full bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white"
+                      >
+                        <a href={`tel:${truck.driverPhone}`}>
+                          <Phone className="w-4 h-4 mr-2" />
+                          Call Driver
+                        </a>
+                      </Button>
+                    )}
                   </div>
-                </div>
-              </CardContent>
-            </Card>
+                </CardContent>
+              </Card>
+            )}
+
+            {/* Share with someone without an account */}
+            {!['completed', 'cancelled'].includes(tracking.status) && (
+              <ShareTracking jobType="pickups" jobId={tracking.pickupId} />
+            )}
 
             {/* Tracking Timeline */}
             <Card className="glass-effect border-red-900/30">
@@ -291,41 +354,21 @@ const TrackingPage = () => {
               </CardHeader>
               <CardContent>
                 <div className="space-y-4">
-                  <div className="flex items-start gap-3">
-                    <div className="w-2 h-2 bg-green-500 rounded-full mt-2"></div>
-                    <div>
-                      <p className="text-white text-sm font-medium">Request Approved</p>
-                      <p className="text-gray-400 text-xs">
-                        {new Date(request.updatedAt || request.createdAt).toLocaleString()}
-                      </p>
-                    </div>
-                  </div>
-                  
-                  <div className="flex items-start gap-3">
-                    <div className="w-2 h-2 bg-green-500 rounded-full mt-2"></div>
-                    <div>
-                      <p className="text-white text-sm font-medium">Truck Dispatched</p>
-                      <p className="text-gray-400 text-xs">
-                        {new Date(Date.now() - 30 * 60 * 1000).toLocaleString()}
-                      </p>
-                    </div>
-                  </div>
-                  
-                  <div className="flex items-start gap-3">
-                    <div className="w-2 h-2 bg-yellow-500 rounded-full mt-2 animate-pulse"></div>
-                    <div>
-                      <p className="text-white text-sm font-medium">En Route</p>
-                      <p className="text-gray-400 text-xs">Currently tracking...</p>
-                    </div>
-                  </div>
-                  
-                  <div className="flex items-start gap-3">
-                    <div className="w-2 h-2 bg-gray-500 rounded-full mt-2"></div>
-                    <div>
-                      <p className="text-gray-500 text-sm font-medium">Arrival</p>
-                      <p className="text-gray-500 text-xs">Pending...</p>
-                    </div>
-                  </div>
+                  {TIMELINE_STEPS.map(step => {
+                    const at = reached[step.status];
+                    const isCurrent = step.status === currentStep && tracking.status !== 'completed';
+                    return (
+                      <div key={step.status} className="flex items-start gap-3">
+                        <div className={`w-2 h-2 rounded-full mt-2 ${at ? (isCurrent ? 'bg-yellow-500 animate-pulse' : 'bg-green-500') : 'bg-gray-500'}`}></div>
+                        <div>
+                          <p className={`text-sm font-medium ${at ? 'text-white' : 'text-gray-500'}`}>{step.label}</p>
+                          <p className={`text-xs ${at ? 'text-gray-400' : 'text-gray-500'}`}>
+                            {at ? new Date(at).toLocaleString() : 'Pending...'}
+                          </p>
+                        </div>
+                      </div>
+                    );
+                  })}
                 </div>
               </CardContent>
             </Card>
@@ -1,14 +1,16 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Helmet } from 'react-helmet';
-import { Car, Bell, Wrench, MessageSquare, MapPin, CreditCard } from 'lucide-react';
+import { Car, Bell, Wrench, MessageSquare, MapPin, CreditCard, Truck } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { useAuth } from '@/contexts/AuthContext';
 import { useService } from '@/contexts/ServiceContext';
 import { useSocket } from '@/contexts/SocketContext';
 import UserHeader from '@/components/user/UserHeader';
+import EmailVerificationBanner from '@/components/user/EmailVerificationBanner';
 import UserOverview from '@/components/user/UserOverview';
 import UserRequests from '@/components/user/UserRequests';
+import UserBookings from '@/components/user/UserBookings';
 import UserNotifications from '@/components/user/UserNotifications';
 import UserMessages from '@/components/user/UserMessages';
 import LocationSharing from '@/components/user/LocationSharing';
@@ -24,12 +26,12 @@ const UserDashboard = () => {
   const userRequests = requests.filter(req => req.userId === user.id);
   const unreadNotifications = notifications.filter(n => !n.read);
 
-  const handlePaymentSuccess = (paymentIntent) => {
+  const handlePaymentSuccess = (payment) => {
     addNotification({
       id: Date.now(),
       type: 'success',
       title: 'Payment Successful',
-      message: `Payment of $${paymentIntent.amount / 100} completed successfully`
+      message: `Payment of ${payment.currency} ${payment.amount} completed successfully`
     });
   };
 
@@ -45,6 +47,7 @@ const UserDashboard = () => {
   const TABS = [
     { id: 'overview', label: 'Overview', icon: <Car className="w-4 h-4" /> },
     { id: 'requests', label: 'My Requests', icon: <Wrench className="w-4 h-4" /> },
+    { id: 'bookings', label: 'My Bookings', icon: <Truck className="w-4 h-4" /> },
     { id: 'location', label: 'Location & Map', icon: <MapPin className="w-4 h-4" /> },
     { id: 'payments', label: 'Payments', icon: <CreditCard className="w-4 h-4" /> },
     { id: 'notifications', label: 'Notifications', icon: <Bell className="w-4 h-4" /> },
@@ -60,6 +63,8 @@ const UserDashboard = () => {
 
       <UserHeader unreadCount={unreadNotifications.length} onNotificationClick={() => setActiveTab('notifications')} />
 
+      <EmailVerificationBanner user={user} />
+
       <motion.div
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
@@ -83,7 +88,8 @@ const UserDashboard = () => {
       </motion.div>
 
       {activeTab === 'overview' && <UserOverview userRequests={userRequests} unreadNotifications={unreadNotifications} user={user} />}
-      {activeTab === 'requests' && <UserRequests userRequests={userRequests} />}
+      {activeTab === 'requests' && <UserRequests userRequests={userRequests} onTrack={() => setActiveTab('location')} />}
+      {activeTab === 'bookings' && <UserBookings />}
       {activeTab === 'location' && (
         <div className="space-y-6">
           <LocationSharing />
@@ -100,7 +106,7 @@ const UserDashboard = () => {
           <PaymentForm onPaymentSuccess={handlePaymentSuccess} />
         </div>
       )}
-      {activeTab === 'notifications' && <UserNotifications notifications={notifications} />}
+      {activeTab === 'notifications' && <UserNotifications notifications={notifications} onTrack={() => setActiveTab('location')} />}
       {activeTab === 'messages' && <UserMessages />}
     </div>
   );
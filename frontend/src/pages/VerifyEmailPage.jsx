@@ -0,0 +1,86 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { CheckCircle, Loader2, XCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { useAuth } from '@/contexts/AuthContext';
+import { apiService } from '@/services/api';
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const { user, markEmailVerified } = useAuth();
+  // Tokens are single use; don't spend it twice if the effect re-runs
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    apiService.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.message);
+        markEmailVerified();
+      })
+      .catch((error) => {
+        setStatus('failed');
+        setMessage(error.message);
+      });
+  }, [token]);
+
+  const Icon = { verifying: Loader2, verified: CheckCircle, failed: XCircle }[status];
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <Helmet>
+        <title>Verify Email - AutoCare Pro</title>
+      </Helmet>
+
+      <motion.div
+        initial={{ opacity: 0, y: 50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.8 }}
+        className="w-full max-w-md"
+      >
+        <Card className="glass-effect border-red-900/30 red-glow">
+          <CardHeader className="text-center">
+            <div className="flex justify-center mb-4">
+              <div className="p-3 bg-gradient-to-r from-red-600 to-red-700 rounded-full">
+                <Icon className={`w-8 h-8 text-white ${status === 'verifying' ? 'animate-spin' : ''}`} />
+              </div>
+            </div>
+            <CardTitle className="text-2xl font-bold gradient-text">
+              {status === 'verifying' && 'Verifying Your Email'}
+              {status === 'verified' && 'Email Verified'}
+              {status === 'failed' && 'Verification Failed'}
+            </CardTitle>
+            <CardDescription className="text-gray-300">
+              {status === 'verifying' ? 'Just a moment...' : message}
+            </CardDescription>
+          </CardHeader>
+
+          <CardContent className="text-center space-y-2">
+            {status === 'verified' && (
+              <p className="text-gray-300">You can now make bookings.</p>
+            )}
+            {status === 'failed' && user && (
+              <p className="text-gray-300">You can request a new link from your settings.</p>
+            )}
+            <Link
+              to={user ? (status === 'failed' ? '/settings' : '/dashboard') : '/login'}
+              className="inline-block text-red-500 hover:text-red-400 font-medium"
+            >
+              {user ? (status === 'failed' ? 'Go to settings' : 'Go to your dashboard') : 'Sign in'}
+            </Link>
+          </CardContent>
+        </Card>
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -1,15 +1,75 @@
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api/v1';
 
+// A 401 from these means bad credentials or a dead session, not an expired access token
+const SESSION_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh-token', '/auth/logout'];
+
+const apiError = (response, data) => {
+  const error = new Error(data.message || data.errors?.[0]?.msg || `HTTP error! status: ${response.status}`);
+  error.status = response.status;
+  error.code = data.code;
+  return error;
+};
+
 class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL;
+    // The access token is kept in memory only; the refresh token is an
+    // httpOnly cookie the browser sends to /auth
     this.authToken = null;
+    this.refreshing = null;
+    this.onSessionEnded = null;
   }
 
   setAuthToken(token) {
     this.authToken = token;
   }
 
+  // Get a new access token from the refresh cookie. Requests that fail
+  // together share one refresh; if it fails, onSessionEnded is told.
+  refreshSession() {
+    if (!this.refreshing) {
+      this.refreshing = this.refreshToken()
+        .then((response) => {
+          this.setAuthToken(response.token);
+          return response;
+        })
+        .catch((error) => {
+          this.setAuthToken(null);
+          this.onSessionEnded?.(error);
+          throw error;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  // fetch with the access token; once it expires, refresh it and retry once
+  async authorizedFetch(url, options = {}) {
+    const send = () => fetch(url, {
+      ...options,
+      credentials: 'include',
+      headers: {
+        ...options.headers,
+        ...(this.authToken && { Authorization: `Bearer ${this.authToken}` }),
+      },
+    });
+
+    const response = await send();
+    const isSessionEndpoint = SESSION_ENDPOINTS.some(endpoint => url.endsWith(endpoint));
+    if (response.status !== 401 || !this.authToken || isSessionEndpoint) {
+      return response;
+    }
+
+    try {
+      await this.refreshSession();
+    } catch {
+      return response;
+    }
+    return send();
+  }
+
   async request(endpoint, options = {}) {
     const url = `${this.baseURL}${endpoint}`;
     const config = {
@@ -20,16 +80,12 @@ class ApiService {
       ...options,
     };
 
-    if (this.authToken) {
-      config.headers.Authorization = `Bearer ${this.authToken}`;
-    }
-
     try {
-      const response = await fetch(url, config);
+      const response = await this.authorizedFetch(url, config);
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        throw apiError(response, data);
       }
 
       return data;
@@ -62,8 +118,74 @@ class ApiService {
     return this.request('/auth/verify');
   }
 
+  // Another tab refreshing at the same moment gets REFRESH_TOKEN_ROTATED;
+  // by the time we retry, the browser holds the cookie it received
   async refreshToken() {
-    return this.request('/auth/refresh', {
+    try {
+      return await this.request('/auth/refresh-token', {
+        method: 'POST',
+      });
+    } catch (error) {
+      if (error.code !== 'REFRESH_TOKEN_ROTATED') throw error;
+      await new Promise(resolve => setTimeout(resolve, 500));
+      return this.request('/auth/refresh-token', {
+        method: 'POST',
+      });
+    }
+  }
+
+  async logout() {
+    return this.request('/auth/logout', {
+      method: 'POST',
+    });
+  }
+
+  async getSessions() {
+    return this.request('/auth/sessions');
+  }
+
+  async revokeSession(sessionId) {
+    return this.request(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async revokeAllSessions() {
+    return this.request('/auth/sessions', {
+      method: 'DELETE',
+    });
+  }
+
+  async forgotPassword(email) {
+    return this.request('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  async resetPassword(token, password) {
+    return this.request('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  }
+
+  async changePassword(currentPassword, newPassword) {
+    return this.request('/auth/change-password', {
+      method: 'PUT',
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+  }
+
+  async verifyEmail(token) {
+    return this.request('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  }
+
+  async resendVerificationEmail() {
+    return this.request('/auth/resend-verification', {
       method: 'POST',
     });
   }
@@ -84,6 +206,77 @@ class ApiService {
     return this.request('/users');
   }
 
+  async updateUserRole(userId, role, reason) {
+    return this.request(`/users/${userId}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role, reason }),
+    });
+  }
+
+  // Permission endpoints
+  async getPermissions() {
+    return this.request('/permissions');
+  }
+
+  async updateRolePermissions(role, permissions, scope) {
+    return this.request(`/permissions/${role}`, {
+      method: 'PUT',
+      body: JSON.stringify({ permissions, scope }),
+    });
+  }
+
+  async resetRolePermissions(role) {
+    return this.request(`/permissions/${role}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Vehicle endpoints
+  async getVehicles() {
+    return this.request('/vehicles');
+  }
+
+  async createVehicle(vehicleData) {
+    return this.request('/vehicles', {
+      method: 'POST',
+      body: JSON.stringify(vehicleData),
+    });
+  }
+
+  async updateVehicle(vehicleId, vehicleData) {
+    return this.request(`/vehicles/${vehicleId}`, {
+      method: 'PUT',
+      body: JSON.stringify(vehicleData),
+    });
+  }
+
+  async deleteVehicle(vehicleId) {
+    return this.request(`/vehicles/${vehicleId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getVehicleMaintenance(vehicleId) {
+    return this.request(`/vehicles/${vehicleId}/maintenance`);
+  }
+
+  // Service reminder endpoints
+  async getReminders() {
+    return this.request('/reminders');
+  }
+
+  async markReminderRead(reminderId) {
+    return this.request(`/reminders/${reminderId}/read`, {
+      method: 'PUT',
+    });
+  }
+
+  async dismissReminder(reminderId) {
+    return this.request(`/reminders/${reminderId}/dismiss`, {
+      method: 'PUT',
+    });
+  }
+
   // Truck endpoints
   async getTrucks() {
     return this.request('/trucks');
@@ -126,6 +319,120 @@ class ApiService {
     });
   }
 
+  async getTruckTrack(truckId, from, to) {
+    const params = new URLSearchParams({
+      ...(from && { from }),
+      ...(to && { to }),
+    });
+    return this.request(`/trucks/${truckId}/track?${params}`);
+  }
+
+  async uploadTruckPositions(truckId, positions) {
+    return this.request(`/trucks/${truckId}/positions`, {
+      method: 'POST',
+      body: JSON.stringify({ positions }),
+    });
+  }
+
+  async getTruckSchedule(truckId, from, to) {
+    const params = new URLSearchParams({
+      ...(from && { from }),
+      ...(to && { to }),
+    });
+    return this.request(`/trucks/${truckId}/schedule?${params}`);
+  }
+
+  async addTruckMaintenanceWindow(truckId, windowData) {
+    return this.request(`/trucks/${truckId}/maintenance-windows`, {
+      method: 'POST',
+      body: JSON.stringify(windowData),
+    });
+  }
+
+  async removeTruckMaintenanceWindow(truckId, windowId) {
+    return this.request(`/trucks/${truckId}/maintenance-windows/${windowId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async linkTruckDriver(truckId, userId) {
+    return this.request(`/trucks/${truckId}/driver`, {
+      method: 'PUT',
+      body: JSON.stringify({ userId }),
+    });
+  }
+
+  // Driver endpoints
+  async getDriverTruck() {
+    return this.request('/driver/truck');
+  }
+
+  async updateDriverLocation(location) {
+    return this.request('/driver/location', {
+      method: 'PUT',
+      body: JSON.stringify(location),
+    });
+  }
+
+  async getDriverBookings(status) {
+    return this.request(`/driver/bookings${status ? `?status=${status}` : ''}`);
+  }
+
+  async getDriverPickups(status) {
+    return this.request(`/driver/pickups${status ? `?status=${status}` : ''}`);
+  }
+
+  // action: accept, arrive, start or complete
+  async advanceDriverBooking(bookingId, action) {
+    return this.request(`/driver/bookings/${bookingId}/${action}`, {
+      method: 'POST',
+    });
+  }
+
+  async advanceDriverPickup(pickupId, action) {
+    return this.request(`/driver/pickups/${pickupId}/${action}`, {
+      method: 'POST',
+    });
+  }
+
+  // Turn down a pickup the auto-dispatcher offered; it moves on to the next truck
+  async declineDriverPickup(pickupId, reason) {
+    return this.request(`/driver/pickups/${pickupId}/decline`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  async submitProofOfDelivery(bookingId, { photo, signature, recipientName }) {
+    const formData = new FormData();
+    formData.append('photo', photo);
+    formData.append('signature', signature);
+    formData.append('recipientName', recipientName);
+
+    const response = await this.authorizedFetch(`${this.baseURL}/driver/bookings/${bookingId}/proof-of-delivery`, {
+      method: 'POST',
+      body: formData,
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw apiError(response, data);
+    }
+    return data;
+  }
+
+  // Location endpoints
+  async getAllLocations() {
+    return this.request('/locations/all');
+  }
+
+  async shareLocation(location) {
+    return this.request('/locations', {
+      method: 'POST',
+      body: JSON.stringify(location),
+    });
+  }
+
   // Message endpoints
   async getMessages() {
     return this.request('/messages');
@@ -190,6 +497,28 @@ class ApiService {
     });
   }
 
+  async getBookingQuote(bookingData) {
+    return this.request('/bookings/quote', {
+      method: 'POST',
+      body: JSON.stringify(bookingData),
+    });
+  }
+
+  // objective: distance or time
+  async planRoute(route, objective = 'distance') {
+    return this.request('/bookings/route-plan', {
+      method: 'POST',
+      body: JSON.stringify({ route, objective }),
+    });
+  }
+
+  async optimizeBookingRoute(bookingId, objective = 'distance') {
+    return this.request(`/bookings/${bookingId}/route/optimize`, {
+      method: 'PUT',
+      body: JSON.stringify({ objective }),
+    });
+  }
+
   async updateBookingStatus(bookingId, status, notes = '') {
     return this.request(`/bookings/${bookingId}/status`, {
       method: 'PUT',
@@ -197,6 +526,20 @@ class ApiService {
     });
   }
 
+  // Returns the PDF as a Blob rather than JSON
+  async downloadBookingInvoice(bookingId) {
+    const response = await this.authorizedFetch(`${this.baseURL}/bookings/${bookingId}/invoice.pdf`);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw apiError(response, data);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `invoice-${bookingId}.pdf`;
+    return { blob: await response.blob(), filename };
+  }
+
   async assignBooking(bookingId, truckId, driverId) {
     return this.request(`/bookings/${bookingId}/assign`, {
       method: 'PUT',
@@ -204,11 +547,14 @@ class ApiService {
     });
   }
 
-  async getAvailableTrucks(startDate, endDate, serviceType) {
+  async getAvailableTrucks(startDate, endDate, serviceType, cargo = {}) {
     const params = new URLSearchParams({
       startDate,
-      endDate,
+      ...(endDate && { endDate }),
       ...(serviceType && { serviceType }),
+      ...(cargo.weight && { weight: cargo.weight }),
+      ...(cargo.volume && { volume: cargo.volume }),
+      ...(cargo.equipment?.length && { equipment: cargo.equipment.join(',') }),
     });
     return this.request(`/bookings/available-trucks?${params}`);
   }
@@ -237,6 +583,66 @@ class ApiService {
     return this.request(`/dashboard/performance?period=${period}`);
   }
 
+  // Notification endpoints
+  async getNotifications({ page = 1, limit = 20, unread, type } = {}) {
+    const params = new URLSearchParams({ page, limit });
+    if (unread) params.append('unread', 'true');
+    if (type) params.append('type', type);
+    return this.request(`/notifications?${params}`);
+  }
+
+  async getUnreadNotificationCount() {
+    return this.request('/notifications/unread-count');
+  }
+
+  async markNotificationRead(notificationId) {
+    return this.request(`/notifications/${notificationId}/read`, {
+      method: 'PUT',
+    });
+  }
+
+  async markAllNotificationsRead(type) {
+    return this.request('/notifications/read-all', {
+      method: 'PUT',
+      body: JSON.stringify(type ? { type } : {}),
+    });
+  }
+
+  async deleteNotification(notificationId) {
+    return this.request(`/notifications/${notificationId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getNotificationPreferences() {
+    return this.request('/notifications/preferences');
+  }
+
+  async updateNotificationPreferences(preferences) {
+    return this.request('/notifications/preferences', {
+      method: 'PUT',
+      body: JSON.stringify(preferences),
+    });
+  }
+
+  async getPushPublicKey() {
+    return this.request('/notifications/push/public-key');
+  }
+
+  async savePushSubscription(subscription) {
+    return this.request('/notifications/push/subscriptions', {
+      method: 'POST',
+      body: JSON.stringify(subscription),
+    });
+  }
+
+  async deletePushSubscription(endpoint) {
+    return this.request('/notifications/push/subscriptions', {
+      method: 'DELETE',
+      body: JSON.stringify({ endpoint }),
+    });
+  }
+
   // Analytics endpoints
   async getAnalytics(period = 30) {
     return this.request(`/analytics/dashboard?period=${period}`);
@@ -270,15 +676,64 @@ class ApiService {
   }
 
   async assignPickup(pickupId, truckId) {
-    return this.request(`/pickups/${pickupId}/assign`, {
+    return this.request(`/pickups/${pickupId}/assign-truck`, {
       method: 'PUT',
       body: JSON.stringify({ truckId }),
     });
   }
 
+  // Assigned truck's position, ETA and status history (owner or admin)
+  async getPickupTracking(pickupId) {
+    return this.request(`/pickups/${pickupId}/tracking`);
+  }
+
+  async autoDispatchPickup(pickupId) {
+    return this.request(`/pickups/${pickupId}/auto-dispatch`, {
+      method: 'POST',
+    });
+  }
+
+  // Trucks each dispatch attempt offered or skipped, with their scores
+  async getPickupDispatchLog(pickupId) {
+    return this.request(`/pickups/${pickupId}/dispatch-log`);
+  }
+
+  // Tracking link endpoints; jobType is bookings or pickups
+  async createTrackingLink(jobType, jobId, { recipientName, expiresInHours } = {}) {
+    return this.request(`/${jobType}/${jobId}/tracking-links`, {
+      method: 'POST',
+      body: JSON.stringify({ recipientName, expiresInHours }),
+    });
+  }
+
+  async getTrackingLinks(jobType, jobId) {
+    return this.request(`/${jobType}/${jobId}/tracking-links`);
+  }
+
+  async revokeTrackingLink(jobType, jobId, linkId) {
+    return this.request(`/${jobType}/${jobId}/tracking-links/${linkId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Public: anyone holding the token, no sign-in needed
+  async getSharedTracking(token) {
+    return this.request(`/track/${encodeURIComponent(token)}`);
+  }
+
   // Service endpoints
-  async getServices() {
-    return this.request('/services');
+  async getServices(filters = {}) {
+    const params = new URLSearchParams(filters);
+    const query = params.toString();
+    return this.request(`/services${query ? `?${query}` : ''}`);
+  }
+
+  async getService(serviceId) {
+    return this.request(`/services/${serviceId}`);
+  }
+
+  async getServiceTypes() {
+    return this.request('/services/types');
   }
 
   async createService(serviceData) {
@@ -288,6 +743,62 @@ class ApiService {
     });
   }
 
+  async updateService(serviceId, serviceData) {
+    return this.request(`/services/${serviceId}`, {
+      method: 'PUT',
+      body: JSON.stringify(serviceData),
+    });
+  }
+
+  async updateServiceStatus(serviceId, status, notes = '', odometer) {
+    return this.request(`/services/${serviceId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, notes, odometer }),
+    });
+  }
+
+  async cancelService(serviceId, reason = '') {
+    return this.request(`/services/${serviceId}/cancel`, {
+      method: 'PUT',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  // Payment endpoints
+  async getPaymentConfig() {
+    return this.request('/payments/config');
+  }
+
+  async getPayableItems() {
+    return this.request('/payments/payable');
+  }
+
+  async getPayments(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.request(`/payments?${params}`);
+  }
+
+  async createPaymentIntent({ bookingId, serviceRequestId, provider, phoneNumber }) {
+    return this.request('/payments/create-payment-intent', {
+      method: 'POST',
+      body: JSON.stringify({ bookingId, serviceRequestId, provider, phoneNumber }),
+    });
+  }
+
+  async confirmPayment(paymentId) {
+    return this.request('/payments/confirm-payment', {
+      method: 'POST',
+      body: JSON.stringify({ paymentId }),
+    });
+  }
+
+  async refundPayment(paymentId, amount, reason = '') {
+    return this.request(`/payments/${paymentId}/refund`, {
+      method: 'POST',
+      body: JSON.stringify({ amount, reason }),
+    });
+  }
+
   // File upload helper
   async uploadFile(endpoint, file, additionalData = {}) {
     const formData = new FormData();
@@ -299,10 +810,8 @@ class ApiService {
 
     return this.request(endpoint, {
       method: 'POST',
-      headers: {
-        // Remove Content-Type to let browser set it for FormData
-        Authorization: this.authToken ? `Bearer ${this.authToken}` : undefined,
-      },
+      // No Content-Type, so the browser sets it for FormData
+      headers: {},
       body: formData,
     });
   }